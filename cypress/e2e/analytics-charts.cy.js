@@ -0,0 +1,87 @@
+describe('Search API PostgreSQL - Analytics Charts', () => {
+
+  const analyticsPath = '/admin/config/search/search-api-postgresql/analytics'
+
+  // Renders a chart into a new container at the top of the page.
+  const renderChart = (id, type, data, options = {}) => {
+    cy.window().then((win) => {
+      const $container = win.jQuery('<div class="metric-chart"></div>')
+        .attr('id', id)
+        .css('width', '600px')
+        .prependTo(win.document.body)
+      win.Drupal.searchApiPostgreSQL.renderChart($container, type, data, options)
+    })
+  }
+
+  before(() => {
+    cy.drupalLogin('admin', 'admin')
+    cy.enableModule('search_api_postgresql')
+    cy.clearCaches()
+  })
+
+  beforeEach(() => {
+    cy.drupalLogin('admin', 'admin')
+    cy.visit(analyticsPath)
+    cy.contains('Embedding Analytics')
+  })
+
+  it('should draw every chart of the page as SVG or an empty state', () => {
+    cy.get('.metric-chart').should('have.length.greaterThan', 0).each(($chart) => {
+      cy.wrap($chart).find('svg.metric-chart-svg, .metric-chart-empty').should('exist')
+    })
+  })
+
+  it('should not load scripts from other hosts', () => {
+    cy.get('script[src]').each(($script) => {
+      expect($script.attr('src')).not.to.match(/^(https?:)?\/\//)
+    })
+  })
+
+  it('should draw line charts with a legend entry per series', () => {
+    renderChart('chart-line', 'line', {
+      requests: [
+        {timestamp: 1700000000, value: 3},
+        {timestamp: 1700003600, value: 5},
+        {timestamp: 1700007200, value: 2}
+      ],
+      errors: [
+        {timestamp: 1700000000, value: 0},
+        {timestamp: 1700003600, value: 1},
+        {timestamp: 1700007200, value: 0}
+      ]
+    }, {unit: 'queries', title: 'Query volume'})
+
+    cy.get('#chart-line svg.metric-chart-svg')
+      .should('have.attr', 'role', 'img')
+      .and('have.attr', 'aria-label')
+    cy.get('#chart-line .metric-chart-line').should('have.length', 2)
+    cy.get('#chart-line .metric-chart-legend li').should('have.length', 2)
+  })
+
+  it('should draw a donut slice per value', () => {
+    renderChart('chart-donut', 'donut', {generate_embedding: 1.5, batch_generate: 0.5}, {unit: 'USD'})
+
+    cy.get('#chart-donut .metric-chart-slice').should('have.length', 2)
+    cy.get('#chart-donut .metric-chart-total').should('exist')
+  })
+
+  it('should show the empty state for charts without values', () => {
+    renderChart('chart-empty', 'donut', {generate_embedding: 0})
+
+    cy.get('#chart-empty .metric-chart-empty').should('contain', 'No data for this period.')
+    cy.get('#chart-empty svg').should('not.exist')
+  })
+
+  it('should step through the points with the keyboard', () => {
+    renderChart('chart-keyboard', 'bar', [
+      {label: 'Mon', value: 4},
+      {label: 'Tue', value: 6}
+    ])
+
+    cy.get('#chart-keyboard svg.metric-chart-svg').focus().trigger('keydown', {key: 'End'})
+    cy.get('#chart-keyboard .metric-chart-tooltip').should('be.visible').and('contain', 'Tue')
+
+    cy.get('#chart-keyboard svg.metric-chart-svg').trigger('keydown', {key: 'Escape'})
+    cy.get('#chart-keyboard .metric-chart-tooltip').should('not.be.visible')
+  })
+})
@@ -7,8 +7,35 @@
   'use strict';
 
   // Global variables
-  var refreshIntervals = {};
-  var updateTimers = {};
+  // Polling tasks keyed by name, run by the scheduler below.
+  var scheduler = {
+    tasks: {},
+    paused: false
+  };
+  var POLL_MAX_BACKOFF = 600000;
+
+  // Live status stream shared by every widget on the page.
+  var eventStream = {
+    transport: null,
+    source: null,
+    request: null,
+    cursor: '',
+    retries: 0,
+    opened: false,
+    timer: null,
+    nextRun: null
+  };
+  var EVENT_TYPES = ['progress', 'queue', 'circuit_breaker', 'server_status', 'degradation'];
+
+  // Confirmation dialogs, and the providers adding the scope of a selection.
+  var confirmationCount = 0;
+  var confirmationScopes = {
+    embedding_selection: getEmbeddingSelectionScope,
+    bulk_selection: getBulkSelectionScope
+  };
+
+  // Sequence number of the latest item selection count request.
+  var itemSelectionRequest = 0;
 
   /**
    * Initialize the admin interface.
@@ -30,12 +57,29 @@
         initializeAnalytics(context);
       }
 
+      // Initialize the printable analytics report
+      if ($('.analytics-report', context).length) {
+        initializeAnalyticsReport(context);
+      }
+
+      // Follow a started operation
+      initializeOperationConsole(context);
+
+      // Filter the operation history
+      initializeOperationHistory(context);
+
       // Initialize real-time updates
       initializeRealTimeUpdates(context);
 
+      // Show what is running degraded
+      initializeDegradationBanner();
+
       // Initialize tooltips and help text
       initializeTooltips(context);
 
+      // Confirm destructive actions before they are submitted
+      initializeConfirmations(context);
+
       // Initialize form validation
       initializeFormValidation(context);
     }
@@ -47,9 +91,7 @@
   function initializeDashboard(context) {
     // Auto-refresh stats every 30 seconds
     if (drupalSettings.searchApiPostgreSQL && drupalSettings.searchApiPostgreSQL.autoRefresh) {
-      refreshIntervals.dashboard = setInterval(function () {
-        refreshDashboardStats();
-      }, 30000);
+      schedulePoll('dashboard', (drupalSettings.searchApiPostgreSQL.refreshInterval || 30) * 1000, refreshDashboardStats);
     }
 
     // Initialize stat card interactions
@@ -74,13 +116,227 @@
       );
     });
 
-    // Initialize health check refresh
-    $('.health-checks .refresh-button', context).on('click', function (e) {
-      e.preventDefault();
-      refreshHealthChecks();
+    initializeCircuitBreakers(context);
+
+    // Initialize health checks
+    once('search-api-postgresql-health-checks', '.health-checks', context).forEach(function (element) {
+      var $container = $(element);
+      var $details = $container.closest('details');
+
+      $container.on('click', '.refresh-button', function (e) {
+        e.preventDefault();
+        refreshHealthChecks($container);
+      });
+
+      $container.on('click', '.health-check-run', function (e) {
+        e.preventDefault();
+        runHealthCheck($(this).closest('.health-check'));
+      });
+
+      // Run the checks when the collapsed section is first opened. Checks
+      // billed by the provider only run when their own button is clicked.
+      if (!$details.length || $details.prop('open')) {
+        refreshHealthChecks($container);
+      } else {
+        $details.one('toggle', function () {
+          refreshHealthChecks($container);
+        });
+      }
+    });
+  }
+
+  /**
+   * Initialize the circuit breaker panel.
+   */
+  function initializeCircuitBreakers(context) {
+    once('search-api-postgresql-circuit-breakers', '.circuit-breaker-panel', context).forEach(function (element) {
+      var $panel = $(element);
+
+      $panel.on('click', '.circuit-reset', function (e) {
+        e.preventDefault();
+        var $button = $(this);
+        var service = $button.data('service');
+
+        Drupal.searchApiPostgreSQL.confirmAction({
+          title: Drupal.t('Reset the circuit breaker?'),
+          message: Drupal.t('Requests will be sent to the service again straight away.'),
+          scope: [{label: Drupal.t('Service'), value: service}],
+          confirm: Drupal.t('Reset')
+        }).then(function () {
+          $button.prop('disabled', true);
+          Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+            return $.ajax({
+              url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/circuit-breaker/' + encodeURIComponent(service) + '/reset',
+              method: 'POST',
+              headers: {'X-CSRF-Token': token},
+              dataType: 'json'
+            });
+          }).then(function (data) {
+            updateCircuitBreakerPanel(data.services);
+          }, function () {
+            new Drupal.Message().add(Drupal.t('The circuit breaker could not be reset.'), {type: 'error'});
+          }).always(function () {
+            $button.prop('disabled', false);
+          });
+        });
+      });
+
+      // Count down to the next recovery attempt.
+      setInterval(function () {
+        $panel.find('.circuit-retry').each(function () {
+          $(this).text(formatRetry($(this).attr('data-next-attempt')));
+        });
+      }, 1000);
+    });
+  }
+
+  /**
+   * Update the circuit breaker table and transition timeline.
+   */
+  function updateCircuitBreakerPanel(services) {
+    var $panel = $('.circuit-breaker-panel');
+    if (!services || !$panel.length) {
+      return;
+    }
+
+    var stateLabels = {
+      closed: Drupal.t('Closed'),
+      open: Drupal.t('Open'),
+      half_open: Drupal.t('Half-open')
+    };
+    var items = Object.keys(services).map(function (name) {
+      return $.extend({id: name}, services[name]);
+    });
+    var $table = $panel.find('.circuit-breaker-table');
+
+    // Drop the "no services" row once the first service shows up.
+    if (items.length) {
+      $table.find('tbody tr:not([data-service])').remove();
+    }
+
+    syncTableRows($table, items, 'service', function (stats) {
+      var nextAttempt = stats.next_attempt || '';
+      return [
+        {cls: 'circuit-service', html: Drupal.checkPlain(stats.id)},
+        {cls: 'circuit-state-cell', html: '<span class="circuit-state circuit-state--' + Drupal.checkPlain(stats.state) + '">' + (stateLabels[stats.state] || Drupal.checkPlain(stats.state)) + '</span>'},
+        {cls: 'circuit-failures', html: stats.failure_count + ' / ' + stats.failure_threshold},
+        {cls: 'circuit-retry-cell', html: '<span class="circuit-retry" data-next-attempt="' + nextAttempt + '">' + formatRetry(nextAttempt) + '</span>'},
+        {cls: 'circuit-last-error', html: Drupal.checkPlain(stats.last_error || '-')},
+        {cls: 'circuit-actions', html: '<button type="button" class="button button--small circuit-reset" data-service="' + Drupal.checkPlain(stats.id) + '">' + Drupal.t('Reset') + '</button>'}
+      ];
+    });
+
+    var transitions = [];
+    items.forEach(function (stats) {
+      stats.transitions.forEach(function (transition) {
+        transitions.push($.extend({service: stats.id}, transition));
+      });
+    });
+    transitions.sort(function (a, b) {
+      return b.time - a.time;
+    });
+
+    var $timeline = $panel.find('.circuit-breaker-timeline');
+    if (!transitions.length) {
+      return;
+    }
+    $timeline.empty();
+    transitions.slice(0, 20).forEach(function (transition) {
+      var date = new Date(transition.time * 1000);
+      var $item = $('<li class="circuit-transition"></li>').addClass('circuit-transition--' + transition.to);
+      $item.append($('<time></time>').attr('datetime', date.toISOString()).text(date.toLocaleString()));
+      $item.append(' ', $('<strong></strong>').text(transition.service), ': ' + transition.from + ' \u2192 ' + transition.to);
+      if (transition.reason) {
+        $item.append(' ', $('<span class="circuit-transition-reason"></span>').text(transition.reason));
+      }
+      $timeline.append($item);
+    });
+  }
+
+  /**
+   * Format the time left until a circuit's next recovery attempt.
+   */
+  function formatRetry(nextAttempt) {
+    if (!nextAttempt) {
+      return '-';
+    }
+    var seconds = Math.max(0, Math.round(nextAttempt - Date.now() / 1000));
+    return seconds ? Drupal.t('@seconds s', {'@seconds': seconds}) : Drupal.t('Next request');
+  }
+
+  /**
+   * Run every health check that is not billed, one request at a time.
+   */
+  function refreshHealthChecks($container) {
+    var $button = $container.find('.refresh-button').prop('disabled', true);
+
+    $container.find('.health-check:not(.health-check-on-demand)').toArray().reduce(function (previous, element) {
+      var run = function () {
+        return runHealthCheck($(element));
+      };
+      return previous.then(run, run);
+    }, $.Deferred().resolve().promise()).always(function () {
+      $button.prop('disabled', false);
     });
   }
 
+  /**
+   * Run a single health check and show its result.
+   */
+  function runHealthCheck($check) {
+    var $run = $check.find('.health-check-run');
+    if ($check.hasClass('health-running')) {
+      return $.Deferred().resolve().promise();
+    }
+
+    $check.addClass('health-running');
+    $run.prop('disabled', true);
+    $check.find('.health-check-icon').html('<span class="health-spinner" aria-hidden="true"></span>');
+
+    return Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+      return $.ajax({
+        url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/health-check/' + encodeURIComponent($check.data('check')),
+        method: 'POST',
+        headers: {'X-CSRF-Token': token},
+        dataType: 'json'
+      });
+    }).then(function (result) {
+      renderHealthCheck($check, result);
+    }, function (xhr) {
+      $check.removeClass('health-success health-unknown').addClass('health-error');
+      $check.find('.health-check-icon').text('FAIL');
+      $check.find('.health-check-message').text(xhr.responseJSON && xhr.responseJSON.error ? xhr.responseJSON.error : Drupal.t('The check could not be run.'));
+    }).always(function () {
+      $check.removeClass('health-running');
+      $run.prop('disabled', false);
+    });
+  }
+
+  /**
+   * Render a health check result.
+   */
+  function renderHealthCheck($check, result) {
+    $check
+      .removeClass('health-success health-error health-unknown')
+      .addClass(result.success ? 'health-success' : 'health-error')
+      .toggleClass('health-flapping', result.flapping)
+      .attr('data-last-run', result.last_run);
+
+    $check.find('.health-check-icon').text(result.success ? 'OK' : 'FAIL');
+    $check.find('.health-check-duration').text(Drupal.t('@ms ms', {'@ms': result.duration_ms}));
+    $check.find('.health-check-last-run').text(Drupal.t('Last run @time', {'@time': new Date(result.last_run * 1000).toLocaleTimeString()}));
+    $check.find('.health-check-message').text(result.message);
+    $check.find('.health-details').text(result.details);
+
+    var $history = $check.find('.health-check-history').empty();
+    result.history.forEach(function (passed) {
+      $history.append($('<span class="health-history-run"></span>').addClass(passed ? 'health-history-pass' : 'health-history-fail'));
+    });
+    $history.attr('title', result.flapping ? Drupal.t('This check keeps switching between passing and failing.') : Drupal.t('Recent runs, oldest first'));
+
+    highlightCell($check);
+  }
+
   /**
    * Initialize embedding management form functionality.
    */
@@ -102,14 +358,29 @@
     // Handle server/index selection changes
     $form.find('select[name="server_id"], select[name="index_id"]').on('change', function () {
       updateCostEstimation();
-      updatePreview();
     });
 
+    // Any change to the selection invalidates a confirmed preview.
+    $form.find(':input').not('[name="preview_id"]').on('change', updatePreview);
+
     // Handle batch size changes
     $form.find('input[name="batch_size"]').on('input', debounce(function () {
       updateCostEstimation();
     }, 500));
 
+    $form.find('input[name="force_overwrite"]').on('change', function () {
+      updateCostEstimation();
+    });
+
+    // Handle item selection changes
+    var updateItemSelection = debounce(function () {
+      updateCostEstimation();
+      updateItemSelectionCount();
+    }, 500);
+    $form.find('.item-selection :input').on('change', updateItemSelection);
+    $form.find('textarea[name="item_ids"]').on('input', updateItemSelection);
+    $form.find('input[name="operation"], input[name="force_overwrite"], select[name="server_id"], select[name="index_id"]').on('change', updateItemSelectionCount);
+
     // Handle queue option changes
     $form.find('input[name="use_queue"]').on('change', function () {
       var useQueue = $(this).is(':checked');
@@ -125,16 +396,24 @@
 
     // Initialize cost estimation
     updateCostEstimation();
+    updateItemSelectionCount();
   }
 
   /**
    * Initialize analytics functionality.
    */
   function initializeAnalytics(context) {
-    // Handle date range changes
-    $('#analytics-date-range', context).on('change', function () {
-      var range = $(this).val();
-      updateAnalytics(range);
+    // Handle period changes
+    $(once('search-api-postgresql-analytics-filters', '.analytics-filters', context)).on('change', 'select, input', function () {
+      $('.analytics-custom-range').prop('hidden', $('#analytics-date-range').val() !== 'custom');
+      var query = getAnalyticsQuery();
+      updateAnalyticsLinks(query);
+      updateAnalytics(query);
+    });
+
+    // Forecast the spend of another server
+    $(once('search-api-postgresql-forecast-server', '#forecast-server', context)).on('change', function () {
+      updateForecast($(this).val());
     });
 
     // Initialize chart interactions
@@ -142,47 +421,603 @@
 
     // Auto-refresh analytics every 60 seconds
     if (drupalSettings.searchApiPostgreSQL && drupalSettings.searchApiPostgreSQL.analyticsAutoRefresh) {
-      refreshIntervals.analytics = setInterval(function () {
-        var currentRange = $('#analytics-date-range').val() || '7d';
-        updateAnalytics(currentRange);
-      }, 60000);
+      schedulePoll('analytics', 60000, function () {
+        return updateAnalytics(getAnalyticsQuery());
+      });
+    }
+  }
+
+  /**
+   * Initialize the printable analytics report.
+   */
+  function initializeAnalyticsReport(context) {
+    initializeCharts(context);
+
+    $(once('search-api-postgresql-analytics-print', '[data-analytics-print]', context)).on('click', function () {
+      window.print();
+    });
+  }
+
+  /**
+   * Point the export and report links at the chosen period.
+   */
+  function updateAnalyticsLinks(query) {
+    if (!query) {
+      return;
+    }
+
+    $('[data-analytics-export], [data-analytics-report]').each(function () {
+      var params = $.extend({}, query);
+      var panel = $(this).attr('data-analytics-export');
+      if (panel) {
+        params.panel = panel;
+      }
+      this.href = this.href.split('?')[0] + '?' + $.param(params);
+    });
+  }
+
+  /**
+   * Collect the period chosen in the analytics filters.
+   *
+   * @return {object|null}
+   *   The query of the analytics endpoint, or null if a custom range is
+   *   incomplete or ends before it starts.
+   */
+  function getAnalyticsQuery() {
+    var query = {
+      range: $('#analytics-date-range').val() || '7d',
+      granularity: $('#analytics-granularity').val() || '',
+      compare: $('#analytics-compare').is(':checked') ? 1 : 0
+    };
+
+    if (query.range === 'custom') {
+      query.start = $('#analytics-start').val();
+      query.end = $('#analytics-end').val();
+      // Y-m-d dates compare as strings.
+      if (!query.start || !query.end || query.start > query.end) {
+        return null;
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Initialize the operation console.
+   *
+   * Polls the operation until it completes or is cancelled, and wires the
+   * pause, resume and cancel buttons.
+   */
+  function initializeOperationConsole(context) {
+    once('search-api-postgresql-operation-console', '.operation-console', context).forEach(function (element) {
+      var $console = $(element);
+      var url = drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/operations/' + encodeURIComponent($console.data('operation-id'));
+
+      $console.on('click', '.operation-control', function (e) {
+        e.preventDefault();
+        var $button = $(this);
+        var action = $button.data('action');
+
+        var run = function () {
+          $console.find('.operation-control').prop('disabled', true);
+          Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+            return $.ajax({
+              url: url + '/' + action,
+              method: 'POST',
+              headers: {'X-CSRF-Token': token},
+              dataType: 'json'
+            });
+          }).then(function (data) {
+            updateOperationConsole($console, data);
+          }, function (xhr) {
+            var message = xhr.responseJSON && xhr.responseJSON.error ? xhr.responseJSON.error : Drupal.t('The operation could not be changed.');
+            new Drupal.Message().add(Drupal.checkPlain(message), {type: 'error'});
+            refreshOperationConsole($console, url);
+          });
+        };
+
+        if (action !== 'cancel') {
+          run();
+          return;
+        }
+
+        Drupal.searchApiPostgreSQL.confirmAction({
+          title: Drupal.t('Cancel this operation?'),
+          message: Drupal.t('Its remaining batches will be dropped; embeddings already generated are kept.'),
+          scope: [
+            {label: Drupal.t('Indexes'), value: $console.find('.operation-targets tr[data-index-id]').map(function () {
+              return $(this).data('index-id');
+            }).get().join(', ')},
+            {label: Drupal.t('Items processed'), value: $console.find('[data-metric="processed_items"]').text()}
+          ],
+          confirm: Drupal.t('Cancel operation')
+        }).then(run);
+      });
+
+      schedulePoll('operation', 3000, function () {
+        // Finished operations no longer change.
+        if (['completed', 'cancelled'].indexOf($console.attr('data-status')) !== -1) {
+          return;
+        }
+        return refreshOperationConsole($console, url);
+      });
+    });
+  }
+
+  /**
+   * Fetch the operation's status and update the console.
+   */
+  function refreshOperationConsole($console, url) {
+    return $.ajax({
+      url: url,
+      dataType: 'json'
+    }).done(function (data) {
+      updateOperationConsole($console, data);
+    });
+  }
+
+  /**
+   * Update the console's progress, counters, per-index table and failures.
+   */
+  function updateOperationConsole($console, data) {
+    var metrics = {
+      status: data.status_label,
+      batches_completed: data.batches_completed.toLocaleString(),
+      processed_items: Drupal.t('@processed of @total', {
+        '@processed': data.processed_items.toLocaleString(),
+        '@total': data.total_items.toLocaleString()
+      }),
+      failed_items: data.failed_items.toLocaleString(),
+      items_per_second: data.items_per_second,
+      elapsed: data.elapsed_formatted,
+      eta: data.eta,
+      cost: Drupal.t('@cost of @estimated estimated', {
+        '@cost': Drupal.searchApiPostgreSQL.formatCost(data.cost, data.currency),
+        '@estimated': Drupal.searchApiPostgreSQL.formatCost(data.estimated_cost, data.currency)
+      })
+    };
+
+    $console.attr('data-status', data.status);
+    $console.find('.operation-progress').attr('aria-valuenow', data.percent);
+    $console.find('.operation-progress-fill').css('width', data.percent + '%');
+    Object.keys(metrics).forEach(function (key) {
+      $console.find('[data-metric="' + key + '"]').text(metrics[key]);
+    });
+
+    $console.find('.operation-control').each(function () {
+      var $button = $(this);
+      $button.prop('disabled', data.actions.indexOf($button.data('action')) === -1);
+    });
+
+    Object.keys(data.targets).forEach(function (indexId) {
+      var target = data.targets[indexId];
+      var $row = $console.find('.operation-targets tr[data-index-id="' + indexId + '"]');
+      $row.find('.target-processed').text(target.processed.toLocaleString() + ' / ' + target.total.toLocaleString());
+      $row.find('.target-failed').text(target.failed.toLocaleString());
+      $row.find('.target-state').text(target.done ? Drupal.t('Done') : Drupal.t('Pending'));
+    });
+
+    var $failures = $console.find('.operation-failures tbody');
+    if (!data.failures.length) {
+      return;
     }
+    $failures.empty();
+    data.failures.slice().reverse().forEach(function (failure) {
+      var $row = $('<tr></tr>');
+      $row.append($('<td></td>').text(new Date(failure.time * 1000).toLocaleTimeString()));
+      $row.append($('<td></td>').text(failure.index_id));
+      $row.append($('<td></td>').text(failure.item_id));
+      $row.append($('<td></td>').text(failure.message));
+      $failures.append($row);
+    });
+  }
+
+  /**
+   * Initialize the operation history filters.
+   *
+   * The history is rendered in full, so filtering only hides rows.
+   */
+  function initializeOperationHistory(context) {
+    once('search-api-postgresql-operation-history', '.operation-history-filters', context).forEach(function (element) {
+      var $filters = $(element);
+      var $rows = $('.operation-history tbody tr[data-operation]');
+
+      $filters.on('input change', '[data-filter]', function () {
+        var search = $.trim($filters.find('[data-filter="search"]').val() || '').toLowerCase();
+        var operation = $filters.find('[data-filter="operation"]').val();
+        var status = $filters.find('[data-filter="status"]').val();
+        var visible = 0;
+
+        $rows.each(function () {
+          var $row = $(this);
+          var matches = (!operation || $row.attr('data-operation') === operation) &&
+            (!status || $row.attr('data-status') === status) &&
+            (!search || $row.attr('data-search').indexOf(search) !== -1);
+
+          $row.toggle(matches);
+          if (matches) {
+            visible++;
+          }
+        });
+
+        $filters.find('.operation-history-count').text(Drupal.formatPlural(visible, '1 operation', '@count operations'));
+      });
+    });
   }
 
   /**
    * Initialize real-time updates for various components.
+   *
+   * Progress bars, queue stats and server status are all fed by one event
+   * stream instead of a timer per widget.
    */
   function initializeRealTimeUpdates(context) {
-    // Update embedding progress bars
-    $('.progress-bar', context).each(function () {
-      var $bar = $(this);
-      var indexId = $bar.data('index-id');
-
-      if (indexId) {
-        updateTimers[indexId] = setInterval(function () {
-          updateEmbeddingProgress(indexId, $bar);
-        }, 5000);
+    var widgets = '.progress-bar[data-index-id], .queue-stats, .server-status-indicator, .server-status-table, .circuit-breaker-panel';
+    if ($(widgets, context).length) {
+      connectEventStream();
+    }
+  }
+
+  /**
+   * Connect to the admin event stream once per page.
+   *
+   * Uses Server-Sent Events where available and falls back to long-polling
+   * the same endpoint when EventSource is missing or never connects.
+   */
+  function connectEventStream() {
+    if (eventStream.transport) {
+      return;
+    }
+    eventStream.transport = window.EventSource ? 'sse' : 'poll';
+    openEventStream();
+  }
+
+  /**
+   * Open the stream with the current transport.
+   */
+  function openEventStream() {
+    var url = drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/events';
+
+    if (eventStream.transport === 'sse') {
+      var source = new EventSource(url);
+      eventStream.source = source;
+
+      source.onopen = function () {
+        eventStream.retries = 0;
+        eventStream.opened = true;
+        updateLiveStatus();
+      };
+
+      EVENT_TYPES.forEach(function (type) {
+        source.addEventListener(type, function (e) {
+          dispatchAdminEvent(type, JSON.parse(e.data));
+        });
+      });
+
+      // The server ends each stream after a minute; errors also land here.
+      // Reconnect on our own schedule rather than the browser's fixed retry.
+      source.onerror = function () {
+        source.close();
+        eventStream.source = null;
+        if (scheduler.paused) {
+          return;
+        }
+        if (!eventStream.opened && eventStream.retries >= 2) {
+          eventStream.transport = 'poll';
+        }
+        scheduleEventStreamReconnect();
+      };
+      return;
+    }
+
+    eventStream.request = $.ajax({
+      url: url,
+      type: 'GET',
+      data: { transport: 'poll', cursor: eventStream.cursor },
+      dataType: 'json',
+      timeout: 40000,
+      success: function (data) {
+        eventStream.retries = 0;
+        eventStream.cursor = data.cursor;
+        data.events.forEach(function (event) {
+          dispatchAdminEvent(event.type, event.data);
+        });
+        updateLiveStatus();
+        if (!scheduler.paused) {
+          openEventStream();
+        }
+      },
+      error: function (xhr, status) {
+        // Aborted requests were closed on purpose.
+        if (status !== 'abort' && !scheduler.paused) {
+          scheduleEventStreamReconnect();
+        }
       }
     });
+  }
+
+  /**
+   * Reconnect with exponential backoff and jitter, capped at one minute.
+   */
+  function scheduleEventStreamReconnect() {
+    var delay = Math.min(60000, 2000 * Math.pow(2, eventStream.retries));
+    delay = delay / 2 + Math.random() * delay / 2;
+    eventStream.retries++;
+
+    clearTimeout(eventStream.timer);
+    eventStream.nextRun = Date.now() + delay;
+    eventStream.timer = setTimeout(openEventStream, delay);
+    updateLiveStatus();
+  }
+
+  /**
+   * Initialize the degradation banner shown on every module admin page.
+   */
+  function initializeDegradationBanner() {
+    var settings = drupalSettings.searchApiPostgreSQL && drupalSettings.searchApiPostgreSQL.degradation;
+    if (!settings || !once('search-api-postgresql-degradation', 'html').length) {
+      return;
+    }
+
+    renderDegradationBanner(settings);
+
+    $(document).on('searchApiPostgreSQL:degradation', function (e, data) {
+      renderDegradationBanner(data);
+    });
+
+    // Pages without live widgets have no event stream, so poll instead.
+    if (!eventStream.transport) {
+      schedulePoll('degradation', 60000, function () {
+        return $.getJSON(drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/degradation').done(renderDegradationBanner);
+      });
+    }
+  }
 
-    // Update queue statistics
-    if ($('.queue-stats', context).length) {
-      refreshIntervals.queue = setInterval(function () {
-        updateQueueStats();
-      }, 10000);
+  /**
+   * Render or remove the degradation banner.
+   */
+  function renderDegradationBanner(data) {
+    var $banner = $('.search-api-postgresql-degradation-banner');
+    var degradations = data.degradations || [];
+    var storageKey = 'searchApiPostgreSQL.degradationDismissed';
+
+    // A dismissal lasts until something else degrades.
+    var signature = degradations.map(function (degradation) {
+      return degradation.type + ':' + degradation.since;
+    }).join('|');
+    var dismissed = null;
+    try {
+      dismissed = window.sessionStorage.getItem(storageKey);
+    } catch (e) {
+      // Storage is unavailable; the banner cannot stay dismissed.
+    }
+
+    if (!degradations.length || dismissed === signature) {
+      $banner.remove();
+      return;
+    }
+
+    if (!$banner.length) {
+      $banner = $('<div class="search-api-postgresql-degradation-banner"><ul class="degradation-list"></ul>' +
+        '<button type="button" class="degradation-dismiss" aria-label="' + Drupal.t('Dismiss') + '">&times;</button></div>');
+      var $main = $('main').first();
+      ($main.length ? $main : $('body')).prepend($banner);
     }
 
-    // Update server status indicators
-    $('.server-status-indicator', context).each(function () {
-      var $indicator = $(this);
-      var serverId = $indicator.data('server-id');
+    $banner
+      .attr('class', 'search-api-postgresql-degradation-banner degradation-banner--' + data.severity)
+      .attr('role', data.severity === 'error' ? 'alert' : 'status');
+
+    var $list = $banner.find('.degradation-list').empty();
+    degradations.forEach(function (degradation) {
+      var $item = $('<li></li>');
+      $item.append($('<strong></strong>').text(degradation.label));
+      $item.append(' ', $('<span class="degradation-since"></span>').text(Drupal.t('since @time', {
+        '@time': new Date(degradation.since * 1000).toLocaleString()
+      })));
+      $item.append(': ', document.createTextNode(degradation.message));
+      if (degradation.fallback_description) {
+        $item.append(' ', $('<span class="degradation-fallback"></span>').text(Drupal.t('Fallback: @fallback', {'@fallback': degradation.fallback_description})));
+      }
+      $list.append($item);
+    });
 
-      if (serverId) {
-        setInterval(function () {
-          updateServerStatus(serverId, $indicator);
-        }, 15000);
+    $banner.find('.degradation-dismiss').off('click').on('click', function () {
+      try {
+        window.sessionStorage.setItem(storageKey, signature);
+      } catch (e) {
+        // Storage is unavailable; dismiss for this page only.
       }
+      $banner.remove();
+    });
+  }
+
+  /**
+   * Schedule a polling task.
+   *
+   * Tasks are deduplicated per key, so behaviors re-attaching after AJAX
+   * responses do not stack timers. The task should return a promise (e.g.
+   * the jqXHR); after a rejection the next run backs off exponentially, up
+   * to POLL_MAX_BACKOFF. Nothing runs while the tab is hidden.
+   */
+  function schedulePoll(key, interval, task) {
+    if (!once('search-api-postgresql-poll-' + key, 'html').length) {
+      return;
+    }
+
+    scheduler.tasks[key] = {
+      interval: interval,
+      task: task,
+      failures: 0,
+      running: false,
+      timer: null,
+      nextRun: null
+    };
+    queuePoll(key, interval);
+  }
+
+  /**
+   * Queue the next run of a polling task.
+   */
+  function queuePoll(key, delay) {
+    var entry = scheduler.tasks[key];
+
+    clearTimeout(entry.timer);
+    entry.nextRun = Date.now() + delay;
+    if (!scheduler.paused) {
+      entry.timer = setTimeout(function () {
+        runPoll(key);
+      }, delay);
+    }
+    updateLiveStatus();
+  }
+
+  /**
+   * Run a polling task now and queue its next run.
+   */
+  function runPoll(key) {
+    var entry = scheduler.tasks[key];
+    if (entry.running) {
+      return;
+    }
+
+    entry.running = true;
+    $.when(entry.task()).then(function () {
+      entry.failures = 0;
+    }, function () {
+      entry.failures++;
+    }).always(function () {
+      entry.running = false;
+      var delay = entry.failures ? Math.min(POLL_MAX_BACKOFF, entry.interval * Math.pow(2, entry.failures)) : entry.interval;
+      queuePoll(key, delay);
+    });
+  }
+
+  /**
+   * Stop all polling and the event stream while the tab is hidden.
+   */
+  function pauseLiveUpdates() {
+    scheduler.paused = true;
+
+    Object.keys(scheduler.tasks).forEach(function (key) {
+      clearTimeout(scheduler.tasks[key].timer);
+    });
+
+    closeEventStream();
+    updateLiveStatus();
+  }
+
+  /**
+   * Close the open event stream and cancel any scheduled reconnect.
+   */
+  function closeEventStream() {
+    clearTimeout(eventStream.timer);
+    if (eventStream.source) {
+      eventStream.source.close();
+      eventStream.source = null;
+    }
+    if (eventStream.request) {
+      eventStream.request.abort();
+      eventStream.request = null;
+    }
+  }
+
+  /**
+   * Refresh everything straight away and carry on polling.
+   */
+  function resumeLiveUpdates() {
+    scheduler.paused = false;
+
+    Object.keys(scheduler.tasks).forEach(function (key) {
+      runPoll(key);
+    });
+
+    // Replace rather than add to an open stream, so events are not handled
+    // twice when "Retry now" is pressed while the stream is connected.
+    if (eventStream.transport) {
+      closeEventStream();
+      eventStream.retries = 0;
+      openEventStream();
+    }
+    updateLiveStatus();
+  }
+
+  /**
+   * Show whether live updates are paused and when they resume.
+   */
+  function updateLiveStatus() {
+    var $status = $('.live-updates-status');
+    var failing = Object.keys(scheduler.tasks).map(function (key) {
+      return scheduler.tasks[key];
+    }).filter(function (entry) {
+      return entry.failures > 0;
     });
+
+    if (eventStream.transport && eventStream.retries > 0 && !eventStream.source) {
+      failing.push(eventStream);
+    }
+
+    if (!scheduler.paused && !failing.length) {
+      $status.remove();
+      return;
+    }
+
+    if (!$status.length) {
+      $status = $('<div class="live-updates-status" role="status"><span class="live-updates-message"></span> ' +
+        '<button type="button" class="button button--small live-updates-retry">' + Drupal.t('Retry now') + '</button></div>');
+      $status.on('click', '.live-updates-retry', function () {
+        resumeLiveUpdates();
+      });
+      $('body').append($status);
+    }
+
+    var message = Drupal.t('Live updates paused while this tab is hidden.');
+    if (!scheduler.paused) {
+      var next = Math.min.apply(null, failing.map(function (entry) {
+        return entry.nextRun || Date.now();
+      }));
+      message = Drupal.t('Live updates paused after errors. Retrying at @time.', {
+        '@time': new Date(next).toLocaleTimeString()
+      });
+    }
+
+    $status.find('.live-updates-message').text(message);
+    $status.find('.live-updates-retry').toggle(!scheduler.paused);
+  }
+
+  /**
+   * Route a stream event to the matching update function.
+   *
+   * Every event is also re-triggered on the document as
+   * "searchApiPostgreSQL:<type>" for other widgets to subscribe to.
+   */
+  function dispatchAdminEvent(type, data) {
+    switch (type) {
+      case 'progress':
+        $('.progress-bar[data-index-id="' + data.index_id + '"]').each(function () {
+          updateEmbeddingProgress($(this), data.progress);
+        });
+        break;
+
+      case 'queue':
+        updateQueueStats(data.stats);
+        break;
+
+      case 'circuit_breaker':
+        updateCircuitBreakerPanel(data.services);
+        break;
+
+      case 'server_status':
+        updateServerStatusTable(data.servers);
+        data.servers.forEach(function (server) {
+          $('.server-status-indicator[data-server-id="' + server.id + '"]').each(function () {
+            updateServerStatus($(this), server);
+          });
+        });
+        break;
+    }
+
+    $(document).trigger('searchApiPostgreSQL:' + type, [data]);
   }
 
   /**
@@ -210,30 +1045,278 @@
   }
 
   /**
-   * Initialize form validation.
+   * Initialize form validation.
+   */
+  function initializeFormValidation(context) {
+    // Real-time validation for embedding management form
+    $('#search-api-postgresql-embedding-management', context).on('input change', 'input, select', function () {
+      var $field = $(this);
+      validateField($field);
+    });
+  }
+
+  /**
+   * Ask to confirm a destructive action in a dialog.
+   *
+   * Options are the 'title', an optional 'message', the 'scope' rows of
+   * {label, value} the action affects, a 'typed' phrase that has to be typed
+   * before an irreversible action can be confirmed, and the label of the
+   * 'confirm' button. The returned promise is resolved once confirmed and
+   * rejected when the dialog is dismissed.
+   */
+  Drupal.searchApiPostgreSQL.confirmAction = function (options) {
+    var deferred = $.Deferred();
+    var confirmed = false;
+    var $content = $('<div class="confirm-action"></div>');
+
+    if (options.message) {
+      $content.append($('<p class="confirm-action-message"></p>').text(options.message));
+    }
+
+    if (options.scope && options.scope.length) {
+      var $scope = $('<dl class="confirm-action-scope"></dl>');
+      options.scope.forEach(function (row) {
+        $scope.append($('<dt></dt>').text(row.label), $('<dd></dd>').text(row.value));
+      });
+      $content.append($scope);
+    }
+
+    var $typed = $();
+    if (options.typed) {
+      var typedId = 'confirm-action-typed-' + (++confirmationCount);
+      $typed = $('<input type="text" class="form-text confirm-action-typed" autocomplete="off" spellcheck="false">').attr('id', typedId);
+      $content.append(
+        $('<label class="confirm-action-label"></label>').attr('for', typedId).html(Drupal.t('This cannot be undone. Type %phrase to confirm.', {'%phrase': options.typed})),
+        $typed
+      );
+    }
+
+    var dialog = Drupal.dialog($content[0], {
+      title: options.title,
+      width: 480,
+      dialogClass: 'confirm-action-dialog',
+      buttons: [
+        {
+          text: options.confirm || Drupal.t('Confirm'),
+          class: 'button--danger confirm-action-confirm',
+          primary: true,
+          click: function () {
+            confirmed = true;
+            dialog.close();
+          }
+        },
+        {
+          text: Drupal.t('Cancel'),
+          class: 'confirm-action-cancel',
+          click: function () {
+            dialog.close();
+          }
+        }
+      ]
+    });
+
+    $(window).on('dialog:afterclose', function onClose(e, closed, $element) {
+      if ($element[0] !== $content[0]) {
+        return;
+      }
+      $(window).off('dialog:afterclose', onClose);
+      $content.dialog('destroy').remove();
+      if (confirmed) {
+        deferred.resolve();
+      } else {
+        deferred.reject();
+      }
+    });
+
+    dialog.showModal();
+
+    var $widget = $content.dialog('widget');
+    if (options.typed) {
+      var $confirm = $widget.find('.confirm-action-confirm').prop('disabled', true);
+      $typed.on('input', function () {
+        $confirm.prop('disabled', $.trim($typed.val()) !== options.typed);
+      }).on('keydown', function (e) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          if (!$confirm.prop('disabled')) {
+            $confirm.trigger('click');
+          }
+        }
+      });
+    } else {
+      // Keep the destructive choice one deliberate step away.
+      $widget.find('.confirm-action-cancel').trigger('focus');
+    }
+
+    return deferred.promise();
+  };
+
+  /**
+   * Confirm the destructive actions forms describe on their submit buttons.
+   */
+  function initializeConfirmations(context) {
+    wrapAjaxConfirmations();
+
+    var forms = $('[data-confirm]', context).closest('form').toArray();
+    once('search-api-postgresql-confirm', forms).forEach(function (form) {
+      var $form = $(form);
+      var submitter = null;
+      var pending = false;
+
+      $form.on('click', ':submit', function () {
+        submitter = this;
+      });
+
+      // Pressing Enter submits with the default button, so this covers both.
+      $form.on('submit', function (e) {
+        var button = (e.originalEvent && e.originalEvent.submitter) || submitter || $form.find(':submit').get(0);
+        submitter = null;
+
+        if (!button || $(button).data('confirmed')) {
+          $(button).removeData('confirmed');
+          return;
+        }
+
+        var confirmation = getConfirmation($form, button);
+        if (!confirmation) {
+          return;
+        }
+
+        e.preventDefault();
+        if (pending) {
+          return;
+        }
+        pending = true;
+
+        confirmDestructiveAction($form, confirmation).then(function () {
+          $(button).data('confirmed', true);
+          button.click();
+        }).always(function () {
+          pending = false;
+        });
+      });
+    });
+  }
+
+  /**
+   * Confirm destructive actions of AJAX buttons, which do not submit the form.
+   */
+  function wrapAjaxConfirmations() {
+    if (!Drupal.Ajax || Drupal.Ajax.prototype.searchApiPostgreSQLConfirm) {
+      return;
+    }
+
+    var eventResponse = Drupal.Ajax.prototype.eventResponse;
+    Drupal.Ajax.prototype.eventResponse = function (element, event) {
+      var ajax = this;
+      var $form = $(element).closest('form');
+      var confirmation = $(element).is('[data-confirm]') ? getConfirmation($form, element) : null;
+
+      if (!confirmation) {
+        return eventResponse.call(ajax, element, event);
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      confirmDestructiveAction($form, confirmation).then(function () {
+        eventResponse.call(ajax, element, event);
+      });
+    };
+    Drupal.Ajax.prototype.searchApiPostgreSQLConfirm = true;
+  }
+
+  /**
+   * Get the dialog a button describes for the action selected on its form.
+   */
+  function getConfirmation($form, button) {
+    var spec = $(button).data('confirm');
+    if (!spec || !spec.actions) {
+      return null;
+    }
+
+    var $field = $form.find(':input[name="' + spec.field + '"]');
+    var value;
+    if ($field.is(':radio')) {
+      value = $field.filter(':checked').val();
+    } else if ($field.is(':checkbox')) {
+      value = $field.is(':checked') ? '1' : '0';
+    } else {
+      value = $field.val();
+    }
+
+    var confirmation = spec.actions[value];
+    return confirmation ? $.extend({provider: spec.provider}, confirmation) : null;
+  }
+
+  /**
+   * Add the scope of the current selection and show the dialog.
+   */
+  function confirmDestructiveAction($form, confirmation) {
+    var provider = confirmationScopes[confirmation.provider];
+
+    return $.when(provider ? provider($form, confirmation) : []).then(function (scope) {
+      // Providers return null when the action has already been confirmed.
+      if (scope === null) {
+        return;
+      }
+      return Drupal.searchApiPostgreSQL.confirmAction($.extend({}, confirmation, {
+        scope: confirmation.scope.concat(scope)
+      }));
+    });
+  }
+
+  /**
+   * Describe the servers, indexes and items the embedding operation affects.
+   */
+  function getEmbeddingSelectionScope($form, confirmation) {
+    // Running a confirmed preview needs no second confirmation, unless the
+    // operation cannot be undone.
+    if ($form.find('input[name="preview_id"]').val() && !confirmation.typed) {
+      return null;
+    }
+
+    var selection = getOperationSelection($form);
+    var scope = [
+      {label: Drupal.t('Server'), value: $form.find('select[name="server_id"] option:selected').text()},
+      {label: Drupal.t('Index'), value: $form.find('select[name="index_id"] option:selected').text()}
+    ];
+
+    if (hasItemFilters(selection)) {
+      scope.push({label: Drupal.t('Item selection'), value: Drupal.t('Filtered')});
+    }
+
+    return fetchCostEstimation(selection).then(function (data) {
+      scope.push({label: Drupal.t('Items'), value: data.items_affected.toLocaleString()});
+      if (data.total_cost) {
+        scope.push({label: Drupal.t('Estimated cost'), value: Drupal.searchApiPostgreSQL.formatCost(data.total_cost, data.currency)});
+      }
+      return scope;
+    }, function () {
+      return scope;
+    });
+  }
+
+  /**
+   * Describe the server and indexes selected for bulk regeneration.
    */
-  function initializeFormValidation(context) {
-    // Real-time validation for embedding management form
-    $('#search-api-postgresql-embedding-management', context).on('input change', 'input, select', function () {
-      var $field = $(this);
-      validateField($field);
+  function getBulkSelectionScope($form) {
+    var scope = [
+      {label: Drupal.t('Server'), value: $form.find('select[name="server"] option:selected').text()}
+    ];
+
+    // Index labels include their item counts.
+    $form.find('input[name^="indexes["]:checked').each(function () {
+      scope.push({label: Drupal.t('Index'), value: $.trim($form.find('label[for="' + this.id + '"]').text())});
     });
 
-    // Confirmation dialogs for destructive operations
-    $('input[value*="Clear"], input[value*="Delete"], input[value*="Remove"]', context).on('click', function (e) {
-      var operation = $(this).val();
-      if (!confirm('Are you sure you want to ' + operation.toLowerCase() + '? This action cannot be undone.')) {
-        e.preventDefault();
-        return FALSE;
-      }
-    });
+    return scope;
   }
 
   /**
    * Refresh dashboard statistics.
    */
   function refreshDashboardStats() {
-    $.ajax({
+    return $.ajax({
       url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/dashboard-stats',
       type: 'GET',
       dataType: 'json',
@@ -278,6 +1361,141 @@
     }
   }
 
+  /**
+   * Update the server status table in place.
+   *
+   * Rows are matched on data-server-id; only cells whose content changed
+   * are touched, and those are briefly highlighted.
+   */
+  function updateServerStatusTable(servers) {
+    var $table = $('.server-status-table');
+    if (!servers || !$table.length) { return;
+    }
+
+    syncTableRows($table, servers, 'server-id', function (server) {
+      return [
+        {cls: 'server-name', html: '<a href="' + Drupal.checkPlain(server.url) + '">' + Drupal.checkPlain(server.name) + '</a>'},
+        {cls: 'server-backend', html: Drupal.checkPlain(server.backend)},
+        {cls: 'server-status', html: server.status ? Drupal.t('Enabled') : Drupal.t('Disabled')},
+        {cls: 'server-ai', html: server.ai_enabled ? Drupal.t('Yes') : Drupal.t('No')},
+        {cls: 'server-health', html: '<span class="health-indicator health-' + (server.health ? 'good' : 'error') + '">' + (server.health ? 'OK' : 'FAIL') + '</span>'},
+        {cls: 'server-indexes', html: String(server.index_count)}
+      ];
+    });
+  }
+
+  /**
+   * Update the index status table in place.
+   *
+   * Coverage bars are updated by width so the CSS transition animates them.
+   */
+  function updateIndexStatusTable(indexes) {
+    var $table = $('.index-status-table');
+    if (!indexes || !$table.length) { return;
+    }
+
+    syncTableRows($table, indexes, 'index-id', function (index) {
+      var notCalculated = index.ai_enabled ? Drupal.t('Not calculated') : Drupal.t('N/A');
+      var cells = [
+        {cls: 'index-name', html: '<a href="' + Drupal.checkPlain(index.url) + '">' + Drupal.checkPlain(index.name) + '</a>'},
+        {cls: 'index-status', html: index.status ? Drupal.t('Enabled') : Drupal.t('Disabled')}
+      ];
+
+      if (index.error) {
+        cells.push(
+          {cls: 'index-total-items', html: Drupal.t('Error')},
+          {cls: 'index-embedded-items', html: Drupal.t('Error')},
+          {cls: 'index-coverage', html: Drupal.t('Error')}
+        );
+      } else {
+        cells.push(
+          {cls: 'index-total-items', html: index.total_items.toLocaleString()},
+          {cls: 'index-embedded-items', html: index.coverage === null ? notCalculated : index.embedded_items.toLocaleString()},
+          index.coverage === null ? {cls: 'index-coverage', html: notCalculated} : {cls: 'index-coverage', coverage: index.coverage}
+        );
+      }
+
+      cells.push(
+        {cls: 'index-ai', html: index.ai_enabled ? Drupal.t('Yes') : Drupal.t('No')},
+        {cls: 'index-actions', html: '<a href="' + Drupal.checkPlain(index.manage_url) + '">' + Drupal.t('Manage') + '</a>'}
+      );
+
+      return cells;
+    });
+  }
+
+  /**
+   * Diff table rows against fresh data.
+   *
+   * Adds rows for new items, removes rows for deleted ones and updates the
+   * cells of the rest.
+   */
+  function syncTableRows($table, items, idAttribute, buildCells) {
+    var $tbody = $table.find('tbody');
+    var seen = {};
+
+    items.forEach(function (item) {
+      var cells = buildCells(item);
+      var $row = $tbody.find('tr[data-' + idAttribute + '="' + item.id + '"]');
+      seen[item.id] = true;
+
+      if (!$row.length) {
+        $row = $('<tr></tr>').attr('data-' + idAttribute, item.id);
+        cells.forEach(function (cell) {
+          $row.append($('<td></td>').addClass(cell.cls));
+        });
+        $tbody.append($row);
+      }
+
+      cells.forEach(function (cell) {
+        var $cell = $row.find('td.' + cell.cls);
+        if (cell.coverage !== undefined) {
+          updateCoverageCell($cell, cell.coverage);
+        } else if ($cell.html() !== cell.html) {
+          $cell.html(cell.html);
+          highlightCell($cell);
+        }
+      });
+    });
+
+    $tbody.find('tr[data-' + idAttribute + ']').each(function () {
+      if (!seen[$(this).attr('data-' + idAttribute)]) {
+        $(this).fadeOut(400, function () {
+          $(this).remove();
+        });
+      }
+    });
+  }
+
+  /**
+   * Update a coverage bar, building it if the cell held plain text.
+   */
+  function updateCoverageCell($cell, coverage) {
+    var $indicator = $cell.find('.coverage-indicator');
+    var text = coverage.toFixed(1) + '%';
+
+    if (!$indicator.length) {
+      $indicator = $('<div class="coverage-indicator"><div class="coverage-bar"><div class="coverage-fill"></div></div><span class="coverage-text"></span></div>');
+      $cell.empty().append($indicator);
+    }
+
+    if ($indicator.find('.coverage-text').text() !== text) {
+      $indicator.find('.coverage-fill').css('width', coverage + '%');
+      $indicator.find('.coverage-text').text(text);
+      highlightCell($cell);
+    }
+  }
+
+  /**
+   * Briefly highlight a changed table cell.
+   */
+  function highlightCell($cell) {
+    $cell.removeClass('cell-updated');
+    // Force a reflow so the animation restarts on repeated changes.
+    void $cell[0].offsetWidth;
+    $cell.addClass('cell-updated');
+  }
+
   /**
    * Update cost estimation.
    */
@@ -286,49 +1504,152 @@
     if (!$form.length) { return;
     }
 
-    var formData = {
+    var formData = getOperationSelection($form);
+
+    // Show loading state
+    $('#cost-estimation-content').html('<div class="loading">' + Drupal.t('Calculating...') + '</div>');
+
+    fetchCostEstimation(formData).then(function (data) {
+      displayCostEstimation(data);
+    }, function () {
+      $('#cost-estimation-content').html('<div class="error">' + Drupal.t('Failed to calculate cost estimation.') + '</div>');
+    });
+  }
+
+  /**
+   * Request the cost estimate of an operation selection.
+   */
+  function fetchCostEstimation(selection) {
+    return Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+      return $.ajax({
+        url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/cost-estimation',
+        type: 'POST',
+        data: JSON.stringify(selection),
+        contentType: 'application/json',
+        dataType: 'json',
+        headers: {'X-CSRF-Token': token}
+      });
+    });
+  }
+
+  /**
+   * Read the operation and targets selected on the embedding management form.
+   */
+  function getOperationSelection($form) {
+    var checkedValues = function (name) {
+      return $form.find('input[name^="' + name + '["]:checked').map(function () {
+        return this.value;
+      }).get();
+    };
+
+    return {
       operation: $form.find('input[name="operation"]:checked').val(),
       server_id: $form.find('select[name="server_id"]').val(),
       index_id: $form.find('select[name="index_id"]').val(),
-      batch_size: $form.find('input[name="batch_size"]').val(),
-      force_overwrite: $form.find('input[name="force_overwrite"]').is(':checked')
+      batch_size: parseInt($form.find('input[name="batch_size"]').val(), 10) || 50,
+      use_queue: $form.find('input[name="use_queue"]').is(':checked'),
+      priority: $form.find('select[name="priority"]').val(),
+      force_overwrite: $form.find('input[name="force_overwrite"]').is(':checked'),
+      datasources: checkedValues('datasources'),
+      bundles: checkedValues('bundles'),
+      changed_from: $form.find('input[name="changed_from"]').val() || '',
+      changed_to: $form.find('input[name="changed_to"]').val() || '',
+      item_ids: $form.find('textarea[name="item_ids"]').val() || '',
+      failed_validation: $form.find('input[name="failed_validation"]').is(':checked')
     };
+  }
 
-    // Show loading state
-    $('#cost-estimation-content').html('<div class="loading">Calculating...</div>');
+  /**
+   * Check whether a selection limits the operation to some items.
+   */
+  function hasItemFilters(selection) {
+    return selection.datasources.length > 0 || selection.bundles.length > 0 ||
+      selection.changed_from !== '' || selection.changed_to !== '' ||
+      $.trim(selection.item_ids) !== '' || selection.failed_validation;
+  }
 
-    $.ajax({
-      url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/cost-estimation',
-      type: 'POST',
-      data: formData,
-      dataType: 'json',
-      success: function (data) {
-        displayCostEstimation(data);
-      },
-      error: function () {
-        $('#cost-estimation-content').html('<div class="error">Failed to calculate cost estimation.</div>');
+  /**
+   * Show the number of items the item selection matches.
+   */
+  function updateItemSelectionCount() {
+    var $form = $('#search-api-postgresql-embedding-management');
+    var $count = $form.find('#item-selection-count');
+    var selection = getOperationSelection($form);
+    var request = ++itemSelectionRequest;
+
+    if (!$count.length || !selection.operation) {
+      return;
+    }
+    if (!hasItemFilters(selection)) {
+      $count.removeClass('is-empty').text(Drupal.t('All items of the selected indexes.'));
+      return;
+    }
+
+    $count.addClass('is-loading').text(Drupal.t('Counting matching items...'));
+
+    Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+      return $.ajax({
+        url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/item-selection-count',
+        type: 'POST',
+        data: JSON.stringify(selection),
+        contentType: 'application/json',
+        dataType: 'json',
+        headers: {'X-CSRF-Token': token}
+      });
+    }).then(function (data) {
+      // Only the answer to the latest change is shown.
+      if (request !== itemSelectionRequest) {
+        return;
+      }
+      var counted = data.indexes.filter(function (index) {
+        return !index.error;
+      });
+      $count.removeClass('is-loading').toggleClass('is-empty', data.total === 0).text(Drupal.formatPlural(
+        data.total,
+        '1 matching item in @indexes.',
+        '@count matching items in @indexes.',
+        {'@indexes': Drupal.formatPlural(counted.length, '1 index', '@count indexes')}
+      ));
+    }, function () {
+      if (request === itemSelectionRequest) {
+        $count.removeClass('is-loading').text(Drupal.t('The matching items could not be counted.'));
       }
     });
   }
 
+  /**
+   * Forget a previewed selection once the form no longer matches it.
+   */
+  function updatePreview() {
+    $('#search-api-postgresql-embedding-management').find('input[name="preview_id"]').val('');
+  }
+
   /**
    * Display cost estimation results.
    */
   function displayCostEstimation(data) {
+    var formatCost = function (amount) {
+      return Drupal.searchApiPostgreSQL.formatCost(amount, data.currency);
+    };
     var html = '<div class="cost-estimation-results">';
 
     html += '<div class="cost-summary">';
-    html += '<strong>Estimated Cost: $' + parseFloat(data.total_cost).toFixed(4) + '</strong>';
+    html += '<strong>' + Drupal.t('Estimated Cost: @cost', {'@cost': formatCost(data.total_cost)}) + '</strong>';
     html += '</div>';
 
     if (data.breakdown && data.breakdown.length > 0) {
       html += '<div class="cost-breakdown">';
-      html += '<h4>Breakdown:</h4>';
+      html += '<h4>' + Drupal.t('Breakdown:') + '</h4>';
 
       data.breakdown.forEach(function (item) {
+        var detail = item.error ? Drupal.checkPlain(item.error) : Drupal.t('@items items, about @tokens tokens each, @cached cached', {
+          '@items': item.items.toLocaleString(),
+          '@tokens': item.tokens_per_item.toLocaleString(),
+          '@cached': item.cache_hits.toLocaleString()
+        });
         html += '<div class="cost-breakdown-item">';
-        html += '<span>' + item.description + '</span>';
-        html += '<span>$' + parseFloat(item.cost).toFixed(4) + '</span>';
+        html += '<span>' + Drupal.checkPlain(item.description) + '<small class="cost-breakdown-detail">' + detail + '</small></span>';
+        html += '<span>' + formatCost(item.cost) + '</span>';
         html += '</div>';
       });
 
@@ -337,74 +1658,376 @@
 
     if (data.items_affected) {
       html += '<div class="items-affected">';
-      html += '<p><strong>' + data.items_affected.toLocaleString() + '</strong> items will be affected</p>';
+      html += '<p>' + Drupal.t('<strong>@count</strong> items will be affected', {'@count': data.items_affected.toLocaleString()}) + '</p>';
+      if (data.cache_hits) {
+        html += '<p>' + Drupal.t('About @count of them are already cached and will not be billed.', {'@count': data.cache_hits.toLocaleString()}) + '</p>';
+      }
+      html += '</div>';
+    }
+
+    if (data.budget && data.budget.blocked) {
+      html += '<div class="budget-warning messages messages--warning">';
+      data.budget.violations.forEach(function (violation) {
+        html += '<p>' + Drupal.checkPlain(violation.message) + '</p>';
+      });
+      html += '<p>' + Drupal.t('To run it anyway, type %confirmation in the budget override field.', {'%confirmation': data.budget.confirmation}) + '</p>';
       html += '</div>';
     }
 
     if (data.estimated_time) {
       html += '<div class="estimated-time">';
-      html += '<p>Estimated time: <strong>' + data.estimated_time + '</strong></p>';
+      html += '<p>' + Drupal.t('Estimated time: <strong>@time</strong>', {'@time': data.estimated_time}) + '</p>';
       html += '</div>';
     }
 
     html += '</div>';
 
     $('#cost-estimation-content').html(html).addClass('fade-in');
+
+    if (data.billed_tokens || data.items_affected) {
+      renderCostCalculator($('#cost-estimation-content'), data);
+    }
+  }
+
+  /**
+   * Add a calculator for trying other item counts, token sizes and prices.
+   */
+  function renderCostCalculator($container, data) {
+    var billedItems = data.items_affected - data.cache_hits;
+    var tokensPerItem = billedItems > 0 ? Math.round(data.billed_tokens / billedItems) : 0;
+    var fields = [
+      {name: 'items', label: Drupal.t('Items to embed'), value: Math.max(billedItems, 0), step: 1},
+      {name: 'tokens', label: Drupal.t('Tokens per item'), value: tokensPerItem, step: 1},
+      {name: 'price', label: Drupal.t('Price per 1,000 tokens (@currency)', {'@currency': data.currency}), value: data.price_per_1k_tokens, step: 'any'}
+    ];
+
+    var $calculator = $('<fieldset class="cost-calculator"></fieldset>')
+      .append($('<legend></legend>').text(Drupal.t('Calculator')));
+    fields.forEach(function (field) {
+      var id = 'cost-calculator-' + field.name;
+      $('<div class="cost-calculator-field"></div>')
+        .append($('<label></label>').attr('for', id).text(field.label))
+        .append($('<input type="number" min="0">').attr({id: id, name: field.name, step: field.step}).val(field.value))
+        .appendTo($calculator);
+    });
+    var $result = $('<output class="cost-calculator-result" aria-live="polite"></output>').appendTo($calculator);
+
+    var recalculate = function () {
+      var value = function (name) {
+        return parseFloat($calculator.find('input[name="' + name + '"]').val()) || 0;
+      };
+      var tokens = value('items') * value('tokens');
+      $result.text(Drupal.t('@tokens tokens, @cost', {
+        '@tokens': tokens.toLocaleString(),
+        '@cost': Drupal.searchApiPostgreSQL.formatCost(tokens / 1000 * value('price'), data.currency)
+      }));
+    };
+
+    $calculator.on('input', 'input', recalculate);
+    recalculate();
+    $container.append($calculator);
   }
 
   /**
    * Update analytics data.
+   *
+   * Fetches the analytics of a period and redraws the cost, performance and
+   * usage panels in place, with the previous period laid over them when
+   * comparing.
    */
-  function updateAnalytics(range) {
-    var $container = $('.analytics-container');
-    $container.addClass('loading');
+  function updateAnalytics(query) {
+    var $panels = $('.analytics-panel');
+    var $status = $('.analytics-status');
+
+    if (!query) {
+      $status.addClass('is-error').text(Drupal.t('Choose a first and last day, with the last day not before the first.'));
+      return $.Deferred().resolve().promise();
+    }
 
-    $.ajax({
+    $panels.addClass('is-loading').attr('aria-busy', 'true');
+
+    return $.ajax({
       url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/analytics',
       type: 'GET',
-      data: { range: range },
-      dataType: 'json',
-      success: function (data) {
-        updateCostCards(data.cost);
-        updatePerformanceCharts(data.performance);
-        updateUsageCharts(data.usage);
-        $container.removeClass('loading');
-      },
-      error: function () {
-        console.log('Failed to update analytics');
-        $container.removeClass('loading');
-      }
+      data: query,
+      dataType: 'json'
+    }).done(function (data) {
+      var previous = data.previous || {};
+      updateCostCards(data.cost, data.currency, previous.cost);
+      updatePerformanceCharts(data.performance, previous.performance);
+      updateUsageCharts(data.usage, previous.usage);
+      updateTopIndexes(data.indexes);
+      $status.removeClass('is-error').text(Drupal.t('Updated @time', {
+        '@time': new Date(data.timestamp * 1000).toLocaleTimeString()
+      }));
+    }).fail(function (xhr) {
+      var error = xhr.responseJSON && xhr.responseJSON.error;
+      $status.addClass('is-error').text(error ?
+        Drupal.t('The analytics could not be updated: @error', {'@error': error}) :
+        Drupal.t('The analytics could not be updated. Showing the last loaded data.'));
+    }).always(function () {
+      $panels.removeClass('is-loading').removeAttr('aria-busy');
     });
   }
 
   /**
-   * Update embedding progress for an index.
+   * Replace the spend forecast with the one of a server.
+   *
+   * The forecast covers the current month, so it is not refreshed with the
+   * analytics of the chosen period.
    */
-  function updateEmbeddingProgress(indexId, $progressBar) {
-    $.ajax({
-      url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/embedding-progress/' + indexId,
+  function updateForecast(serverId) {
+    var $forecast = $('.spend-forecast');
+
+    $forecast.addClass('is-loading').attr('aria-busy', 'true');
+
+    return $.ajax({
+      url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/analytics/forecast',
       type: 'GET',
-      dataType: 'json',
-      success: function (data) {
-        if (data.progress && data.progress.embedding_coverage !== undefined) {
-          var percentage = Math.round(data.progress.embedding_coverage);
+      data: serverId ? {server: serverId} : {},
+      dataType: 'json'
+    }).done(function (data) {
+      var $body = $('<div></div>').html(data.html).children('.forecast-body');
+      $forecast.find('.forecast-body').replaceWith($body);
+      initializeCharts($body[0]);
+      Drupal.attachBehaviors($body[0], drupalSettings);
+    }).fail(function (xhr) {
+      var error = xhr.responseJSON && xhr.responseJSON.error;
+      $('.analytics-status').addClass('is-error').text(error ?
+        Drupal.t('The forecast could not be updated: @error', {'@error': error}) :
+        Drupal.t('The forecast could not be updated.'));
+    }).always(function () {
+      $forecast.removeClass('is-loading').removeAttr('aria-busy');
+    });
+  }
 
-          $progressBar.find('.progress-bar-fill').css('width', percentage + '%');
-          $progressBar.find('.progress-text').text(percentage + '%');
+  /**
+   * Update the cost cards and the cost chart.
+   *
+   * With the previous period's costs, each card shows how its figures changed.
+   */
+  function updateCostCards(cost, currency, previousCost) {
+    if (!cost) {
+      return;
+    }
 
-          // Update related statistics
-          var $statsContainer = $progressBar.closest('.embedding-stats-container');
-          if ($statsContainer.length) {
-            updateEmbeddingStats($statsContainer, data.progress);
-          }
-        }
-      },
-      error: function () {
-        // Silently handle errors for real-time updates
+    var fillCard = function (card, values, previousValues) {
+      var $card = $('[data-cost-card="' + card + '"]');
+      $card.find('[data-cost-field="cost"]').text(Drupal.searchApiPostgreSQL.formatCost(values.cost, currency));
+      $card.find('[data-cost-field="api_calls"]').text(Math.round(values.api_calls).toLocaleString());
+      $card.find('[data-cost-field="tokens"]').text(Math.round(values.tokens).toLocaleString());
+
+      if (values.trend !== undefined) {
+        $card.find('[data-cost-field="trend"]')
+          .removeClass('trend-up trend-down trend-neutral')
+          .addClass(values.trend > 0 ? 'trend-up' : (values.trend < 0 ? 'trend-down' : 'trend-neutral'))
+          .text((values.trend > 0 ? '+' : '') + values.trend.toFixed(1) + '%');
       }
+
+      $card.find('[data-cost-delta]').each(function () {
+        var $delta = $(this);
+        var field = $delta.data('cost-delta');
+        if (!previousValues) {
+          $delta.prop('hidden', true).empty();
+          return;
+        }
+
+        var before = field === 'cost' ? Drupal.searchApiPostgreSQL.formatCost(previousValues.cost, currency) : Math.round(previousValues[field]).toLocaleString();
+        $delta.prop('hidden', false)
+          .removeClass('cost-delta--up cost-delta--down')
+          .addClass(values[field] > previousValues[field] ? 'cost-delta--up' : (values[field] < previousValues[field] ? 'cost-delta--down' : ''))
+          .text(Drupal.t('@change vs. @before', {
+            '@change': formatChange(values[field], previousValues[field]),
+            '@before': before
+          }));
+      });
+    };
+
+    fillCard('current', {
+      cost: cost.current_cost,
+      api_calls: cost.api_calls,
+      tokens: cost.tokens_used,
+      trend: cost.trend
+    }, previousCost ? {
+      cost: previousCost.current_cost,
+      api_calls: previousCost.api_calls,
+      tokens: previousCost.tokens_used
+    } : null);
+    fillCard('projected', {
+      cost: cost.projected_monthly,
+      api_calls: cost.projected_calls,
+      tokens: cost.projected_tokens
+    }, previousCost ? {
+      cost: previousCost.projected_monthly,
+      api_calls: previousCost.projected_calls,
+      tokens: previousCost.projected_tokens
+    } : null);
+
+    var byOperation = {};
+    $.each(cost.by_operation || {}, function (operation, totals) {
+      byOperation[operation] = totals.cost;
+    });
+    updateMetricChart('cost.by_operation', byOperation);
+  }
+
+  /**
+   * Describe the change from a previous value in percent.
+   */
+  function formatChange(value, before) {
+    if (!before) {
+      return value ? Drupal.t('new') : Drupal.t('no change');
+    }
+
+    var change = (value - before) / before * 100;
+    return (change > 0 ? '+' : '') + change.toFixed(1) + '%';
+  }
+
+  /**
+   * Update the performance charts.
+   */
+  function updatePerformanceCharts(performance, previous) {
+    $.each(performance || {}, function (metric, data) {
+      updateMetricChart('performance.' + metric, withComparison(data, previous && previous[metric]));
+    });
+  }
+
+  /**
+   * Update the usage charts.
+   */
+  function updateUsageCharts(usage, previous) {
+    $.each(usage || {}, function (metric, data) {
+      updateMetricChart('usage.' + metric, withComparison(data, previous && previous[metric]));
+    });
+  }
+
+  /**
+   * Lay the previous period's series over a chart's data.
+   *
+   * Series keyed by name are compared by their total, so stacked charts get
+   * one comparison line.
+   *
+   * @param {Array|object} data
+   *   The current data: a list of points or lists keyed by series name.
+   * @param {Array|object|undefined} previous
+   *   The previous period's data in the same format, its points moved onto
+   *   the current period.
+   *
+   * @return {Array|object}
+   *   The data to draw.
+   */
+  function withComparison(data, previous) {
+    if (!previous) {
+      return data;
+    }
+
+    var series = Array.isArray(data) ?
+      [{name: Drupal.t('Current period'), data: data}] :
+      $.map(data, function (points, name) {
+        return {name: name, data: points};
+      });
+
+    var totals = {};
+    $.each(Array.isArray(previous) ? [previous] : previous, function (name, points) {
+      points.forEach(function (point) {
+        totals[point.timestamp] = (totals[point.timestamp] || 0) + Number(point.value);
+      });
+    });
+
+    series.push({
+      name: Drupal.t('Previous period'),
+      comparison: true,
+      data: $.map(totals, function (value, timestamp) {
+        return {timestamp: Number(timestamp), value: value};
+      })
+    });
+
+    return {series: series};
+  }
+
+  /**
+   * Update the table of the most searched indexes.
+   */
+  function updateTopIndexes(indexes) {
+    var $body = $('table[data-analytics-table="indexes"] tbody');
+    if (!$body.length || !indexes) {
+      return;
+    }
+
+    $body.empty();
+    if (!indexes.length) {
+      $('<tr></tr>')
+        .append($('<td colspan="3" class="empty message"></td>').text(Drupal.t('No searches in this period.')))
+        .appendTo($body);
+      return;
+    }
+
+    indexes.forEach(function (index) {
+      $('<tr></tr>')
+        .append($('<td></td>').text(index.label))
+        .append($('<td></td>').text(index.searches.toLocaleString()))
+        .append($('<td></td>').text(Drupal.t('@latency ms', {'@latency': index.average_latency.toFixed(1)})))
+        .appendTo($body);
     });
   }
 
+  /**
+   * Redraw the chart of an analytics metric, if the page shows it.
+   */
+  function updateMetricChart(metric, data) {
+    var $chart = $('.metric-chart[data-metric="' + metric + '"]');
+    if ($chart.length && Drupal.searchApiPostgreSQL.updateChart) {
+      Drupal.searchApiPostgreSQL.updateChart($chart, data);
+    }
+  }
+
+  /**
+   * Update embedding progress for an index.
+   */
+  function updateEmbeddingProgress($progressBar, progress) {
+    if (!progress || progress.embedding_coverage === undefined) {
+      return;
+    }
+
+    var percentage = Math.round(progress.embedding_coverage);
+
+    $progressBar.find('.progress-bar-fill').css('width', percentage + '%');
+    $progressBar.find('.progress-text').text(percentage + '%');
+
+    // Update related statistics
+    var $statsContainer = $progressBar.closest('.embedding-stats-container');
+    if ($statsContainer.length) {
+      updateEmbeddingStats($statsContainer, progress);
+    }
+  }
+
+  /**
+   * Update queue statistics.
+   */
+  function updateQueueStats(stats) {
+    var $container = $('.queue-stats');
+    if (!stats || !$container.length) { return;
+    }
+
+    // Distributions are nested objects; only scalar stats have a display.
+    var scalars = {};
+    for (var key in stats) {
+      if (typeof stats[key] !== 'object') {
+        scalars[key] = stats[key];
+      }
+    }
+    updateEmbeddingStats($container, scalars);
+  }
+
+  /**
+   * Update a server status indicator.
+   */
+  function updateServerStatus($indicator, server) {
+    $indicator
+      .toggleClass('health-good', server.health)
+      .toggleClass('health-error', !server.health)
+      .text(server.health ? 'OK' : 'FAIL');
+  }
+
   /**
    * Update embedding statistics display.
    */
@@ -426,29 +2049,37 @@
    */
   function showPreviewModal() {
     var $form = $('#search-api-postgresql-embedding-management');
-    var formData = serializeFormData($form);
+    var selection = getOperationSelection($form);
 
     // Create modal overlay
     var $overlay = $('<div class="modal-overlay"></div>');
-    var $modal = $('<div class="preview-modal"></div>');
+    var $modal = $('<div class="preview-modal" role="dialog" aria-modal="true" aria-labelledby="operation-preview-title"></div>');
 
-    $modal.html('<div class="modal-header"><h3>Operation Preview</h3><button class="modal-close">×</button></div><div class="modal-body"><div class="loading">Generating preview...</div></div><div class="modal-footer"><button class="button button--primary confirm-operation">Confirm & Execute</button><button class="button cancel-operation">Cancel</button></div>');
+    $modal.html('<div class="modal-header"><h3 id="operation-preview-title">' + Drupal.t('Operation Preview') + '</h3><button type="button" class="modal-close" aria-label="' + Drupal.t('Close') + '">×</button></div>' +
+      '<div class="modal-body"><div class="loading">' + Drupal.t('Generating preview...') + '</div></div>' +
+      '<div class="modal-footer"><button type="button" class="button button--primary confirm-operation" disabled>' + Drupal.t('Confirm & Execute') + '</button><button type="button" class="button cancel-operation">' + Drupal.t('Cancel') + '</button></div>');
 
     $overlay.append($modal);
     $('body').append($overlay);
 
+    var previewId = null;
+
     // Load preview data
-    $.ajax({
-      url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/operation-preview',
-      type: 'POST',
-      data: formData,
-      dataType: 'json',
-      success: function (data) {
-        displayPreviewResults($modal, data);
-      },
-      error: function () {
-        $modal.find('.modal-body').html('<div class="error">Failed to generate preview.</div>');
-      }
+    Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+      return $.ajax({
+        url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/operation-preview',
+        type: 'POST',
+        data: JSON.stringify(selection),
+        contentType: 'application/json',
+        dataType: 'json',
+        headers: {'X-CSRF-Token': token}
+      });
+    }).then(function (data) {
+      previewId = data.preview_id;
+      displayPreviewResults($modal, data);
+      $modal.find('.confirm-operation').prop('disabled', false);
+    }, function () {
+      $modal.find('.modal-body').html('<div class="error">' + Drupal.t('Failed to generate preview.') + '</div>');
     });
 
     // Handle modal interactions
@@ -456,9 +2087,11 @@
       $overlay.remove();
     });
 
+    // Run the previewed selection, not whatever the form holds now.
     $overlay.on('click', '.confirm-operation', function () {
       $overlay.remove();
-      $form.find('input[type="submit"]').click();
+      $form.find('input[name="preview_id"]').val(previewId);
+      $form.find('[data-drupal-selector="edit-submit"]').trigger('click');
     });
 
     $overlay.on('click', function (e) {
@@ -472,22 +2105,27 @@
    * Display preview results in modal.
    */
   function displayPreviewResults($modal, data) {
+    var formatCost = function (amount) {
+      return Drupal.searchApiPostgreSQL.formatCost(amount, data.currency);
+    };
     var html = '<div class="preview-results">';
 
     html += '<div class="preview-summary">';
-    html += '<h4>Operation Summary</h4>';
-    html += '<p><strong>Operation:</strong> ' + data.operation + '</p>';
-    html += '<p><strong>Affected Items:</strong> ' + data.affected_items.toLocaleString() + '</p>';
-    html += '<p><strong>Estimated Cost:</strong> $' + parseFloat(data.estimated_cost).toFixed(4) + '</p>';
-    html += '<p><strong>Estimated Time:</strong> ' + data.estimated_time + '</p>';
+    html += '<h4>' + Drupal.t('Operation Summary') + '</h4>';
+    html += '<p><strong>' + Drupal.t('Operation:') + '</strong> ' + Drupal.checkPlain(data.operation) + '</p>';
+    html += '<p><strong>' + Drupal.t('Affected Items:') + '</strong> ' + data.affected_items.toLocaleString() + '</p>';
+    html += '<p><strong>' + Drupal.t('Estimated Cost:') + '</strong> ' + formatCost(data.estimated_cost) + '</p>';
+    if (data.estimated_time) {
+      html += '<p><strong>' + Drupal.t('Estimated Time:') + '</strong> ' + Drupal.checkPlain(data.estimated_time) + '</p>';
+    }
     html += '</div>';
 
     if (data.warnings && data.warnings.length > 0) {
       html += '<div class="preview-warnings">';
-      html += '<h4>Warnings</h4>';
+      html += '<h4>' + Drupal.t('Warnings') + '</h4>';
       html += '<ul>';
       data.warnings.forEach(function (warning) {
-        html += '<li>' + warning + '</li>';
+        html += '<li class="preview-warning--' + Drupal.checkPlain(warning.type) + '">' + Drupal.checkPlain(warning.message) + '</li>';
       });
       html += '</ul>';
       html += '</div>';
@@ -495,37 +2133,110 @@
 
     if (data.breakdown && data.breakdown.length > 0) {
       html += '<div class="preview-breakdown">';
-      html += '<h4>Detailed Breakdown</h4>';
+      html += '<h4>' + Drupal.t('Detailed Breakdown') + '</h4>';
       html += '<table>';
-      html += '<thead><tr><th>Server</th><th>Index</th><th>Items</th><th>Cost</th></tr></thead>';
+      html += '<thead><tr><th>' + Drupal.t('Server') + '</th><th>' + Drupal.t('Index') + '</th><th>' + Drupal.t('Items') + '</th><th>' + Drupal.t('Tokens') + '</th><th>' + Drupal.t('Cost') + '</th></tr></thead>';
       html += '<tbody>';
 
       data.breakdown.forEach(function (item) {
         html += '<tr>';
-        html += '<td>' + item.server_name + '</td>';
-        html += '<td>' + item.index_name + '</td>';
-        html += '<td>' + item.item_count.toLocaleString() + '</td>';
-        html += '<td>$' + parseFloat(item.cost).toFixed(4) + '</td>';
+        html += '<td>' + Drupal.checkPlain(item.server_name) + '</td>';
+        html += '<td>' + Drupal.checkPlain(item.index_name) + '</td>';
+        html += '<td>' + item.items.toLocaleString() + '</td>';
+        html += '<td>' + item.billed_tokens.toLocaleString() + '</td>';
+        html += '<td>' + formatCost(item.cost) + '</td>';
         html += '</tr>';
       });
 
       html += '</tbody></table>';
       html += '</div>';
+
+      html += '<div class="preview-items">';
+      html += '<h4>' + Drupal.t('Items') + '</h4>';
+      if (data.breakdown.length > 1) {
+        html += '<label for="preview-items-index">' + Drupal.t('Index') + '</label> <select id="preview-items-index">';
+        data.breakdown.forEach(function (item) {
+          html += '<option value="' + Drupal.checkPlain(item.index_id) + '">' + Drupal.checkPlain(item.index_name) + '</option>';
+        });
+        html += '</select>';
+      }
+      html += '<div class="preview-items-page"></div>';
+      html += '</div>';
+    }
+
+    html += '</div>';
+
+    var $body = $modal.find('.modal-body').html(html);
+    var $page = $body.find('.preview-items-page');
+
+    if (data.sample) {
+      renderPreviewItems($page, data.sample);
+    }
+
+    var load = function (indexId, page) {
+      $page.attr('aria-busy', 'true');
+      $.getJSON(drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/operation-preview/' + encodeURIComponent(data.preview_id) + '/items', {
+        index_id: indexId,
+        page: page
+      }).done(function (sample) {
+        renderPreviewItems($page, sample);
+      }).fail(function () {
+        $page.html('<div class="error">' + Drupal.t('Failed to load items.') + '</div>');
+      }).always(function () {
+        $page.removeAttr('aria-busy');
+      });
+    };
+
+    $body.on('change', '#preview-items-index', function () {
+      load($(this).val(), 0);
+    });
+    $body.on('click', '.preview-items-pager button', function () {
+      load($page.data('index-id'), $(this).data('page'));
+    });
+  }
+
+  /**
+   * Render one page of the items an operation would touch.
+   */
+  function renderPreviewItems($page, sample) {
+    var pages = Math.max(1, Math.ceil(sample.total / sample.page_size));
+    var html = '';
+
+    if (!sample.items.length) {
+      html += '<p>' + Drupal.t('No items would be touched in this index.') + '</p>';
+    } else {
+      html += '<table class="preview-items-table">';
+      html += '<thead><tr><th>' + Drupal.t('Title') + '</th><th>' + Drupal.t('Bundle') + '</th><th>' + Drupal.t('Embedding') + '</th><th>' + Drupal.t('Text length') + '</th></tr></thead><tbody>';
+      sample.items.forEach(function (item) {
+        html += '<tr>';
+        html += '<td>' + Drupal.checkPlain(item.label) + '</td>';
+        html += '<td>' + Drupal.checkPlain(item.bundle || '-') + '</td>';
+        html += '<td>' + (item.has_embedding ? Drupal.t('Present') : Drupal.t('Missing')) + '</td>';
+        html += '<td>' + Drupal.formatPlural(item.text_length, '1 character', '@count characters') + '</td>';
+        html += '</tr>';
+      });
+      html += '</tbody></table>';
     }
 
+    html += '<div class="preview-items-pager">';
+    html += '<button type="button" class="button button--small" data-page="' + (sample.page - 1) + '"' + (sample.page > 0 ? '' : ' disabled') + '>' + Drupal.t('Previous') + '</button>';
+    html += '<span>' + Drupal.t('Page @page of @pages (@total items)', {
+      '@page': sample.page + 1,
+      '@pages': pages,
+      '@total': sample.total.toLocaleString()
+    }) + '</span>';
+    html += '<button type="button" class="button button--small" data-page="' + (sample.page + 1) + '"' + (sample.page + 1 < pages ? '' : ' disabled') + '>' + Drupal.t('Next') + '</button>';
     html += '</div>';
 
-    $modal.find('.modal-body').html(html);
+    $page.data('index-id', sample.index_id).html(html);
   }
 
   /**
    * Initialize charts for analytics.
    */
   function initializeCharts(context) {
-    // This would integrate with a charting library like Chart.js or D3.js
-    // For now, we'll implement basic chart placeholders
-    $('.metric-chart', context).each(function () {
-      var $chart = $(this);
+    once('search-api-postgresql-metric-chart', '.metric-chart', context).forEach(function (element) {
+      var $chart = $(element);
       var chartType = $chart.data('chart-type') || 'line';
       var chartData = $chart.data('chart-data') || [];
 
@@ -538,13 +2249,15 @@
    * Initialize individual chart.
    */
   function initializeChart($container, type, data) {
-    // Basic chart implementation
-    // In a real implementation, this would use Chart.js or similar
-    var $canvas = $('<canvas width="400" height="200"></canvas>');
-    $container.append($canvas);
+    // The renderer ships with the analytics library.
+    if (!Drupal.searchApiPostgreSQL.renderChart) {
+      return;
+    }
 
-    // Store chart reference for updates
-    $container.data('chart-initialized', TRUE);
+    Drupal.searchApiPostgreSQL.renderChart($container, type, data, {
+      unit: $container.data('chart-unit') || '',
+      title: $.trim($container.find('.metric-chart-title').text())
+    });
   }
 
   /**
@@ -560,7 +2273,7 @@
       var context = this;
       var args = arguments;
       var later = function () {
-        timeout = NULL;
+        timeout = null;
         func.apply(context, args);
       };
       clearTimeout(timeout);
@@ -730,19 +2443,24 @@
    * Cleanup function for when leaving pages.
    */
   $(window).on('beforeunload', function () {
-    // Clear all intervals
-    for (var key in refreshIntervals) {
-      clearInterval(refreshIntervals[key]);
-    }
+    // Clear all timers
+    Object.keys(scheduler.tasks).forEach(function (key) {
+      clearTimeout(scheduler.tasks[key].timer);
+    });
 
-    for (var key in updateTimers) {
-      clearInterval(updateTimers[key]);
+    if (eventStream.source) {
+      eventStream.source.close();
     }
+    clearTimeout(eventStream.timer);
   });
 
-  // Global function for analytics date range updates
-  window.updateAnalytics = function (range) {
-    updateAnalytics(range);
-  };
+  // Pause live updates in background tabs.
+  document.addEventListener('visibilitychange', function () {
+    if (document.hidden) {
+      pauseLiveUpdates();
+    } else {
+      resumeLiveUpdates();
+    }
+  });
 
 })(jQuery, Drupal, drupalSettings);
\ No newline at end of file
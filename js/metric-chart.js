@@ -0,0 +1,729 @@
+/**
+ * @file
+ * SVG charts for the Search API PostgreSQL analytics pages.
+ *
+ * Draws line, bar, stacked area and donut charts without a charting library
+ * or anything loaded from a CDN, so the admin works under a strict Content
+ * Security Policy.
+ */
+
+(function ($, Drupal) {
+  'use strict';
+
+  Drupal.searchApiPostgreSQL = Drupal.searchApiPostgreSQL || {};
+
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+  var HEIGHT = 220;
+  var MARGIN = {top: 12, right: 16, bottom: 30, left: 56};
+  var ANIMATION_MS = 400;
+  var PALETTE = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#dc3545', '#20c997', '#ffc107', '#6c757d'];
+  var COMPARISON_COLOR = '#868e96';
+  var FLAGGED_COLOR = '#dc3545';
+  var TYPES = ['line', 'bar', 'area', 'stacked_area', 'donut'];
+
+  // Numbers the charts of a page, to link each one to its tooltip.
+  var chartCount = 0;
+
+  /**
+   * Renders a chart into a container.
+   *
+   * @param {jQuery} $container
+   *   The container. The chart and its legend are added after its title.
+   * @param {string} type
+   *   The chart type: 'line', 'bar', 'area', 'stacked_area' or 'donut'.
+   * @param {Array|object} data
+   *   A list of points with a 'timestamp' or 'label' and a 'value', an object
+   *   with a 'series' list of {name, data} or of series keyed by name, or for
+   *   donuts values keyed by label. Series of the list flagged 'comparison'
+   *   are drawn as dashed lines over the others and never stacked. Points a
+   *   series lacks or whose value is null leave a gap in its line. Points
+   *   marked 'flagged' are highlighted, and points with a 'url' open it when
+   *   clicked or when Enter is pressed on them.
+   * @param {object} options
+   *   Options: the 'unit' of the values and the 'title' to describe the chart
+   *   to assistive technology with.
+   */
+  Drupal.searchApiPostgreSQL.renderChart = function ($container, type, data, options) {
+    var chart = $container.data('metricChart');
+    if (chart) {
+      Drupal.searchApiPostgreSQL.updateChart($container, data);
+      return;
+    }
+
+    options = options || {};
+    chart = {
+      id: 'metric-chart-' + (++chartCount),
+      type: TYPES.indexOf(type) === -1 ? 'line' : type,
+      unit: options.unit || '',
+      title: options.title || '',
+      $container: $container,
+      data: normalizeData(data),
+      shown: null,
+      width: 0,
+      active: -1,
+      frame: null
+    };
+    $container.data('metricChart', chart);
+
+    $container.find('.metric-chart-empty').remove();
+    chart.$body = $('<div class="metric-chart-body"></div>').appendTo($container);
+    chart.$tooltip = $('<div class="metric-chart-tooltip" role="tooltip" hidden></div>')
+      .attr('id', chart.id + '-tooltip')
+      .appendTo(chart.$body);
+    chart.$legend = $('<ul class="metric-chart-legend"></ul>').appendTo($container);
+
+    observeSize(chart);
+    animateTo(chart, chart.data);
+  };
+
+  /**
+   * Animates a rendered chart to new data.
+   *
+   * @param {jQuery} $container
+   *   The chart container.
+   * @param {Array|object} data
+   *   The new data, in any format renderChart() accepts.
+   */
+  Drupal.searchApiPostgreSQL.updateChart = function ($container, data) {
+    var chart = $container.data('metricChart');
+    if (!chart) {
+      return;
+    }
+
+    chart.data = normalizeData(data);
+    animateTo(chart, chart.data);
+  };
+
+  /**
+   * Bring data of any accepted format into labels and aligned series.
+   */
+  function normalizeData(data) {
+    var series = [];
+
+    if (Array.isArray(data)) {
+      series.push({name: '', points: data});
+    } else if (data && Array.isArray(data.series)) {
+      data.series.forEach(function (item) {
+        series.push({name: item.name || item.label || '', points: item.data || [], comparison: !!item.comparison});
+      });
+    } else if (data && typeof data === 'object') {
+      Object.keys(data).forEach(function (name) {
+        if (Array.isArray(data[name])) {
+          series.push({name: name, points: data[name]});
+        }
+      });
+
+      // Values keyed by label, as for donuts.
+      if (!series.length) {
+        series.push({name: '', points: Object.keys(data).map(function (label) {
+          return {label: label, value: data[label]};
+        })});
+      }
+    }
+
+    var keys = [];
+    var times = {};
+    series.forEach(function (item) {
+      item.points.forEach(function (point) {
+        var key = pointKey(point);
+        if (!times.hasOwnProperty(key)) {
+          times[key] = point.timestamp !== undefined ? Number(point.timestamp) : null;
+          keys.push(key);
+        }
+      });
+    });
+
+    // Time series are ordered by time, categories keep their order.
+    var timed = keys.length > 0 && keys.every(function (key) {
+      return times[key] !== null;
+    });
+    if (timed) {
+      keys.sort(function (a, b) {
+        return times[a] - times[b];
+      });
+    }
+
+    var colors = 0;
+    return {
+      keys: keys,
+      labels: keys.map(function (key) {
+        return timed ? formatTime(times[key], times[keys[0]], times[keys[keys.length - 1]]) : key;
+      }),
+      series: series.map(function (item) {
+        var points = {};
+        item.points.forEach(function (point) {
+          points[pointKey(point)] = point;
+        });
+        return {
+          name: item.name,
+          comparison: !!item.comparison,
+          color: item.comparison ? COMPARISON_COLOR : PALETTE[colors++ % PALETTE.length],
+          values: keys.map(function (key) {
+            var point = points[key];
+            return !point || point.value === null || point.value === undefined ? null : Number(point.value) || 0;
+          }),
+          flags: keys.map(function (key) {
+            return !!(points[key] && points[key].flagged);
+          }),
+          urls: keys.map(function (key) {
+            return points[key] && points[key].url ? String(points[key].url) : null;
+          })
+        };
+      })
+    };
+  }
+
+  /**
+   * Identify a point by its timestamp or label.
+   */
+  function pointKey(point) {
+    return String(point.timestamp !== undefined ? point.timestamp : point.label);
+  }
+
+  /**
+   * Format a timestamp with the precision the range of the data needs.
+   */
+  function formatTime(timestamp, first, last) {
+    var date = new Date(timestamp * 1000);
+    if (last - first <= 172800) {
+      return date.toLocaleTimeString(undefined, {hour: '2-digit', minute: '2-digit'});
+    }
+    return date.toLocaleDateString(undefined, {month: 'short', day: 'numeric'});
+  }
+
+  /**
+   * Format a value with the chart's unit.
+   */
+  function formatValue(value, unit, compact) {
+    if (unit === 'USD') {
+      return Drupal.searchApiPostgreSQL.formatCost(value, unit);
+    }
+
+    var number = new Intl.NumberFormat(undefined, {
+      notation: compact ? 'compact' : 'standard',
+      maximumFractionDigits: Math.abs(value) < 10 ? 2 : 1
+    }).format(value);
+
+    if (unit === '%') {
+      return number + '%';
+    }
+    return compact || !unit ? number : number + ' ' + unit;
+  }
+
+  /**
+   * Redraw the chart whenever its container changes width.
+   */
+  function observeSize(chart) {
+    var resize = function () {
+      var width = chart.$body.width();
+      if (width && width !== chart.width && chart.shown) {
+        draw(chart, chart.shown);
+      }
+    };
+
+    if (window.ResizeObserver) {
+      new ResizeObserver(resize).observe(chart.$body[0]);
+    } else {
+      $(window).on('resize', Drupal.debounce(resize, 200));
+    }
+  }
+
+  /**
+   * Move the drawn values towards new data, frame by frame.
+   */
+  function animateTo(chart, data) {
+    var from = chart.shown;
+    var reduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    var start = null;
+
+    if (chart.frame) {
+      window.cancelAnimationFrame(chart.frame);
+    }
+    if (!from || reduced || !window.requestAnimationFrame) {
+      draw(chart, data);
+      return;
+    }
+
+    var step = function (time) {
+      start = start === null ? time : start;
+      var progress = Math.min(1, (time - start) / ANIMATION_MS);
+      // Ease out, so the values settle softly.
+      draw(chart, interpolate(from, data, 1 - Math.pow(1 - progress, 3)));
+      chart.frame = progress < 1 ? window.requestAnimationFrame(step) : null;
+    };
+    chart.frame = window.requestAnimationFrame(step);
+  }
+
+  /**
+   * Blend two data sets; points and series new in the target grow from zero.
+   */
+  function interpolate(from, to, progress) {
+    return $.extend({}, to, {
+      series: to.series.map(function (series, s) {
+        var previous = from.series[s];
+        return $.extend({}, series, {
+          values: series.values.map(function (value, i) {
+            if (value === null) {
+              return null;
+            }
+            var index = previous ? from.keys.indexOf(to.keys[i]) : -1;
+            var old = index === -1 ? 0 : previous.values[index] || 0;
+            return old + (value - old) * progress;
+          })
+        });
+      })
+    });
+  }
+
+  /**
+   * Draw the chart for the given values.
+   */
+  function draw(chart, data) {
+    chart.shown = data;
+    chart.width = chart.$body.width() || 400;
+    chart.$body.children('svg, .metric-chart-empty').remove();
+
+    var hasValues = data.series.some(function (series) {
+      return series.values.some(function (value) {
+        return value !== 0 && value !== null;
+      });
+    });
+    if (!data.keys.length || (chart.type === 'donut' && !hasValues)) {
+      chart.$body.prepend($('<p class="metric-chart-empty"></p>').text(Drupal.t('No data for this period.')));
+      chart.$legend.empty();
+      return;
+    }
+
+    var svg = createSvg('svg', {
+      'class': 'metric-chart-svg',
+      'width': chart.width,
+      'height': HEIGHT,
+      'viewBox': '0 0 ' + chart.width + ' ' + HEIGHT,
+      'role': 'img',
+      'tabindex': 0,
+      'aria-label': describe(chart, data),
+      'aria-describedby': chart.id + '-tooltip'
+    });
+
+    if (chart.type === 'donut') {
+      drawDonut(chart, data, svg);
+    } else {
+      drawCartesian(chart, data, svg);
+    }
+
+    chart.$body.prepend(svg);
+    drawLegend(chart, data);
+  }
+
+  /**
+   * Summarize the chart for screen readers.
+   */
+  function describe(chart, data) {
+    var parts = data.series.map(function (series) {
+      var values = series.values.filter(function (value) {
+        return value !== null;
+      });
+      var max = values.length ? Math.max.apply(null, values) : 0;
+      var name = series.name || chart.title;
+      return Drupal.t('@name: @count values, peak @max', {
+        '@name': name,
+        '@count': values.length,
+        '@max': formatValue(max, chart.unit)
+      });
+    });
+    return chart.title + '. ' + parts.join('; ') + '.';
+  }
+
+  /**
+   * Draw a line, area or bar chart with its axes.
+   */
+  function drawCartesian(chart, data, svg) {
+    var stacked = chart.type === 'area' || chart.type === 'stacked_area';
+    var plot = {
+      left: MARGIN.left,
+      top: MARGIN.top,
+      width: Math.max(10, chart.width - MARGIN.left - MARGIN.right),
+      height: HEIGHT - MARGIN.top - MARGIN.bottom
+    };
+    var count = data.keys.length;
+
+    // Stacked charts add each series onto the ones before it. Comparison
+    // series stand on their own.
+    var bases = data.series.map(function (series, s) {
+      return series.values.map(function (value, i) {
+        var base = 0;
+        for (var j = 0; stacked && !series.comparison && j < s; j++) {
+          base += data.series[j].comparison ? 0 : data.series[j].values[i] || 0;
+        }
+        return base;
+      });
+    });
+    var bars = data.series.filter(function (series) {
+      return !series.comparison;
+    }).length;
+
+    // The value axis starts at zero, or below it for negative values.
+    var min = 0;
+    var max = 0;
+    data.series.forEach(function (series, s) {
+      series.values.forEach(function (value, i) {
+        if (value !== null) {
+          min = Math.min(min, value + bases[s][i]);
+          max = Math.max(max, value + bases[s][i]);
+        }
+      });
+    });
+    var ticks = niceTicks(min, max);
+    var bottom = ticks[0];
+    var top = ticks[ticks.length - 1];
+
+    var band = plot.width / count;
+    var x = function (i) {
+      if (chart.type === 'bar') {
+        return plot.left + band * (i + 0.5);
+      }
+      return count === 1 ? plot.left + plot.width / 2 : plot.left + plot.width * i / (count - 1);
+    };
+    var y = function (value) {
+      return plot.top + plot.height - (top > bottom ? (value - bottom) / (top - bottom) * plot.height : 0);
+    };
+
+    // Grid and value axis.
+    var axis = svg.appendChild(createSvg('g', {'class': 'metric-chart-axis', 'aria-hidden': 'true'}));
+    ticks.forEach(function (tick) {
+      axis.appendChild(createSvg('line', {x1: plot.left, x2: plot.left + plot.width, y1: y(tick), y2: y(tick), 'class': 'metric-chart-grid'}));
+      axis.appendChild(createSvg('text', {x: plot.left - 6, y: y(tick), 'text-anchor': 'end', 'dominant-baseline': 'middle'}, formatValue(tick, chart.unit, true)));
+    });
+
+    // Label axis, thinned out to what fits.
+    var every = Math.max(1, Math.ceil(count / Math.max(1, Math.floor(plot.width / 70))));
+    data.labels.forEach(function (label, i) {
+      if (i % every === 0) {
+        axis.appendChild(createSvg('text', {x: x(i), y: plot.top + plot.height + 18, 'text-anchor': 'middle'}, label));
+      }
+    });
+
+    var marks = svg.appendChild(createSvg('g', {'class': 'metric-chart-marks', 'aria-hidden': 'true'}));
+    data.series.forEach(function (series, s) {
+      if (chart.type === 'bar' && !series.comparison) {
+        var width = band * 0.8 / bars;
+        series.values.forEach(function (value, i) {
+          if (value === null) {
+            return;
+          }
+          var bar = marks.appendChild(createSvg('rect', {
+            x: x(i) - band * 0.4 + width * s,
+            y: Math.min(y(value), y(0)),
+            width: Math.max(1, width - 1),
+            height: Math.abs(y(0) - y(value)),
+            fill: series.flags[i] ? FLAGGED_COLOR : series.color
+          }));
+          if (series.flags[i]) {
+            bar.setAttribute('class', 'metric-chart-mark--flagged');
+          }
+        });
+        return;
+      }
+
+      // Areas stack on every point; lines break where values are missing.
+      var filled = stacked && !series.comparison;
+      var line = series.values.map(function (value, i) {
+        return value === null && !filled ? null : [x(i), y((value || 0) + bases[s][i])];
+      });
+      if (series.comparison) {
+        marks.appendChild(createSvg('path', {d: toPath(line), stroke: series.color, 'class': 'metric-chart-line metric-chart-line--comparison'}));
+        return;
+      }
+      if (stacked) {
+        var floor = bases[s].map(function (base, i) {
+          return [x(i), y(base)];
+        }).reverse();
+        marks.appendChild(createSvg('path', {d: toPath(line.concat(floor)) + 'Z', fill: series.color, 'class': 'metric-chart-area'}));
+      }
+      marks.appendChild(createSvg('path', {d: toPath(line), stroke: series.color, 'class': 'metric-chart-line'}));
+      line.forEach(function (point, i) {
+        if (point && series.flags[i]) {
+          marks.appendChild(createSvg('circle', {cx: point[0], cy: point[1], r: 4.5, fill: FLAGGED_COLOR, 'class': 'metric-chart-mark--flagged'}));
+        } else if (point && count <= 60) {
+          marks.appendChild(createSvg('circle', {cx: point[0], cy: point[1], r: 2.5, fill: series.color}));
+        }
+      });
+    });
+
+    // The link of a point, from the first series that has one.
+    var urlAt = function (i) {
+      for (var s = 0; s < data.series.length; s++) {
+        if (data.series[s].urls && data.series[s].urls[i]) {
+          return data.series[s].urls[i];
+        }
+      }
+      return null;
+    };
+    var open = function (i) {
+      var url = urlAt(i);
+      if (url) {
+        window.location.href = url;
+      }
+    };
+
+    // Highlight of the hovered or focused point.
+    var guide = svg.appendChild(createSvg('line', {y1: plot.top, y2: plot.top + plot.height, 'class': 'metric-chart-guide', visibility: 'hidden'}));
+    var show = function (i) {
+      chart.active = i;
+      guide.setAttribute('x1', x(i));
+      guide.setAttribute('x2', x(i));
+      guide.setAttribute('visibility', 'visible');
+      var rows = [];
+      var peak = null;
+      var flagged = false;
+      data.series.forEach(function (series, s) {
+        if (series.values[i] === null) {
+          return;
+        }
+        rows.push({name: series.name, color: series.flags[i] ? FLAGGED_COLOR : series.color, value: series.values[i]});
+        peak = peak === null ? series.values[i] + bases[s][i] : Math.max(peak, series.values[i] + bases[s][i]);
+        flagged = flagged || series.flags[i];
+      });
+      var notes = [];
+      if (flagged) {
+        notes.push(Drupal.t('Unusually high.'));
+      }
+      if (urlAt(i)) {
+        notes.push(Drupal.t('Click or press Enter for details.'));
+      }
+      overlay.classList.toggle('is-link', !!urlAt(i));
+      showTooltip(chart, data.labels[i], rows, x(i), y(peak === null ? 0 : peak), notes.join(' '));
+    };
+    var hide = function () {
+      chart.active = -1;
+      guide.setAttribute('visibility', 'hidden');
+      chart.$tooltip.prop('hidden', true);
+    };
+
+    var overlay = svg.appendChild(createSvg('rect', {x: plot.left, y: plot.top, width: plot.width, height: plot.height, 'class': 'metric-chart-overlay'}));
+    overlay.addEventListener('mousemove', function (event) {
+      var offset = event.clientX - svg.getBoundingClientRect().left - plot.left;
+      var i = chart.type === 'bar' ? Math.floor(offset / band) : Math.round(offset / plot.width * (count - 1));
+      show(Math.max(0, Math.min(count - 1, count === 1 ? 0 : i)));
+    });
+    overlay.addEventListener('mouseleave', hide);
+    overlay.addEventListener('click', function () {
+      if (chart.active !== -1) {
+        open(chart.active);
+      }
+    });
+    bindKeyboard(chart, svg, count, show, hide, open);
+
+    if (chart.active !== -1 && chart.active < count) {
+      show(chart.active);
+    }
+  }
+
+  /**
+   * Draw a donut chart of the first series.
+   */
+  function drawDonut(chart, data, svg) {
+    var values = data.series[0].values;
+    var total = values.reduce(function (sum, value) {
+      return sum + Math.max(0, value);
+    }, 0);
+    var radius = Math.min(chart.width, HEIGHT) / 2 - 8;
+    var cx = chart.width / 2;
+    var cy = HEIGHT / 2;
+    var angle = -Math.PI / 2;
+    var slices = [];
+
+    values.forEach(function (value, i) {
+      var sweep = total ? Math.max(0, value) / total * Math.PI * 2 : 0;
+      // An arc cannot end where it starts, so a single slice stops just short.
+      var end = angle + Math.min(sweep, Math.PI * 2 - 0.0001);
+      var slice = createSvg('path', {
+        d: arcPath(cx, cy, radius, radius * 0.6, angle, end),
+        fill: PALETTE[i % PALETTE.length],
+        'class': 'metric-chart-slice',
+        'aria-hidden': 'true'
+      });
+      slices.push({element: slice, middle: angle + sweep / 2});
+      svg.appendChild(slice);
+      angle += sweep;
+    });
+
+    svg.appendChild(createSvg('text', {x: cx, y: cy, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'class': 'metric-chart-total', 'aria-hidden': 'true'}, formatValue(total, chart.unit, true)));
+
+    var show = function (i) {
+      chart.active = i;
+      slices.forEach(function (slice, j) {
+        slice.element.classList.toggle('is-active', i === j);
+      });
+      showTooltip(chart, data.labels[i], [{
+        name: total ? Math.round(values[i] / total * 1000) / 10 + '%' : '',
+        color: PALETTE[i % PALETTE.length],
+        value: values[i]
+      }], cx + Math.cos(slices[i].middle) * radius * 0.8, cy + Math.sin(slices[i].middle) * radius * 0.8);
+    };
+    var hide = function () {
+      chart.active = -1;
+      slices.forEach(function (slice) {
+        slice.element.classList.remove('is-active');
+      });
+      chart.$tooltip.prop('hidden', true);
+    };
+
+    slices.forEach(function (slice, i) {
+      slice.element.addEventListener('mouseenter', function () {
+        show(i);
+      });
+      slice.element.addEventListener('mouseleave', hide);
+    });
+    bindKeyboard(chart, svg, values.length, show, hide);
+
+    if (chart.active !== -1 && chart.active < values.length) {
+      show(chart.active);
+    }
+  }
+
+  /**
+   * Let keyboard users step through the points with the arrow keys.
+   */
+  function bindKeyboard(chart, svg, count, show, hide, open) {
+    svg.addEventListener('keydown', function (event) {
+      var keys = {ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1};
+      if (keys[event.key]) {
+        event.preventDefault();
+        show(Math.max(0, Math.min(count - 1, chart.active + keys[event.key])));
+      } else if (event.key === 'Home' || event.key === 'End') {
+        event.preventDefault();
+        show(event.key === 'Home' ? 0 : count - 1);
+      } else if (event.key === 'Escape') {
+        hide();
+      } else if (event.key === 'Enter' && open && chart.active !== -1) {
+        open(chart.active);
+      }
+    });
+    svg.addEventListener('blur', hide);
+  }
+
+  /**
+   * Show the values of a point next to it.
+   */
+  function showTooltip(chart, label, rows, x, y, note) {
+    var $tooltip = chart.$tooltip.empty().prop('hidden', false);
+    $('<strong></strong>').text(label).appendTo($tooltip);
+    rows.forEach(function (row) {
+      $('<div class="metric-chart-tooltip-row"></div>')
+        .append($('<span class="metric-chart-swatch"></span>').css('background-color', row.color))
+        .append(document.createTextNode((row.name ? row.name + ': ' : '') + formatValue(row.value, chart.unit)))
+        .appendTo($tooltip);
+    });
+    if (note) {
+      $('<div class="metric-chart-tooltip-note"></div>').text(note).appendTo($tooltip);
+    }
+
+    // Keep the tooltip inside the chart.
+    var left = Math.min(Math.max(0, x - $tooltip.outerWidth() / 2), chart.width - $tooltip.outerWidth());
+    var top = y - $tooltip.outerHeight() - 10;
+    $tooltip.css({left: left, top: top < 0 ? y + 10 : top});
+  }
+
+  /**
+   * List the series, or the slices of a donut, with their colors.
+   */
+  function drawLegend(chart, data) {
+    var entries;
+    if (chart.type === 'donut') {
+      var total = data.series[0].values.reduce(function (sum, value) {
+        return sum + value;
+      }, 0);
+      entries = data.labels.map(function (label, i) {
+        var value = data.series[0].values[i];
+        return {
+          color: PALETTE[i % PALETTE.length],
+          text: label + ' – ' + formatValue(value, chart.unit) + (total ? ' (' + Math.round(value / total * 100) + '%)' : '')
+        };
+      });
+    } else {
+      entries = data.series.length > 1 ? data.series.map(function (series) {
+        return {color: series.color, text: series.name, comparison: series.comparison};
+      }) : [];
+    }
+
+    chart.$legend.empty().prop('hidden', !entries.length);
+    entries.forEach(function (entry) {
+      $('<li></li>')
+        .append($('<span class="metric-chart-swatch"></span>').toggleClass('metric-chart-swatch--comparison', !!entry.comparison).css('background-color', entry.color))
+        .append(document.createTextNode(entry.text))
+        .appendTo(chart.$legend);
+    });
+  }
+
+  /**
+   * Get round axis ticks from at most the minimum to at least the maximum.
+   */
+  function niceTicks(min, max) {
+    if (max <= min) {
+      return [min, min + 1];
+    }
+
+    var rough = (max - min) / 4;
+    var magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    var step = [1, 2, 2.5, 5, 10].map(function (factor) {
+      return factor * magnitude;
+    }).filter(function (candidate) {
+      return candidate >= rough;
+    })[0];
+
+    var ticks = [];
+    for (var tick = Math.floor(min / step) * step; tick < max + step / 2; tick += step) {
+      // Rounding errors just below zero would read as -0.
+      ticks.push(Math.round(tick / step) * step || 0);
+    }
+    if (ticks[ticks.length - 1] < max) {
+      ticks.push(ticks[ticks.length - 1] + step);
+    }
+    return ticks;
+  }
+
+  /**
+   * Build a path through a list of points, broken where a point is null.
+   */
+  function toPath(points) {
+    var path = '';
+    var gap = true;
+    points.forEach(function (point) {
+      if (point) {
+        path += (gap ? 'M' : 'L') + point[0].toFixed(1) + ',' + point[1].toFixed(1);
+      }
+      gap = !point;
+    });
+    return path;
+  }
+
+  /**
+   * Build the path of a ring segment.
+   */
+  function arcPath(cx, cy, outer, inner, start, end) {
+    var large = end - start > Math.PI ? 1 : 0;
+    var point = function (radius, angle) {
+      return (cx + Math.cos(angle) * radius).toFixed(2) + ',' + (cy + Math.sin(angle) * radius).toFixed(2);
+    };
+    return 'M' + point(outer, start) +
+      'A' + outer + ',' + outer + ' 0 ' + large + ' 1 ' + point(outer, end) +
+      'L' + point(inner, end) +
+      'A' + inner + ',' + inner + ' 0 ' + large + ' 0 ' + point(inner, start) + 'Z';
+  }
+
+  /**
+   * Create an SVG element.
+   */
+  function createSvg(name, attributes, text) {
+    var element = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes).forEach(function (key) {
+      element.setAttribute(key, attributes[key]);
+    });
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+})(jQuery, Drupal);
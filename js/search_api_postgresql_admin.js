@@ -4,92 +4,994 @@
  * Fixed for Drupal 10.5+ compatibility with once() library.
  */
 
-(function ($, Drupal) {
+(function ($, Drupal, drupalSettings) {
   'use strict';
 
+  Drupal.searchApiPostgreSQL = Drupal.searchApiPostgreSQL || {};
+
+  /**
+   * Looks up a model in the catalog provided through drupalSettings.
+   *
+   * @param {string} provider
+   *   The provider ID, e.g. 'azure'.
+   * @param {string} model
+   *   The model ID.
+   *
+   * @return {object|null}
+   *   The model definition, or null when unknown.
+   */
+  Drupal.searchApiPostgreSQL.getModelInfo = function (provider, model) {
+    var catalog = drupalSettings.searchApiPostgreSQL && drupalSettings.searchApiPostgreSQL.modelCatalog;
+    if (!catalog || !catalog.providers[provider]) {
+      return null;
+    }
+    return catalog.providers[provider].models[model] || null;
+  };
+
+  /**
+   * Builds a selector for a backend form element by its configuration path.
+   *
+   * The backend form is embedded in the Search API server form, which nests
+   * element names under "backend_config", so match both forms of the name.
+   *
+   * @param {string} name
+   *   The element name relative to the backend form, e.g. 'vector_index[lists]'.
+   *
+   * @return {string}
+   *   A selector matching the element.
+   */
+  Drupal.searchApiPostgreSQL.fieldSelector = function (name) {
+    var nested = '[' + name.replace('[', '][');
+    return '[name="' + name + '"], [name$="' + nested + '"]';
+  };
+
+  /**
+   * Formats an estimated cost, keeping precision for sub-cent amounts.
+   *
+   * @param {number} amount
+   *   The amount.
+   * @param {string} currency
+   *   The ISO 4217 currency code.
+   *
+   * @return {string}
+   *   The formatted amount.
+   */
+  Drupal.searchApiPostgreSQL.formatCost = function (amount, currency) {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency: currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: amount > 0 && amount < 1 ? 4 : 2
+    }).format(amount);
+  };
+
+  /**
+   * Fetches the CSRF token required by the module's POST endpoints.
+   *
+   * The request is made once per page and shared by every caller.
+   *
+   * @return {Promise}
+   *   A promise resolving to the token.
+   */
+  Drupal.searchApiPostgreSQL.getCsrfToken = function () {
+    if (!Drupal.searchApiPostgreSQL.csrfToken) {
+      Drupal.searchApiPostgreSQL.csrfToken = $.get(Drupal.url('session/token'));
+    }
+    return Drupal.searchApiPostgreSQL.csrfToken;
+  };
+
   /**
    * Simple UX enhancements for existing form structure.
    */
   Drupal.behaviors.searchApiPostgreSQLConfigConservative = {
     attach: function (context, settings) {
+      var field = Drupal.searchApiPostgreSQL.fieldSelector;
 
-      // Auto-update dimensions when Azure model changes
-      once('azure-model-dimension', 'select[name="ai_embeddings[azure][model]"]', context).forEach((element) => {
-        $(element).on('change', function () {
-          var selectedModel = $(this).val();
-          var dimensionField = $('input[name="ai_embeddings[azure][dimension]"]');
+      // Drive model dimensions and limits from the server-provided catalog.
+      var catalog = settings.searchApiPostgreSQL && settings.searchApiPostgreSQL.modelCatalog;
+      if (catalog) {
+        Object.keys(catalog.providers).forEach(function (provider) {
+          once('model-catalog-' + provider, field('ai_embeddings[' + provider + '][model]'), context).forEach((element) => {
+            var $model = $(element);
+            var $dimension = $(field('ai_embeddings[' + provider + '][dimension]'));
 
-          var modelDimensions = {
-            'text-embedding-3-small': 1536,
-            'text-embedding-3-large': 3072,
-            'text-embedding-ada-002': 1536
-          };
+            $model.on('change', function () {
+              var model = Drupal.searchApiPostgreSQL.getModelInfo(provider, $model.val());
+              if (model && $dimension.length) {
+                $dimension.val(model.dimension);
 
-          if (modelDimensions[selectedModel] && dimensionField.length) {
-            dimensionField.val(modelDimensions[selectedModel]);
+                // Brief visual feedback
+                $dimension.css('background-color', '#fff2cc');
+                setTimeout(function () {
+                  $dimension.css('background-color', '');
+                }, 1000);
+              }
+              updateModelInfo(provider, $model, $dimension);
+            });
 
-            // Brief visual feedback
-            dimensionField.css('background-color', '#fff2cc');
-            setTimeout(function () {
-              dimensionField.css('background-color', '');
-            }, 1000);
+            $dimension.on('input change', function () {
+              updateModelInfo(provider, $model, $dimension);
+            });
+
+            updateModelInfo(provider, $model, $dimension);
+          });
+        });
+      }
+
+      // Show only the selected provider's settings. The other fieldsets stay
+      // in the form, so their values survive switching back and forth, and
+      // unsaved values are kept in session storage until the form is saved.
+      once('ai-provider-switch', field('ai_embeddings[provider]'), context).forEach((element) => {
+        var $provider = $(element);
+        var $form = $provider.closest('form');
+        var $enabled = $form.find(field('ai_embeddings[enabled]'));
+        var $fieldsets = $form.find('.ai-provider-settings');
+        var serverId = $form.find('.ai-provider-verify').first().data('server-id') || 'new';
+        var storageKey = 'searchApiPostgreSQL.aiProviders.' + serverId;
+
+        function readDrafts() {
+          try {
+            return JSON.parse(window.sessionStorage.getItem(storageKey)) || {};
+          } catch (e) {
+            return {};
           }
+        }
+
+        function writeDrafts(drafts) {
+          try {
+            window.sessionStorage.setItem(storageKey, JSON.stringify(drafts));
+          } catch (e) {
+            // Storage is unavailable or full; values still live in the form.
+          }
+        }
+
+        function update() {
+          var enabled = $enabled.is(':checked');
+          $fieldsets.each(function () {
+            $(this).toggle(enabled && $(this).data('provider') === $provider.val());
+          });
+        }
+
+        // API keys are never written to storage.
+        var $draftInputs = $fieldsets.find(':input[name]').not('[type="password"]');
+
+        // Trigger input rather than change, so a restored model does not
+        // reset a restored custom dimension to the model default.
+        var drafts = readDrafts();
+        $draftInputs.each(function () {
+          if (Object.prototype.hasOwnProperty.call(drafts, this.name)) {
+            $(this).val(drafts[this.name]).trigger('input');
+          }
+        });
+
+        $draftInputs.on('input change', function () {
+          var drafts = readDrafts();
+          drafts[this.name] = $(this).val();
+          writeDrafts(drafts);
+        });
+
+        $form.on('submit', function () {
+          window.sessionStorage.removeItem(storageKey);
+        });
+
+        $provider.on('change', update);
+        $enabled.on('change', update);
+        update();
+      });
+
+      // Check a provider's credentials with a single embedding request
+      once('ai-provider-verify', '.ai-provider-verify', context).forEach((element) => {
+        var $verify = $(element);
+        var provider = $verify.data('provider');
+        var $fieldset = $verify.closest('.ai-provider-settings');
+        var $result = $verify.find('.ai-provider-verify-result');
+
+        $verify.find('.ai-provider-verify-run').on('click', function () {
+          var $button = $(this).prop('disabled', true);
+          var values = {};
+
+          $fieldset.find(':input[name]').each(function () {
+            var key = this.name.match(/\[([^\[\]]+)\]$/);
+            if (key) {
+              values[key[1]] = $(this).val();
+            }
+          });
+
+          $result.removeClass('is-error is-warning').text(Drupal.t('Requesting a test embedding...'));
+
+          Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+            $.ajax({
+              url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/verify-embedding-provider',
+              method: 'POST',
+              contentType: 'application/json',
+              headers: {'X-CSRF-Token': token},
+              data: JSON.stringify({
+                provider: provider,
+                settings: values,
+                server_id: $verify.data('server-id') || ''
+              }),
+              dataType: 'json',
+              success: function (data) {
+                var message = Drupal.t('Credentials work: @dimension dimensions in @ms ms.', {
+                  '@dimension': data.dimension,
+                  '@ms': data.latency_ms
+                });
+                if (data.expected_dimension && data.expected_dimension !== data.dimension) {
+                  message += ' ' + Drupal.t('The form is set to @expected dimensions, so the deployment or dimension setting needs changing.', {
+                    '@expected': data.expected_dimension
+                  });
+                  $result.addClass('is-warning');
+                }
+                $result.text(message);
+              },
+              error: function (xhr) {
+                var error = xhr.responseJSON && xhr.responseJSON.error ? xhr.responseJSON.error : Drupal.t('The request failed.');
+                $result.addClass('is-error').text(Drupal.t('Verification failed: @error', {'@error': error}));
+              },
+              complete: function () {
+                $button.prop('disabled', false);
+              }
+            });
+          });
         });
       });
 
-      // Normalize hybrid search weights when either changes
-      var $textWeight = $('input[name="hybrid_search[text_weight]"]', context);
-      var $vectorWeight = $('input[name="hybrid_search[vector_weight]"]', context);
+      /**
+       * Reads the vector settings currently entered in the form.
+       */
+      function getVectorSettings($form, original) {
+        var field = Drupal.searchApiPostgreSQL.fieldSelector;
+        var provider = $form.find(field('ai_embeddings[provider]')).val() || original.provider;
+        var model = $form.find(field('ai_embeddings[' + provider + '][model]')).val() || original.model;
+        var dimension = parseInt($form.find(field('ai_embeddings[' + provider + '][dimension]')).val(), 10);
+
+        if (isNaN(dimension)) {
+          var info = Drupal.searchApiPostgreSQL.getModelInfo(provider, model);
+          dimension = info ? info.dimension : original.dimension;
+        }
+
+        return {
+          enabled: $form.find(field('ai_embeddings[enabled]')).is(':checked'),
+          provider: provider,
+          model: model,
+          dimension: dimension,
+          distance: $form.find(field('vector_index[distance]')).val() || original.distance,
+          method: $form.find(field('vector_index[method]')).val() || original.method
+        };
+      }
+
+      /**
+       * Renders the impact summary and toggles the required acknowledgement.
+       */
+      function updateReindexImpact($form, $container, impact) {
+        var current = getVectorSettings($form, impact.original);
+        var $acknowledge = $container.find('input[type="checkbox"]');
+        var labels = {
+          model: Drupal.t('Embedding model'),
+          dimension: Drupal.t('Dimensions'),
+          distance: Drupal.t('Distance metric'),
+          method: Drupal.t('Index method')
+        };
+        var changes = [];
+        var reembed = false;
+
+        // Switching embeddings off drops the vectors rather than rebuilding.
+        if (current.enabled) {
+          Object.keys(labels).forEach(function (key) {
+            if (String(impact.original[key]) !== String(current[key])) {
+              changes.push(key);
+              reembed = reembed || key === 'model' || key === 'dimension';
+            }
+          });
+        }
+
+        if (!changes.length) {
+          $container.removeClass('has-impact').hide();
+          $acknowledge.prop({checked: false, required: false});
+          return;
+        }
+
+        var totalItems = impact.indexes.reduce(function (sum, index) {
+          return sum + index.items;
+        }, 0);
+
+        var html = '<h4>' + Drupal.t('Reindex impact') + '</h4><ul class="reindex-impact-changes">';
+        changes.forEach(function (key) {
+          html += '<li>' + Drupal.t('@setting: @from → @to', {
+            '@setting': labels[key],
+            '@from': impact.original[key],
+            '@to': current[key]
+          }) + '</li>';
+        });
+        html += '</ul>';
+
+        html += '<table class="reindex-impact-indexes"><thead><tr>' +
+          '<th>' + Drupal.t('Index') + '</th>' +
+          '<th>' + Drupal.t('Items') + '</th>' +
+          '<th>' + Drupal.t('Required action') + '</th>' +
+          '</tr></thead><tbody>';
+        impact.indexes.forEach(function (index) {
+          html += '<tr><td>' + Drupal.checkPlain(index.label) + '</td>' +
+            '<td>' + index.items.toLocaleString() + '</td>' +
+            '<td>' + (reembed ? Drupal.t('Re-embed all items') : Drupal.t('Rebuild vector index')) + '</td></tr>';
+        });
+        html += '</tbody></table>';
+
+        if (reembed) {
+          var cost = 0;
+          var catalog = drupalSettings.searchApiPostgreSQL.modelCatalog;
+          var model = Drupal.searchApiPostgreSQL.getModelInfo(current.provider, current.model);
+          if (model) {
+            cost = totalItems * impact.tokensPerItem / 1000 * model.price_per_1k_tokens;
+          }
+          html += '<p class="reindex-impact-total">' + Drupal.t('@count items need new embeddings, estimated at @cost (about @tokens tokens per item).', {
+            '@count': totalItems.toLocaleString(),
+            '@cost': Drupal.searchApiPostgreSQL.formatCost(cost, catalog ? catalog.currency : 'USD'),
+            '@tokens': impact.tokensPerItem
+          }) + '</p>';
+        }
+        else {
+          html += '<p class="reindex-impact-total">' + Drupal.t('@count items will be reindexed. Existing embeddings are reused, so no API cost is expected.', {
+            '@count': totalItems.toLocaleString()
+          }) + '</p>';
+        }
+
+        $container.find('.reindex-impact-summary').html(html);
+        $container.addClass('has-impact').show();
+        $acknowledge.prop('required', true);
+      }
+
+      /**
+       * Adds a pane that re-ranks a sample query as the weight slider moves.
+       */
+      function buildHybridPreview($slider, indexes) {
+        var options = indexes.map(function (index) {
+          return '<option value="' + Drupal.checkPlain(index.id) + '">' + Drupal.checkPlain(index.label) + '</option>';
+        }).join('');
+        var $preview = $('<div class="hybrid-preview">' +
+          '<h4>' + Drupal.t('Ranking preview') + '</h4>' +
+          '<div class="hybrid-preview-controls">' +
+          '<select aria-label="' + Drupal.t('Index') + '">' + options + '</select>' +
+          '<input type="search" placeholder="' + Drupal.t('Sample query') + '" aria-label="' + Drupal.t('Sample query') + '">' +
+          '<button type="button" class="button button--small">' + Drupal.t('Run preview') + '</button>' +
+          '</div>' +
+          '<div class="hybrid-preview-status" aria-live="polite"></div>' +
+          '<ol class="hybrid-preview-results"></ol>' +
+          '</div>');
+        var $keys = $preview.find('input');
+        var state = {results: [], weights: [0, 0], previousRanks: {}};
+
+        $slider.after($preview);
+
+        function run() {
+          var keys = $.trim($keys.val());
+          if (!keys) {
+            $keys.trigger('focus');
+            return;
+          }
+
+          $preview.find('.hybrid-preview-status').text(Drupal.t('Searching...'));
+          $.ajax({
+            url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/hybrid-preview/' + $preview.find('select').val(),
+            method: 'GET',
+            data: {keys: keys},
+            dataType: 'json',
+            success: function (data) {
+              state.results = data.results;
+              state.previousRanks = {};
+              $preview.find('.hybrid-preview-status').text(
+                data.warnings.indexOf('embedding_unavailable') !== -1
+                  ? Drupal.t('Semantic scores are unavailable, so only keyword scores are shown. Check the embedding provider settings.')
+                  : Drupal.t('@count candidates from the top 20 keyword and top 20 semantic matches. Semantic matches below the @threshold similarity threshold are excluded.', {
+                    '@count': data.results.length,
+                    '@threshold': data.similarity_threshold
+                  })
+              );
+              renderHybridPreview($preview, state);
+            },
+            error: function (xhr) {
+              var message = xhr.responseJSON && xhr.responseJSON.error ? xhr.responseJSON.error : Drupal.t('The preview query failed.');
+              $preview.find('.hybrid-preview-status').text(message);
+            }
+          });
+        }
+
+        $preview.find('button').on('click', run);
+
+        // Enter must not submit the server form.
+        $keys.on('keydown', function (e) {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            run();
+          }
+        });
+
+        $slider.on('searchApiPostgreSQL:weightsChanged', function (e, textWeight, vectorWeight) {
+          state.weights = [textWeight, vectorWeight];
+          renderHybridPreview($preview, state);
+        });
+      }
+
+      /**
+       * Ranks the preview candidates with the current weights.
+       *
+       * Uses the vector query builders' formula:
+       * text_weight * ts_rank + vector_weight * similarity.
+       */
+      function renderHybridPreview($preview, state) {
+        var ranked = state.results.map(function (result) {
+          return $.extend({
+            score: state.weights[0] * result.text_score + state.weights[1] * (result.vector_score || 0)
+          }, result);
+        }).sort(function (a, b) {
+          return b.score - a.score;
+        }).slice(0, 20);
+
+        var ranks = {};
+        var html = '';
+        ranked.forEach(function (result, position) {
+          var previous = state.previousRanks[result.id];
+          var movement = '';
+          if (previous !== undefined && previous !== position) {
+            movement = previous > position
+              ? '<span class="rank-change rank-up">▲' + (previous - position) + '</span>'
+              : '<span class="rank-change rank-down">▼' + (position - previous) + '</span>';
+          }
+          ranks[result.id] = position;
+
+          html += '<li>' +
+            '<span class="hybrid-preview-label">' + Drupal.checkPlain(result.label) + '</span> ' + movement +
+            '<span class="hybrid-preview-scores">' + Drupal.t('score @score (keyword @text, semantic @vector)', {
+              '@score': result.score.toFixed(4),
+              '@text': result.text_score.toFixed(4),
+              '@vector': result.vector_score === null ? '-' : result.vector_score.toFixed(4)
+            }) + '</span>' +
+            '</li>';
+        });
+
+        state.previousRanks = ranks;
+        $preview.find('.hybrid-preview-results').html(html);
+      }
+
+      /**
+       * Renders the advisor's per-index sizes and recommended parameters.
+       */
+      function renderVectorIndexAdvice($advisor, data) {
+        var rec = data.recommendation;
+        var basis = {
+          rows_per_1000: Drupal.t('lists = rows / 1000'),
+          sqrt_rows: Drupal.t('lists = √rows, as the table has more than 1,000,000 rows'),
+          minimum: Drupal.t('Fewer than 1,000 rows: an IVFFlat index gains little at this size, HNSW is usually the better choice.')
+        };
+
+        var html = '<table class="vector-index-advisor-indexes"><thead><tr>' +
+          '<th>' + Drupal.t('Index') + '</th>' +
+          '<th>' + Drupal.t('Rows') + '</th>' +
+          '<th>' + Drupal.t('Suggested lists') + '</th>' +
+          '</tr></thead><tbody>';
+        data.indexes.forEach(function (index) {
+          html += '<tr><td>' + Drupal.checkPlain(index.label) + '</td>' +
+            '<td>' + (index.rows === null ? Drupal.t('Unknown') : index.rows.toLocaleString()) + '</td>' +
+            '<td>' + (index.recommendation ? index.recommendation.ivfflat.lists : '-') + '</td></tr>';
+        });
+        html += '</tbody></table>';
+
+        html += '<p>' + Drupal.t('Settings apply to every index on this server, so they are sized for the largest table (@rows rows).', {
+          '@rows': rec.rows.toLocaleString()
+        }) + '</p>';
+        html += '<dl class="vector-index-advisor-recommendation">' +
+          '<dt>' + Drupal.t('IVFFlat') + '</dt><dd>' + Drupal.t('lists @lists, probes @probes (√lists)', {
+            '@lists': rec.ivfflat.lists,
+            '@probes': rec.ivfflat.probes
+          }) + ' <small>' + basis[rec.basis] + '</small></dd>' +
+          '<dt>' + Drupal.t('HNSW') + '</dt><dd>' + Drupal.t('m @m, ef_construction @ef_construction, ef_search @ef_search', {
+            '@m': rec.hnsw.m,
+            '@ef_construction': rec.hnsw.ef_construction,
+            '@ef_search': rec.hnsw.ef_search
+          }) + '</dd></dl>';
+        html += '<button type="button" class="button button--small vector-index-advisor-apply">' + Drupal.t('Apply recommendation') + '</button>';
+
+        $advisor.data('recommendation', rec);
+        $advisor.find('.vector-index-advisor-result').html(html);
+      }
+
+      /**
+       * Copies the recommendation for the selected index method into the form.
+       */
+      function applyVectorIndexAdvice(rec) {
+        if (!rec) {
+          return;
+        }
+
+        var method = $(field('vector_index[method]')).val();
+        var values = method === 'hnsw' ? rec.hnsw : rec.ivfflat;
+        var $changed = $();
+
+        // Lists goes first so the probes clamp sees the new maximum.
+        ['lists', 'probes', 'm', 'ef_construction', 'ef_search'].forEach(function (key) {
+          if (values[key] !== undefined) {
+            var $input = $(field('vector_index[' + key + ']'));
+            $input.val(values[key]).trigger('change');
+            $changed = $changed.add($input);
+          }
+        });
+
+        // Brief visual feedback
+        $changed.css('background-color', '#fff2cc');
+        setTimeout(function () {
+          $changed.css('background-color', '');
+        }, 1000);
+      }
+
+      /**
+       * Applies model limits to the dimension field and validates it inline.
+       */
+      function updateModelInfo(provider, $model, $dimension) {
+        var model = Drupal.searchApiPostgreSQL.getModelInfo(provider, $model.val());
+        var $wrapper = $model.closest('.form-item');
+        var $info = $wrapper.siblings('.model-catalog-info');
+
+        if (!$info.length) {
+          $info = $('<div class="model-catalog-info" aria-live="polite"></div>').insertAfter($wrapper);
+        }
+
+        if (!model) {
+          $info.empty();
+          return;
+        }
+
+        $info.html(
+          '<span>' + Drupal.t('Max input: @tokens tokens', {'@tokens': model.max_tokens.toLocaleString()}) + '</span>' +
+          '<span>' + (model.min_dimension === model.max_dimension
+            ? Drupal.t('Fixed @dimension dimensions', {'@dimension': model.max_dimension})
+            : Drupal.t('@min–@max dimensions', {'@min': model.min_dimension, '@max': model.max_dimension})) + '</span>' +
+          '<span>' + Drupal.t('@price @currency per 1K tokens', {
+            '@price': model.price_per_1k_tokens,
+            '@currency': catalog.currency
+          }) + '</span>'
+        );
+
+        if (!$dimension.length) {
+          return;
+        }
+
+        $dimension.attr({min: model.min_dimension, max: model.max_dimension});
 
-      function normalizeWeights() {
-        var textVal = parseFloat($textWeight.val()) || 0;
-        var vectorVal = parseFloat($vectorWeight.val()) || 0;
-        var total = textVal + vectorVal;
+        var value = $dimension.val();
+        var dimension = Number(value);
+        var error = '';
+        var warning = '';
 
-        // Only normalize if total is significantly different from 1.0
-        if (total > 0 && Math.abs(total - 1.0) > 0.05) {
-          var normalizedText = (textVal / total);
-          var normalizedVector = (vectorVal / total);
+        if (value !== '' && (!Number.isInteger(dimension) || dimension < model.min_dimension || dimension > model.max_dimension)) {
+          error = model.min_dimension === model.max_dimension
+            ? Drupal.t('@model only produces @max-dimension embeddings.', {'@model': model.label, '@max': model.max_dimension})
+            : Drupal.t('@model supports between @min and @max dimensions.', {
+              '@model': model.label,
+              '@min': model.min_dimension,
+              '@max': model.max_dimension
+            });
+        }
+        else if (dimension > catalog.indexMaxDimension) {
+          warning = Drupal.t('pgvector cannot build IVFFlat or HNSW indexes above @max dimensions; searches on this server will use a sequential scan.', {
+            '@max': catalog.indexMaxDimension
+          });
+        }
 
-          $textWeight.val(normalizedText.toFixed(2));
-          $vectorWeight.val(normalizedVector.toFixed(2));
+        $dimension[0].setCustomValidity(error);
+        $dimension.toggleClass('error', error !== '');
 
-          // Brief visual feedback
-          $textWeight.add($vectorWeight).css('background-color', '#fff2cc');
-          setTimeout(function () {
-            $textWeight.add($vectorWeight).css('background-color', '');
-          }, 1000);
+        var $message = $dimension.siblings('.field-error, .field-warning');
+        $message.remove();
+        if (error) {
+          $dimension.after('<div class="field-error">' + error + '</div>');
+        }
+        else if (warning) {
+          $dimension.after('<div class="field-warning">' + warning + '</div>');
         }
       }
 
-      once('weight-normalization', 'input[name="hybrid_search[text_weight]"], input[name="hybrid_search[vector_weight]"]', context).forEach((element) => {
-        $(element).on('blur', normalizeWeights);
+      // Summarise the rebuild impact of vector setting changes before submit
+      var impact = settings.searchApiPostgreSQL && settings.searchApiPostgreSQL.reindexImpact;
+      if (impact) {
+        once('reindex-impact', '.reindex-impact', context).forEach((element) => {
+          var $container = $(element);
+          var $form = $container.closest('form');
+          var fields = [
+            field('ai_embeddings[enabled]'),
+            field('ai_embeddings[provider]'),
+            'select[name$="[model]"]',
+            'input[name$="[dimension]"]',
+            field('vector_index[distance]'),
+            field('vector_index[method]')
+          ].join(', ');
+
+          $form.on('change input', fields, function () {
+            updateReindexImpact($form, $container, impact);
+          });
+
+          updateReindexImpact($form, $container, impact);
+        });
+      }
+
+      // Link the hybrid weights through one keyword/semantic slider so they
+      // always add up to exactly 1
+      once('hybrid-weight-slider', field('hybrid_search[vector_weight]'), context).forEach((element) => {
+        var $vectorWeight = $(element);
+        var $form = $vectorWeight.closest('form');
+        var $textWeight = $form.find(field('hybrid_search[text_weight]'));
+        var $slider = $('<div class="hybrid-weight-slider">' +
+          '<span>' + Drupal.t('Keyword') + '</span>' +
+          '<input type="range" min="0" max="100" step="1" aria-label="' + Drupal.t('Semantic weight') + '">' +
+          '<span>' + Drupal.t('Semantic') + '</span>' +
+          '<output class="hybrid-weight-value"></output>' +
+          '</div>');
+        var $range = $slider.find('input');
+
+        $textWeight.closest('.form-item').before($slider);
+
+        // Work in whole percentages so the two values never drift apart.
+        function setWeights(semantic) {
+          semantic = Math.min(100, Math.max(0, Math.round(semantic) || 0));
+          $vectorWeight.val((semantic / 100).toFixed(2));
+          $textWeight.val(((100 - semantic) / 100).toFixed(2));
+          $range.val(semantic);
+          $slider.find('output').text(Drupal.t('@keyword% keyword / @semantic% semantic', {
+            '@keyword': 100 - semantic,
+            '@semantic': semantic
+          }));
+          $slider.trigger('searchApiPostgreSQL:weightsChanged', [(100 - semantic) / 100, semantic / 100]);
+        }
+
+        $range.on('input change', function () {
+          setWeights(parseInt(this.value, 10));
+        });
+        $vectorWeight.on('change', function () {
+          setWeights(parseFloat($vectorWeight.val()) * 100);
+        });
+        $textWeight.on('change', function () {
+          setWeights(100 - parseFloat($textWeight.val()) * 100);
+        });
+
+        var hybridPreview = settings.searchApiPostgreSQL && settings.searchApiPostgreSQL.hybridPreview;
+        if (hybridPreview && hybridPreview.indexes.length) {
+          buildHybridPreview($slider, hybridPreview.indexes);
+        }
+
+        setWeights(parseFloat($vectorWeight.val()) * 100);
       });
 
-      // Simple show/hide for vector method specific settings
-      once('vector-method-toggle', 'select[name="vector_index[method]"]', context).forEach((element) => {
+      // Show only the parameters that apply to the selected index method
+      once('vector-method-toggle', field('vector_index[method]'), context).forEach((element) => {
         $(element).on('change', function () {
           var method = $(this).val();
-          var $listsField = $('.form-item-vector-index-lists');
-          var $probesField = $('.form-item-vector-index-probes');
+          var $ivfflatFields = $(field('vector_index[lists]') + ', ' + field('vector_index[probes]')).closest('.form-item');
+          var $hnswFields = $(field('vector_index[m]') + ', ' + field('vector_index[ef_construction]') + ', ' + field('vector_index[ef_search]')).closest('.form-item');
+
+          $ivfflatFields.toggle(method === 'ivfflat');
+          $hnswFields.toggle(method === 'hnsw');
+        }).trigger('change');
+      });
+
+      // Recommend vector index parameters from the server's table sizes
+      once('vector-index-advisor', '.vector-index-advisor', context).forEach((element) => {
+        var $advisor = $(element);
+        var $result = $advisor.find('.vector-index-advisor-result');
+
+        $advisor.find('.vector-index-advisor-fetch').on('click', function () {
+          var $button = $(this).prop('disabled', true);
+          $result.html('<div class="loading">' + Drupal.t('Reading index sizes...') + '</div>');
+
+          $.ajax({
+            url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/vector-index-advice/' + $advisor.data('server-id'),
+            method: 'GET',
+            dataType: 'json',
+            success: function (data) {
+              renderVectorIndexAdvice($advisor, data);
+            },
+            error: function () {
+              $result.html('<div class="messages messages--error">' + Drupal.t('Could not read index sizes from the server.') + '</div>');
+            },
+            complete: function () {
+              $button.prop('disabled', false);
+            }
+          });
+        });
+
+        $advisor.on('click', '.vector-index-advisor-apply', function () {
+          applyVectorIndexAdvice($advisor.data('recommendation'));
+        });
+      });
+
+      // Copy, download and import the server settings as redacted JSON
+      once('config-transfer', '.config-transfer', context).forEach((element) => {
+        var $transfer = $(element);
+        var $form = $transfer.closest('form');
+        var sections = ['connection', 'vector_index', 'hybrid_search', 'ai_embeddings'];
+        var redacted = '[redacted]';
+        var $status = $('<div class="config-transfer-status" aria-live="polite"></div>').appendTo($transfer);
+        var $import = $('<div class="config-transfer-import-panel" hidden>' +
+          '<label>' + Drupal.t('Paste exported JSON') + '<textarea rows="10" spellcheck="false"></textarea></label>' +
+          '<button type="button" class="button button--small config-transfer-apply">' + Drupal.t('Apply to form') + '</button>' +
+          '</div>').appendTo($transfer);
+
+        // Maps a field to its configuration path, e.g. ['connection', 'host'].
+        function getPath(input) {
+          var parts = input.name.replace(/\]/g, '').split('[');
+          if (parts[0] === 'backend_config') {
+            parts.shift();
+          }
+          return sections.indexOf(parts[0]) !== -1 ? parts : null;
+        }
+
+        function getValue(input) {
+          if (input.type === 'checkbox') {
+            return input.checked;
+          }
+          if (input.type === 'number' || input.type === 'range') {
+            return input.value === '' ? null : Number(input.value);
+          }
+          return $(input).val();
+        }
+
+        function exportConfig() {
+          var config = {
+            _export: {
+              module: 'search_api_postgresql',
+              server: $transfer.data('server-id') || null,
+              exported: new Date().toISOString()
+            }
+          };
+
+          $form.find(':input[name]').each(function () {
+            var path = getPath(this);
+            if (!path || this.type === 'radio' && !this.checked) {
+              return;
+            }
+            var target = config;
+            path.slice(0, -1).forEach(function (part) {
+              target = target[part] = target[part] || {};
+            });
+            // Secrets never leave the form, even when typed in.
+            target[path[path.length - 1]] = this.type === 'password' ? redacted : getValue(this);
+          });
+
+          return JSON.stringify(config, null, 2);
+        }
+
+        function flatten(object, prefix, result) {
+          Object.keys(object).forEach(function (key) {
+            var path = prefix.concat(key);
+            if (object[key] !== null && typeof object[key] === 'object' && !Array.isArray(object[key])) {
+              flatten(object[key], path, result);
+            } else {
+              result.push({path: path, value: object[key]});
+            }
+          });
+          return result;
+        }
+
+        function importConfig(text) {
+          var config;
+          try {
+            config = JSON.parse(text);
+          } catch (e) {
+            $status.attr('class', 'config-transfer-status messages messages--error')
+              .text(Drupal.t('The pasted text is not valid JSON: @error', {'@error': e.message}));
+            return;
+          }
+
+          delete config._export;
+          $form.find('.config-import-changed').removeClass('config-import-changed');
+
+          var entries = flatten(config, [], []).filter(function (entry) {
+            return sections.indexOf(entry.path[0]) !== -1;
+          }).map(function (entry) {
+            entry.$input = $form.find(field(entry.path[0] + '[' + entry.path.slice(1).join('][') + ']'));
+            return entry;
+          });
+          var changed = [];
+          var skipped = [];
+          var invalid = [];
+
+          // Apply selects and checkboxes first: choosing a provider or model
+          // resets dependent fields that the import then sets explicitly.
+          function order(entry) {
+            return entry.$input.is('select, :checkbox') ? 0 : 1;
+          }
+          entries.sort(function (a, b) {
+            return order(a) - order(b);
+          });
 
-          // Simple visibility toggle based on method
-          if (method === 'ivfflat') {
-            $listsField.show();
-            $probesField.show();
+          entries.forEach(function (entry) {
+            var $input = entry.$input;
+
+            if (entry.value === redacted) {
+              return;
+            }
+            if (!$input.length || $input.is('[type="password"]')) {
+              skipped.push(entry.path.join('.'));
+              return;
+            }
+
+            var before = getValue($input[0]);
+            if (String(before) === String(entry.value)) {
+              return;
+            }
+
+            if ($input.is(':checkbox')) {
+              $input.prop('checked', !!entry.value);
+            } else {
+              $input.val(entry.value === null ? '' : entry.value);
+            }
+            $input.trigger('change');
+
+            $input.closest('.form-item').addClass('config-import-changed');
+            $input.parents('details').attr('open', true);
+            changed.push(Drupal.checkPlain(entry.path.join('.')) + ': ' +
+              Drupal.checkPlain(String(before)) + ' &rarr; ' + Drupal.checkPlain(String(getValue($input[0]))));
+          });
+
+          // Validate after every value is in place, since limits depend on
+          // other fields (e.g. the dimension range on the model).
+          $form.find('.config-import-changed :input[name]').each(function () {
+            if (this.checkValidity && !this.checkValidity()) {
+              invalid.push(Drupal.checkPlain(getPath(this).join('.')) + ': ' + Drupal.checkPlain(this.validationMessage));
+            }
+          });
+
+          var html = '<p>' + Drupal.formatPlural(changed.length, '1 value changed.', '@count values changed.') + '</p>';
+          if (changed.length) {
+            html += '<ul><li>' + changed.join('</li><li>') + '</li></ul>';
+          }
+          if (invalid.length) {
+            html += '<p>' + Drupal.t('These values need attention before saving:') + '</p><ul><li>' + invalid.join('</li><li>') + '</li></ul>';
+          }
+          if (skipped.length) {
+            html += '<p>' + Drupal.t('Not applied (no matching field): @fields', {'@fields': skipped.join(', ')}) + '</p>';
+          }
+          html += '<p>' + Drupal.t('Secrets are not imported; re-enter passwords and API keys. Nothing is saved until the form is submitted.') + '</p>';
+
+          $status.attr('class', 'config-transfer-status messages ' + (invalid.length ? 'messages--warning' : 'messages--status')).html(html);
+          $import.prop('hidden', true);
+        }
+
+        $transfer.find('.config-transfer-copy').on('click', function () {
+          var json = exportConfig();
+          var done = function () {
+            $status.attr('class', 'config-transfer-status').text(Drupal.t('Configuration copied to the clipboard. Secrets are redacted.'));
+          };
+
+          if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(json).then(done);
           } else {
-            // For HNSW, hide IVFFlat specific settings
-            $listsField.hide();
-            $probesField.hide();
+            var $textarea = $('<textarea readonly></textarea>').val(json).appendTo('body').trigger('select');
+            document.execCommand('copy');
+            $textarea.remove();
+            done();
           }
-        }).trigger('change');
+        });
+
+        $transfer.find('.config-transfer-download').on('click', function () {
+          var blob = new Blob([exportConfig()], {type: 'application/json'});
+          var link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = 'search-api-postgresql-' + ($transfer.data('server-id') || 'server') + '.json';
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(link.href);
+        });
+
+        $transfer.find('button.config-transfer-import').on('click', function () {
+          $import.prop('hidden', !$import.prop('hidden'));
+          $import.find('textarea').trigger('focus');
+        });
+
+        $import.find('.config-transfer-apply').on('click', function () {
+          importConfig($import.find('textarea').val());
+        });
+      });
+
+      // Re-check the connection settings shortly after they are edited
+      once('connection-diagnostics', '.connection-diagnostics', context).forEach((element) => {
+        var $panel = $(element);
+        var $form = $panel.closest('form');
+        var $results = $panel.find('.connection-diagnostics-results');
+        var names = ['host', 'port', 'database', 'username', 'password', 'ssl_mode'];
+        var request = null;
+        var stages = {
+          network: Drupal.t('Network (DNS and TCP)'),
+          auth: Drupal.t('Authentication'),
+          ssl: Drupal.t('SSL negotiation'),
+          pgvector: Drupal.t('pgvector extension'),
+          permissions: Drupal.t('Create table and index permissions')
+        };
+
+        function getConnection() {
+          var connection = {server_id: $panel.data('server-id') || ''};
+          names.forEach(function (name) {
+            connection[name] = $form.find(field('connection[' + name + ']')).val() || '';
+          });
+          return connection;
+        }
+
+        function render(data) {
+          $results.empty();
+          Object.keys(stages).forEach(function (stage) {
+            var result = data.stages[stage];
+            if (!result) {
+              return;
+            }
+            var $item = $('<li class="connection-stage connection-stage--' + result.status + '"></li>');
+            $item.append('<span class="connection-stage-label">' + stages[stage] + '</span>');
+            if (result.status !== 'skipped') {
+              $item.append('<span class="connection-stage-duration">' + Drupal.t('@ms ms', {'@ms': result.duration_ms}) + '</span>');
+            }
+            // Messages and hints are escaped on the server.
+            $item.append('<div class="connection-stage-message">' + result.message + '</div>');
+            if (result.hint) {
+              $item.append('<div class="connection-stage-hint">' + result.hint + '</div>');
+            }
+            $results.append($item);
+          });
+        }
+
+        function run() {
+          var connection = getConnection();
+          if (!connection.host || !connection.database || !connection.username) {
+            $results.html('<li class="connection-stage connection-stage--skipped">' + Drupal.t('Enter a host, database and username to check the connection.') + '</li>');
+            return;
+          }
+
+          // Only the latest settings matter.
+          if (request) {
+            request.abort();
+          }
+
+          $panel.addClass('is-running');
+          Drupal.searchApiPostgreSQL.getCsrfToken().then(function (token) {
+            request = $.ajax({
+              url: drupalSettings.path.baseUrl + 'admin/config/search/search-api-postgresql/ajax/connection-diagnostics',
+              method: 'POST',
+              contentType: 'application/json',
+              headers: {'X-CSRF-Token': token},
+              data: JSON.stringify(connection),
+              dataType: 'json',
+              success: render,
+              error: function (xhr, status) {
+                if (status === 'abort') {
+                  return;
+                }
+                var message = xhr.responseJSON && xhr.responseJSON.error ? xhr.responseJSON.error : Drupal.t('Diagnostics could not be run.');
+                $results.html('<li class="connection-stage connection-stage--fail">' + Drupal.checkPlain(message) + '</li>');
+              },
+              complete: function (xhr, status) {
+                if (status !== 'abort') {
+                  request = null;
+                  $panel.removeClass('is-running');
+                }
+              }
+            });
+          });
+        }
+
+        var debouncedRun = Drupal.debounce(run, 800);
+        names.forEach(function (name) {
+          $form.find(field('connection[' + name + ']')).on('input change', debouncedRun);
+        });
+        $panel.find('.connection-diagnostics-run').on('click', run);
+
+        // Check saved settings straight away; new servers wait for input.
+        if ($panel.data('server-id')) {
+          run();
+        }
       });
 
       // Auto-update probes max value based on lists value
-      once('lists-probes-sync', 'input[name="vector_index[lists]"]', context).forEach((element) => {
+      once('lists-probes-sync', field('vector_index[lists]'), context).forEach((element) => {
         $(element).on('change', function () {
           var listsValue = parseInt($(this).val()) || 100;
-          var $probesField = $('input[name="vector_index[probes]"]');
+          var $probesField = $(field('vector_index[probes]'));
 
           if ($probesField.length) {
             $probesField.attr('max', listsValue);
@@ -105,4 +1007,4 @@
     }
   };
 
-})(jQuery, Drupal);
\ No newline at end of file
+})(jQuery, Drupal, drupalSettings);
\ No newline at end of file
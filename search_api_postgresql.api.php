@@ -0,0 +1,37 @@
+<?php
+
+/**
+ * @file
+ * Hooks provided by the Search API PostgreSQL module.
+ */
+
+/**
+ * @addtogroup hooks
+ * @{
+ */
+
+/**
+ * Alters the embedding provider and model catalog.
+ *
+ * The catalog drives the model options, dimension limits and pricing shown on
+ * the server configuration form and used for cost estimates.
+ *
+ * @param array $catalog
+ *   Provider definitions keyed by provider ID, as returned by
+ *   \Drupal\search_api_postgresql\Service\EmbeddingModelCatalog::getCatalog().
+ */
+function hook_search_api_postgresql_embedding_models_alter(array &$catalog) {
+  // Register a custom Azure deployment of a reduced-dimension model.
+  $catalog['azure']['models']['text-embedding-3-large-1024'] = [
+    'label' => 'text-embedding-3-large (1024)',
+    'dimension' => 1024,
+    'min_dimension' => 1024,
+    'max_dimension' => 1024,
+    'max_tokens' => 8191,
+    'price_per_1k_tokens' => 0.00013,
+  ];
+}
+
+/**
+ * @} End of "addtogroup hooks".
+ */
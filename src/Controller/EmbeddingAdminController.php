@@ -10,17 +10,47 @@
 use Drupal\search_api\Entity\Server;
 use Drupal\search_api\Entity\Index;
 use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Service\AdminEventStreamService;
+use Drupal\search_api_postgresql\Service\BudgetGuardService;
+use Drupal\search_api_postgresql\Service\CircuitBreakerService;
 use Drupal\search_api_postgresql\Service\ConfigurationValidationService;
+use Drupal\search_api_postgresql\Service\ConnectionDiagnosticsService;
+use Drupal\search_api_postgresql\Service\CostEstimationService;
+use Drupal\search_api_postgresql\Service\DegradationStateService;
+use Drupal\search_api_postgresql\Service\EmbeddingModelCatalog;
+use Drupal\search_api_postgresql\Service\HealthCheckService;
+use Drupal\search_api_postgresql\Service\ItemSelectionService;
+use Drupal\search_api_postgresql\Service\OperationHistoryService;
+use Drupal\search_api_postgresql\Service\OperationPreviewService;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
+use Drupal\search_api_postgresql\Service\SpendForecastService;
+use Drupal\search_api_postgresql\Service\VectorIndexAdvisor;
 use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
 use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
 
 /**
  * Controller for Search API PostgreSQL administration pages.
  */
 class EmbeddingAdminController extends ControllerBase
 {
+  /**
+   * Seconds an event stream stays open before the client reconnects.
+   *
+   * Keeps PHP workers from being held indefinitely by idle admin tabs.
+   */
+  const STREAM_LIFETIME = 55;
+
+  /**
+   * Seconds a long-poll request waits for a change before returning.
+   */
+  const LONG_POLL_TIMEOUT = 25;
+
   /**
    * The entity type manager.
    * {@inheritdoc}
@@ -61,6 +91,102 @@ class EmbeddingAdminController extends ControllerBase
    */
   protected $queueManager;
 
+  /**
+   * The vector index advisor.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\VectorIndexAdvisor
+   */
+  protected $vectorIndexAdvisor;
+
+  /**
+   * The connection diagnostics service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\ConnectionDiagnosticsService
+   */
+  protected $connectionDiagnostics;
+
+  /**
+   * The admin event stream service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\AdminEventStreamService
+   */
+  protected $adminEvents;
+
+  /**
+   * The health check service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\HealthCheckService
+   */
+  protected $healthChecks;
+
+  /**
+   * The degradation state service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\DegradationStateService
+   */
+  protected $degradationState;
+
+  /**
+   * The cost estimation service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CostEstimationService
+   */
+  protected $costEstimator;
+
+  /**
+   * The operation preview service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationPreviewService
+   */
+  protected $operationPreview;
+
+  /**
+   * The operation tracker.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationTrackerService
+   */
+  protected $operationTracker;
+
+  /**
+   * The operation history.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationHistoryService
+   */
+  protected $operationHistory;
+
+  /**
+   * The budget guard.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\BudgetGuardService
+   */
+  protected $budgetGuard;
+
+  /**
+   * The spend forecast service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\SpendForecastService
+   */
+  protected $spendForecast;
+
+  /**
+   * The circuit breaker service, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CircuitBreakerService|null
+   */
+  protected $circuitBreaker;
+
   /**
    * Constructs an EmbeddingAdminController object.
    * {@inheritdoc}
@@ -75,6 +201,30 @@ class EmbeddingAdminController extends ControllerBase
    *   The embedding cache manager.
    * @param \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager $queue_manager
    *   The embedding queue manager.
+   * @param \Drupal\search_api_postgresql\Service\VectorIndexAdvisor $vector_index_advisor
+   *   The vector index advisor.
+   * @param \Drupal\search_api_postgresql\Service\ConnectionDiagnosticsService $connection_diagnostics
+   *   The connection diagnostics service.
+   * @param \Drupal\search_api_postgresql\Service\AdminEventStreamService $admin_events
+   *   The admin event stream service.
+   * @param \Drupal\search_api_postgresql\Service\HealthCheckService $health_checks
+   *   The health check service.
+   * @param \Drupal\search_api_postgresql\Service\DegradationStateService $degradation_state
+   *   The degradation state service.
+   * @param \Drupal\search_api_postgresql\Service\CostEstimationService $cost_estimator
+   *   The cost estimation service.
+   * @param \Drupal\search_api_postgresql\Service\OperationPreviewService $operation_preview
+   *   The operation preview service.
+   * @param \Drupal\search_api_postgresql\Service\OperationTrackerService $operation_tracker
+   *   The operation tracker.
+   * @param \Drupal\search_api_postgresql\Service\OperationHistoryService $operation_history
+   *   The operation history.
+   * @param \Drupal\search_api_postgresql\Service\BudgetGuardService $budget_guard
+   *   The budget guard.
+   * @param \Drupal\search_api_postgresql\Service\SpendForecastService $spend_forecast
+   *   The spend forecast service.
+   * @param \Drupal\search_api_postgresql\Service\CircuitBreakerService|null $circuit_breaker
+   *   The circuit breaker service.
    */
   public function __construct(
       EntityTypeManagerInterface $entity_type_manager,
@@ -82,12 +232,36 @@ public function __construct(
       ConfigurationValidationService $validation_service,
       EmbeddingCacheManager $cache_manager,
       EmbeddingQueueManager $queue_manager,
+      VectorIndexAdvisor $vector_index_advisor,
+      ConnectionDiagnosticsService $connection_diagnostics,
+      AdminEventStreamService $admin_events,
+      HealthCheckService $health_checks,
+      DegradationStateService $degradation_state,
+      CostEstimationService $cost_estimator,
+      OperationPreviewService $operation_preview,
+      OperationTrackerService $operation_tracker,
+      OperationHistoryService $operation_history,
+      BudgetGuardService $budget_guard,
+      SpendForecastService $spend_forecast,
+      ?CircuitBreakerService $circuit_breaker = null,
   ) {
     $this->entityTypeManager = $entity_type_manager;
     $this->analyticsService = $analytics_service;
     $this->validationService = $validation_service;
     $this->cacheManager = $cache_manager;
     $this->queueManager = $queue_manager;
+    $this->vectorIndexAdvisor = $vector_index_advisor;
+    $this->connectionDiagnostics = $connection_diagnostics;
+    $this->adminEvents = $admin_events;
+    $this->healthChecks = $health_checks;
+    $this->degradationState = $degradation_state;
+    $this->costEstimator = $cost_estimator;
+    $this->operationPreview = $operation_preview;
+    $this->operationTracker = $operation_tracker;
+    $this->operationHistory = $operation_history;
+    $this->budgetGuard = $budget_guard;
+    $this->spendForecast = $spend_forecast;
+    $this->circuitBreaker = $circuit_breaker;
   }
 
   /**
@@ -100,7 +274,19 @@ public static function create(ContainerInterface $container)
         $container->get('search_api_postgresql.analytics'),
         $container->get('search_api_postgresql.configuration_validator'),
         $container->get('search_api_postgresql.cache_manager'),
-        $container->get('search_api_postgresql.embedding_queue_manager')
+        $container->get('search_api_postgresql.embedding_queue_manager'),
+        $container->get('search_api_postgresql.vector_index_advisor'),
+        $container->get('search_api_postgresql.connection_diagnostics'),
+        $container->get('search_api_postgresql.admin_event_stream'),
+        $container->get('search_api_postgresql.health_check'),
+        $container->get('search_api_postgresql.degradation_state'),
+        $container->get('search_api_postgresql.cost_estimator'),
+        $container->get('search_api_postgresql.operation_preview'),
+        $container->get('search_api_postgresql.operation_tracker'),
+        $container->get('search_api_postgresql.operation_history'),
+        $container->get('search_api_postgresql.budget_guard'),
+        $container->get('search_api_postgresql.spend_forecast'),
+        $container->get('search_api_postgresql.circuit_breaker', ContainerInterface::NULL_ON_INVALID_REFERENCE)
     );
   }
 
@@ -145,6 +331,7 @@ public function dashboard()
 
     $build['overview']['servers'] = [
       '#theme' => 'search_api_postgresql_stat_card',
+      '#attributes' => ['data-stat' => 'servers'],
       '#title' => $this->t('PostgreSQL Servers'),
       '#value' => $overview_stats['total_servers'],
       '#subtitle' => $this->t('@enabled enabled', ['@enabled' => $overview_stats['enabled_servers']]),
@@ -154,6 +341,7 @@ public function dashboard()
 
     $build['overview']['indexes'] = [
       '#theme' => 'search_api_postgresql_stat_card',
+      '#attributes' => ['data-stat' => 'indexes'],
       '#title' => $this->t('Search Indexes'),
       '#value' => $overview_stats['total_indexes'],
       '#subtitle' => $this->t('@ai with AI', ['@ai' => $overview_stats['ai_indexes']]),
@@ -163,6 +351,7 @@ public function dashboard()
 
     $build['overview']['embeddings'] = [
       '#theme' => 'search_api_postgresql_stat_card',
+      '#attributes' => ['data-stat' => 'embeddings'],
       '#title' => $this->t('Total Embeddings'),
       '#value' => number_format($overview_stats['total_embeddings']),
       '#subtitle' => $this->t('@coverage% coverage', ['@coverage' => round($overview_stats['embedding_coverage'], 1)]),
@@ -172,6 +361,7 @@ public function dashboard()
 
     $build['overview']['queue'] = [
       '#theme' => 'search_api_postgresql_stat_card',
+      '#attributes' => ['data-stat' => 'queue'],
       '#title' => $this->t('Queue Items'),
       '#value' => $overview_stats['queue_items'],
       '#subtitle' => $this->t('pending processing'),
@@ -209,6 +399,18 @@ public function dashboard()
 
     $build['health']['checks'] = $this->buildHealthChecks();
 
+    // Circuit breakers.
+    if ($this->circuitBreaker) {
+      $build['circuit_breakers'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Circuit Breakers'),
+        '#open' => true,
+        '#attributes' => ['class' => ['circuit-breaker-section']],
+      ];
+
+      $build['circuit_breakers']['panel'] = $this->buildCircuitBreakerPanel();
+    }
+
     // Quick actions.
     $build['actions'] = [
       '#type' => 'details',
@@ -222,6 +424,10 @@ public function dashboard()
     // Attach CSS and JS.
     $build['#attached']['library'][] = 'search_api_postgresql/admin';
 
+    $dashboard_config = $this->config('search_api_postgresql.dashboard');
+    $build['#attached']['drupalSettings']['searchApiPostgreSQL']['autoRefresh'] = (bool) ($dashboard_config->get('display.auto_refresh') ?? true);
+    $build['#attached']['drupalSettings']['searchApiPostgreSQL']['refreshInterval'] = (int) ($dashboard_config->get('display.refresh_interval') ?? 30);
+
     return $build;
   }
 
@@ -293,41 +499,82 @@ public function analytics()
           '7d' => $this->t('Last 7 days'),
           '30d' => $this->t('Last 30 days'),
           '90d' => $this->t('Last 90 days'),
+          'custom' => $this->t('Custom range'),
         ],
         '#default_value' => '7d',
+        '#value' => '7d',
+        '#attributes' => ['id' => 'analytics-date-range'],
+      ];
+
+      // Custom ranges default to last month, as reported to finance.
+      $build['filters']['custom_range'] = [
+        '#type' => 'container',
         '#attributes' => [
-          'id' => 'analytics-date-range',
-          'onchange' => 'updateAnalytics(this.value)',
+          'class' => ['analytics-custom-range'],
+          'hidden' => 'hidden',
         ],
       ];
 
-      // Try to get cost data, but handle failures gracefully.
-      try {
-        $cost_data = $this->analyticsService->getCostAnalytics('7d');
-      } catch (\Exception $e) {
-        $cost_data = [
-          'current_cost' => 0,
-          'tokens_used' => 0,
-          'api_calls' => 0,
-          'projected_monthly' => 0,
-          'projected_calls' => 0,
-          'projected_tokens' => 0,
-          'trend' => 0,
-          'by_operation' => [],
-        ];
-      }
+      $build['filters']['custom_range']['start'] = [
+        '#type' => 'date',
+        '#title' => $this->t('From'),
+        '#value' => date('Y-m-d', strtotime('first day of last month')),
+        '#id' => 'analytics-start',
+      ];
 
-      $build['cost_overview'] = [
-        '#type' => 'container',
-        '#attributes' => ['class' => ['cost-overview']],
+      $build['filters']['custom_range']['end'] = [
+        '#type' => 'date',
+        '#title' => $this->t('To'),
+        '#value' => date('Y-m-d', strtotime('last day of last month')),
+        '#id' => 'analytics-end',
+      ];
+
+      $build['filters']['granularity'] = [
+        '#type' => 'select',
+        '#title' => $this->t('Granularity'),
+        '#options' => [
+          '' => $this->t('Automatic'),
+          'hour' => $this->t('Hourly'),
+          'day' => $this->t('Daily'),
+          'week' => $this->t('Weekly'),
+        ],
+        '#value' => '',
+        '#id' => 'analytics-granularity',
       ];
 
-      $build['cost_overview']['title'] = [
+      $build['filters']['compare'] = [
+        '#type' => 'checkbox',
+        '#title' => $this->t('Compare to previous period'),
+        '#id' => 'analytics-compare',
+      ];
+
+      $build['filters']['status'] = [
         '#type' => 'html_tag',
-        '#tag' => 'h2',
-        '#value' => $this->t('Cost Analysis'),
+        '#tag' => 'div',
+        '#value' => '',
+        '#attributes' => [
+          'class' => ['analytics-status'],
+          'aria-live' => 'polite',
+        ],
+      ];
+
+      $build['filters']['exports'] = $this->buildAnalyticsExports('all', $this->t('All analytics'));
+
+      $build['filters']['report'] = [
+        '#type' => 'link',
+        '#title' => $this->t('Printable report'),
+        '#url' => Url::fromRoute('search_api_postgresql.admin.analytics_report', [], ['query' => ['range' => '7d']]),
+        '#attributes' => [
+          'class' => ['button'],
+          'data-analytics-report' => 'all',
+        ],
       ];
 
+      $analytics = $this->getAnalyticsData('7d');
+      $cost_data = $analytics['cost'];
+
+      $build['cost_overview'] = $this->buildAnalyticsPanel('cost', 'cost-overview', $this->t('Cost Analysis'));
+
       $build['cost_overview']['current_period'] = [
         '#theme' => 'search_api_postgresql_cost_card',
         '#title' => $this->t('Current Period'),
@@ -335,6 +582,8 @@ public function analytics()
         '#api_calls' => $cost_data['api_calls'],
         '#tokens' => $cost_data['tokens_used'],
         '#trend' => $cost_data['trend'],
+        '#currency' => EmbeddingModelCatalog::PRICE_CURRENCY,
+        '#attributes' => ['data-cost-card' => 'current'],
       ];
 
       $build['cost_overview']['projected'] = [
@@ -344,85 +593,57 @@ public function analytics()
         '#api_calls' => $cost_data['projected_calls'],
         '#tokens' => $cost_data['projected_tokens'],
         '#is_projection' => true,
+        '#currency' => EmbeddingModelCatalog::PRICE_CURRENCY,
+        '#attributes' => ['data-cost-card' => 'projected'],
       ];
 
-      // Try to get performance data, but handle failures gracefully.
-      try {
-        $perf_data = $this->analyticsService->getPerformanceMetrics('7d');
-      } catch (\Exception $e) {
-        $perf_data = [
-          'search_latency' => [],
-          'cache_hit_rate' => [],
-          'api_response_time' => [],
-          'throughput' => [],
-        ];
+      // The forecast covers the current month, whatever the period above.
+      $forecast_servers = ['' => $this->t('All AI servers')];
+      foreach ($this->getForecastServers() as $server_id => $server) {
+        $forecast_servers[$server_id] = $server->label();
       }
-
-      $build['performance'] = [
+      $build['forecast'] = [
         '#type' => 'container',
-        '#attributes' => ['class' => ['performance-metrics']],
-      ];
-
-      $build['performance']['title'] = [
-        '#type' => 'html_tag',
-        '#tag' => 'h2',
-        '#value' => $this->t('Performance Metrics'),
-      ];
-
-      $build['performance']['search_latency'] = [
-        '#theme' => 'search_api_postgresql_metric_chart',
-        '#title' => $this->t('Search Latency'),
-        '#data' => $perf_data['search_latency'],
-        '#type' => 'line',
-        '#unit' => 'ms',
-      ];
-
-      $build['performance']['cache_hit_rate'] = [
-        '#theme' => 'search_api_postgresql_metric_chart',
-        '#title' => $this->t('Cache Hit Rate'),
-        '#data' => $perf_data['cache_hit_rate'],
-        '#type' => 'area',
-        '#unit' => '%',
+        '#attributes' => ['class' => ['spend-forecast']],
+        'header' => [
+          '#type' => 'container',
+          '#attributes' => ['class' => ['analytics-panel-header']],
+          'title' => [
+            '#type' => 'html_tag',
+            '#tag' => 'h2',
+            '#value' => $this->t('Spend Forecast'),
+          ],
+          'server' => [
+            '#type' => 'select',
+            '#title' => $this->t('Server'),
+            '#options' => $forecast_servers,
+            '#value' => '',
+            '#id' => 'forecast-server',
+          ],
+        ],
+        'body' => $this->buildForecastBody(''),
       ];
 
-      // Try to get usage data, but handle failures gracefully.
-      try {
-        $usage_data = $this->analyticsService->getUsagePatterns('7d');
-      } catch (\Exception $e) {
-        $usage_data = [
-          'query_volume' => [],
-          'embedding_generation' => [],
-        ];
+      $build['performance'] = $this->buildAnalyticsPanel('performance', 'performance-metrics', $this->t('Performance Metrics'));
+      $build['usage'] = $this->buildAnalyticsPanel('usage', 'usage-patterns', $this->t('Usage Patterns'));
+
+      $panels = ['cost' => 'cost_overview', 'performance' => 'performance', 'usage' => 'usage'];
+      foreach ($this->getAnalyticsCharts() as $metric => $chart) {
+        [$panel, $key] = explode('.', $metric);
+        $build[$panels[$panel]][$key] = $this->buildMetricChart(
+            $chart['title'],
+            $metric,
+            $this->getChartData($analytics, $metric),
+            $chart['chart_type'],
+            $chart['unit']
+        );
       }
 
-      $build['usage'] = [
-        '#type' => 'container',
-        '#attributes' => ['class' => ['usage-patterns']],
-      ];
-
-      $build['usage']['title'] = [
-        '#type' => 'html_tag',
-        '#tag' => 'h2',
-        '#value' => $this->t('Usage Patterns'),
-      ];
-
-      $build['usage']['query_volume'] = [
-        '#theme' => 'search_api_postgresql_metric_chart',
-        '#title' => $this->t('Search Query Volume'),
-        '#data' => $usage_data['query_volume'],
-        '#type' => 'bar',
-        '#unit' => 'queries',
-      ];
-
-      $build['usage']['embedding_generation'] = [
-        '#theme' => 'search_api_postgresql_metric_chart',
-        '#title' => $this->t('Embedding Generation'),
-        '#data' => $usage_data['embedding_generation'],
-        '#type' => 'line',
-        '#unit' => 'embeddings',
-      ];
+      $build['top_indexes'] = $this->buildAnalyticsPanel('indexes', 'top-indexes', $this->t('Top Indexes'));
+      $build['top_indexes']['table'] = $this->buildTopIndexesTable($analytics['indexes']);
 
       $build['#attached']['library'][] = 'search_api_postgresql/analytics';
+      $build['#attached']['drupalSettings']['searchApiPostgreSQL']['analyticsAutoRefresh'] = (bool) ($this->config('search_api_postgresql.dashboard')->get('display.auto_refresh') ?? true);
 
       return $build;
     } catch (\Exception $e) {
@@ -447,104 +668,605 @@ public function analytics()
   }
 
   /**
-   * Server status page.
+   * Builds a metric chart of the analytics page.
    * {@inheritdoc}
    *
-   * @param string $server_id
-   *   The server ID.
-   *   {@inheritdoc}.
+   * @param string $title
+   *   The chart title.
+   * @param string $metric
+   *   The key of the data in the analytics endpoint's response, as panel and
+   *   metric joined with a dot, so the chart can be refreshed.
+   * @param array $data
+   *   The chart data.
+   * @param string $chart_type
+   *   The chart type.
+   * @param string $unit
+   *   The unit of the values.
    *
    * @return array
-   *   A renderable array for the server status page.
+   *   A render array.
    */
-  public function serverStatus($server_id)
+  protected function buildMetricChart($title, $metric, array $data, $chart_type, $unit)
   {
-    $server = Server::load($server_id);
-
-    if (!$server) {
-      throw new NotFoundHttpException('Server not found');
-    }
-
-    $backend = $server->getBackend();
-    if (!in_array($backend->getPluginId(), ['postgresql', 'postgresql_azure'])) {
-      $this->messenger()->addError($this->t('Server @server is not using a PostgreSQL backend.', [
-        '@server' => $server->label(),
-      ]));
-      return $this->redirect('search_api_postgresql.admin.dashboard');
-    }
-
-    $build = [];
-
-    $build['header'] = [
-      '#type' => 'container',
-      '#attributes' => ['class' => ['server-status-header']],
+    return [
+      '#theme' => 'search_api_postgresql_metric_chart',
+      '#title' => $title,
+      '#data' => $data,
+      '#chart_type' => $chart_type,
+      '#unit' => $unit,
+      '#attributes' => ['data-metric' => $metric],
     ];
+  }
 
-    $build['header']['title'] = [
-      '#type' => 'html_tag',
-      '#tag' => 'h1',
-      '#value' => $this->t('Server Status: @server', ['@server' => $server->label()]),
+  /**
+   * Lists the charts of the analytics panels.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Charts keyed by metric, as panel and metric joined with a dot, each
+   *   with its 'title', 'chart_type' and 'unit'.
+   */
+  protected function getAnalyticsCharts()
+  {
+    return [
+      'cost.by_operation' => [
+        'title' => $this->t('Cost by Operation'),
+        'chart_type' => 'donut',
+        'unit' => EmbeddingModelCatalog::PRICE_CURRENCY,
+      ],
+      'performance.search_latency' => [
+        'title' => $this->t('Search Latency'),
+        'chart_type' => 'line',
+        'unit' => 'ms',
+      ],
+      'performance.cache_hit_rate' => [
+        'title' => $this->t('Cache Hit Rate'),
+        'chart_type' => 'area',
+        'unit' => '%',
+      ],
+      'usage.query_volume' => [
+        'title' => $this->t('Search Query Volume'),
+        'chart_type' => 'bar',
+        'unit' => 'queries',
+      ],
+      'usage.embedding_generation' => [
+        'title' => $this->t('Embedding Generation'),
+        'chart_type' => 'stacked_area',
+        'unit' => 'requests',
+      ],
     ];
+  }
 
-    $build['header']['breadcrumb'] = [
-      '#type' => 'link',
-      '#title' => $this->t('← Back to Dashboard'),
-      '#url' => Url::fromRoute('search_api_postgresql.admin.dashboard'),
-      '#attributes' => ['class' => ['breadcrumb-link']],
-    ];
+  /**
+   * Gets the data of an analytics chart.
+   * {@inheritdoc}
+   *
+   * @param array $analytics
+   *   The analytics, as returned by getAnalyticsData().
+   * @param string $metric
+   *   The chart's metric, a key of getAnalyticsCharts().
+   *
+   * @return array
+   *   The chart data.
+   */
+  protected function getChartData(array $analytics, $metric)
+  {
+    [$panel, $key] = explode('.', $metric);
 
-    // Server information.
-    $server_info = $this->getServerInformation($server);
+    // The donut shows the cost of each operation.
+    if ($metric === 'cost.by_operation') {
+      return array_map(function ($operation) {
+        return $operation['cost'];
+      }, $analytics['cost']['by_operation']);
+    }
 
-    $build['info'] = [
-      '#type' => 'details',
-      '#title' => $this->t('Server Information'),
-      '#open' => true,
-    ];
+    return $analytics[$panel][$key] ?? [];
+  }
 
-    $build['info']['table'] = [
-      '#theme' => 'table',
-      '#header' => [$this->t('Property'), $this->t('Value')],
-      '#rows' => [
-      [$this->t('Server ID'), $server->id()],
-      [$this->t('Server Name'), $server->label()],
-      [$this->t('Backend'), $backend->getPluginDefinition()['label']],
-      [$this->t('Status'), $server->status() ? $this->t('Enabled') : $this->t('Disabled')],
-      [$this->t('Database Host'), $server_info['host'] ?? $this->t('N/A')],
-      [$this->t('Database Name'), $server_info['database'] ?? $this->t('N/A')],
-      [$this->t('PostgreSQL Version'), $server_info['pg_version'] ?? $this->t('Unknown')],
-      [
-        $this->t('pgvector Extension'),
-        $server_info['has_pgvector'] ? $this->t('Available') : $this->t('Not Available'),
-      ],
-      [$this->t('AI Embeddings'), $server_info['ai_enabled'] ? $this->t('Enabled') : $this->t('Disabled')],
-      [$this->t('Vector Search'), $server_info['vector_search'] ? $this->t('Enabled') : $this->t('Disabled')],
+  /**
+   * Builds a panel of the analytics page with its export links.
+   * {@inheritdoc}
+   *
+   * @param string $panel
+   *   The panel's key in the analytics data.
+   * @param string $class
+   *   The panel's CSS class.
+   * @param string $title
+   *   The panel title.
+   *
+   * @return array
+   *   A render array.
+   */
+  protected function buildAnalyticsPanel($panel, $class, $title)
+  {
+    return [
+      '#type' => 'container',
+      '#attributes' => ['class' => [$class, 'analytics-panel']],
+      'header' => [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['analytics-panel-header']],
+        'title' => [
+          '#type' => 'html_tag',
+          '#tag' => 'h2',
+          '#value' => $title,
+        ],
+        'exports' => $this->buildAnalyticsExports($panel, $title),
       ],
     ];
+  }
 
-    // Configuration validation.
-    $validation_results = $this->validationService->validateServerConfiguration($server);
-
-    $build['validation'] = [
-      '#type' => 'details',
-      '#title' => $this->t('Configuration Validation'),
-      '#open' => !empty($validation_results['errors']),
+  /**
+   * Builds the CSV and JSON export links of analytics data.
+   * {@inheritdoc}
+   *
+   * The links start out with the default period; the analytics page keeps
+   * them in line with the chosen period and filters.
+   *
+   * @param string $panel
+   *   The panel to export, or 'all'.
+   * @param string $title
+   *   What is exported, for assistive technology.
+   *
+   * @return array
+   *   A render array.
+   */
+  protected function buildAnalyticsExports($panel, $title)
+  {
+    $build = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['analytics-exports']],
+      'label' => [
+        '#type' => 'html_tag',
+        '#tag' => 'span',
+        '#value' => $this->t('Export'),
+        '#attributes' => ['class' => ['analytics-exports-label']],
+      ],
     ];
 
-    if (!empty($validation_results['errors'])) {
-      $build['validation']['errors'] = [
-        '#theme' => 'item_list',
-        '#title' => $this->t('Errors'),
-        '#items' => $validation_results['errors'],
-        '#list_type' => 'ul',
-        '#wrapper_attributes' => ['class' => ['validation-errors']],
+    foreach (['csv' => 'CSV', 'json' => 'JSON'] as $format => $label) {
+      $build[$format] = [
+        '#type' => 'link',
+        '#title' => $label,
+        '#url' => Url::fromRoute('search_api_postgresql.admin.analytics_export', ['format' => $format], [
+          'query' => ['panel' => $panel, 'range' => '7d'],
+        ]),
+        '#attributes' => [
+          'class' => ['button', 'button--small'],
+          'data-analytics-export' => $panel,
+          'aria-label' => $this->t('Export @title as @format', ['@title' => $title, '@format' => $label]),
+        ],
       ];
     }
 
-    if (!empty($validation_results['warnings'])) {
-      $build['validation']['warnings'] = [
-        '#theme' => 'item_list',
-        '#title' => $this->t('Warnings'),
+    return $build;
+  }
+
+  /**
+   * Builds the table of the most searched indexes.
+   * {@inheritdoc}
+   *
+   * @param array $indexes
+   *   The indexes, as in the data of getAnalyticsData().
+   *
+   * @return array
+   *   A render array.
+   */
+  protected function buildTopIndexesTable(array $indexes)
+  {
+    $rows = [];
+    foreach ($indexes as $index) {
+      $rows[] = [
+        $index['label'],
+        number_format($index['searches']),
+        $this->t('@latency ms', ['@latency' => number_format($index['average_latency'], 1)]),
+      ];
+    }
+
+    return [
+      '#type' => 'table',
+      '#header' => [$this->t('Index'), $this->t('Searches'), $this->t('Average latency')],
+      '#rows' => $rows,
+      '#empty' => $this->t('No searches in this period.'),
+      '#attributes' => ['data-analytics-table' => 'indexes'],
+    ];
+  }
+
+  /**
+   * Collects the data of the analytics panels.
+   * {@inheritdoc}
+   *
+   * Each panel falls back to empty data if its analytics cannot be read, so
+   * one failing query does not take down the whole page.
+   *
+   * @param string|array $period
+   *   The time period, e.g. '7d', or a custom period as accepted by
+   *   EmbeddingAnalyticsService::resolvePeriod().
+   *
+   * @return array
+   *   An array with the 'cost', 'performance' and 'usage' analytics and the
+   *   most searched 'indexes'.
+   */
+  protected function getAnalyticsData($period)
+  {
+    $data = [
+      'cost' => [
+        'current_cost' => 0,
+        'tokens_used' => 0,
+        'api_calls' => 0,
+        'projected_monthly' => 0,
+        'projected_calls' => 0,
+        'projected_tokens' => 0,
+        'trend' => 0,
+        'by_operation' => [],
+      ],
+      'performance' => [
+        'search_latency' => [],
+        'cache_hit_rate' => [],
+        'queue_size' => [],
+        'error_rate' => [],
+      ],
+      'usage' => [
+        'query_volume' => [],
+        'embedding_generation' => [],
+      ],
+      'indexes' => [],
+    ];
+
+    $sources = [
+      'cost' => 'getCostAnalytics',
+      'performance' => 'getPerformanceMetrics',
+      'usage' => 'getUsagePatterns',
+      'indexes' => 'getTopIndexes',
+    ];
+    foreach ($sources as $panel => $method) {
+      try {
+        $data[$panel] = $this->analyticsService->$method($period) + $data[$panel];
+      } catch (\Exception $e) {
+        $this->getLogger('search_api_postgresql')->warning('Could not load the @panel analytics: @error', [
+          '@panel' => $panel,
+          '@error' => $e->getMessage(),
+        ]);
+      }
+    }
+
+    $indexes = Index::loadMultiple(array_column($data['indexes'], 'index_id'));
+    foreach ($data['indexes'] as &$row) {
+      $row['label'] = isset($indexes[$row['index_id']]) ? $indexes[$row['index_id']]->label() : $row['index_id'];
+    }
+    unset($row);
+
+    return $data;
+  }
+
+  /**
+   * Reads the analytics period requested by the analytics page.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the "range" parameter, the "start" and "end" days as
+   *   Y-m-d for custom ranges and an optional "granularity".
+   *
+   * @return array
+   *   The resolved period.
+   *
+   * @throws \InvalidArgumentException
+   *   If the parameters do not describe a valid period.
+   */
+  protected function getRequestedPeriod(Request $request)
+  {
+    $range = (string) $request->query->get('range', '7d');
+    $granularity = (string) $request->query->get('granularity', '');
+
+    if ($range === 'custom') {
+      $start = \DateTime::createFromFormat('!Y-m-d', (string) $request->query->get('start'));
+      $end = \DateTime::createFromFormat('!Y-m-d', (string) $request->query->get('end'));
+      if (!$start || !$end) {
+        throw new \InvalidArgumentException('Enter the first and last day of the range.');
+      }
+      // The last day is included.
+      $period = [
+        'start' => $start->getTimestamp(),
+        'end' => $end->modify('+1 day')->getTimestamp(),
+      ];
+    } elseif (in_array($range, ['24h', '7d', '30d', '90d'], true)) {
+      $period = $this->analyticsService->resolvePeriod($range);
+      unset($period['granularity']);
+    } else {
+      throw new \InvalidArgumentException('Unknown range');
+    }
+
+    return $this->analyticsService->resolvePeriod($period + ['granularity' => $granularity]);
+  }
+
+  /**
+   * Moves the time series of analytics data by a number of seconds.
+   * {@inheritdoc}
+   *
+   * Used to lay the previous period over the current one.
+   *
+   * @param array $data
+   *   Analytics data, with time series at any depth.
+   * @param int $seconds
+   *   The seconds to add to each timestamp.
+   *
+   * @return array
+   *   The data with moved time series.
+   */
+  protected function shiftTimeSeries(array $data, $seconds)
+  {
+    foreach ($data as $key => $value) {
+      if (is_array($value)) {
+        $data[$key] = $this->shiftTimeSeries($value, $seconds);
+      } elseif ($key === 'timestamp') {
+        $data[$key] = $value + $seconds;
+      }
+    }
+
+    return $data;
+  }
+
+  /**
+   * Gets the servers whose spend can be forecast.
+   * {@inheritdoc}
+   *
+   * @return \Drupal\search_api\ServerInterface[]
+   *   The PostgreSQL servers with AI embeddings enabled, keyed by ID.
+   */
+  protected function getForecastServers()
+  {
+    $servers = $this->entityTypeManager
+      ->getStorage('search_api_server')
+      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+
+    return array_filter($servers, [$this, 'isAiEnabledForServer']);
+  }
+
+  /**
+   * Builds the spend forecast of the current month.
+   * {@inheritdoc}
+   *
+   * @param string $server_id
+   *   The server to forecast, or '' for all AI servers against the sum of
+   *   their monthly budgets.
+   *
+   * @return array
+   *   A render array with the forecast summary, the budget burn-down, the
+   *   daily spend and the unusual days, linked to their API calls.
+   */
+  protected function buildForecastBody($server_id)
+  {
+    $servers = $this->getForecastServers();
+    if ($server_id) {
+      $servers = array_intersect_key($servers, [$server_id => true]);
+    }
+
+    $budget = 0;
+    foreach ($servers as $server) {
+      $budget += $this->budgetGuard->getBudget($server)['monthly'];
+    }
+
+    $forecast = $this->spendForecast->getForecast($budget, $server_id ?: null);
+    $date_formatter = \Drupal::service('date.formatter');
+    $currency = EmbeddingModelCatalog::PRICE_CURRENCY;
+    $day_label = function ($date) use ($date_formatter) {
+      return $date_formatter->format(strtotime($date), 'custom', 'M j');
+    };
+    $day_url = function ($date) use ($server_id) {
+      return Url::fromRoute('search_api_postgresql.admin.analytics_api_calls', ['date' => $date], [
+        'query' => $server_id ? ['server' => $server_id] : [],
+      ]);
+    };
+
+    $build = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['forecast-body']],
+    ];
+
+    $figures = [];
+    if ($budget > 0) {
+      $figures[] = $this->t('Spent this month: @spent of a @budget budget', [
+        '@spent' => $this->formatCurrency($forecast['spent']),
+        '@budget' => $this->formatCurrency($budget),
+      ]);
+    } else {
+      $figures[] = $this->t('Spent this month: @spent', ['@spent' => $this->formatCurrency($forecast['spent'])]);
+    }
+    $figures[] = $this->t('Projected month-end spend: @projected (95% range @low to @high)', [
+      '@projected' => $this->formatCurrency($forecast['projected']),
+      '@low' => $this->formatCurrency($forecast['low']),
+      '@high' => $this->formatCurrency($forecast['high']),
+    ]);
+    $figures[] = $this->t('Average daily spend: @rate', ['@rate' => $this->formatCurrency($forecast['daily_rate'])]);
+    $build['summary'] = [
+      '#theme' => 'item_list',
+      '#items' => $figures,
+      '#attributes' => ['class' => ['forecast-summary']],
+    ];
+
+    $exhausted_on = $forecast['exhausted_on'] ? $day_label($forecast['exhausted_on']) : '';
+    $messages = [
+      'no_budget' => $this->t('No monthly budget is set. Set one in the AI embeddings settings of a server to follow its burn-down.'),
+      'on_track' => $this->t('On track to stay within the budget.'),
+      'at_risk' => $this->t('Projected to stay within the budget, but a busier second half of the month would exceed it.'),
+      'over_budget' => $this->t('Projected to exceed the budget around @date.', ['@date' => $exhausted_on]),
+      'exhausted' => $this->t('The budget ran out on @date.', ['@date' => $exhausted_on]),
+    ];
+    $build['status'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'p',
+      '#value' => $messages[$forecast['status']],
+      '#attributes' => ['class' => ['forecast-status', 'forecast-status--' . str_replace('_', '-', $forecast['status'])]],
+    ];
+
+    $series = [
+      'actual' => $budget > 0 ? $this->t('Budget left') : $this->t('Spent'),
+      'projected' => $this->t('Projected'),
+      'low' => $this->t('Low estimate'),
+      'high' => $this->t('High estimate'),
+    ];
+    $burn_down = ['series' => []];
+    foreach ($series as $key => $name) {
+      $burn_down['series'][] = [
+        'name' => (string) $name,
+        'comparison' => in_array($key, ['low', 'high'], true),
+        'data' => array_map(function ($point) use ($day_label) {
+          return ['label' => $day_label($point['date']), 'value' => $point['value']];
+        }, $forecast['burn_down'][$key]),
+      ];
+    }
+    $build['burn_down'] = $this->buildMetricChart(
+        $budget > 0 ? $this->t('Budget Burn-down') : $this->t('Spend This Month'),
+        'forecast.burn_down',
+        $burn_down,
+        'line',
+        $currency
+    );
+
+    $spend = [];
+    $average = [];
+    $anomalies = [];
+    foreach ($forecast['daily'] as $day) {
+      $spend[] = [
+        'label' => $day_label($day['date']),
+        'value' => $day['cost'],
+        'flagged' => $day['flagged'],
+        'url' => $day_url($day['date'])->toString(),
+      ];
+      $average[] = ['label' => $day_label($day['date']), 'value' => $day['average']];
+
+      if ($day['flagged']) {
+        $anomalies[] = [
+          '#type' => 'link',
+          '#title' => $this->t('@date: @cost, @ratio times the average of the week before', [
+            '@date' => $day_label($day['date']),
+            '@cost' => $this->formatCurrency($day['cost']),
+            '@ratio' => $day['ratio'] !== null ? number_format($day['ratio'], 1) : '-',
+          ]),
+          '#url' => $day_url($day['date']),
+        ];
+      }
+    }
+    $build['daily'] = $this->buildMetricChart(
+        $this->t('Daily Spend'),
+        'forecast.daily',
+        ['series' => [
+          ['name' => (string) $this->t('Daily spend'), 'data' => $spend],
+          ['name' => (string) $this->t('Average of the week before'), 'data' => $average, 'comparison' => true],
+        ]],
+        'bar',
+        $currency
+    );
+
+    $build['anomalies'] = [
+      '#theme' => 'item_list',
+      '#title' => $this->t('Unusual days'),
+      '#items' => $anomalies,
+      '#empty' => $this->t('No day of the last @count stands out from the week before it.', ['@count' => count($forecast['daily'])]),
+      '#attributes' => ['class' => ['forecast-anomalies']],
+    ];
+
+    return $build;
+  }
+
+  /**
+   * Server status page.
+   * {@inheritdoc}
+   *
+   * @param string $server_id
+   *   The server ID.
+   *   {@inheritdoc}.
+   *
+   * @return array
+   *   A renderable array for the server status page.
+   */
+  public function serverStatus($server_id)
+  {
+    $server = Server::load($server_id);
+
+    if (!$server) {
+      throw new NotFoundHttpException('Server not found');
+    }
+
+    $backend = $server->getBackend();
+    if (!in_array($backend->getPluginId(), ['postgresql', 'postgresql_azure'])) {
+      $this->messenger()->addError($this->t('Server @server is not using a PostgreSQL backend.', [
+        '@server' => $server->label(),
+      ]));
+      return $this->redirect('search_api_postgresql.admin.dashboard');
+    }
+
+    $build = [];
+
+    $build['header'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['server-status-header']],
+    ];
+
+    $build['header']['title'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'h1',
+      '#value' => $this->t('Server Status: @server', ['@server' => $server->label()]),
+    ];
+
+    $build['header']['breadcrumb'] = [
+      '#type' => 'link',
+      '#title' => $this->t('← Back to Dashboard'),
+      '#url' => Url::fromRoute('search_api_postgresql.admin.dashboard'),
+      '#attributes' => ['class' => ['breadcrumb-link']],
+    ];
+
+    // Server information.
+    $server_info = $this->getServerInformation($server);
+
+    $build['info'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Server Information'),
+      '#open' => true,
+    ];
+
+    $build['info']['table'] = [
+      '#theme' => 'table',
+      '#header' => [$this->t('Property'), $this->t('Value')],
+      '#rows' => [
+      [$this->t('Server ID'), $server->id()],
+      [$this->t('Server Name'), $server->label()],
+      [$this->t('Backend'), $backend->getPluginDefinition()['label']],
+      [$this->t('Status'), $server->status() ? $this->t('Enabled') : $this->t('Disabled')],
+      [$this->t('Database Host'), $server_info['host'] ?? $this->t('N/A')],
+      [$this->t('Database Name'), $server_info['database'] ?? $this->t('N/A')],
+      [$this->t('PostgreSQL Version'), $server_info['pg_version'] ?? $this->t('Unknown')],
+      [
+        $this->t('pgvector Extension'),
+        $server_info['has_pgvector'] ? $this->t('Available') : $this->t('Not Available'),
+      ],
+      [$this->t('AI Embeddings'), $server_info['ai_enabled'] ? $this->t('Enabled') : $this->t('Disabled')],
+      [$this->t('Vector Search'), $server_info['vector_search'] ? $this->t('Enabled') : $this->t('Disabled')],
+      ],
+    ];
+
+    // Configuration validation.
+    $validation_results = $this->validationService->validateServerConfiguration($server);
+
+    $build['validation'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Configuration Validation'),
+      '#open' => !empty($validation_results['errors']),
+    ];
+
+    if (!empty($validation_results['errors'])) {
+      $build['validation']['errors'] = [
+        '#theme' => 'item_list',
+        '#title' => $this->t('Errors'),
+        '#items' => $validation_results['errors'],
+        '#list_type' => 'ul',
+        '#wrapper_attributes' => ['class' => ['validation-errors']],
+      ];
+    }
+
+    if (!empty($validation_results['warnings'])) {
+      $build['validation']['warnings'] = [
+        '#theme' => 'item_list',
+        '#title' => $this->t('Warnings'),
         '#items' => $validation_results['warnings'],
         '#list_type' => 'ul',
         '#wrapper_attributes' => ['class' => ['validation-warnings']],
@@ -866,44 +1588,484 @@ public function indexEmbeddings($index_id)
   }
 
   /**
-   * Formats currency for display in the admin interface.
+   * Operation console following a started embedding operation.
    * {@inheritdoc}
    *
-   * @param float $amount
-   *   The amount to format.
-   * @param string $currency
-   *   The currency code.
-   *   {@inheritdoc}.
-   *
-   * @return string
-   *   The formatted currency string.
-   */
-  protected function formatCurrency($amount, $currency = 'AUD')
-  {
-    return '$' . number_format($amount, 2) . ' ' . $currency;
-  }
-
-  /**
-   * Gets all indexes on PostgreSQL servers.
-   * {@inheritdoc}
+   * @param string $operation_id
+   *   The operation ID.
    *
    * @return array
-   *   An array of search API index entities.
+   *   A renderable array for the operation console page.
    */
-  protected function getAllIndexes()
+  public function operationConsole($operation_id)
   {
-    $servers = $this->entityTypeManager
-      ->getStorage('search_api_server')
-      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+    $operation = $this->getOperationStatus($operation_id);
 
-    $all_indexes = [];
-    foreach ($servers as $server) {
-      $indexes = $this->getServerIndexes($server);
-      $all_indexes = array_merge($all_indexes, $indexes);
+    if (!$operation) {
+      throw new NotFoundHttpException('Operation not found');
     }
 
-    return $all_indexes;
-  }
+    $build = [];
+
+    $build['header'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['operation-console-header']],
+    ];
+
+    $build['header']['title'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'h1',
+      '#value' => $this->t('Operation: @operation', ['@operation' => $operation['operation_label']]),
+    ];
+
+    $build['header']['breadcrumb'] = [
+      '#type' => 'link',
+      '#title' => $this->t('← Back to Embedding Management'),
+      '#url' => Url::fromRoute('search_api_postgresql.admin.embedding_management'),
+      '#attributes' => ['class' => ['breadcrumb-link']],
+    ];
+
+    $build['console'] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['operation-console'],
+        'data-operation-id' => $operation_id,
+        'data-mode' => $operation['mode'],
+        'data-status' => $operation['status'],
+      ],
+    ];
+
+    $build['console']['progress'] = [
+      '#type' => 'inline_template',
+      '#template' => '<div class="operation-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="{{ percent }}"><div class="operation-progress-fill" style="width: {{ percent }}%"></div></div>',
+      '#context' => ['percent' => $operation['percent']],
+    ];
+
+    $metrics = [
+      'status' => [$this->t('Status'), $operation['status_label']],
+      'batches_completed' => [$this->t('Batches completed'), number_format($operation['batches_completed'])],
+      'processed_items' => [
+        $this->t('Items processed'),
+        $this->t('@processed of @total', [
+          '@processed' => number_format($operation['processed_items']),
+          '@total' => number_format($operation['total_items']),
+        ]),
+      ],
+      'failed_items' => [$this->t('Items failed'), number_format($operation['failed_items'])],
+      'items_per_second' => [$this->t('Items per second'), $operation['items_per_second']],
+      'elapsed' => [$this->t('Elapsed'), $operation['elapsed_formatted']],
+      'eta' => [$this->t('Time remaining'), $operation['eta']],
+      'cost' => [
+        $this->t('Running cost'),
+        $this->t('@cost of @estimated estimated', [
+          '@cost' => $this->formatCurrency($operation['cost'], $operation['currency']),
+          '@estimated' => $this->formatCurrency($operation['estimated_cost'], $operation['currency']),
+        ]),
+      ],
+    ];
+
+    $rows = [];
+    foreach ($metrics as $key => $metric) {
+      $rows[] = [
+        ['data' => $metric[0], 'header' => true],
+        ['data' => $metric[1], 'data-metric' => $key],
+      ];
+    }
+
+    $build['console']['metrics'] = [
+      '#theme' => 'table',
+      '#rows' => $rows,
+      '#attributes' => ['class' => ['operation-metrics']],
+    ];
+
+    $build['console']['controls'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['operation-controls']],
+    ];
+
+    $controls = [
+      'pause' => $this->t('Pause'),
+      'resume' => $this->t('Resume'),
+      'cancel' => $this->t('Cancel operation'),
+    ];
+    foreach ($controls as $action => $label) {
+      $build['console']['controls'][$action] = [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $label,
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'operation-control'],
+          'data-action' => $action,
+        ],
+      ];
+      if (!in_array($action, $operation['actions'], true)) {
+        $build['console']['controls'][$action]['#attributes']['disabled'] = 'disabled';
+      }
+    }
+
+    if ($operation['mode'] === 'batch') {
+      $build['console']['controls']['note'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'p',
+        '#value' => $this->t('Batch operations run in the browser and cannot be paused. Cancelling stops them after the current batch.'),
+        '#attributes' => ['class' => ['description']],
+      ];
+    }
+
+    $target_rows = [];
+    foreach ($operation['targets'] as $index_id => $target) {
+      $target_rows[] = [
+        'data' => [
+          $target['label'],
+          ['data' => number_format($target['processed']) . ' / ' . number_format($target['total']), 'class' => ['target-processed']],
+          ['data' => number_format($target['failed']), 'class' => ['target-failed']],
+          ['data' => $target['done'] ? $this->t('Done') : $this->t('Pending'), 'class' => ['target-state']],
+        ],
+        'data-index-id' => $index_id,
+      ];
+    }
+
+    $build['console']['targets'] = [
+      '#theme' => 'table',
+      '#header' => [
+        $this->t('Index'),
+        $this->t('Processed'),
+        $this->t('Failed'),
+        $this->t('State'),
+      ],
+      '#rows' => $target_rows,
+      '#empty' => $this->t('No index has AI embeddings enabled.'),
+      '#attributes' => ['class' => ['operation-targets']],
+    ];
+
+    $build['console']['failures'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Failed items'),
+      '#open' => true,
+    ];
+
+    $build['console']['failures']['table'] = [
+      '#theme' => 'table',
+      '#header' => [
+        $this->t('Time'),
+        $this->t('Index'),
+        $this->t('Item'),
+        $this->t('Error'),
+      ],
+      '#rows' => array_map(function ($failure) {
+        return [
+          \Drupal::service('date.formatter')->format($failure['time'], 'custom', 'H:i:s'),
+          $failure['index_id'],
+          $failure['item_id'],
+          $failure['message'],
+        ];
+      }, array_reverse($operation['failures'])),
+      '#empty' => $this->t('No item has failed.'),
+      '#attributes' => ['class' => ['operation-failures']],
+    ];
+
+    $build['#attached']['library'][] = 'search_api_postgresql/admin';
+
+    return $build;
+  }
+
+  /**
+   * Operation history page.
+   * {@inheritdoc}
+   *
+   * Lists who ran which embedding management operation, with what it
+   * processed and cost, and links each entry back to the embedding management
+   * form pre-filled with its parameters.
+   *
+   * @return array
+   *   A renderable array for the operation history page.
+   */
+  public function operationHistory()
+  {
+    $date_formatter = \Drupal::service('date.formatter');
+    $entries = $this->operationHistory->getEntries();
+    $build = [];
+
+    $build['header'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['operation-history-header']],
+    ];
+
+    $build['header']['title'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'h1',
+      '#value' => $this->t('Operation History'),
+    ];
+
+    $build['header']['breadcrumb'] = [
+      '#type' => 'link',
+      '#title' => $this->t('← Back to Embedding Management'),
+      '#url' => Url::fromRoute('search_api_postgresql.admin.embedding_management'),
+      '#attributes' => ['class' => ['breadcrumb-link']],
+    ];
+
+    $status_labels = [
+      OperationTrackerService::STATUS_RUNNING => $this->t('Running'),
+      OperationTrackerService::STATUS_PAUSED => $this->t('Paused'),
+      OperationTrackerService::STATUS_COMPLETED => $this->t('Completed'),
+      OperationTrackerService::STATUS_CANCELLED => $this->t('Cancelled'),
+      OperationHistoryService::STATUS_FAILED => $this->t('Failed'),
+    ];
+    $operation_labels = [];
+    foreach (array_unique(array_column($entries, 'operation')) as $operation) {
+      $operation_labels[$operation] = ucfirst(str_replace('_', ' ', $operation));
+    }
+
+    $build['filters'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['operation-history-filters']],
+    ];
+
+    $build['filters']['search'] = [
+      '#type' => 'search',
+      '#title' => $this->t('Search'),
+      '#placeholder' => $this->t('User, server or index'),
+      '#attributes' => ['data-filter' => 'search'],
+    ];
+
+    $build['filters']['operation'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Operation'),
+      '#options' => $operation_labels,
+      '#empty_option' => $this->t('- Any -'),
+      '#attributes' => ['data-filter' => 'operation'],
+    ];
+
+    $build['filters']['status'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Status'),
+      '#options' => $status_labels,
+      '#empty_option' => $this->t('- Any -'),
+      '#attributes' => ['data-filter' => 'status'],
+    ];
+
+    $build['filters']['count'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'span',
+      '#value' => $this->formatPlural(count($entries), '1 operation', '@count operations'),
+      '#attributes' => ['class' => ['operation-history-count']],
+    ];
+
+    $rows = [];
+    foreach ($entries as $entry) {
+      $links = [];
+      if ($entry['operation_id'] && !$entry['finished']) {
+        $links['console'] = [
+          'title' => $this->t('Console'),
+          'url' => Url::fromRoute('search_api_postgresql.admin.operation_console', [
+            'operation_id' => $entry['operation_id'],
+          ]),
+        ];
+      }
+      $rerun_query = $this->operationHistory->getRerunQuery($entry);
+      if ($rerun_query) {
+        $links['rerun'] = [
+          'title' => $this->t('Re-run with same parameters'),
+          'url' => Url::fromRoute('search_api_postgresql.admin.embedding_management', [], ['query' => $rerun_query]),
+        ];
+      }
+
+      $user = $entry['name'] ?: $this->t('Anonymous');
+      $target = ($entry['server_id'] ?: $this->t('All servers')) . ' / ' . ($entry['index_id'] ?: $this->t('All indexes'));
+
+      $rows[] = [
+        'data' => [
+          $date_formatter->format($entry['started'], 'short'),
+          $user,
+          $operation_labels[$entry['operation']],
+          $target,
+          $this->formatOperationParameters($entry['parameters']),
+          number_format($entry['items_processed']),
+          number_format($entry['items_failed']),
+          $this->t('@actual of @estimated estimated', [
+            '@actual' => $this->formatCurrency($entry['actual_cost'], $entry['currency']),
+            '@estimated' => $this->formatCurrency($entry['estimated_cost'], $entry['currency']),
+          ]),
+          (string) $date_formatter->formatInterval($entry['duration']),
+          [
+            'data' => $status_labels[$entry['status']] ?? $entry['status'],
+            'title' => $entry['message'] ?? '',
+          ],
+          [
+            'data' => [
+              '#type' => 'operations',
+              '#links' => $links,
+            ],
+          ],
+        ],
+        'data-operation' => $entry['operation'],
+        'data-status' => $entry['status'],
+        'data-search' => mb_strtolower($user . ' ' . $entry['server_id'] . ' ' . $entry['index_id']),
+      ];
+    }
+
+    $build['history'] = [
+      '#theme' => 'table',
+      '#header' => [
+        $this->t('Started'),
+        $this->t('User'),
+        $this->t('Operation'),
+        $this->t('Server / index'),
+        $this->t('Parameters'),
+        $this->t('Processed'),
+        $this->t('Failures'),
+        $this->t('Cost'),
+        $this->t('Duration'),
+        $this->t('Status'),
+        $this->t('Actions'),
+      ],
+      '#rows' => $rows,
+      '#empty' => $this->t('No operation has been run yet.'),
+      '#attributes' => ['class' => ['operation-history']],
+    ];
+
+    $build['#attached']['library'][] = 'search_api_postgresql/admin';
+
+    return $build;
+  }
+
+  /**
+   * Formats currency for display in the admin interface.
+   * {@inheritdoc}
+   *
+   * @param float $amount
+   *   The amount to format.
+   * @param string $currency
+   *   The currency code.
+   *   {@inheritdoc}.
+   *
+   * @return string
+   *   The formatted currency string.
+   */
+  protected function formatCurrency($amount, $currency = EmbeddingModelCatalog::PRICE_CURRENCY)
+  {
+    // Embedding prices are fractions of a cent, so keep four decimals there.
+    return number_format($amount, $amount > 0 && $amount < 1 ? 4 : 2) . ' ' . $currency;
+  }
+
+  /**
+   * Summarizes the options an operation ran with.
+   * {@inheritdoc}
+   *
+   * @param array $parameters
+   *   The selection stored in the operation history.
+   *
+   * @return string
+   *   The options as a comma separated list.
+   */
+  protected function formatOperationParameters(array $parameters)
+  {
+    $summary = [
+      $this->t('Batch size @size', ['@size' => $parameters['batch_size'] ?? 50]),
+    ];
+    if (!empty($parameters['use_queue'])) {
+      $summary[] = $this->t('Queued with @priority priority', ['@priority' => $parameters['priority'] ?? 'normal']);
+    }
+    if (!empty($parameters['force_overwrite'])) {
+      $summary[] = $this->t('Force overwrite');
+    }
+    if (!empty($parameters['budget_override'])) {
+      $summary[] = $this->t('Budget override');
+    }
+
+    $filters = ItemSelectionService::normalizeFilters($parameters);
+    if ($filters['datasources']) {
+      $summary[] = $this->t('Datasources: @list', ['@list' => implode(', ', $filters['datasources'])]);
+    }
+    if ($filters['bundles']) {
+      $summary[] = $this->t('Bundles: @list', ['@list' => implode(', ', $filters['bundles'])]);
+    }
+    if ($filters['changed_from'] || $filters['changed_to']) {
+      $summary[] = $this->t('Changed @from to @to', [
+        '@from' => $filters['changed_from'] ?: '…',
+        '@to' => $filters['changed_to'] ?: '…',
+      ]);
+    }
+    if ($filters['item_ids']) {
+      $summary[] = $this->t('@count pasted item IDs', ['@count' => count($filters['item_ids'])]);
+    }
+    if ($filters['failed_validation']) {
+      $summary[] = $this->t('Failed last validation');
+    }
+
+    return implode(', ', $summary);
+  }
+
+  /**
+   * Gets a tracked operation prepared for display.
+   * {@inheritdoc}
+   *
+   * @param string $operation_id
+   *   The operation ID.
+   *
+   * @return array|null
+   *   The tracked operation with its 'operation_label', 'status_label',
+   *   formatted 'elapsed_formatted' and 'eta', and the control 'actions'
+   *   available, or NULL if the operation is unknown.
+   */
+  protected function getOperationStatus($operation_id)
+  {
+    $operation = $this->operationTracker->get($operation_id);
+    if (!$operation) {
+      return null;
+    }
+
+    $date_formatter = \Drupal::service('date.formatter');
+    $status_labels = [
+      OperationTrackerService::STATUS_RUNNING => $this->t('Running'),
+      OperationTrackerService::STATUS_PAUSED => $this->t('Paused'),
+      OperationTrackerService::STATUS_COMPLETED => $this->t('Completed'),
+      OperationTrackerService::STATUS_CANCELLED => $this->t('Cancelled'),
+    ];
+
+    $operation['operation_label'] = ucfirst(str_replace('_', ' ', $operation['operation']));
+    $operation['status_label'] = (string) $status_labels[$operation['status']];
+    $operation['elapsed_formatted'] = (string) $date_formatter->formatInterval($operation['elapsed']);
+    if ($operation['eta_seconds'] === null) {
+      $operation['eta'] = (string) $this->t('Calculating…');
+    } else {
+      $operation['eta'] = $operation['eta_seconds'] ? (string) $date_formatter->formatInterval($operation['eta_seconds']) : '-';
+    }
+
+    // Batch API requests cannot be held, so only queued operations pause.
+    $operation['actions'] = [];
+    if (!$operation['finished']) {
+      if ($operation['mode'] === 'queue') {
+        $operation['actions'][] = $operation['status'] === OperationTrackerService::STATUS_PAUSED ? 'resume' : 'pause';
+      }
+      $operation['actions'][] = 'cancel';
+    }
+
+    return $operation;
+  }
+
+  /**
+   * Gets all indexes on PostgreSQL servers.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   An array of search API index entities.
+   */
+  protected function getAllIndexes()
+  {
+    $servers = $this->entityTypeManager
+      ->getStorage('search_api_server')
+      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+
+    $all_indexes = [];
+    foreach ($servers as $server) {
+      $indexes = $this->getServerIndexes($server);
+      $all_indexes = array_merge($all_indexes, $indexes);
+    }
+
+    return $all_indexes;
+  }
 
   /**
    * Test configuration page.
@@ -988,124 +2150,1156 @@ public function testConfiguration()
           '#open' => !($config_result['success'] ?? true),
         ];
 
-        if (!empty($config_result['errors'])) {
-          $build['results'][$server->id()]['configuration']['errors'] = [
-            '#theme' => 'item_list',
-            '#title' => $this->t('Errors'),
-            '#items' => $config_result['errors'],
-            '#attributes' => ['class' => ['test-errors']],
-          ];
-        }
+        if (!empty($config_result['errors'])) {
+          $build['results'][$server->id()]['configuration']['errors'] = [
+            '#theme' => 'item_list',
+            '#title' => $this->t('Errors'),
+            '#items' => $config_result['errors'],
+            '#attributes' => ['class' => ['test-errors']],
+          ];
+        }
+
+        if (!empty($config_result['warnings'])) {
+          $build['results'][$server->id()]['configuration']['warnings'] = [
+            '#theme' => 'item_list',
+            '#title' => $this->t('Warnings'),
+            '#items' => $config_result['warnings'],
+            '#attributes' => ['class' => ['test-warnings']],
+          ];
+        }
+      }
+
+      // Health tests.
+      if (!empty($test_results['health'])) {
+        $health_result = $test_results['health'];
+        $build['results'][$server->id()]['health'] = [
+          '#type' => 'details',
+          '#title' => $this->t('Health Tests'),
+          '#open' => !($health_result['overall'] ?? true),
+        ];
+
+        // Add health check details if available.
+        if (is_array($health_result)) {
+          foreach ($health_result as $check_name => $check_result) {
+            if ($check_name === 'overall') {
+              continue;
+            }
+
+            $build['results'][$server->id()]['health'][$check_name] = [
+              '#type' => 'html_tag',
+              '#tag' => 'div',
+              '#attributes' => ['class' => ['health-check']],
+              '#value' => $this->t('@check: @status', [
+                '@check' => ucfirst(str_replace('_', ' ', $check_name)),
+                '@status' => is_array($check_result) ?
+                (($check_result['success'] ?? false) ? $this->t('Passed') : $this->t('Failed')) :
+                ($check_result ? $this->t('Passed') : $this->t('Failed')),
+              ]),
+            ];
+          }
+        }
+      }
+
+      // Overall result.
+      if (!empty($test_results['overall']['message'])) {
+        $build['results'][$server->id()]['overall_message'] = [
+          '#type' => 'html_tag',
+          '#tag' => 'p',
+          '#value' => $test_results['overall']['message'],
+          '#attributes' => ['class' => ['test-overall-message']],
+        ];
+      }
+    }
+
+    $build['#attached']['library'][] = 'search_api_postgresql/admin';
+
+    return $build;
+  }
+
+  /**
+   * Ajax endpoint for server statistics.
+   * {@inheritdoc}
+   *
+   * @param string $server_id
+   *   The server ID.
+   *   {@inheritdoc}.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with server statistics.
+   */
+  public function ajaxServerStats($server_id)
+  {
+    $server = Server::load($server_id);
+
+    if (!$server) {
+      return new JsonResponse(['error' => 'Server not found'], 404);
+    }
+
+    $stats = $this->analyticsService->getServerMetrics($server_id, '1h');
+
+    return new JsonResponse([
+      'server_id' => $server_id,
+      'stats' => $stats,
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint with everything the dashboard refreshes in place.
+   * {@inheritdoc}
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with stat card values keyed by card, and the rows of the
+   *   server and index status tables.
+   */
+  public function ajaxDashboardStats()
+  {
+    $overview_stats = $this->getOverviewStatistics();
+
+    return new JsonResponse([
+      'stats' => [
+        'servers' => [
+          'value' => $overview_stats['total_servers'],
+          'subtitle' => (string) $this->t('@enabled enabled', ['@enabled' => $overview_stats['enabled_servers']]),
+        ],
+        'indexes' => [
+          'value' => $overview_stats['total_indexes'],
+          'subtitle' => (string) $this->t('@ai with AI', ['@ai' => $overview_stats['ai_indexes']]),
+        ],
+        'embeddings' => [
+          'value' => $overview_stats['total_embeddings'],
+          'subtitle' => (string) $this->t('@coverage% coverage', ['@coverage' => round($overview_stats['embedding_coverage'], 1)]),
+        ],
+        'queue' => [
+          'value' => $overview_stats['queue_items'],
+          'subtitle' => (string) $this->t('pending processing'),
+        ],
+      ],
+      'servers' => $this->getServerStatusData(),
+      'indexes' => $this->getIndexStatusData(),
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Streams live admin status as Server-Sent Events or long-poll responses.
+   * {@inheritdoc}
+   *
+   * Pushes progress, queue, circuit_breaker and server_status events. With
+   * "transport=poll" the request instead waits until something changed (or
+   * LONG_POLL_TIMEOUT passed) and returns the events as JSON, with a cursor
+   * to send back on the next request.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   A text/event-stream response, or JSON for long-polling.
+   */
+  public function ajaxEventStream(Request $request)
+  {
+    if ($request->query->get('transport') === 'poll') {
+      $cursor = json_decode((string) $request->query->get('cursor', ''), true);
+      $cursor = is_array($cursor) ? $cursor : [];
+
+      $deadline = time() + self::LONG_POLL_TIMEOUT;
+      while (!($events = $this->adminEvents->poll($cursor)) && time() < $deadline) {
+        sleep(1);
+      }
+
+      return new JsonResponse([
+        'events' => $events,
+        'cursor' => json_encode($cursor),
+        'timestamp' => time(),
+      ]);
+    }
+
+    $response = new StreamedResponse(function () {
+      // Send events as they are written rather than when the buffer fills.
+      while (ob_get_level() > 0) {
+        ob_end_flush();
+      }
+
+      $cursor = [];
+      $started = $last_output = time();
+
+      echo "retry: 5000\n\n";
+      flush();
+
+      while (time() - $started < self::STREAM_LIFETIME && !connection_aborted()) {
+        $events = $this->adminEvents->poll($cursor);
+        foreach ($events as $event) {
+          echo $this->adminEvents->formatSseEvent($event);
+        }
+
+        // Comment lines keep proxies from closing an idle connection.
+        if ($events) {
+          $last_output = time();
+        } elseif (time() - $last_output >= 15) {
+          echo ": keepalive\n\n";
+          $last_output = time();
+        }
+
+        flush();
+        sleep(1);
+      }
+    });
+
+    $response->headers->set('Content-Type', 'text/event-stream');
+    $response->headers->set('Cache-Control', 'no-cache, no-store');
+    // Disable response buffering in nginx.
+    $response->headers->set('X-Accel-Buffering', 'no');
+
+    return $response;
+  }
+
+  /**
+   * Ajax endpoint for embedding progress.
+   * {@inheritdoc}
+   *
+   * @param string $index_id
+   *   The index ID.
+   *   {@inheritdoc}.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with embedding progress data.
+   */
+  public function ajaxEmbeddingProgress($index_id)
+  {
+    $index = Index::load($index_id);
+
+    if (!$index) {
+      return new JsonResponse(['error' => 'Index not found'], 404);
+    }
+
+    $stats = $this->getIndexEmbeddingStats($index);
+
+    return new JsonResponse([
+      'index_id' => $index_id,
+      'progress' => $stats,
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint returning hybrid search candidates for weight tuning.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the sample query in the "keys" parameter.
+   * @param string $index_id
+   *   The index ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with keyword and semantic scores per candidate.
+   */
+  public function ajaxHybridPreview(Request $request, $index_id)
+  {
+    $index = Index::load($index_id);
+
+    if (!$index || !$index->hasValidServer() || $index->getServerInstance()->getBackendId() !== 'postgresql') {
+      return new JsonResponse(['error' => 'Index not found'], 404);
+    }
+
+    $keys = trim((string) $request->query->get('keys', ''));
+    if ($keys === '') {
+      return new JsonResponse(['error' => 'Enter a sample query'], 400);
+    }
+
+    try {
+      $preview = $index->getServerInstance()->getBackend()->previewHybridRanking($index, $keys);
+    } catch (\Exception $e) {
+      $this->getLogger('search_api_postgresql')->error('Hybrid preview failed for @index: @error', [
+        '@index' => $index_id,
+        '@error' => $e->getMessage(),
+      ]);
+      return new JsonResponse(['error' => 'The preview query failed'], 500);
+    }
+
+    return new JsonResponse([
+      'index_id' => $index_id,
+      'keys' => $keys,
+    ] + $preview + [
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint running staged diagnostics on connection settings.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request. Its JSON body holds the connection form values and,
+   *   when editing, the server ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the result of each stage.
+   */
+  public function ajaxConnectionDiagnostics(Request $request)
+  {
+    $data = json_decode($request->getContent(), true) ?: [];
+
+    $connection = [];
+    foreach (['host', 'port', 'database', 'username', 'password', 'ssl_mode'] as $key) {
+      $connection[$key] = isset($data[$key]) ? (string) $data[$key] : '';
+    }
+    $connection['port'] = (int) $connection['port'] ?: 5432;
+
+    if (!empty($data['server_id']) && ($server = Server::load($data['server_id'])) && $server->getBackendId() === 'postgresql') {
+      $connection = $server->getBackend()->resolveConnectionConfig($connection);
+    }
+
+    if ($connection['host'] === '' || $connection['database'] === '' || $connection['username'] === '') {
+      return new JsonResponse(['error' => 'Host, database and username are required'], 400);
+    }
+
+    return new JsonResponse([
+      'stages' => $this->connectionDiagnostics->diagnose($connection),
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint checking an embedding provider's credentials.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request. Its JSON body holds the provider ID, the provider's form
+   *   values and, when editing, the server ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the latency and returned dimension.
+   */
+  public function ajaxVerifyEmbeddingProvider(Request $request)
+  {
+    $data = json_decode($request->getContent(), true) ?: [];
+    $provider = $data['provider'] ?? '';
+    $settings = is_array($data['settings'] ?? null) ? array_map('strval', array_filter($data['settings'], 'is_scalar')) : [];
+
+    if (!empty($data['server_id'])) {
+      $server = Server::load($data['server_id']);
+      if (!$server || $server->getBackendId() !== 'postgresql') {
+        return new JsonResponse(['error' => 'Server not found'], 404);
+      }
+    } else {
+      // New servers are checked with an unsaved backend.
+      $server = Server::create(['backend' => 'postgresql', 'backend_config' => []]);
+    }
+
+    try {
+      $result = $server->getBackend()->verifyEmbeddingProvider($provider, $settings);
+    } catch (\Exception $e) {
+      $this->getLogger('search_api_postgresql')->notice('Embedding provider check failed for @provider: @error', [
+        '@provider' => $provider,
+        '@error' => $e->getMessage(),
+      ]);
+      return new JsonResponse(['error' => $e->getMessage()], 422);
+    }
+
+    return new JsonResponse($result + ['timestamp' => time()]);
+  }
+
+  /**
+   * Ajax endpoint running a single system health check.
+   * {@inheritdoc}
+   *
+   * @param string $check
+   *   The check ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the check result, duration and recent history.
+   */
+  public function ajaxHealthCheck($check)
+  {
+    if (!isset($this->healthChecks->getChecks()[$check])) {
+      return new JsonResponse(['error' => 'Unknown health check'], 404);
+    }
+
+    return new JsonResponse($this->healthChecks->run($check) + ['timestamp' => time()]);
+  }
+
+  /**
+   * Ajax endpoint reporting what is currently running degraded.
+   * {@inheritdoc}
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the active degradations and their highest severity.
+   */
+  public function ajaxDegradation()
+  {
+    $active = $this->degradationState->getActive();
+
+    return new JsonResponse([
+      'degradations' => $active,
+      'severity' => $this->degradationState->getSeverity($active),
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint resetting a circuit breaker.
+   * {@inheritdoc}
+   *
+   * @param string $service
+   *   The protected service name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the statistics of every circuit.
+   */
+  public function ajaxResetCircuitBreaker($service)
+  {
+    if (!$this->circuitBreaker || !in_array($service, $this->circuitBreaker->getServiceNames(), true)) {
+      return new JsonResponse(['error' => 'Circuit breaker not found'], 404);
+    }
+
+    $this->circuitBreaker->resetCircuit($service);
+    $this->getLogger('search_api_postgresql')->notice('Circuit breaker for @service reset by @user.', [
+      '@service' => $service,
+      '@user' => $this->currentUser()->getAccountName(),
+    ]);
+
+    return new JsonResponse([
+      'services' => $this->circuitBreaker->getAllServiceStats(),
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint estimating the cost of an embedding management operation.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request. Its JSON body holds the operation, the selected server and
+   *   index IDs, the batch size and the force_overwrite flag.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the total cost, per-index breakdown, items affected,
+   *   estimated time and the budget check of the servers involved.
+   */
+  public function ajaxCostEstimation(Request $request)
+  {
+    $data = json_decode($request->getContent(), true) ?: [];
+    $operation = $data['operation'] ?? '';
+
+    if (!in_array($operation, CostEstimationService::OPERATIONS, true)) {
+      return new JsonResponse(['error' => 'Unknown operation'], 400);
+    }
+
+    $targets = $this->costEstimator->getTargets($data['server_id'] ?? null, $data['index_id'] ?? null);
+    $estimate = $this->costEstimator->estimate($operation, $targets, [
+      'batch_size' => (int) ($data['batch_size'] ?? 50),
+      'force_overwrite' => !empty($data['force_overwrite']),
+    ] + ItemSelectionService::normalizeFilters($data));
+
+    return new JsonResponse($estimate + [
+      'budget' => $this->budgetGuard->check($estimate, $targets),
+      'estimated_time' => $estimate['estimated_seconds']
+        ? (string) \Drupal::service('date.formatter')->formatInterval($estimate['estimated_seconds'])
+        : '',
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint with the data of the analytics page for a time period.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the period parameters of getRequestedPeriod() and
+   *   "compare" to add the previous period.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the 'cost', 'performance' and 'usage' analytics and,
+   *   when comparing, the 'previous' period's with its time series moved onto
+   *   the current period.
+   */
+  public function ajaxAnalytics(Request $request)
+  {
+    try {
+      $period = $this->getRequestedPeriod($request);
+    } catch (\InvalidArgumentException $e) {
+      return new JsonResponse(['error' => $e->getMessage()], 400);
+    }
+
+    $response = $this->getAnalyticsData($period) + [
+      'period' => $period,
+      'currency' => EmbeddingModelCatalog::PRICE_CURRENCY,
+      'timestamp' => time(),
+    ];
+
+    if ($request->query->get('compare')) {
+      $previous = $this->analyticsService->getPreviousPeriod($period);
+      $response['previous'] = $this->shiftTimeSeries($this->getAnalyticsData($previous), $period['start'] - $previous['start']);
+      $response['previous']['period'] = $previous;
+    }
+
+    return new JsonResponse($response);
+  }
+
+  /**
+   * Ajax endpoint with the spend forecast of a server.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the "server" to forecast, or none for all AI servers.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the 'html' of the forecast.
+   */
+  public function ajaxForecast(Request $request)
+  {
+    $server_id = (string) $request->query->get('server', '');
+    if ($server_id !== '' && !isset($this->getForecastServers()[$server_id])) {
+      return new JsonResponse(['error' => 'Unknown server'], 400);
+    }
+
+    $body = $this->buildForecastBody($server_id);
+
+    return new JsonResponse([
+      'html' => (string) \Drupal::service('renderer')->renderInIsolation($body),
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Exports analytics data as a CSV or JSON download.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the period parameters of getRequestedPeriod(),
+   *   "compare" to add the previous period and the "panel" to export: 'cost',
+   *   'performance', 'usage', 'indexes' or 'all'.
+   * @param string $format
+   *   The format: 'csv' or 'json'.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   The download.
+   */
+  public function analyticsExport(Request $request, $format)
+  {
+    try {
+      $period = $this->getRequestedPeriod($request);
+    } catch (\InvalidArgumentException $e) {
+      throw new BadRequestHttpException($e->getMessage());
+    }
+
+    $panel = (string) $request->query->get('panel', 'all');
+    $panels = ['cost', 'performance', 'usage', 'indexes'];
+    if ($panel !== 'all' && !in_array($panel, $panels, true)) {
+      throw new BadRequestHttpException('Unknown panel');
+    }
+
+    $periods = ['current' => $period];
+    if ($request->query->get('compare')) {
+      $periods['previous'] = $this->analyticsService->getPreviousPeriod($period);
+    }
+
+    $export = [
+      'generated' => date('c'),
+      'currency' => EmbeddingModelCatalog::PRICE_CURRENCY,
+      'periods' => [],
+    ];
+    foreach ($periods as $name => $export_period) {
+      $export['periods'][$name] = [
+        'start' => date('c', $export_period['start']),
+        'end' => date('c', $export_period['end']),
+        'granularity' => $export_period['granularity'],
+        'data' => array_intersect_key($this->getAnalyticsData($export_period), array_flip($panel === 'all' ? $panels : [$panel])),
+      ];
+    }
+
+    if ($format === 'json') {
+      $response = new Response(json_encode($export, JSON_PRETTY_PRINT));
+      $response->headers->set('Content-Type', 'application/json');
+    } else {
+      $response = new Response($this->buildAnalyticsCsv($export));
+      $response->headers->set('Content-Type', 'text/csv; charset=utf-8');
+    }
+
+    // The end of a period is excluded, so name the file after its last day.
+    $filename = sprintf('embedding-analytics-%s-%s-%s.%s', $panel, date('Y-m-d', $period['start']), date('Y-m-d', $period['end'] - 1), $format);
+    $response->headers->set('Content-Disposition', 'attachment; filename="' . $filename . '"');
+
+    return $response;
+  }
+
+  /**
+   * Writes exported analytics as CSV, one value per row.
+   * {@inheritdoc}
+   *
+   * @param array $export
+   *   The export, as built by analyticsExport().
+   *
+   * @return string
+   *   The CSV.
+   */
+  protected function buildAnalyticsCsv(array $export)
+  {
+    $handle = fopen('php://temp', 'r+');
+    fputcsv($handle, ['period', 'panel', 'metric', 'series', 'time', 'value']);
+
+    foreach ($export['periods'] as $name => $period) {
+      foreach ($this->flattenAnalytics($period['data']) as $row) {
+        array_unshift($row, $name);
+        // Keep spreadsheets from running operation or index names as formulas.
+        foreach ($row as &$value) {
+          if (is_string($value) && !is_numeric($value) && preg_match('/^[=+\-@]/', $value)) {
+            $value = "'" . $value;
+          }
+        }
+        unset($value);
+        fputcsv($handle, $row);
+      }
+    }
+
+    rewind($handle);
+    $csv = stream_get_contents($handle);
+    fclose($handle);
+
+    return $csv;
+  }
+
+  /**
+   * Flattens analytics data to rows of single values.
+   * {@inheritdoc}
+   *
+   * @param array $data
+   *   Analytics data, as returned by getAnalyticsData().
+   *
+   * @return array
+   *   Rows of panel, metric, series, time as ISO 8601 and value.
+   */
+  protected function flattenAnalytics(array $data)
+  {
+    $rows = [];
+
+    foreach ($data['cost'] ?? [] as $metric => $value) {
+      if ($metric !== 'by_operation') {
+        $rows[] = ['cost', $metric, '', '', $value];
+        continue;
+      }
+      foreach ($value as $operation => $totals) {
+        foreach ($totals as $total => $amount) {
+          $rows[] = ['cost', 'by_operation_' . $total, $operation, '', $amount];
+        }
+      }
+    }
+
+    foreach (['performance', 'usage'] as $panel) {
+      foreach ($data[$panel] ?? [] as $metric => $series) {
+        // Lists of points are a single series, others are keyed by name.
+        $named = $series && !isset($series[0]) ? $series : ['' => $series];
+        foreach ($named as $name => $points) {
+          foreach ($points as $point) {
+            $rows[] = [$panel, $metric, $name, date('c', $point['timestamp']), $point['value']];
+          }
+        }
+      }
+    }
+
+    foreach ($data['indexes'] ?? [] as $index) {
+      $rows[] = ['indexes', 'searches', $index['index_id'], '', $index['searches']];
+      $rows[] = ['indexes', 'average_latency', $index['index_id'], '', $index['average_latency']];
+    }
+
+    return $rows;
+  }
+
+  /**
+   * Printable report of the analytics of a period.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the period parameters of getRequestedPeriod() and
+   *   "compare" to add the previous period to the cost summary.
+   *
+   * @return array
+   *   A render array.
+   */
+  public function analyticsReport(Request $request)
+  {
+    try {
+      $period = $this->getRequestedPeriod($request);
+    } catch (\InvalidArgumentException $e) {
+      throw new BadRequestHttpException($e->getMessage());
+    }
+
+    $analytics = $this->getAnalyticsData($period);
+    $previous = null;
+    if ($request->query->get('compare')) {
+      $previous = $this->getAnalyticsData($this->analyticsService->getPreviousPeriod($period));
+    }
+
+    $build = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['analytics-report']],
+    ];
+
+    $build['actions'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['analytics-report-actions']],
+      'print' => [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $this->t('Print or save as PDF'),
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'button--primary'],
+          'data-analytics-print' => '',
+        ],
+      ],
+      'back' => [
+        '#type' => 'link',
+        '#title' => $this->t('Back to analytics'),
+        '#url' => Url::fromRoute('search_api_postgresql.admin.analytics'),
+        '#attributes' => ['class' => ['button']],
+      ],
+    ];
+
+    $granularities = [
+      'hour' => $this->t('hourly'),
+      'day' => $this->t('daily'),
+      'week' => $this->t('weekly'),
+    ];
+    $build['period'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'p',
+      '#value' => $this->t('@start to @end, charted @granularity. Generated @generated.', [
+        '@start' => date('Y-m-d H:i', $period['start']),
+        '@end' => date('Y-m-d H:i', $period['end']),
+        '@granularity' => $granularities[$period['granularity']],
+        '@generated' => date('Y-m-d H:i'),
+      ]),
+      '#attributes' => ['class' => ['analytics-report-period']],
+    ];
+
+    $build['cost'] = $this->buildReportSection($this->t('Cost Summary'));
+    $build['cost']['summary'] = $this->buildCostSummaryTable($analytics['cost'], $previous ? $previous['cost'] : null);
+
+    $operations = [];
+    foreach ($analytics['cost']['by_operation'] as $operation => $totals) {
+      $operations[] = [
+        $operation,
+        number_format($totals['calls']),
+        number_format($totals['tokens']),
+        $this->formatCurrency($totals['cost']),
+      ];
+    }
+    $build['cost']['by_operation'] = [
+      '#type' => 'table',
+      '#caption' => $this->t('Cost by operation'),
+      '#header' => [$this->t('Operation'), $this->t('API calls'), $this->t('Tokens'), $this->t('Cost')],
+      '#rows' => $operations,
+      '#empty' => $this->t('No API calls in this period.'),
+    ];
+
+    $build['charts'] = $this->buildReportSection($this->t('Charts'));
+    foreach ($this->getAnalyticsCharts() as $metric => $chart) {
+      $build['charts'][$metric] = $this->buildMetricChart(
+          $chart['title'],
+          $metric,
+          $this->getChartData($analytics, $metric),
+          $chart['chart_type'],
+          $chart['unit']
+      );
+    }
+
+    $build['indexes'] = $this->buildReportSection($this->t('Top Indexes'));
+    $build['indexes']['table'] = $this->buildTopIndexesTable($analytics['indexes']);
+
+    $build['#attached']['library'][] = 'search_api_postgresql/analytics';
+
+    return $build;
+  }
+
+  /**
+   * Builds a section of the printable analytics report.
+   * {@inheritdoc}
+   *
+   * @param string $title
+   *   The section title.
+   *
+   * @return array
+   *   A render array.
+   */
+  protected function buildReportSection($title)
+  {
+    return [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['analytics-report-section']],
+      'title' => [
+        '#type' => 'html_tag',
+        '#tag' => 'h2',
+        '#value' => $title,
+      ],
+    ];
+  }
+
+  /**
+   * Builds the cost summary table of the printable analytics report.
+   * {@inheritdoc}
+   *
+   * @param array $cost
+   *   The cost analytics of the period.
+   * @param array|null $previous
+   *   The cost analytics of the previous period, to compare with.
+   *
+   * @return array
+   *   A render array.
+   */
+  protected function buildCostSummaryTable(array $cost, $previous = null)
+  {
+    $figures = [
+      'current_cost' => [$this->t('Cost'), [$this, 'formatCurrency']],
+      'api_calls' => [$this->t('API calls'), 'number_format'],
+      'tokens_used' => [$this->t('Tokens'), 'number_format'],
+      'projected_monthly' => [$this->t('Monthly projection'), [$this, 'formatCurrency']],
+    ];
+
+    $header = [$this->t('Figure'), $this->t('This period')];
+    if ($previous) {
+      $header[] = $this->t('Previous period');
+      $header[] = $this->t('Change');
+    }
+
+    $rows = [];
+    foreach ($figures as $key => [$label, $format]) {
+      $row = [$label, $format($cost[$key])];
+      if ($previous) {
+        $row[] = $format($previous[$key]);
+        if ($previous[$key] > 0) {
+          $row[] = sprintf('%+.1f%%', ($cost[$key] - $previous[$key]) / $previous[$key] * 100);
+        } else {
+          $row[] = $cost[$key] > 0 ? $this->t('new') : $this->t('no change');
+        }
+      }
+      $rows[] = $row;
+    }
+
+    return [
+      '#type' => 'table',
+      '#header' => $header,
+      '#rows' => $rows,
+    ];
+  }
+
+  /**
+   * Lists the API calls of a day, most expensive first.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with an optional "server" to limit the calls to.
+   * @param string $date
+   *   The day, as Y-m-d.
+   *
+   * @return array
+   *   A render array.
+   */
+  public function analyticsApiCalls(Request $request, $date)
+  {
+    $day = \DateTime::createFromFormat('!Y-m-d', $date);
+    $server_id = (string) $request->query->get('server', '');
+    $server = $server_id !== '' ? Server::load($server_id) : null;
+    if (!$day || $day->format('Y-m-d') !== $date || ($server_id !== '' && !$server)) {
+      throw new NotFoundHttpException();
+    }
+
+    $start = $day->getTimestamp();
+    $end = $day->modify('+1 day')->getTimestamp();
+    $cost = $this->analyticsService->getCostAnalytics(['start' => $start, 'end' => $end], $server ? $server_id : null);
+    $calls = $this->analyticsService->getApiCalls($start, $end, $server ? $server_id : null);
+
+    $build = [
+      '#title' => $server
+        ? $this->t('API calls of @server on @date', ['@server' => $server->label(), '@date' => $date])
+        : $this->t('API calls on @date', ['@date' => $date]),
+    ];
+
+    $build['back'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Back to analytics'),
+      '#url' => Url::fromRoute('search_api_postgresql.admin.analytics'),
+      '#attributes' => ['class' => ['button']],
+    ];
+
+    $operations = [];
+    foreach ($cost['by_operation'] as $operation => $totals) {
+      $operations[] = [
+        $operation,
+        number_format($totals['calls']),
+        number_format($totals['tokens']),
+        $this->formatCurrency($totals['cost']),
+      ];
+    }
+    $build['by_operation'] = [
+      '#type' => 'table',
+      '#caption' => $this->t('@cost in @calls API calls', [
+        '@cost' => $this->formatCurrency($cost['current_cost']),
+        '@calls' => number_format($cost['api_calls']),
+      ]),
+      '#header' => [$this->t('Operation'), $this->t('API calls'), $this->t('Tokens'), $this->t('Cost')],
+      '#rows' => $operations,
+      '#empty' => $this->t('No API calls on this day.'),
+    ];
+
+    $server_ids = array_unique(array_column($calls['calls'], 'server_id'));
+    $server_labels = array_map(function ($server) {
+      return $server->label();
+    }, $server_ids ? Server::loadMultiple($server_ids) : []);
+    $rows = [];
+    foreach ($calls['calls'] as $call) {
+      $rows[] = [
+        date('H:i:s', $call->timestamp),
+        $server_labels[$call->server_id] ?? $call->server_id,
+        $call->operation,
+        number_format($call->token_count),
+        $this->formatCurrency($call->cost_usd),
+        $this->t('@duration ms', ['@duration' => number_format($call->duration_ms)]),
+      ];
+    }
+    $build['calls'] = [
+      '#type' => 'table',
+      '#caption' => count($rows) < $calls['total']
+        ? $this->t('The @count most expensive of @total API calls', ['@count' => count($rows), '@total' => number_format($calls['total'])])
+        : $this->t('API calls'),
+      '#header' => [
+        $this->t('Time'),
+        $this->t('Server'),
+        $this->t('Operation'),
+        $this->t('Tokens'),
+        $this->t('Cost'),
+        $this->t('Duration'),
+      ],
+      '#rows' => $rows,
+      '#empty' => $this->t('No API calls on this day.'),
+      '#attributes' => ['class' => ['analytics-api-calls']],
+    ];
+
+    return $build;
+  }
+
+  /**
+   * Ajax endpoint counting the items an operation's item selection matches.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request. Its JSON body holds the embedding management form values.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the 'total' and per-index counts, and whether the
+   *   selection is 'filtered'.
+   */
+  public function ajaxItemSelectionCount(Request $request)
+  {
+    $data = json_decode($request->getContent(), true) ?: [];
+    $selection = $this->operationPreview->normalizeSelection($data);
+
+    if (!in_array($selection['operation'], CostEstimationService::OPERATIONS, true)) {
+      return new JsonResponse(['error' => 'Unknown operation'], 400);
+    }
+
+    $targets = $this->costEstimator->getTargets($selection['server_id'], $selection['index_id']);
+    $count = $this->costEstimator->countItems($selection['operation'], $targets, $selection);
+
+    return new JsonResponse($count + [
+      'filtered' => ItemSelectionService::normalizeFilters($selection) !== ItemSelectionService::FILTER_DEFAULTS,
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Ajax endpoint running a dry run of an embedding management operation.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request. Its JSON body holds the embedding management form values.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the preview ID, per-index totals, warnings, cost and
+   *   the first page of items of the first index.
+   */
+  public function ajaxOperationPreview(Request $request)
+  {
+    $data = json_decode($request->getContent(), true) ?: [];
+    $selection = $this->operationPreview->normalizeSelection($data);
 
-        if (!empty($config_result['warnings'])) {
-          $build['results'][$server->id()]['configuration']['warnings'] = [
-            '#theme' => 'item_list',
-            '#title' => $this->t('Warnings'),
-            '#items' => $config_result['warnings'],
-            '#attributes' => ['class' => ['test-warnings']],
-          ];
-        }
+    if (!in_array($selection['operation'], CostEstimationService::OPERATIONS, true)) {
+      return new JsonResponse(['error' => 'Unknown operation'], 400);
+    }
+
+    $preview = $this->operationPreview->preview($selection);
+    $preview['estimated_time'] = $preview['estimated_seconds']
+      ? (string) \Drupal::service('date.formatter')->formatInterval($preview['estimated_seconds'])
+      : '';
+    $preview['sample'] = null;
+    if ($preview['breakdown']) {
+      try {
+        $preview['sample'] = $this->operationPreview->getItems($selection, $preview['breakdown'][0]['index_id']);
+      } catch (\Exception $e) {
+        $this->getLogger('search_api_postgresql')->error('Operation preview items failed: @error', [
+          '@error' => $e->getMessage(),
+        ]);
       }
+    }
 
-      // Health tests.
-      if (!empty($test_results['health'])) {
-        $health_result = $test_results['health'];
-        $build['results'][$server->id()]['health'] = [
-          '#type' => 'details',
-          '#title' => $this->t('Health Tests'),
-          '#open' => !($health_result['overall'] ?? true),
-        ];
+    return new JsonResponse($preview + ['timestamp' => time()]);
+  }
 
-        // Add health check details if available.
-        if (is_array($health_result)) {
-          foreach ($health_result as $check_name => $check_result) {
-            if ($check_name === 'overall') {
-              continue;
-            }
+  /**
+   * Ajax endpoint listing a page of the items a preview would touch.
+   * {@inheritdoc}
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the "index_id" and zero-based "page" parameters.
+   * @param string $preview_id
+   *   The preview ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the page of items and the total.
+   */
+  public function ajaxOperationPreviewItems(Request $request, $preview_id)
+  {
+    $selection = $this->operationPreview->getSelection($preview_id);
+    if (!$selection) {
+      return new JsonResponse(['error' => 'Preview not found'], 404);
+    }
 
-            $build['results'][$server->id()]['health'][$check_name] = [
-              '#type' => 'html_tag',
-              '#tag' => 'div',
-              '#attributes' => ['class' => ['health-check']],
-              '#value' => $this->t('@check: @status', [
-                '@check' => ucfirst(str_replace('_', ' ', $check_name)),
-                '@status' => is_array($check_result) ?
-                (($check_result['success'] ?? false) ? $this->t('Passed') : $this->t('Failed')) :
-                ($check_result ? $this->t('Passed') : $this->t('Failed')),
-              ]),
-            ];
-          }
-        }
-      }
+    try {
+      $sample = $this->operationPreview->getItems(
+          $selection,
+          (string) $request->query->get('index_id', ''),
+          (int) $request->query->get('page', 0)
+      );
+    } catch (\Exception $e) {
+      $this->getLogger('search_api_postgresql')->error('Operation preview items failed: @error', [
+        '@error' => $e->getMessage(),
+      ]);
+      return new JsonResponse(['error' => 'The items could not be listed'], 500);
+    }
 
-      // Overall result.
-      if (!empty($test_results['overall']['message'])) {
-        $build['results'][$server->id()]['overall_message'] = [
-          '#type' => 'html_tag',
-          '#tag' => 'p',
-          '#value' => $test_results['overall']['message'],
-          '#attributes' => ['class' => ['test-overall-message']],
-        ];
-      }
+    if (!$sample) {
+      return new JsonResponse(['error' => 'Index not found'], 404);
     }
 
-    $build['#attached']['library'][] = 'search_api_postgresql/admin';
+    return new JsonResponse($sample + ['timestamp' => time()]);
+  }
 
-    return $build;
+  /**
+   * Ajax endpoint reporting the progress of a started operation.
+   * {@inheritdoc}
+   *
+   * @param string $operation_id
+   *   The operation ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the operation's counters, throughput, remaining time,
+   *   running cost and failed items.
+   */
+  public function ajaxOperationStatus($operation_id)
+  {
+    $operation = $this->getOperationStatus($operation_id);
+    if (!$operation) {
+      return new JsonResponse(['error' => 'Operation not found'], 404);
+    }
+
+    return new JsonResponse($operation + ['timestamp' => time()]);
   }
 
   /**
-   * Ajax endpoint for server statistics.
+   * Ajax endpoint pausing, resuming or cancelling a started operation.
    * {@inheritdoc}
    *
-   * @param string $server_id
-   *   The server ID.
-   *   {@inheritdoc}.
+   * @param string $operation_id
+   *   The operation ID.
+   * @param string $action
+   *   'pause', 'resume' or 'cancel'.
    *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
-   *   JSON response with server statistics.
+   *   JSON response with the operation's updated status.
    */
-  public function ajaxServerStats($server_id)
+  public function ajaxOperationControl($operation_id, $action)
   {
-    $server = Server::load($server_id);
+    $operation = $this->getOperationStatus($operation_id);
+    if (!$operation) {
+      return new JsonResponse(['error' => 'Operation not found'], 404);
+    }
+    if (!in_array($action, $operation['actions'], true)) {
+      return new JsonResponse(['error' => 'The operation cannot be changed this way'], 409);
+    }
 
-    if (!$server) {
-      return new JsonResponse(['error' => 'Server not found'], 404);
+    switch ($action) {
+      case 'pause':
+        $success = $this->queueManager->pauseOperation($operation_id);
+          break;
+
+      case 'resume':
+        $success = $this->queueManager->resumeOperation($operation_id);
+          break;
+
+      default:
+        $success = $this->queueManager->cancelOperation($operation_id)['success'];
+          break;
     }
 
-    $stats = $this->analyticsService->getServerMetrics($server_id, '1h');
+    if (!$success) {
+      return new JsonResponse(['error' => 'The operation could not be changed'], 409);
+    }
 
-    return new JsonResponse([
-      'server_id' => $server_id,
-      'stats' => $stats,
-      'timestamp' => time(),
+    $this->getLogger('search_api_postgresql')->notice('Embedding operation @id: @action by @user.', [
+      '@id' => $operation_id,
+      '@action' => $action,
+      '@user' => $this->currentUser()->getAccountName(),
     ]);
+
+    return new JsonResponse($this->getOperationStatus($operation_id) + ['timestamp' => time()]);
   }
 
   /**
-   * Ajax endpoint for embedding progress.
+   * Ajax endpoint recommending vector index parameters for a server.
    * {@inheritdoc}
    *
-   * @param string $index_id
-   *   The index ID.
-   *   {@inheritdoc}.
+   * @param string $server_id
+   *   The server ID.
    *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
-   *   JSON response with embedding progress data.
+   *   JSON response with per-index row counts and the recommendation.
    */
-  public function ajaxEmbeddingProgress($index_id)
+  public function ajaxVectorIndexAdvice($server_id)
   {
-    $index = Index::load($index_id);
+    $server = Server::load($server_id);
 
-    if (!$index) {
-      return new JsonResponse(['error' => 'Index not found'], 404);
+    if (!$server || $server->getBackendId() !== 'postgresql') {
+      return new JsonResponse(['error' => 'Server not found'], 404);
     }
 
-    $stats = $this->getIndexEmbeddingStats($index);
+    try {
+      $row_counts = $server->getBackend()->getIndexRowCounts();
+    } catch (\Exception $e) {
+      $this->getLogger('search_api_postgresql')->error('Vector index advice failed for @server: @error', [
+        '@server' => $server_id,
+        '@error' => $e->getMessage(),
+      ]);
+      return new JsonResponse(['error' => 'Could not read index sizes from the server'], 500);
+    }
+
+    $recommendation = $this->vectorIndexAdvisor->recommendForIndexes($row_counts);
+    $per_index = $recommendation['indexes'];
+    unset($recommendation['indexes']);
+
+    $indexes = [];
+    foreach ($server->getIndexes() as $index) {
+      $indexes[] = [
+        'id' => $index->id(),
+        'label' => $index->label(),
+        'rows' => $row_counts[$index->id()] ?? null,
+        'recommendation' => $per_index[$index->id()] ?? null,
+      ];
+    }
 
     return new JsonResponse([
-      'index_id' => $index_id,
-      'progress' => $stats,
+      'server_id' => $server_id,
+      'indexes' => $indexes,
+      'recommendation' => $recommendation,
       'timestamp' => time(),
     ]);
   }
@@ -1202,15 +3396,7 @@ protected function getOverviewStatistics()
    */
   protected function buildIndexStatusTable()
   {
-    $servers = $this->entityTypeManager
-      ->getStorage('search_api_server')
-      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
-
-    $indexes = [];
-    foreach ($servers as $server) {
-      $server_indexes = $this->getServerIndexes($server);
-      $indexes = array_merge($indexes, $server_indexes);
-    }
+    $indexes = $this->getIndexStatusData();
 
     if (empty($indexes)) {
       return [
@@ -1222,58 +3408,44 @@ protected function buildIndexStatusTable()
 
     $rows = [];
     foreach ($indexes as $index) {
-      $server = $index->getServerInstance();
-      $backend = $server->getBackend();
-      $config = $backend->getConfiguration();
-
-      // Check if AI is enabled for this index.
-      $ai_enabled = ($config['ai_embeddings']['enabled'] ?? false) ||
-                ($config['azure_embedding']['enabled'] ?? false);
-
-      $status = $index->status() ? $this->t('Enabled') : $this->t('Disabled');
-
-      // GET BASIC STATS FOR ALL INDEXES (AI and non-AI)
-      try {
-        // Get basic index statistics from Search API tracker (no database queries)
-        $tracker = $index->getTrackerInstance();
-        $basic_total = $tracker->getTotalItemsCount();
-        $basic_indexed = $tracker->getIndexedItemsCount();
-
-        if ($ai_enabled && $this->shouldDisplayEmbeddingStats()) {
-          // Get AI-specific stats for AI-enabled indexes ONLY when appropriate.
-          $stats = $this->getIndexEmbeddingStats($index);
-          $total_items = number_format($stats['total_items'] ?: $basic_total);
-          $items_with_embeddings = number_format($stats['items_with_embeddings']);
-          $coverage = round($stats['embedding_coverage'], 1) . '%';
+      if ($index['error']) {
+        $total_items = $items_with_embeddings = $coverage = $this->t('Error');
+      } else {
+        $total_items = number_format($index['total_items']);
+        if ($index['coverage'] !== null) {
+          $items_with_embeddings = number_format($index['embedded_items']);
+          $coverage = [
+            'data' => [
+              '#type' => 'inline_template',
+              '#template' => '<div class="coverage-indicator"><div class="coverage-bar"><div class="coverage-fill" style="width: {{ coverage }}%"></div></div><span class="coverage-text">{{ coverage|number_format(1) }}%</span></div>',
+              '#context' => ['coverage' => $index['coverage']],
+            ],
+          ];
         } else {
-          // Use basic Search API stats without database queries.
-          $total_items = number_format($basic_total);
-          $items_with_embeddings = $ai_enabled ? $this->t('Not calculated') : $this->t('N/A');
-          $coverage = $ai_enabled ? $this->t('Not calculated') : $this->t('N/A');
+          // Embedding counts need database queries, skipped off the dashboard.
+          $items_with_embeddings = $coverage = $index['ai_enabled'] ? $this->t('Not calculated') : $this->t('N/A');
         }
-      } catch (\Exception $e) {
-        // Fallback for any errors.
-        $total_items = $this->t('Error');
-        $items_with_embeddings = $this->t('Error');
-        $coverage = $this->t('Error');
       }
 
       $rows[] = [
-        Link::createFromRoute(
-            $index->label(),
-            'entity.search_api_index.canonical',
-            ['search_api_index' => $index->id()]
-        ),
-        $status,
-        $total_items,
-        $items_with_embeddings,
-        $coverage,
-        $ai_enabled ? $this->t('Yes') : $this->t('No'),
-        Link::createFromRoute(
-            $this->t('Manage'),
-            'search_api_postgresql.admin.index_embeddings',
-            ['index_id' => $index->id()]
-        ),
+        'data' => [
+          ['data' => Link::createFromRoute(
+              $index['name'],
+              'entity.search_api_index.canonical',
+              ['search_api_index' => $index['id']]
+          ), 'class' => ['index-name']],
+          ['data' => $index['status'] ? $this->t('Enabled') : $this->t('Disabled'), 'class' => ['index-status']],
+          ['data' => $total_items, 'class' => ['index-total-items']],
+          ['data' => $items_with_embeddings, 'class' => ['index-embedded-items']],
+          (is_array($coverage) ? $coverage : ['data' => $coverage]) + ['class' => ['index-coverage']],
+          ['data' => $index['ai_enabled'] ? $this->t('Yes') : $this->t('No'), 'class' => ['index-ai']],
+          ['data' => Link::createFromRoute(
+              $this->t('Manage'),
+              'search_api_postgresql.admin.index_embeddings',
+              ['index_id' => $index['id']]
+          ), 'class' => ['index-actions']],
+        ],
+        'data-index-id' => $index['id'],
       ];
     }
 
@@ -1289,9 +3461,71 @@ protected function buildIndexStatusTable()
         $this->t('Actions'),
       ],
       '#rows' => $rows,
+      '#attributes' => ['class' => ['index-status-table']],
     ];
   }
 
+  /**
+   * Gets the status of every index on a PostgreSQL server.
+   * {@inheritdoc}
+   *
+   * Shared by the index status table and the dashboard refresh endpoint, so
+   * both show the same numbers.
+   *
+   * @return array
+   *   A list of index rows with 'id', 'name', 'url', 'manage_url',
+   *   'server_id', 'server_name', 'status', 'ai_enabled', 'total_items',
+   *   'embedded_items' and 'coverage' (NULL when not calculated), and 'error'.
+   */
+  protected function getIndexStatusData()
+  {
+    $servers = $this->entityTypeManager
+      ->getStorage('search_api_server')
+      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+
+    $data = [];
+    foreach ($servers as $server) {
+      foreach ($this->getServerIndexes($server) as $index) {
+        $ai_enabled = $this->isAiEnabledForServer($server);
+
+        $row = [
+          'id' => $index->id(),
+          'name' => $index->label(),
+          'url' => Url::fromRoute('entity.search_api_index.canonical', ['search_api_index' => $index->id()])->toString(),
+          'manage_url' => Url::fromRoute('search_api_postgresql.admin.index_embeddings', ['index_id' => $index->id()])->toString(),
+          'server_id' => $server->id(),
+          'server_name' => $server->label(),
+          'status' => (bool) $index->status(),
+          'ai_enabled' => $ai_enabled,
+          'total_items' => null,
+          'embedded_items' => null,
+          'coverage' => null,
+          'error' => false,
+        ];
+
+        try {
+          // Basic stats come from the Search API tracker, without database
+          // queries.
+          $basic_total = $index->getTrackerInstance()->getTotalItemsCount();
+          $row['total_items'] = (int) $basic_total;
+
+          if ($ai_enabled && $this->shouldDisplayEmbeddingStats()) {
+            $stats = $this->getIndexEmbeddingStats($index);
+            $row['total_items'] = (int) ($stats['total_items'] ?: $basic_total);
+            $row['embedded_items'] = (int) $stats['items_with_embeddings'];
+            $row['coverage'] = round($stats['embedding_coverage'], 1);
+          }
+        } catch (\Exception $e) {
+          $row['error'] = true;
+        }
+
+        $data[] = $row;
+      }
+    }
+
+    return $data;
+  }
+
   /**
    * Helper method to safely check if AI is enabled for a server.
    * {@inheritdoc}
@@ -1352,6 +3586,7 @@ protected function shouldDisplayEmbeddingStats()
       'search_api_postgresql.admin.index_embeddings',
       'search_api_postgresql.admin.server_status',
       'search_api_postgresql.admin.analytics',
+      'search_api_postgresql.ajax.dashboard_stats',
     ]);
   }
 
@@ -1422,9 +3657,7 @@ protected function getIndexEmbeddingStats($index)
    */
   protected function buildServerStatusTable()
   {
-    $servers = $this->entityTypeManager
-      ->getStorage('search_api_server')
-      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+    $servers = $this->getServerStatusData();
 
     if (empty($servers)) {
       return [
@@ -1436,26 +3669,28 @@ protected function buildServerStatusTable()
 
     $rows = [];
     foreach ($servers as $server) {
-      $backend = $server->getBackend();
-      $config = $backend->getConfiguration();
-
-      $ai_enabled = ($config['ai_embeddings']['enabled'] ?? false) || ($config['azure_embedding']['enabled'] ?? false);
-      $status = $server->status() ? $this->t('Enabled') : $this->t('Disabled');
-
-      $health = $this->validationService->checkServerHealth($server);
-      $health_status = $health['overall'] ? 'OK' : 'FAIL';
-
       $rows[] = [
-        Link::createFromRoute(
-            $server->label(),
-            'search_api_postgresql.admin.server_status',
-            ['server_id' => $server->id()]
-        ),
-        $backend->getPluginDefinition()['label'],
-        $status,
-        $ai_enabled ? $this->t('Yes') : $this->t('No'),
-        $health_status,
-        count($this->getServerIndexes($server)),
+        'data' => [
+          ['data' => Link::createFromRoute(
+              $server['name'],
+              'search_api_postgresql.admin.server_status',
+              ['server_id' => $server['id']]
+          ), 'class' => ['server-name']],
+          ['data' => $server['backend'], 'class' => ['server-backend']],
+          ['data' => $server['status'] ? $this->t('Enabled') : $this->t('Disabled'), 'class' => ['server-status']],
+          ['data' => $server['ai_enabled'] ? $this->t('Yes') : $this->t('No'), 'class' => ['server-ai']],
+          [
+            'data' => [
+              '#type' => 'html_tag',
+              '#tag' => 'span',
+              '#value' => $server['health'] ? 'OK' : 'FAIL',
+              '#attributes' => ['class' => ['health-indicator', $server['health'] ? 'health-good' : 'health-error']],
+            ],
+            'class' => ['server-health'],
+          ],
+          ['data' => $server['index_count'], 'class' => ['server-indexes']],
+        ],
+        'data-server-id' => $server['id'],
       ];
     }
 
@@ -1474,44 +3709,213 @@ protected function buildServerStatusTable()
     ];
   }
 
+  /**
+   * Gets the status of every PostgreSQL server.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Server rows, as pushed in server_status events.
+   */
+  protected function getServerStatusData()
+  {
+    return $this->adminEvents->getServerStatusData();
+  }
+
   /**
    * Builds system health checks.
    * {@inheritdoc}
    *
+   * Shows the last recorded result of each check. The checks themselves are
+   * run from the dashboard JS, one request per check. Billed checks are only
+   * run when their own button is clicked.
+   *
    * @return array
    *   A renderable array for the health checks.
    */
   protected function buildHealthChecks()
   {
-    $health_checks = $this->validationService->runSystemHealthChecks();
-
     $build = [
       '#type' => 'container',
       '#attributes' => ['class' => ['health-checks']],
     ];
 
-    foreach ($health_checks as $check_name => $check_result) {
-      // FIX: Use 'success' key instead of 'status'.
-      $status_class = $check_result['success'] ? 'success' : 'error';
-      $status_icon = $check_result['success'] ? 'OK' : 'FAIL';
+    $build['refresh'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'button',
+      '#value' => $this->t('Run all checks'),
+      '#attributes' => [
+        'type' => 'button',
+        'class' => ['button', 'button--small', 'refresh-button'],
+      ],
+    ];
+
+    foreach ($this->healthChecks->getLastResults() as $check_id => $result) {
+      $status_class = $result['success'] === null ? 'unknown' : ($result['success'] ? 'success' : 'error');
+
+      $build[$check_id] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['health-check', 'health-' . $status_class],
+          'data-check' => $check_id,
+          'data-last-run' => $result['last_run'],
+        ],
+      ];
+      if ($result['flapping']) {
+        $build[$check_id]['#attributes']['class'][] = 'health-flapping';
+      }
+      if ($result['on_demand']) {
+        $build[$check_id]['#attributes']['class'][] = 'health-check-on-demand';
+      }
+
+      $build[$check_id]['header'] = [
+        '#type' => 'inline_template',
+        '#template' => '<div class="health-check-header"><span class="health-check-icon">{{ icon }}</span> <span class="health-check-name">{{ label }}</span> <span class="health-check-duration">{{ duration }}</span> <span class="health-check-last-run">{{ last_run }}</span> <button type="button" class="button button--small health-check-run">{{ run }}</button></div>',
+        '#context' => [
+          'icon' => $result['success'] === null ? '?' : ($result['success'] ? 'OK' : 'FAIL'),
+          'label' => $result['label'],
+          'duration' => $result['duration_ms'] !== null ? $this->t('@ms ms', ['@ms' => $result['duration_ms']]) : '',
+          'last_run' => $result['last_run'] ? $this->t('@time ago', ['@time' => \Drupal::service('date.formatter')->formatTimeDiffSince($result['last_run'])]) : $this->t('Not run yet'),
+          'run' => $this->t('Run'),
+        ],
+      ];
+
+      $build[$check_id]['message'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'div',
+        '#value' => $result['message'],
+        '#attributes' => ['class' => ['health-check-message']],
+      ];
 
-      $build[$check_name] = [
+      $build[$check_id]['details'] = [
         '#type' => 'html_tag',
         '#tag' => 'div',
-        '#value' => $status_icon . ' ' . $check_result['message'],
-        '#attributes' => ['class' => ['health-check', 'health-' . $status_class]],
+        '#value' => $result['details'],
+        '#attributes' => ['class' => ['health-details']],
       ];
 
-      if (!empty($check_result['details'])) {
-        $build[$check_name . '_details'] = [
+      if ($result['on_demand']) {
+        $build[$check_id]['on_demand'] = [
           '#type' => 'html_tag',
           '#tag' => 'div',
-          '#value' => $check_result['details'],
-          '#attributes' => ['class' => ['health-details']],
+          '#value' => $this->t('Sends a billed request to the provider, so it only runs when you click Run.'),
+          '#attributes' => ['class' => ['health-check-note', 'description']],
         ];
       }
+
+      $build[$check_id]['history'] = [
+        '#type' => 'inline_template',
+        '#template' => '<div class="health-check-history" title="{{ title }}">{% for run in history %}<span class="health-history-run health-history-{{ run ? \'pass\' : \'fail\' }}"></span>{% endfor %}</div>',
+        '#context' => [
+          'history' => $result['history'],
+          'title' => $this->t('Recent runs, oldest first'),
+        ],
+      ];
+    }
+
+    return $build;
+  }
+
+  /**
+   * Builds the circuit breaker panel.
+   * {@inheritdoc}
+   *
+   * Rows and the transition timeline are kept current by the dashboard JS
+   * from the admin event stream.
+   *
+   * @return array
+   *   A renderable array for the circuit breaker panel.
+   */
+  protected function buildCircuitBreakerPanel()
+  {
+    $services = $this->circuitBreaker->getAllServiceStats();
+    $state_labels = [
+      CircuitBreakerService::STATE_CLOSED => $this->t('Closed'),
+      CircuitBreakerService::STATE_OPEN => $this->t('Open'),
+      CircuitBreakerService::STATE_HALF_OPEN => $this->t('Half-open'),
+    ];
+
+    $build = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['circuit-breaker-panel']],
+    ];
+
+    $rows = [];
+    $transitions = [];
+    foreach ($services as $name => $stats) {
+      $rows[] = [
+        'data' => [
+          ['data' => $name, 'class' => ['circuit-service']],
+          [
+            'data' => [
+              '#type' => 'html_tag',
+              '#tag' => 'span',
+              '#value' => $state_labels[$stats['state']] ?? $stats['state'],
+              '#attributes' => ['class' => ['circuit-state', 'circuit-state--' . $stats['state']]],
+            ],
+            'class' => ['circuit-state-cell'],
+          ],
+          ['data' => $stats['failure_count'] . ' / ' . $stats['failure_threshold'], 'class' => ['circuit-failures']],
+          [
+            'data' => [
+              '#type' => 'html_tag',
+              '#tag' => 'span',
+              '#value' => $stats['next_attempt'] ? $this->t('@seconds s', ['@seconds' => max(0, $stats['next_attempt'] - time())]) : '-',
+              '#attributes' => ['class' => ['circuit-retry'], 'data-next-attempt' => $stats['next_attempt']],
+            ],
+            'class' => ['circuit-retry-cell'],
+          ],
+          ['data' => $stats['last_error'] ?: '-', 'class' => ['circuit-last-error']],
+          [
+            'data' => [
+              '#type' => 'html_tag',
+              '#tag' => 'button',
+              '#value' => $this->t('Reset'),
+              '#attributes' => [
+                'type' => 'button',
+                'class' => ['button', 'button--small', 'circuit-reset'],
+                'data-service' => $name,
+              ],
+            ],
+            'class' => ['circuit-actions'],
+          ],
+        ],
+        'data-service' => $name,
+      ];
+
+      foreach ($stats['transitions'] as $transition) {
+        $transitions[] = $transition + ['service' => $name];
+      }
     }
 
+    $build['table'] = [
+      '#theme' => 'table',
+      '#header' => [
+        $this->t('Service'),
+        $this->t('State'),
+        $this->t('Failures'),
+        $this->t('Retry in'),
+        $this->t('Last error'),
+        $this->t('Actions'),
+      ],
+      '#rows' => $rows,
+      '#empty' => $this->t('No protected service has been called yet.'),
+      '#attributes' => ['class' => ['circuit-breaker-table']],
+    ];
+
+    usort($transitions, function ($a, $b) {
+      return $b['time'] <=> $a['time'];
+    });
+
+    $build['timeline'] = [
+      '#type' => 'inline_template',
+      '#template' => '<h3>{{ title }}</h3><ul class="circuit-breaker-timeline">{% for item in transitions %}<li class="circuit-transition circuit-transition--{{ item.to }}"><time datetime="{{ item.time|date(\'c\') }}">{{ item.time|date(\'Y-m-d H:i:s\') }}</time> <strong>{{ item.service }}</strong>: {{ item.from }} &rarr; {{ item.to }}{% if item.reason %} <span class="circuit-transition-reason">{{ item.reason }}</span>{% endif %}</li>{% else %}<li class="circuit-transition-empty">{{ empty }}</li>{% endfor %}</ul>',
+      '#context' => [
+        'title' => $this->t('Recent transitions'),
+        'transitions' => array_slice($transitions, 0, CircuitBreakerService::TRANSITION_HISTORY_SIZE),
+        'empty' => $this->t('No state changes recorded.'),
+      ],
+    ];
+
     return $build;
   }
 
@@ -1530,6 +3934,7 @@ protected function buildQuickActionLinks()
         Link::createFromRoute($this->t('Manage Embeddings'), 'search_api_postgresql.admin.embedding_management'),
         Link::createFromRoute($this->t('View Analytics'), 'search_api_postgresql.admin.analytics'),
         Link::createFromRoute($this->t('Bulk Regenerate'), 'search_api_postgresql.admin.bulk_regenerate'),
+        Link::createFromRoute($this->t('Operation History'), 'search_api_postgresql.admin.operation_history'),
         Link::createFromRoute($this->t('Cache Management'), 'search_api_postgresql.admin.cache_management'),
         Link::createFromRoute($this->t('Queue Management'), 'search_api_postgresql.admin.queue_management'),
         Link::createFromRoute($this->t('Test Configuration'), 'search_api_postgresql.admin.configuration_test'),
@@ -0,0 +1,48 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Event;
+
+use Drupal\Component\EventDispatcher\Event;
+
+/**
+ * Dispatched when a tracked embedding operation completes or is cancelled.
+ */
+class OperationFinishedEvent extends Event
+{
+  /**
+   * The event name.
+   */
+  const NAME = 'search_api_postgresql.operation_finished';
+
+  /**
+   * The finished operation.
+   * {@inheritdoc}
+   *
+   * @var array
+   */
+  protected $operation;
+
+  /**
+   * Constructs an OperationFinishedEvent.
+   * {@inheritdoc}
+   *
+   * @param array $operation
+   *   The operation, as returned by OperationTrackerService::get().
+   */
+  public function __construct(array $operation)
+  {
+    $this->operation = $operation;
+  }
+
+  /**
+   * Gets the finished operation.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The operation, as returned by OperationTrackerService::get().
+   */
+  public function getOperation()
+  {
+    return $this->operation;
+  }
+}
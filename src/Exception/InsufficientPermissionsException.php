@@ -23,4 +23,16 @@ public function __construct($required_permission, ?\Exception $previous = null)
 
     parent::__construct("Insufficient permissions for: {$required_permission}", 403, $previous);
   }
+
+  /**
+   * Gets the permission that is missing.
+   * {@inheritdoc}
+   *
+   * @return string
+   *   The required permission.
+   */
+  public function getRequiredPermission()
+  {
+    return $this->requiredPermission;
+  }
 }
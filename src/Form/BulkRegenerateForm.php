@@ -7,6 +7,11 @@
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Messenger\MessengerInterface;
 use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Drupal\search_api_postgresql\Service\BudgetGuardService;
+use Drupal\search_api_postgresql\Service\CostEstimationService;
+use Drupal\search_api_postgresql\Service\OperationHistoryService;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
+use Drupal\search_api_postgresql\Traits\ConfirmationDialogTrait;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -14,6 +19,8 @@
  */
 class BulkRegenerateForm extends FormBase
 {
+  use ConfirmationDialogTrait;
+
   /**
    * The entity type manager.
    * {@inheritdoc}
@@ -38,6 +45,38 @@ class BulkRegenerateForm extends FormBase
    */
   protected $queueManager;
 
+  /**
+   * The cost estimation service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CostEstimationService
+   */
+  protected $costEstimator;
+
+  /**
+   * The operation tracker.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationTrackerService
+   */
+  protected $operationTracker;
+
+  /**
+   * The operation history.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationHistoryService
+   */
+  protected $operationHistory;
+
+  /**
+   * The budget guard.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\BudgetGuardService
+   */
+  protected $budgetGuard;
+
   /**
    * Constructs a BulkRegenerateForm.
    * {@inheritdoc}
@@ -48,15 +87,31 @@ class BulkRegenerateForm extends FormBase
    *   The messenger service.
    * @param \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager $queue_manager
    *   The embedding queue manager.
+   * @param \Drupal\search_api_postgresql\Service\CostEstimationService $cost_estimator
+   *   The cost estimation service.
+   * @param \Drupal\search_api_postgresql\Service\OperationTrackerService $operation_tracker
+   *   The operation tracker.
+   * @param \Drupal\search_api_postgresql\Service\OperationHistoryService $operation_history
+   *   The operation history.
+   * @param \Drupal\search_api_postgresql\Service\BudgetGuardService $budget_guard
+   *   The budget guard.
    */
   public function __construct(
       EntityTypeManagerInterface $entity_type_manager,
       MessengerInterface $messenger,
       EmbeddingQueueManager $queue_manager,
+      CostEstimationService $cost_estimator,
+      OperationTrackerService $operation_tracker,
+      OperationHistoryService $operation_history,
+      BudgetGuardService $budget_guard,
   ) {
     $this->entityTypeManager = $entity_type_manager;
     $this->messenger = $messenger;
     $this->queueManager = $queue_manager;
+    $this->costEstimator = $cost_estimator;
+    $this->operationTracker = $operation_tracker;
+    $this->operationHistory = $operation_history;
+    $this->budgetGuard = $budget_guard;
   }
 
   /**
@@ -67,7 +122,11 @@ public static function create(ContainerInterface $container)
     return new static(
         $container->get('entity_type.manager'),
         $container->get('messenger'),
-        $container->get('search_api_postgresql.embedding_queue_manager')
+        $container->get('search_api_postgresql.embedding_queue_manager'),
+        $container->get('search_api_postgresql.cost_estimator'),
+        $container->get('search_api_postgresql.operation_tracker'),
+        $container->get('search_api_postgresql.operation_history'),
+        $container->get('search_api_postgresql.budget_guard')
     );
   }
 
@@ -175,6 +234,12 @@ public function buildForm(array $form, FormStateInterface $form_state)
       ),
     ];
 
+    $form['options']['budget_confirmation'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Confirm budget override'),
+      '#description' => $this->t("Only needed when the estimate exceeds a server's monthly budget or cost ceiling. Type the IDs of the affected indexes, separated by commas, to run the regeneration anyway."),
+    ];
+
     $form['actions'] = [
       '#type' => 'actions',
     ];
@@ -185,6 +250,20 @@ public function buildForm(array $form, FormStateInterface $form_state)
       '#button_type' => 'primary',
     ];
 
+    $this->addConfirmationDialog($form['actions']['submit'], 'force', [
+      '0' => [
+        'title' => $this->t('Regenerate embeddings?'),
+        'message' => $this->t('Items of the selected indexes without an embedding are sent to the provider and billed.'),
+        'confirm' => $this->t('Start regeneration'),
+      ],
+      '1' => [
+        'title' => $this->t('Force regeneration of all embeddings?'),
+        'message' => $this->t('Every embedding of the selected indexes is overwritten, and every item is billed by the provider again.'),
+        'typed' => 'overwrite',
+        'confirm' => $this->t('Overwrite embeddings'),
+      ],
+    ], 'bulk_selection');
+
     return $form;
   }
 
@@ -206,6 +285,33 @@ public function validateForm(array &$form, FormStateInterface $form_state)
 
     if (empty($selected)) {
       $form_state->setErrorByName('indexes', $this->t('Please select at least one index.'));
+      return;
+    }
+
+    $force = (bool) $form_state->getValue('force', false);
+    $targets = [];
+    foreach ($selected as $index_id) {
+      $targets = array_merge($targets, $this->costEstimator->getTargets(null, $index_id));
+    }
+    $estimate = $this->costEstimator->estimate($force ? 'regenerate_all' : 'regenerate_missing', $targets, [
+      'batch_size' => (int) $form_state->getValue('batch_size', 50),
+    ]);
+    $form_state->set('estimate', $estimate);
+
+    // Regenerations over a server's budget need the affected indexes typed.
+    $budget = $this->budgetGuard->check($estimate, $targets);
+    if ($budget['blocked']) {
+      if ($this->budgetGuard->isConfirmed($budget, $form_state->getValue('budget_confirmation'))) {
+        $form_state->set('budget_override', $budget);
+      } else {
+        $form_state->setErrorByName(
+            'budget_confirmation',
+            $this->t('@reasons Type %confirmation to run it anyway.', [
+              '@reasons' => implode(' ', array_column($budget['violations'], 'message')),
+              '%confirmation' => $budget['confirmation'],
+            ])
+        );
+      }
     }
   }
 
@@ -214,43 +320,68 @@ public function validateForm(array &$form, FormStateInterface $form_state)
    */
   public function submitForm(array &$form, FormStateInterface $form_state)
   {
-    $server_id = $form_state->getValue('server');
     $indexes = array_filter($form_state->getValue('indexes', []));
     $mode = $form_state->getValue('mode');
-    $batch_size = $form_state->getValue('batch_size', 50);
-    $force = $form_state->getValue('force', false);
+    $batch_size = (int) $form_state->getValue('batch_size', 50);
+    $force = (bool) $form_state->getValue('force', false);
+
+    // Estimated while validating.
+    $estimate = $form_state->get('estimate');
+    $operation_id = $this->operationTracker->startFromEstimate($mode === 'queue' ? 'queue' : 'batch', $estimate);
+    $parameters = [
+      'operation' => $estimate['operation'],
+      'index_ids' => array_values($indexes),
+      'batch_size' => $batch_size,
+      'use_queue' => $mode === 'queue',
+      'priority' => 'low',
+      'force_overwrite' => $force,
+    ];
+    if ($form_state->get('budget_override')) {
+      $this->budgetGuard->logOverride($form_state->get('budget_override'), $estimate['operation']);
+      $parameters['budget_override'] = true;
+    }
+    $this->operationHistory->record($parameters, ['operation_id' => $operation_id]);
 
     if ($mode === 'queue') {
       // Queue mode - add items to queue for background processing.
-      $this->processViaQueue($server_id, $indexes, $force);
+      $this->processViaQueue($operation_id, $batch_size, $force);
     } else {
       // Batch mode - process immediately using Batch API.
-      $this->processViaBatch($server_id, $indexes, $batch_size, $force);
+      $this->processViaBatch($operation_id, $batch_size, $force);
     }
+
+    // Batch API also redirects here once the last batch is done.
+    $form_state->setRedirect('search_api_postgresql.admin.operation_console', [
+      'operation_id' => $operation_id,
+    ]);
   }
 
   /**
    * Process regeneration via queue.
    */
-  protected function processViaQueue($server_id, array $index_ids, $force)
+  protected function processViaQueue($operation_id, $batch_size, $force)
   {
-    $total_items = 0;
-
-    foreach ($index_ids as $index_id) {
-      $index = $this->entityTypeManager->getStorage('search_api_index')->load($index_id);
-      if ($index) {
-        $items = $this->queueManager->queueIndexEmbeddings($index, $force);
-        $total_items += $items;
-      }
+    $operation = $this->operationTracker->get($operation_id);
+
+    foreach ($operation['targets'] as $index_id => $target) {
+      $this->queueManager->queueIndexEmbeddingRegeneration(
+          $target['server_id'],
+          $index_id,
+          $batch_size,
+          0,
+          200,
+          !$force,
+          $operation_id
+      );
     }
 
-    if ($total_items > 0) {
+    if ($operation['total_items'] > 0) {
       $this->messenger->addStatus(
           $this->t(
               '@count items have been queued for embedding regeneration. ' .
               'They will be processed in the background via cron.',
               [
-              '@count' => $total_items,
+              '@count' => $operation['total_items'],
               ]
           )
       );
@@ -262,7 +393,7 @@ protected function processViaQueue($server_id, array $index_ids, $force)
   /**
    * Process regeneration via batch API.
    */
-  protected function processViaBatch($server_id, array $index_ids, $batch_size, $force)
+  protected function processViaBatch($operation_id, $batch_size, $force)
   {
     $batch = [
       'title' => $this->t('Regenerating embeddings'),
@@ -272,10 +403,10 @@ protected function processViaBatch($server_id, array $index_ids, $batch_size, $f
     ];
 
     // Create batch operations for each index.
-    foreach ($index_ids as $index_id) {
+    foreach ($this->operationTracker->get($operation_id)['targets'] as $index_id => $target) {
       $batch['operations'][] = [
         '\Drupal\search_api_postgresql\Form\BulkRegenerateForm::batchProcessIndex',
-        [$server_id, $index_id, $batch_size, $force],
+        [$target['server_id'], $index_id, $batch_size, $force, $operation_id, []],
       ];
     }
 
@@ -284,64 +415,65 @@ protected function processViaBatch($server_id, array $index_ids, $batch_size, $f
 
   /**
    * Batch operation: Process a single index.
+   *
+   * Every pass regenerates one page of rows and reports it to the operation
+   * tracker. Cancelling the operation in its console ends the batch. The
+   * item filter of a targeted selection limits the rows that are regenerated.
    */
-  public static function batchProcessIndex($server_id, $index_id, $batch_size, $force, &$context)
+  public static function batchProcessIndex($server_id, $index_id, $batch_size, $force, $operation_id, array $filter, &$context)
   {
-    // Initialize batch context.
-    if (!isset($context['sandbox']['progress'])) {
-      $index = \Drupal::entityTypeManager()->getStorage('search_api_index')->load($index_id);
-      $context['sandbox']['progress'] = 0;
-      $context['sandbox']['current_item'] = 0;
-      $context['sandbox']['max'] = $index->getTrackerInstance()->getTotalItemsCount();
-      $context['results']['processed'] = 0;
-      $context['results']['errors'] = 0;
+    $tracker = \Drupal::service('search_api_postgresql.operation_tracker');
+    $context['results'] += ['processed' => 0, 'errors' => 0];
+
+    if ($tracker->getStatus($operation_id) === OperationTrackerService::STATUS_CANCELLED) {
+      $context['finished'] = 1;
+      return;
     }
 
     // Load services.
     $entity_type_manager = \Drupal::entityTypeManager();
     $index = $entity_type_manager->getStorage('search_api_index')->load($index_id);
     $server = $entity_type_manager->getStorage('search_api_server')->load($server_id);
+    $backend = $server ? $server->getBackend() : null;
 
-    if (!$index || !$server) {
+    if (!$index || !$backend || !method_exists($backend, 'regenerateEmbeddings')) {
+      $tracker->finishTarget($operation_id, $index_id);
       $context['finished'] = 1;
       return;
     }
 
-    // Get items to process.
-    $tracker = $index->getTrackerInstance();
-    $item_ids = $tracker->getRemainingItems($batch_size, $context['sandbox']['current_item']);
+    // Initialize batch context.
+    if (!isset($context['sandbox']['offset'])) {
+      $context['sandbox']['offset'] = 0;
+      $context['sandbox']['progress'] = 0;
+      $context['sandbox']['max'] = $tracker->get($operation_id)['targets'][$index_id]['total'];
+    }
 
-    if (empty($item_ids)) {
+    try {
+      $result = $backend->regenerateEmbeddings($index, !$force, $batch_size, $context['sandbox']['offset'], $filter);
+    } catch (\Exception $e) {
+      \Drupal::logger('search_api_postgresql')->error('Failed to regenerate embeddings for index @index: @message', [
+        '@index' => $index_id,
+        '@message' => $e->getMessage(),
+      ]);
+      $context['results']['errors']++;
+      $tracker->finishTarget($operation_id, $index_id);
       $context['finished'] = 1;
       return;
     }
 
-    // Process items.
-    $backend = $server->getBackend();
-    foreach ($item_ids as $item_id) {
-      try {
-        // This would call the actual embedding regeneration method
-        // The actual implementation would depend on your backend.
-        if (method_exists($backend, 'regenerateItemEmbedding')) {
-          $backend->regenerateItemEmbedding($index, $item_id, $force);
-        }
-
-        $context['results']['processed']++;
-      } catch (\Exception $e) {
-        $context['results']['errors']++;
-        \Drupal::logger('search_api_postgresql')->error('Failed to regenerate embedding for item @item: @message', [
-          '@item' => $item_id,
-          '@message' => $e->getMessage(),
-        ]);
-      }
-
-      $context['sandbox']['progress']++;
-      $context['sandbox']['current_item'] = $item_id;
-    }
+    $tracker->recordBatch($operation_id, $index_id, $result);
+    $context['results']['processed'] += $result['processed'];
+    $context['results']['errors'] += count($result['failed']);
+    $context['sandbox']['progress'] += $result['items'];
 
-    // Update progress.
-    if ($context['sandbox']['progress'] != $context['sandbox']['max']) {
-      $context['finished'] = $context['sandbox']['progress'] / $context['sandbox']['max'];
+    if ($result['items'] < $batch_size) {
+      $tracker->finishTarget($operation_id, $index_id);
+      $context['finished'] = 1;
+    } else {
+      // Regenerated rows leave the "missing" selection, failed ones do not.
+      $context['sandbox']['offset'] += $force ? $batch_size : count($result['failed']);
+      $context['finished'] = min(0.99, $context['sandbox']['progress'] / max(1, $context['sandbox']['max']));
     }
 
     // Set message.
@@ -8,6 +8,7 @@
 use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
 use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Traits\ConfirmationDialogTrait;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -15,6 +16,8 @@
  */
 class CacheManagementForm extends FormBase
 {
+  use ConfirmationDialogTrait;
+
   /**
    * The config factory.
    * {@inheritdoc}
@@ -228,6 +231,32 @@ public function buildForm(array $form, FormStateInterface $form_state)
       '#button_type' => 'primary',
     ];
 
+    $cache_scope = [
+      [$this->t('Total entries'), number_format($cache_stats['total_entries'] ?? 0)],
+      [$this->t('Cache size'), $this->formatBytes($cache_stats['cache_size'] ?? 0)],
+    ];
+    $this->addConfirmationDialog($form['actions']['submit'], 'action', [
+      'clear_all' => [
+        'title' => $this->t('Clear all cached embeddings?'),
+        'message' => $this->t('Every cached embedding is deleted. Items embedded again afterwards are billed by the provider.'),
+        'scope' => $cache_scope,
+        'typed' => 'clear cache',
+        'confirm' => $this->t('Clear cache'),
+      ],
+      'clear_expired' => [
+        'title' => $this->t('Clear expired cache entries?'),
+        'message' => $this->t('Cached embeddings past their time-to-live are deleted.'),
+        'scope' => $cache_scope,
+        'confirm' => $this->t('Clear expired entries'),
+      ],
+      'clear_by_age' => [
+        'title' => $this->t('Clear old cache entries?'),
+        'message' => $this->t('Cached embeddings older than the age threshold are deleted.'),
+        'scope' => $cache_scope,
+        'confirm' => $this->t('Clear entries'),
+      ],
+    ]);
+
     $form['actions']['save_config'] = [
       '#type' => 'submit',
       '#value' => $this->t('Save Configuration'),
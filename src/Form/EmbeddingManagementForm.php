@@ -6,10 +6,15 @@
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Url;
-use Drupal\search_api\Entity\Server;
-use Drupal\search_api\Entity\Index;
 use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Drupal\search_api_postgresql\Service\BudgetGuardService;
+use Drupal\search_api_postgresql\Service\CostEstimationService;
 use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Service\ItemSelectionService;
+use Drupal\search_api_postgresql\Service\OperationHistoryService;
+use Drupal\search_api_postgresql\Service\OperationPreviewService;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
+use Drupal\search_api_postgresql\Traits\ConfirmationDialogTrait;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -17,6 +22,8 @@
  */
 class EmbeddingManagementForm extends FormBase
 {
+  use ConfirmationDialogTrait;
+
   /**
    * The entity type manager.
    * {@inheritdoc}
@@ -41,6 +48,54 @@ class EmbeddingManagementForm extends FormBase
    */
   protected $analyticsService;
 
+  /**
+   * The cost estimation service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CostEstimationService
+   */
+  protected $costEstimator;
+
+  /**
+   * The operation preview service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationPreviewService
+   */
+  protected $operationPreview;
+
+  /**
+   * The operation tracker.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationTrackerService
+   */
+  protected $operationTracker;
+
+  /**
+   * The operation history.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationHistoryService
+   */
+  protected $operationHistory;
+
+  /**
+   * The budget guard.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\BudgetGuardService
+   */
+  protected $budgetGuard;
+
+  /**
+   * The item selection service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\ItemSelectionService
+   */
+  protected $itemSelection;
+
   /**
    * Constructs an EmbeddingManagementForm.
    * {@inheritdoc}
@@ -51,15 +106,39 @@ class EmbeddingManagementForm extends FormBase
    *   The embedding queue manager.
    * @param \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService $analytics_service
    *   The embedding analytics service.
+   * @param \Drupal\search_api_postgresql\Service\CostEstimationService $cost_estimator
+   *   The cost estimation service.
+   * @param \Drupal\search_api_postgresql\Service\OperationPreviewService $operation_preview
+   *   The operation preview service.
+   * @param \Drupal\search_api_postgresql\Service\OperationTrackerService $operation_tracker
+   *   The operation tracker.
+   * @param \Drupal\search_api_postgresql\Service\OperationHistoryService $operation_history
+   *   The operation history.
+   * @param \Drupal\search_api_postgresql\Service\BudgetGuardService $budget_guard
+   *   The budget guard.
+   * @param \Drupal\search_api_postgresql\Service\ItemSelectionService $item_selection
+   *   The item selection service.
    */
   public function __construct(
       EntityTypeManagerInterface $entity_type_manager,
       EmbeddingQueueManager $queue_manager,
       EmbeddingAnalyticsService $analytics_service,
+      CostEstimationService $cost_estimator,
+      OperationPreviewService $operation_preview,
+      OperationTrackerService $operation_tracker,
+      OperationHistoryService $operation_history,
+      BudgetGuardService $budget_guard,
+      ItemSelectionService $item_selection,
   ) {
     $this->entityTypeManager = $entity_type_manager;
     $this->queueManager = $queue_manager;
     $this->analyticsService = $analytics_service;
+    $this->costEstimator = $cost_estimator;
+    $this->operationPreview = $operation_preview;
+    $this->operationTracker = $operation_tracker;
+    $this->operationHistory = $operation_history;
+    $this->budgetGuard = $budget_guard;
+    $this->itemSelection = $item_selection;
   }
 
   /**
@@ -70,7 +149,13 @@ public static function create(ContainerInterface $container)
     return new static(
         $container->get('entity_type.manager'),
         $container->get('search_api_postgresql.embedding_queue_manager'),
-        $container->get('search_api_postgresql.analytics')
+        $container->get('search_api_postgresql.analytics'),
+        $container->get('search_api_postgresql.cost_estimator'),
+        $container->get('search_api_postgresql.operation_preview'),
+        $container->get('search_api_postgresql.operation_tracker'),
+        $container->get('search_api_postgresql.operation_history'),
+        $container->get('search_api_postgresql.budget_guard'),
+        $container->get('search_api_postgresql.item_selection')
     );
   }
 
@@ -121,6 +206,12 @@ public function buildForm(array $form, FormStateInterface $form_state)
       '#value' => $this->t('Manage embeddings across all PostgreSQL servers and search indexes.'),
     ];
 
+    $form['header']['history'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Operation history'),
+      '#url' => Url::fromRoute('search_api_postgresql.admin.operation_history'),
+    ];
+
     // Check if any servers have AI enabled.
     $servers = $this->getPostgreSQLServers();
 
@@ -170,6 +261,28 @@ public function buildForm(array $form, FormStateInterface $form_state)
     // If we reach here, we have AI-enabled servers, so proceed with the form
     // But wrap everything in try-catch to handle any remaining issues.
     try {
+      // Re-runs from the operation history pre-fill the form.
+      $defaults = [
+        'operation' => 'regenerate_missing',
+        'server_id' => '',
+        'index_id' => '',
+        'batch_size' => 50,
+        'use_queue' => true,
+        'priority' => 'normal',
+        'force_overwrite' => false,
+      ] + ItemSelectionService::FILTER_DEFAULTS;
+      $query = $this->getRequest()->query->all();
+      if (!empty($query['operation'])) {
+        $defaults = $this->operationPreview->normalizeSelection($query);
+
+        $form['rerun'] = [
+          '#type' => 'html_tag',
+          '#tag' => 'div',
+          '#value' => $this->t('The form has been pre-filled with the parameters of a previous operation. Review them before executing the operation.'),
+          '#attributes' => ['class' => ['messages', 'messages--status']],
+        ];
+      }
+
       // Server selection.
       $form['server_selection'] = [
         '#type' => 'details',
@@ -189,7 +302,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#title' => $this->t('Server'),
         '#options' => $server_options,
         '#empty_option' => $this->t('- All AI-enabled servers -'),
-        '#default_value' => '',
+        '#default_value' => $defaults['server_id'],
         '#ajax' => [
           'callback' => '::updateIndexOptions',
           'wrapper' => 'index-options-wrapper',
@@ -203,7 +316,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#attributes' => ['id' => 'index-options-wrapper'],
       ];
 
-      $selected_server_id = $form_state->getValue('server_id');
+      $selected_server_id = $form_state->getValue('server_id', $defaults['server_id']);
       $index_options = $this->getIndexOptions($selected_server_id);
 
       $form['server_selection']['index_wrapper']['index_id'] = [
@@ -211,7 +324,82 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#title' => $this->t('Index'),
         '#options' => $index_options,
         '#empty_option' => $this->t('- All indexes -'),
-        '#default_value' => '',
+        '#default_value' => $defaults['index_id'],
+      ];
+
+      // Item selection.
+      $filter_options = $this->itemSelection->getFilterOptions(array_column($this->getOperationTargets(), 'index'));
+      $has_filters = $this->itemSelection->hasFilters($defaults);
+
+      $form['item_selection'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Item Selection'),
+        '#description' => $this->t('Limit the operation to some items of the selected indexes. Items have to match every filter that is set.'),
+        '#open' => $has_filters,
+        '#attributes' => ['class' => ['item-selection']],
+      ];
+
+      $form['item_selection']['datasources'] = [
+        '#type' => 'checkboxes',
+        '#title' => $this->t('Datasources'),
+        '#options' => $filter_options['datasources'],
+        '#default_value' => $defaults['datasources'],
+        '#access' => (bool) $filter_options['datasources'],
+      ];
+
+      $form['item_selection']['bundles'] = [
+        '#type' => 'checkboxes',
+        '#title' => $this->t('Bundles'),
+        '#options' => $filter_options['bundles'],
+        '#default_value' => $defaults['bundles'],
+        '#access' => (bool) $filter_options['bundles'],
+      ];
+
+      $form['item_selection']['changed'] = [
+        '#type' => 'fieldset',
+        '#title' => $this->t('Changed'),
+        '#description' => $this->t('When the items were last changed, according to the index tracker.'),
+        '#attributes' => ['class' => ['item-selection-dates']],
+      ];
+
+      $form['item_selection']['changed']['changed_from'] = [
+        '#type' => 'date',
+        '#title' => $this->t('From'),
+        '#default_value' => $defaults['changed_from'],
+      ];
+
+      $form['item_selection']['changed']['changed_to'] = [
+        '#type' => 'date',
+        '#title' => $this->t('To'),
+        '#default_value' => $defaults['changed_to'],
+      ];
+
+      $form['item_selection']['item_ids'] = [
+        '#type' => 'textarea',
+        '#title' => $this->t('Item IDs'),
+        '#description' => $this->t('Search API item IDs, such as entity:node/12:en, separated by commas or line breaks. At most @limit.', [
+          '@limit' => number_format(ItemSelectionService::ITEM_ID_LIMIT),
+        ]),
+        '#default_value' => implode("\n", $defaults['item_ids']),
+        '#rows' => 4,
+      ];
+
+      $form['item_selection']['failed_validation'] = [
+        '#type' => 'checkbox',
+        '#title' => $this->t('Only items that failed the last validation'),
+        '#description' => $this->t('Run "Validate existing embeddings" first to find them.'),
+        '#default_value' => $defaults['failed_validation'],
+      ];
+
+      $form['item_selection']['count'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'div',
+        '#value' => $this->t('All items of the selected indexes.'),
+        '#attributes' => [
+          'id' => 'item-selection-count',
+          'class' => ['item-selection-count'],
+          'aria-live' => 'polite',
+        ],
       ];
 
       // Operation selection.
@@ -231,7 +419,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
           'clear_embeddings' => $this->t('Clear all embeddings'),
           'update_dimensions' => $this->t('Update vector dimensions'),
         ],
-        '#default_value' => 'regenerate_missing',
+        '#default_value' => $defaults['operation'],
         '#required' => true,
       ];
 
@@ -246,7 +434,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#type' => 'number',
         '#title' => $this->t('Batch Size'),
         '#description' => $this->t('Number of items to process in each batch.'),
-        '#default_value' => 50,
+        '#default_value' => $defaults['batch_size'],
         '#min' => 1,
         '#max' => 1000,
       ];
@@ -255,7 +443,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#type' => 'checkbox',
         '#title' => $this->t('Use background queue processing'),
         '#description' => $this->t('Process embeddings in the background via queue. Recommended for large operations.'),
-        '#default_value' => true,
+        '#default_value' => $defaults['use_queue'],
       ];
 
       $form['advanced']['priority'] = [
@@ -266,7 +454,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
           'normal' => $this->t('Normal'),
           'low' => $this->t('Low'),
         ],
-        '#default_value' => 'normal',
+        '#default_value' => $defaults['priority'],
         '#states' => [
           'visible' => [
             ':input[name="use_queue"]' => ['checked' => true],
@@ -278,7 +466,7 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#type' => 'checkbox',
         '#title' => $this->t('Force overwrite existing embeddings'),
         '#description' => $this->t('Regenerate embeddings even if they already exist.'),
-        '#default_value' => false,
+        '#default_value' => $defaults['force_overwrite'],
         '#states' => [
           'visible' => [
             ':input[name="operation"]' => [
@@ -303,6 +491,13 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '</div>',
       ];
 
+      $form['cost_estimation']['budget_confirmation'] = [
+        '#type' => 'textfield',
+        '#title' => $this->t('Confirm budget override'),
+        '#description' => $this->t("Only needed when the estimate exceeds a server's monthly budget or cost ceiling. Type the IDs of the affected indexes, separated by commas, to run the operation anyway."),
+        '#default_value' => '',
+      ];
+
       // Current status.
       $form['status'] = [
         '#type' => 'details',
@@ -324,6 +519,12 @@ public function buildForm(array $form, FormStateInterface $form_state)
         ],
       ];
 
+      // Set when a previewed selection is confirmed.
+      $form['preview_id'] = [
+        '#type' => 'hidden',
+        '#default_value' => '',
+      ];
+
       // Actions.
       $form['actions'] = [
         '#type' => 'actions',
@@ -335,10 +536,30 @@ public function buildForm(array $form, FormStateInterface $form_state)
         '#button_type' => 'primary',
       ];
 
+      $this->addConfirmationDialog($form['actions']['submit'], 'operation', [
+        'regenerate_all' => [
+          'title' => $this->t('Regenerate all embeddings?'),
+          'message' => $this->t('The embeddings of the selected items are generated again, and the provider bills every item sent to it.'),
+          'confirm' => $this->t('Regenerate embeddings'),
+        ],
+        'clear_embeddings' => [
+          'title' => $this->t('Clear all embeddings?'),
+          'message' => $this->t('The embeddings of the selected items are deleted. Semantic search returns no results for them until they are regenerated.'),
+          'typed' => 'clear embeddings',
+          'confirm' => $this->t('Clear embeddings'),
+        ],
+        'update_dimensions' => [
+          'title' => $this->t('Update vector dimensions?'),
+          'message' => $this->t('Embeddings stored with the previous number of dimensions can no longer be searched and have to be regenerated.'),
+          'typed' => 'update dimensions',
+          'confirm' => $this->t('Update dimensions'),
+        ],
+      ], 'embedding_selection');
+
       $form['actions']['preview'] = [
         '#type' => 'submit',
         '#value' => $this->t('Preview Changes'),
-        '#submit' => ['::previewSubmit'],
+        '#submit' => ['::previewChanges'],
       ];
 
       return $form;
@@ -495,6 +716,17 @@ public function updateIndexOptions(array &$form, FormStateInterface $form_state)
    */
   public function validateForm(array &$form, FormStateInterface $form_state)
   {
+    // A confirmed preview runs exactly the selection that was previewed.
+    $preview_id = $form_state->getValue('preview_id');
+    if ($preview_id) {
+      $selection = $this->operationPreview->getSelection($preview_id);
+      if (!$selection) {
+        $form_state->setErrorByName('preview_id', $this->t('The preview has expired. Preview the operation again.'));
+        return;
+      }
+      $form_state->setValues($selection + $form_state->getValues());
+    }
+
     $operation = $form_state->getValue('operation');
     $server_id = $form_state->getValue('server_id');
     $index_id = $form_state->getValue('index_id');
@@ -527,6 +759,37 @@ public function validateForm(array &$form, FormStateInterface $form_state)
       );
     }
 
+    // The item filters.
+    $changed_from = $form_state->getValue('changed_from');
+    $changed_to = $form_state->getValue('changed_to');
+    if ($changed_from && $changed_to && $changed_from > $changed_to) {
+      $form_state->setErrorByName('changed_to', $this->t('The end of the date range must not be before its start.'));
+    }
+
+    $filters = ItemSelectionService::normalizeFilters($form_state->getValues());
+    if (count($filters['item_ids']) > ItemSelectionService::ITEM_ID_LIMIT) {
+      $form_state->setErrorByName('item_ids', $this->t('At most @limit item IDs can be selected.', [
+        '@limit' => number_format(ItemSelectionService::ITEM_ID_LIMIT),
+      ]));
+    }
+    // Bundles and dates resolve to item IDs, which are capped per index.
+    if ($filters['bundles'] || $filters['changed_from'] || $filters['changed_to']) {
+      foreach ($this->getOperationTargets($server_id, $index_id) as $target) {
+        $filter = $this->itemSelection->getItemFilter($target['index'], $filters);
+        if (!empty($filter['error'])) {
+          $form_state->setErrorByName($filters['bundles'] ? 'bundles' : 'changed_from', $this->t('@index: @error', [
+            '@index' => $target['index']->label(),
+            '@error' => $filter['error'],
+          ]));
+          break;
+        }
+      }
+    }
+    // The vector column is changed for the whole table.
+    if ($operation === 'update_dimensions' && $this->itemSelection->hasFilters($filters)) {
+      $form_state->setErrorByName('operation', $this->t('Vector dimensions can only be updated for all items. Clear the item selection filters.'));
+    }
+
     // Check if queue is enabled when requested.
     $use_queue = $form_state->getValue('use_queue');
     if ($use_queue) {
@@ -538,6 +801,27 @@ public function validateForm(array &$form, FormStateInterface $form_state)
         );
       }
     }
+
+    // Operations over a server's budget need the affected indexes typed.
+    if (!$form_state->hasAnyErrors() && in_array($operation, CostEstimationService::BILLED_OPERATIONS, true)) {
+      $targets = $this->getOperationTargets($server_id, $index_id);
+      $estimate = $this->costEstimator->estimate($operation, $targets, $form_state->getValues());
+      $budget = $this->budgetGuard->check($estimate, $targets);
+
+      if ($budget['blocked']) {
+        if ($this->budgetGuard->isConfirmed($budget, $form_state->getValue('budget_confirmation'))) {
+          $form_state->set('budget_override', $budget);
+        } else {
+          $form_state->setErrorByName(
+              'budget_confirmation',
+              $this->t('@reasons Type %confirmation to run it anyway.', [
+                '@reasons' => implode(' ', array_column($budget['violations'], 'message')),
+                '%confirmation' => $budget['confirmation'],
+              ])
+          );
+        }
+      }
+    }
   }
 
   /**
@@ -569,12 +853,23 @@ public function submitForm(array &$form, FormStateInterface $form_state)
     }
 
     // Execute the operation.
+    $started = time();
     $results = $this->executeOperation($operation, $targets, [
       'batch_size' => $batch_size,
       'use_queue' => $use_queue,
       'priority' => $priority,
       'force_overwrite' => $force_overwrite,
-    ]);
+    ] + ItemSelectionService::normalizeFilters($values));
+    $parameters = $this->operationPreview->normalizeSelection($values);
+    if ($form_state->get('budget_override')) {
+      $this->budgetGuard->logOverride($form_state->get('budget_override'), $operation);
+      $parameters['budget_override'] = true;
+    }
+    $this->operationHistory->record($parameters, $results, $started);
+
+    if (!empty($values['preview_id'])) {
+      $this->operationPreview->clearSelection();
+    }
 
     // Display results.
     if ($results['success']) {
@@ -601,10 +896,10 @@ public function submitForm(array &$form, FormStateInterface $form_state)
       );
     }
 
-    // Redirect to results page if available.
-    if (!empty($results['batch_id'])) {
-      $form_state->setRedirect('search_api_postgresql.admin.batch_status', [
-        'batch_id' => $results['batch_id'],
+    // Follow started operations in their console.
+    if (!empty($results['operation_id'])) {
+      $form_state->setRedirect('search_api_postgresql.admin.operation_console', [
+        'operation_id' => $results['operation_id'],
       ]);
     }
   }
@@ -620,23 +915,19 @@ public function submitForm(array &$form, FormStateInterface $form_state)
    */
   public function previewChanges(array &$form, FormStateInterface $form_state)
   {
-    $values = $form_state->getValues();
-    $server_id = $values['server_id'];
-    $index_id = $values['index_id'];
-    $operation = $values['operation'];
-
-    // Get operation preview.
-    $preview = $this->getOperationPreview($operation, $server_id, $index_id);
+    $selection = $this->operationPreview->normalizeSelection($form_state->getValues());
+    $preview = $this->operationPreview->summarize($selection);
 
     $this->messenger()->addStatus(
         $this->t(
             'Preview: This operation would affect @items items across @servers ' .
-            'servers and @indexes indexes. Estimated cost: $@cost',
+            'servers and @indexes indexes. Estimated cost: @cost @currency',
             [
             '@items' => number_format($preview['affected_items']),
             '@servers' => $preview['affected_servers'],
             '@indexes' => $preview['affected_indexes'],
             '@cost' => number_format($preview['estimated_cost'], 4),
+            '@currency' => $preview['currency'],
             ]
         )
     );
@@ -645,9 +936,10 @@ public function previewChanges(array &$form, FormStateInterface $form_state)
     if (!empty($preview['breakdown'])) {
       $breakdown_text = [];
       foreach ($preview['breakdown'] as $item) {
-        $breakdown_text[] = $this->t('@server: @items items', [
+        $breakdown_text[] = $this->t('@index on @server: @items items', [
+          '@index' => $item['index_name'],
           '@server' => $item['server_name'],
-          '@items' => number_format($item['item_count']),
+          '@items' => number_format($item['items']),
         ]);
       }
 
@@ -657,6 +949,12 @@ public function previewChanges(array &$form, FormStateInterface $form_state)
           ])
       );
     }
+
+    foreach ($preview['warnings'] as $warning) {
+      $this->messenger()->addWarning($warning['message']);
+    }
+
+    $form_state->setRebuild();
   }
 
   /**
@@ -745,51 +1043,7 @@ protected function getRecentActivity($limit = 10)
    */
   protected function getOperationTargets($server_id = null, $index_id = null)
   {
-    $targets = [];
-
-    if ($index_id) {
-      // Specific index.
-      $index = Index::load($index_id);
-      if ($index) {
-        $server = $index->getServerInstance();
-        $targets[] = [
-          'server' => $server,
-          'index' => $index,
-        ];
-      }
-    } elseif ($server_id) {
-      // All indexes on specific server.
-      $server = Server::load($server_id);
-      if ($server) {
-        $indexes = $this->entityTypeManager
-          ->getStorage('search_api_index')
-          ->loadByProperties(['server' => $server_id]);
-
-        foreach ($indexes as $index) {
-          $targets[] = [
-            'server' => $server,
-            'index' => $index,
-          ];
-        }
-      }
-    } else {
-      // All PostgreSQL servers and indexes.
-      $servers = $this->getPostgreSQLServers();
-      foreach ($servers as $server) {
-        $indexes = $this->entityTypeManager
-          ->getStorage('search_api_index')
-          ->loadByProperties(['server' => $server->id()]);
-
-        foreach ($indexes as $index) {
-          $targets[] = [
-            'server' => $server,
-            'index' => $index,
-          ];
-        }
-      }
-    }
-
-    return $targets;
+    return $this->costEstimator->getTargets($server_id, $index_id);
   }
 
   /**
@@ -853,48 +1107,73 @@ protected function executeOperation($operation, array $targets, array $options)
    * Executes regenerate all embeddings operation.
    * {@inheritdoc}
    *
+   * The operation is tracked, so its console can follow the queued or
+   * batched regeneration.
+   *
    * @param array $targets
    *   The operation targets.
    * @param array $options
    *   The operation options.
+   * @param string $operation
+   *   The operation, 'regenerate_all' or 'regenerate_missing'.
    *   {@inheritdoc}.
    *
    * @return array
    *   The operation results.
    */
-  protected function executeRegenerateAll(array $targets, array $options)
+  protected function executeRegenerateAll(array $targets, array $options, $operation = 'regenerate_all')
   {
+    $only_missing = $this->costEstimator->affectsOnlyMissing($operation, $options);
+    $estimate = $this->costEstimator->estimate($operation, $targets, $options);
+    $operation_id = $this->operationTracker->startFromEstimate($options['use_queue'] ? 'queue' : 'batch', $estimate);
+    $tracked = $this->operationTracker->get($operation_id);
     $total_queued = 0;
-    $total_processed = 0;
 
+    // Resolve the item selection once, so every batch works on the same rows.
+    $filters = [];
     foreach ($targets as $target) {
-      $server = $target['server'];
-      $index = $target['index'];
+      $filters[$target['index']->id()] = $this->costEstimator->getItemFilter($target['index'], $options);
+    }
 
-      if ($options['use_queue']) {
+    if ($options['use_queue']) {
+      foreach ($tracked['targets'] as $index_id => $target) {
         $success = $this->queueManager->queueIndexEmbeddingRegeneration(
-            $server->id(),
-            $index->id(),
+            $target['server_id'],
+            $index_id,
             $options['batch_size'],
             // Start from beginning.
               0,
-            $this->getPriorityValue($options['priority'])
+            $this->getPriorityValue($options['priority']),
+            $only_missing,
+            $operation_id,
+            $filters[$index_id] ?? []
         );
 
         if ($success) {
-          $total_queued++;
+          $total_queued += $target['total'];
         }
-      } else {
-        // Direct processing (simplified for example)
-        $total_processed++;
       }
+    } else {
+      $batch = [
+        'title' => $this->t('Regenerating embeddings'),
+        'operations' => [],
+        'finished' => '\Drupal\search_api_postgresql\Form\BulkRegenerateForm::batchFinished',
+      ];
+      foreach ($tracked['targets'] as $index_id => $target) {
+        $batch['operations'][] = [
+          '\Drupal\search_api_postgresql\Form\BulkRegenerateForm::batchProcessIndex',
+          [$target['server_id'], $index_id, $options['batch_size'], !$only_missing, $operation_id, $filters[$index_id] ?? []],
+        ];
+      }
+      batch_set($batch);
     }
 
     return [
       'success' => true,
-      'message' => $this->t('Regeneration initiated for @count targets', ['@count' => count($targets)]),
+      'message' => $this->t('Regeneration initiated for @count targets', ['@count' => count($tracked['targets'])]),
       'queued_items' => $total_queued,
-      'processed_items' => $total_processed,
+      'processed_items' => 0,
+      'operation_id' => $operation_id,
     ];
   }
 
@@ -913,8 +1192,8 @@ protected function executeRegenerateAll(array $targets, array $options)
    */
   protected function executeRegenerateMissing(array $targets, array $options)
   {
-    // Similar to regenerateAll but only for items without embeddings.
-    return $this->executeRegenerateAll($targets, $options);
+    // Same as regenerateAll but only for items without embeddings.
+    return $this->executeRegenerateAll($targets, $options, 'regenerate_missing');
   }
 
   /**
@@ -933,23 +1212,50 @@ protected function executeRegenerateMissing(array $targets, array $options)
   protected function executeValidateEmbeddings(array $targets, array $options)
   {
     $validation_results = [];
+    $checked = 0;
+    $failed = 0;
 
     foreach ($targets as $target) {
       $server = $target['server'];
       $index = $target['index'];
+      $backend = $server->getBackend();
+
+      if (!method_exists($backend, 'validateEmbeddings')) {
+        continue;
+      }
+
+      try {
+        // The failures are remembered for the "failed last validation" filter.
+        $filter = $this->costEstimator->getItemFilter($index, $options);
+        $result = $backend->validateEmbeddings($index, $filter);
+        $this->itemSelection->recordValidation($index->id(), $result, $filter);
+      } catch (\Exception $e) {
+        $this->getLogger('search_api_postgresql')->error(
+            'Failed to validate embeddings for @index: @error',
+            ['@index' => $index->label(), '@error' => $e->getMessage()]
+        );
+        continue;
+      }
 
-      // This would run validation checks on embeddings.
+      $checked += $result['checked'];
+      $failed += count($result['failed']);
       $validation_results[] = [
         'server' => $server->label(),
         'index' => $index->label(),
-      // Simplified.
-        'status' => 'valid',
+        'checked' => $result['checked'],
+        'failed' => count($result['failed']),
+        'status' => $result['failed'] ? 'invalid' : 'valid',
       ];
     }
 
     return [
       'success' => true,
-      'message' => $this->t('Validation completed for @count targets', ['@count' => count($targets)]),
+      'message' => $this->t('Validated @checked embeddings in @count indexes, @failed of them invalid.', [
+        '@checked' => $checked,
+        '@count' => count($validation_results),
+        '@failed' => $failed,
+      ]),
+      'processed_items' => $checked,
       'validation_results' => $validation_results,
     ];
   }
@@ -970,6 +1276,7 @@ protected function executeValidateEmbeddings(array $targets, array $options)
   protected function executeClearEmbeddings(array $targets, array $options)
   {
     $cleared_count = 0;
+    $cleared_items = 0;
 
     foreach ($targets as $target) {
       $server = $target['server'];
@@ -977,24 +1284,11 @@ protected function executeClearEmbeddings(array $targets, array $options)
 
       try {
         $backend = $server->getBackend();
+        if (!method_exists($backend, 'clearEmbeddings')) {
+          continue;
+        }
 
-        // Connect and clear embeddings.
-        $reflection = new \ReflectionClass($backend);
-        $connect_method = $reflection->getMethod('connect');
-        $connect_method->setAccessible(true);
-        $connect_method->invoke($backend);
-
-        $connector_property = $reflection->getProperty('connector');
-        $connector_property->setAccessible(true);
-        $connector = $connector_property->getValue($backend);
-
-        $config = $backend->getConfiguration();
-        $table_name = $config['index_prefix'] . $index->id();
-
-        // Clear embedding columns.
-        $sql = "UPDATE {$table_name} SET content_embedding = NULL, embedding_vector = NULL";
-        $connector->executeQuery($sql);
-
+        $cleared_items += $backend->clearEmbeddings($index, $this->costEstimator->getItemFilter($index, $options));
         $cleared_count++;
       } catch (\Exception $e) {
         // Log error but continue with other indexes.
@@ -1007,8 +1301,11 @@ protected function executeClearEmbeddings(array $targets, array $options)
 
     return [
       'success' => true,
-      'message' => $this->t('Cleared embeddings for @count indexes', ['@count' => $cleared_count]),
-      'processed_items' => $cleared_count,
+      'message' => $this->t('Cleared @items embeddings in @count indexes', [
+        '@items' => $cleared_items,
+        '@count' => $cleared_count,
+      ]),
+      'processed_items' => $cleared_items,
     ];
   }
 
@@ -1035,79 +1332,6 @@ protected function executeUpdateDimensions(array $targets, array $options)
     ];
   }
 
-  /**
-   * Gets operation preview information.
-   * {@inheritdoc}
-   *
-   * @param string $operation
-   *   The operation type.
-   * @param string|null $server_id
-   *   The server ID, or NULL for all servers.
-   * @param string|null $index_id
-   *   The index ID, or NULL for all indexes.
-   *   {@inheritdoc}.
-   *
-   * @return array
-   *   Preview information including affected items and costs.
-   */
-  protected function getOperationPreview($operation, $server_id = null, $index_id = null)
-  {
-    $targets = $this->getOperationTargets($server_id, $index_id);
-
-    $preview = [
-      'affected_items' => 0,
-      'affected_servers' => 0,
-      'affected_indexes' => count($targets),
-      'estimated_cost' => 0,
-      'breakdown' => [],
-    ];
-
-    $servers_counted = [];
-
-    foreach ($targets as $target) {
-      $server = $target['server'];
-      $index = $target['index'];
-
-      // Count unique servers.
-      if (!in_array($server->id(), $servers_counted)) {
-        $servers_counted[] = $server->id();
-      }
-
-      // Get item count for this index.
-      try {
-        $backend = $server->getBackend();
-        if (method_exists($backend, 'getVectorStats')) {
-          $stats = $backend->getVectorStats($index);
-        } elseif (method_exists($backend, 'getAzureVectorStats')) {
-          $stats = $backend->getAzureVectorStats($index);
-        } else {
-          $stats = ['total_items' => 0];
-        }
-
-        $item_count = $stats['total_items'] ?? 0;
-        $preview['affected_items'] += $item_count;
-
-        // Estimate cost (simplified calculation)
-        // Example cost.
-        $cost_per_item = 0.0001;
-        $preview['estimated_cost'] += $item_count * $cost_per_item;
-
-        $preview['breakdown'][] = [
-          'server_name' => $server->label(),
-          'index_name' => $index->label(),
-          'item_count' => $item_count,
-        ];
-      } catch (\Exception $e) {
-        // Skip indexes with errors.
-        continue;
-      }
-    }
-
-    $preview['affected_servers'] = count($servers_counted);
-
-    return $preview;
-  }
-
   /**
    * Converts priority name to numeric value.
    * {@inheritdoc}
@@ -6,6 +6,7 @@
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
 use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Traits\ConfirmationDialogTrait;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -13,6 +14,8 @@
  */
 class QueueManagementForm extends FormBase
 {
+  use ConfirmationDialogTrait;
+
   /**
    * The embedding queue manager.
    * {@inheritdoc}
@@ -260,6 +263,26 @@ public function buildForm(array $form, FormStateInterface $form_state)
       '#button_type' => 'primary',
     ];
 
+    $queue_scope = [
+      [$this->t('Queue'), $queue_stats['queue_name'] ?? 'search_api_postgresql_embedding'],
+      [$this->t('Items in queue'), number_format($queue_stats['items_pending'] ?? 0)],
+    ];
+    $this->addConfirmationDialog($form['actions']['submit'], 'action', [
+      'clear_failed' => [
+        'title' => $this->t('Clear failed queue items?'),
+        'message' => $this->t('Items that failed to get an embedding are removed from the queue and will not be retried.'),
+        'scope' => $queue_scope,
+        'confirm' => $this->t('Clear failed items'),
+      ],
+      'clear_all' => [
+        'title' => $this->t('Clear the whole queue?'),
+        'message' => $this->t('Every queued item is removed, so their embeddings are not generated until the items are indexed again.'),
+        'scope' => $queue_scope,
+        'typed' => 'clear queue',
+        'confirm' => $this->t('Clear queue'),
+      ],
+    ]);
+
     $form['actions']['save_config'] = [
       '#type' => 'submit',
       '#value' => $this->t('Save Configuration'),
@@ -2,13 +2,16 @@
 
 namespace Drupal\search_api_postgresql\Plugin\QueueWorker;
 
+use Drupal\Core\Queue\DelayedRequeueException;
 use Drupal\Core\Queue\QueueWorkerBase;
 use Drupal\Core\Queue\SuspendQueueException;
 use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
 use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
 use Drupal\search_api\IndexInterface;
 use Psr\Log\LoggerInterface;
 
@@ -24,6 +27,11 @@
  */
 class EmbeddingWorker extends QueueWorkerBase implements ContainerFactoryPluginInterface
 {
+  /**
+   * Seconds a batch of a paused operation waits before it is checked again.
+   */
+  const PAUSED_RETRY_DELAY = 300;
+
   /**
    * The entity type manager.
    * {@inheritdoc}
@@ -56,6 +64,22 @@ class EmbeddingWorker extends QueueWorkerBase implements ContainerFactoryPluginI
    */
   protected $logger;
 
+  /**
+   * The embedding queue manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager
+   */
+  protected $queueManager;
+
+  /**
+   * The operation tracker.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationTrackerService
+   */
+  protected $operationTracker;
+
   /**
    * The start time for processing.
    * {@inheritdoc}
@@ -90,6 +114,10 @@ class EmbeddingWorker extends QueueWorkerBase implements ContainerFactoryPluginI
    *   The embedding analytics service.
    * @param \Psr\Log\LoggerInterface $logger
    *   The logger.
+   * @param \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager $queue_manager
+   *   The embedding queue manager.
+   * @param \Drupal\search_api_postgresql\Service\OperationTrackerService $operation_tracker
+   *   The operation tracker.
    */
   public function __construct(
       array $configuration,
@@ -99,12 +127,16 @@ public function __construct(
       EmbeddingCacheManager $cache_manager,
       EmbeddingAnalyticsService $analytics_service,
       LoggerInterface $logger,
+      EmbeddingQueueManager $queue_manager,
+      OperationTrackerService $operation_tracker,
   ) {
     parent::__construct($configuration, $plugin_id, $plugin_definition);
     $this->entityTypeManager = $entity_type_manager;
     $this->cacheManager = $cache_manager;
     $this->analyticsService = $analytics_service;
     $this->logger = $logger;
+    $this->queueManager = $queue_manager;
+    $this->operationTracker = $operation_tracker;
   }
 
   /**
@@ -119,7 +151,9 @@ public static function create(ContainerInterface $container, array $configuratio
         $container->get('entity_type.manager'),
         $container->get('search_api_postgresql.cache_manager'),
         $container->get('search_api_postgresql.analytics'),
-        $container->get('logger.channel.search_api_postgresql')
+        $container->get('logger.channel.search_api_postgresql'),
+        $container->get('search_api_postgresql.embedding_queue_manager'),
+        $container->get('search_api_postgresql.operation_tracker')
     );
   }
 
@@ -133,6 +167,8 @@ public static function create(ContainerInterface $container, array $configuratio
    *
    * @throws \Drupal\Core\Queue\SuspendQueueException
    *   If processing should be suspended.
+   * @throws \Drupal\Core\Queue\DelayedRequeueException
+   *   If the item belongs to a paused operation.
    * @throws \Exception
    *   If processing fails.
    */
@@ -171,6 +207,8 @@ public function processItem($data)
       $this->logger->debug('Successfully processed queue item: @operation', [
         '@operation' => $data['operation'],
       ]);
+    } catch (SuspendQueueException | DelayedRequeueException $e) {
+      throw $e;
     } catch (\Exception $e) {
       $this->logger->error('Failed to process queue item: @message', [
         '@message' => $e->getMessage(),
@@ -272,8 +310,17 @@ protected function processBatchEmbeddingGeneration(array $data)
    * Processes index embedding regeneration.
    * {@inheritdoc}
    *
+   * Each queue item regenerates one page of rows and queues the next page,
+   * until a page comes back short. Pages of a tracked operation are reported
+   * to the operation tracker; the operation's console can pause it, which
+   * puts its next page back in the queue for later while other items carry
+   * on, or cancel it, which drops its remaining pages.
+   *
    * @param array $data
    *   Queue item data.
+   *
+   * @throws \Drupal\Core\Queue\DelayedRequeueException
+   *   If the operation is paused.
    */
   protected function processIndexEmbeddingRegeneration(array $data)
   {
@@ -281,66 +328,64 @@ protected function processIndexEmbeddingRegeneration(array $data)
     $index_id = $data['index_id'];
     $batch_size = $data['batch_size'] ?? 50;
     $offset = $data['offset'] ?? 0;
+    $only_missing = !empty($data['only_missing']);
+    $operation_id = $data['operation_id'] ?? null;
+    $filter = $data['filter'] ?? [];
+
+    if ($operation_id) {
+      switch ($this->operationTracker->getStatus($operation_id)) {
+        case OperationTrackerService::STATUS_PAUSED:
+            throw new DelayedRequeueException(self::PAUSED_RETRY_DELAY, "Operation {$operation_id} is paused");
+
+        case OperationTrackerService::STATUS_CANCELLED:
+          $this->logger->info('Dropped a batch of cancelled operation @id', ['@id' => $operation_id]);
+            return;
+      }
+    }
 
     $server = $this->loadServer($server_id);
     $index = $this->loadIndex($index_id);
-
-    // Get backend and index manager.
     $backend = $server->getBackend();
-    $reflection = new \ReflectionClass($backend);
 
-    // Connect to get index manager.
-    $connect_method = $reflection->getMethod('connect');
-    $connect_method->setAccessible(true);
-    $connect_method->invoke($backend);
+    if (!method_exists($backend, 'regenerateEmbeddings')) {
+      throw new \Exception("Server {$server_id} does not support embedding regeneration");
+    }
 
-    $index_manager_property = $reflection->getProperty('indexManager');
-    $index_manager_property->setAccessible(true);
-    $index_manager = $index_manager_property->getValue($backend);
+    $result = $backend->regenerateEmbeddings($index, $only_missing, $batch_size, $offset, $filter);
 
-    // Process batch of items.
-    $items_processed = $this->regenerateEmbeddingsBatch($index_manager, $index, $batch_size, $offset);
+    if ($operation_id) {
+      $this->operationTracker->recordBatch($operation_id, $index_id, $result);
+    }
 
-    if ($items_processed > 0) {
-      // Queue next batch if there are more items.
-      $next_offset = $offset + $batch_size;
-      $this->queueManager->queueIndexEmbeddingRegeneration($server_id, $index_id, $batch_size, $next_offset);
+    if ($result['items'] >= $batch_size) {
+      // Regenerated rows leave the "missing" selection, failed ones do not.
+      $next_offset = $only_missing ? $offset + count($result['failed']) : $offset + $batch_size;
+      $this->queueManager->queueIndexEmbeddingRegeneration(
+          $server_id,
+          $index_id,
+          $batch_size,
+          $next_offset,
+          $data['priority'] ?? 200,
+          $only_missing,
+          $operation_id,
+          $filter
+      );
 
       $this->logger->info('Processed @count items for embedding regeneration (offset @offset)', [
-        '@count' => $items_processed,
+        '@count' => $result['items'],
         '@offset' => $offset,
       ]);
     } else {
+      if ($operation_id) {
+        $this->operationTracker->finishTarget($operation_id, $index_id);
+      }
+
       $this->logger->info('Completed embedding regeneration for index @index', [
         '@index' => $index_id,
       ]);
     }
   }
 
-  /**
-   * Regenerates embeddings for a batch of items.
-   * {@inheritdoc}
-   *
-   * @param mixed $index_manager
-   *   The index manager.
-   * @param \Drupal\search_api\IndexInterface $index
-   *   The search index.
-   * @param int $batch_size
-   *   The batch size.
-   * @param int $offset
-   *   The offset.
-   *   {@inheritdoc}.
-   *
-   * @return int
-   *   Number of items processed.
-   */
-  protected function regenerateEmbeddingsBatch($index_manager, IndexInterface $index, $batch_size, $offset)
-  {
-    // This would need to be implemented based on the specific index manager
-    // For now, return 0 to indicate completion.
-    return 0;
-  }
-
   /**
    * Stores an embedding in the database.
    * {@inheritdoc}
@@ -14,10 +14,15 @@
 use Drupal\search_api\SearchApiException;
 use Drupal\search_api\Item\ItemInterface;
 use Drupal\search_api\Plugin\PluginFormTrait;
+use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
 use Drupal\search_api_postgresql\Traits\SecurityManagementTrait;
 use Drupal\search_api_postgresql\PostgreSQL\PostgreSQLConnector;
 use Drupal\search_api_postgresql\PostgreSQL\FieldMapper;
 use Drupal\search_api_postgresql\PostgreSQL\IndexManager;
+use Drupal\search_api_postgresql\Service\AzureCognitiveServicesEmbeddingService;
+use Drupal\search_api_postgresql\Service\AzureOpenAIEmbeddingService;
+use Drupal\search_api_postgresql\Service\EmbeddingModelCatalog;
+use Drupal\search_api_postgresql\Service\OpenAIEmbeddingService;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -118,6 +123,24 @@ class PostgreSQLBackend extends BackendPluginBase implements ContainerFactoryPlu
    */
   protected $currentIndex;
 
+  /**
+   * The embedding model catalog.
+   *
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\EmbeddingModelCatalog
+   */
+  protected $modelCatalog;
+
+  /**
+   * The embedding analytics service.
+   *
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService|null
+   */
+  protected $analyticsService;
+
   /**
    * {@inheritdoc}
    */
@@ -145,6 +168,12 @@ public static function create(ContainerInterface $container, array $configuratio
       if ($container->has('search_api_postgresql.vector_search_service')) {
         $instance->vectorSearchService = $container->get('search_api_postgresql.vector_search_service');
       }
+      if ($container->has('search_api_postgresql.embedding_model_catalog')) {
+        $instance->modelCatalog = $container->get('search_api_postgresql.embedding_model_catalog');
+      }
+      if ($container->has('search_api_postgresql.analytics')) {
+        $instance->analyticsService = $container->get('search_api_postgresql.analytics');
+      }
     } catch (\Exception $e) {
       $instance->logger->notice('Optional services not available: @error', ['@error' => $e->getMessage()]);
     }
@@ -196,15 +225,31 @@ public function defaultConfiguration()
           'dimension' => 1536,
           'organization' => '',
         ],
+        'azure_cognitive' => [
+          'endpoint' => '',
+          'api_key' => '',
+          'api_key_key' => '',
+          'deployment_name' => '',
+          'model' => 'text-embedding-3-small',
+          'dimension' => 1536,
+          'api_version' => '2024-02-01',
+        ],
         'cache' => true,
         'cache_ttl' => 3600,
+        'budget' => [
+          'monthly' => 0,
+          'operation_ceiling' => 0,
+        ],
       ],
 
       // Vector Index Configuration.
       'vector_index' => [
-        'method' => 'ivfflat',
+        'method' => 'hnsw',
         'lists' => 100,
         'probes' => 10,
+        'm' => 16,
+        'ef_construction' => 64,
+        'ef_search' => 40,
         'distance' => 'cosine',
       ],
 
@@ -247,6 +292,32 @@ public function defaultConfiguration()
   public function buildConfigurationForm(array $form, FormStateInterface $form_state)
   {
 
+    // Copy, download and import of the settings below as JSON, with secrets
+    // redacted. Handled client-side from the current form values.
+    $form['config_transfer'] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['config-transfer'],
+        'data-server-id' => $this->server && !$this->server->isNew() ? $this->server->id() : '',
+      ],
+    ];
+
+    foreach ([
+      'copy' => $this->t('Copy config'),
+      'download' => $this->t('Download config'),
+      'import' => $this->t('Paste/Import config'),
+    ] as $action => $label) {
+      $form['config_transfer'][$action] = [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $label,
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'button--small', 'config-transfer-' . $action],
+        ],
+      ];
+    }
+
     // Database Connection (expand existing)
     $form['connection'] = [
       '#type' => 'details',
@@ -300,6 +371,29 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       '#default_value' => $this->configuration['connection']['ssl_mode'] ?? 'prefer',
     ];
 
+    // Staged diagnostics, re-run client-side as the settings above change.
+    $form['connection']['diagnostics'] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['connection-diagnostics'],
+        'data-server-id' => $this->server && !$this->server->isNew() ? $this->server->id() : '',
+      ],
+    ];
+
+    $form['connection']['diagnostics']['run'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'button',
+      '#value' => $this->t('Run diagnostics'),
+      '#attributes' => [
+        'type' => 'button',
+        'class' => ['button', 'button--small', 'connection-diagnostics-run'],
+      ],
+    ];
+
+    $form['connection']['diagnostics']['results'] = [
+      '#markup' => '<ul class="connection-diagnostics-results" aria-live="polite"></ul>',
+    ];
+
     // FTS Configuration.
     $form['fts_configuration'] = [
       '#type' => 'select',
@@ -330,10 +424,7 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
     $form['ai_embeddings']['provider'] = [
       '#type' => 'select',
       '#title' => $this->t('Provider'),
-      '#options' => [
-        'azure' => $this->t('Azure OpenAI'),
-        'openai' => $this->t('OpenAI'),
-      ],
+      '#options' => $this->getModelCatalog()->getProviderOptions(),
       '#default_value' => $this->configuration['ai_embeddings']['provider'] ?? 'azure',
       '#states' => [
         'visible' => [
@@ -342,15 +433,15 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       ],
     ];
 
-    // Azure config (using exact existing schema paths)
+    // Azure config (using exact existing schema paths). Only the selected
+    // provider's fieldset is shown; the others are hidden client-side so
+    // their values survive switching back and forth.
     $form['ai_embeddings']['azure'] = [
       '#type' => 'fieldset',
       '#title' => $this->t('Azure OpenAI'),
-      '#states' => [
-        'visible' => [
-          ':input[name="ai_embeddings[enabled]"]' => ['checked' => true],
-          ':input[name="ai_embeddings[provider]"]' => ['value' => 'azure'],
-        ],
+      '#attributes' => [
+        'class' => ['ai-provider-settings'],
+        'data-provider' => 'azure',
       ],
     ];
 
@@ -376,11 +467,7 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
     $form['ai_embeddings']['azure']['model'] = [
       '#type' => 'select',
       '#title' => $this->t('Model'),
-      '#options' => [
-        'text-embedding-3-small' => $this->t('text-embedding-3-small'),
-        'text-embedding-3-large' => $this->t('text-embedding-3-large'),
-        'text-embedding-ada-002' => $this->t('text-embedding-ada-002'),
-      ],
+      '#options' => $this->getModelCatalog()->getModelOptions('azure'),
       '#default_value' => $this->configuration['ai_embeddings']['azure']['model'] ?? 'text-embedding-3-small',
     ];
 
@@ -390,6 +477,153 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       '#default_value' => $this->configuration['ai_embeddings']['azure']['dimension'] ?? 1536,
       '#min' => 1,
       '#max' => 10000,
+      '#description' => $this->t('Defaults to the native dimension of the selected model. Models that support shortened embeddings accept any value within their range.'),
+    ];
+
+    // OpenAI config.
+    $form['ai_embeddings']['openai'] = [
+      '#type' => 'fieldset',
+      '#title' => $this->t('OpenAI'),
+      '#attributes' => [
+        'class' => ['ai-provider-settings'],
+        'data-provider' => 'openai',
+      ],
+    ];
+
+    $form['ai_embeddings']['openai']['api_key'] = [
+      '#type' => 'password',
+      '#title' => $this->t('API Key'),
+      '#default_value' => '',
+      '#description' => $this->t('Leave empty to keep existing key.'),
+    ];
+
+    $form['ai_embeddings']['openai']['organization'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Organization ID'),
+      '#default_value' => $this->configuration['ai_embeddings']['openai']['organization'] ?? '',
+      '#description' => $this->t('Optional. Only needed when the key belongs to more than one organization.'),
+    ];
+
+    $form['ai_embeddings']['openai']['model'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Model'),
+      '#options' => $this->getModelCatalog()->getModelOptions('openai'),
+      '#default_value' => $this->configuration['ai_embeddings']['openai']['model'] ?? 'text-embedding-3-small',
+    ];
+
+    $form['ai_embeddings']['openai']['dimension'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Dimensions'),
+      '#default_value' => $this->configuration['ai_embeddings']['openai']['dimension'] ?? 1536,
+      '#min' => 1,
+      '#max' => 10000,
+      '#description' => $this->t('Defaults to the native dimension of the selected model. Models that support shortened embeddings accept any value within their range.'),
+    ];
+
+    // Azure Cognitive Services (Azure AI services) config.
+    $form['ai_embeddings']['azure_cognitive'] = [
+      '#type' => 'fieldset',
+      '#title' => $this->t('Azure Cognitive Services'),
+      '#attributes' => [
+        'class' => ['ai-provider-settings'],
+        'data-provider' => 'azure_cognitive',
+      ],
+    ];
+
+    $form['ai_embeddings']['azure_cognitive']['endpoint'] = [
+      '#type' => 'url',
+      '#title' => $this->t('Endpoint'),
+      '#default_value' => $this->configuration['ai_embeddings']['azure_cognitive']['endpoint'] ?? '',
+      '#description' => $this->t('The resource endpoint, e.g. https://my-resource.cognitiveservices.azure.com.'),
+    ];
+
+    $form['ai_embeddings']['azure_cognitive']['api_key'] = [
+      '#type' => 'password',
+      '#title' => $this->t('API Key'),
+      '#default_value' => '',
+      '#description' => $this->t('Leave empty to keep existing key.'),
+    ];
+
+    $form['ai_embeddings']['azure_cognitive']['deployment_name'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Deployment Name'),
+      '#default_value' => $this->configuration['ai_embeddings']['azure_cognitive']['deployment_name'] ?? '',
+    ];
+
+    $form['ai_embeddings']['azure_cognitive']['model'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Model'),
+      '#options' => $this->getModelCatalog()->getModelOptions('azure_cognitive'),
+      '#default_value' => $this->configuration['ai_embeddings']['azure_cognitive']['model'] ?? 'text-embedding-3-small',
+    ];
+
+    $form['ai_embeddings']['azure_cognitive']['dimension'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Dimensions'),
+      '#default_value' => $this->configuration['ai_embeddings']['azure_cognitive']['dimension'] ?? 1536,
+      '#min' => 1,
+      '#max' => 10000,
+      '#description' => $this->t('Defaults to the native dimension of the selected model. Models that support shortened embeddings accept any value within their range.'),
+    ];
+
+    // Credential check for each provider, run against the values entered.
+    foreach (array_keys($this->getModelCatalog()->getProviderOptions()) as $provider) {
+      if (!isset($form['ai_embeddings'][$provider])) {
+        continue;
+      }
+
+      $form['ai_embeddings'][$provider]['verify'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['ai-provider-verify'],
+          'data-provider' => $provider,
+          'data-server-id' => $this->server && !$this->server->isNew() ? $this->server->id() : '',
+        ],
+        'button' => [
+          '#type' => 'html_tag',
+          '#tag' => 'button',
+          '#value' => $this->t('Verify credentials'),
+          '#attributes' => [
+            'type' => 'button',
+            'class' => ['button', 'button--small', 'ai-provider-verify-run'],
+          ],
+        ],
+        'result' => [
+          '#markup' => '<span class="ai-provider-verify-result" aria-live="polite"></span>',
+        ],
+      ];
+    }
+
+    // Spending limits enforced by the embedding management forms.
+    $form['ai_embeddings']['budget'] = [
+      '#type' => 'fieldset',
+      '#title' => $this->t('Budget'),
+      '#description' => $this->t('Operations whose estimate exceeds a limit are blocked until the affected index IDs are typed to confirm. Use 0 for no limit.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="ai_embeddings[enabled]"]' => ['checked' => true],
+        ],
+      ],
+    ];
+
+    $form['ai_embeddings']['budget']['monthly'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Monthly budget'),
+      '#description' => $this->t('Maximum embedding spend on this server per calendar month.'),
+      '#default_value' => $this->configuration['ai_embeddings']['budget']['monthly'] ?? 0,
+      '#min' => 0,
+      '#step' => 0.01,
+      '#field_suffix' => EmbeddingModelCatalog::PRICE_CURRENCY,
+    ];
+
+    $form['ai_embeddings']['budget']['operation_ceiling'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Cost ceiling per operation'),
+      '#description' => $this->t('Maximum estimated cost of a single regeneration on this server.'),
+      '#default_value' => $this->configuration['ai_embeddings']['budget']['operation_ceiling'] ?? 0,
+      '#min' => 0,
+      '#step' => 0.01,
+      '#field_suffix' => EmbeddingModelCatalog::PRICE_CURRENCY,
     ];
 
     // Vector Index Configuration (using existing schema)
@@ -411,7 +645,7 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
         'ivfflat' => $this->t('IVFFlat'),
         'hnsw' => $this->t('HNSW'),
       ],
-      '#default_value' => $this->configuration['vector_index']['method'] ?? 'ivfflat',
+      '#default_value' => $this->configuration['vector_index']['method'] ?? 'hnsw',
     ];
 
     $form['vector_index']['distance'] = [
@@ -441,6 +675,58 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       '#max' => 1000,
     ];
 
+    $form['vector_index']['m'] = [
+      '#type' => 'number',
+      '#title' => $this->t('M (HNSW)'),
+      '#description' => $this->t('Maximum connections per layer. Higher values improve recall at the cost of memory and build time.'),
+      '#default_value' => $this->configuration['vector_index']['m'] ?? 16,
+      '#min' => 2,
+      '#max' => 100,
+    ];
+
+    $form['vector_index']['ef_construction'] = [
+      '#type' => 'number',
+      '#title' => $this->t('ef_construction (HNSW)'),
+      '#description' => $this->t('Candidate list size while building the index. Must be at least twice M.'),
+      '#default_value' => $this->configuration['vector_index']['ef_construction'] ?? 64,
+      '#min' => 4,
+      '#max' => 1000,
+    ];
+
+    $form['vector_index']['ef_search'] = [
+      '#type' => 'number',
+      '#title' => $this->t('ef_search (HNSW)'),
+      '#description' => $this->t('Candidate list size at query time. Higher values improve recall but slow searches down.'),
+      '#default_value' => $this->configuration['vector_index']['ef_search'] ?? 40,
+      '#min' => 1,
+      '#max' => 1000,
+    ];
+
+    // Tuning advisor, sized from the row counts of this server's indexes.
+    if ($this->server && !$this->server->isNew()) {
+      $form['vector_index']['advisor'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['vector-index-advisor'],
+          'data-server-id' => $this->server->id(),
+        ],
+      ];
+
+      $form['vector_index']['advisor']['fetch'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $this->t('Recommend settings'),
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'vector-index-advisor-fetch'],
+        ],
+      ];
+
+      $form['vector_index']['advisor']['result'] = [
+        '#markup' => '<div class="vector-index-advisor-result" aria-live="polite"></div>',
+      ];
+    }
+
     // Hybrid Search (using existing schema)
     $form['hybrid_search'] = [
       '#type' => 'details',
@@ -465,7 +751,7 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       '#default_value' => $this->configuration['hybrid_search']['text_weight'] ?? 0.6,
       '#min' => 0,
       '#max' => 1,
-      '#step' => 0.1,
+      '#step' => 0.01,
     ];
 
     $form['hybrid_search']['vector_weight'] = [
@@ -474,9 +760,20 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       '#default_value' => $this->configuration['hybrid_search']['vector_weight'] ?? 0.4,
       '#min' => 0,
       '#max' => 1,
-      '#step' => 0.1,
+      '#step' => 0.01,
     ];
 
+    // Indexes the client-side ranking preview can query.
+    if ($this->server && !$this->server->isNew()) {
+      $preview_indexes = [];
+      foreach ($this->server->getIndexes() as $index) {
+        $preview_indexes[] = ['id' => $index->id(), 'label' => $index->label()];
+      }
+      $form['#attached']['drupalSettings']['searchApiPostgreSQL']['hybridPreview'] = [
+        'indexes' => $preview_indexes,
+      ];
+    }
+
     // Basic settings (existing schema paths)
     $form['index_prefix'] = [
       '#type' => 'textfield',
@@ -498,8 +795,31 @@ public function buildConfigurationForm(array $form, FormStateInterface $form_sta
       '#max' => 1000,
     ];
 
+    // Impact summary for edits that invalidate stored vectors. The summary
+    // itself is rendered client-side as fields change.
+    $impact = $this->getReindexImpactSettings();
+    if ($impact['enabled'] && !empty($impact['indexes'])) {
+      $form['reindex_impact'] = [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['reindex-impact']],
+      ];
+
+      $form['reindex_impact']['summary'] = [
+        '#markup' => '<div class="reindex-impact-summary" aria-live="polite"></div>',
+      ];
+
+      $form['reindex_impact']['acknowledge'] = [
+        '#type' => 'checkbox',
+        '#title' => $this->t('I understand that changing the embedding model, dimensions, distance metric or index method requires the indexes on this server to be rebuilt.'),
+        '#default_value' => false,
+      ];
+
+      $form['#attached']['drupalSettings']['searchApiPostgreSQL']['reindexImpact'] = $impact;
+    }
+
     // Optional: Add JavaScript enhancement library.
     $form['#attached']['library'][] = 'search_api_postgresql/admin';
+    $form['#attached']['drupalSettings']['searchApiPostgreSQL']['modelCatalog'] = $this->getModelCatalog()->getClientSettings();
 
     return $form;
   }
@@ -563,6 +883,34 @@ public function validateConfigurationForm(array &$form, FormStateInterface $form
           $form_state->setErrorByName('ai_embeddings][azure][endpoint', $this->t('Endpoint must be a valid URL.'));
         }
       }
+
+      if ($ai_config['provider'] === 'azure_cognitive' && isset($ai_config['azure_cognitive'])) {
+        $cognitive = $ai_config['azure_cognitive'];
+
+        if (empty($cognitive['endpoint'])) {
+          $form_state->setErrorByName('ai_embeddings][azure_cognitive][endpoint', $this->t('Azure Cognitive Services endpoint is required.'));
+        } elseif (!filter_var($cognitive['endpoint'], FILTER_VALIDATE_URL)) {
+          $form_state->setErrorByName('ai_embeddings][azure_cognitive][endpoint', $this->t('Endpoint must be a valid URL.'));
+        }
+
+        if (empty($cognitive['deployment_name'])) {
+          $form_state->setErrorByName(
+              'ai_embeddings][azure_cognitive][deployment_name',
+              $this->t('Deployment name is required.')
+          );
+        }
+      }
+
+      if ($ai_config['provider'] === 'openai' && isset($ai_config['openai'])
+        && empty($ai_config['openai']['api_key']) && !$this->getCredential('openai_api_key', $this->configuration)) {
+        $form_state->setErrorByName('ai_embeddings][openai][api_key', $this->t('OpenAI API key is required.'));
+      }
+
+      // Validate model and dimension against the catalog.
+      $provider = $ai_config['provider'] ?? 'azure';
+      if (!empty($ai_config[$provider]['model'])) {
+        $this->validateModelDimension($provider, $ai_config[$provider], $form_state);
+      }
     }
 
     // Validate vector index settings.
@@ -586,12 +934,37 @@ public function validateConfigurationForm(array &$form, FormStateInterface $form
           );
         }
       }
+
+      if (($vector['method'] ?? 'hnsw') === 'hnsw') {
+        $m = (int) ($vector['m'] ?? 16);
+        if ($m < 2 || $m > 100) {
+          $form_state->setErrorByName('vector_index][m', $this->t('M must be between 2 and 100.'));
+        }
+
+        $ef_construction = (int) ($vector['ef_construction'] ?? 64);
+        if ($ef_construction < 2 * $m || $ef_construction > 1000) {
+          $form_state->setErrorByName(
+              'vector_index][ef_construction',
+              $this->t('ef_construction must be between @min and 1000.', ['@min' => 2 * $m])
+          );
+        }
+
+        $ef_search = (int) ($vector['ef_search'] ?? 40);
+        if ($ef_search < 1 || $ef_search > 1000) {
+          $form_state->setErrorByName('vector_index][ef_search', $this->t('ef_search must be between 1 and 1000.'));
+        }
+      }
     }
 
     // Validate hybrid search weights.
     if (!empty($values['hybrid_search']['enabled'])) {
       $hybrid = $values['hybrid_search'];
 
+      if (isset($hybrid['text_weight'], $hybrid['vector_weight'])
+        && abs((float) $hybrid['text_weight'] + (float) $hybrid['vector_weight'] - 1) > 0.001) {
+        $form_state->setErrorByName('hybrid_search][vector_weight', $this->t('Text and vector weights must add up to 1.'));
+      }
+
       if (isset($hybrid['text_weight'])) {
         $text_weight = (float) $hybrid['text_weight'];
         if ($text_weight < 0 || $text_weight > 1) {
@@ -610,6 +983,16 @@ public function validateConfigurationForm(array &$form, FormStateInterface $form
       }
     }
 
+    // Require acknowledgement before saving changes that need a rebuild.
+    if (isset($values['reindex_impact']) && empty($values['reindex_impact']['acknowledge'])) {
+      if ($this->getReindexChanges($this->configuration, $values)) {
+        $form_state->setErrorByName(
+            'reindex_impact][acknowledge',
+            $this->t('These changes require the indexes on this server to be rebuilt. Confirm the reindex impact to continue.')
+        );
+      }
+    }
+
     // Validate basic settings.
     if (!empty($values['batch_size'])) {
       $batch_size = (int) $values['batch_size'];
@@ -646,40 +1029,41 @@ public function submitConfigurationForm(array &$form, FormStateInterface $form_s
       $this->configuration['ai_embeddings']['enabled'] = $ai_values['enabled'] ?? false;
       $this->configuration['ai_embeddings']['provider'] = $ai_values['provider'] ?? 'azure';
 
-      // Azure configuration - keep existing password handling logic.
-      if (isset($ai_values['azure'])) {
-        foreach ($ai_values['azure'] as $key => $value) {
+      // Provider configuration - keep existing password handling logic.
+      // Every provider's values are saved, not just the selected one, so
+      // switching providers later does not lose them.
+      foreach (array_keys($this->getModelCatalog()->getProviderOptions()) as $provider) {
+        if (!isset($ai_values[$provider])) {
+          continue;
+        }
+
+        foreach ($ai_values[$provider] as $key => $value) {
+          if ($key === 'verify') {
+            continue;
+          }
           if ($key === 'api_key' && !empty($value)) {
-            $this->configuration['ai_embeddings']['azure'][$key] = $value;
+            $this->configuration['ai_embeddings'][$provider][$key] = $value;
           } elseif ($key !== 'api_key') {
-            $this->configuration['ai_embeddings']['azure'][$key] = $value;
+            $this->configuration['ai_embeddings'][$provider][$key] = $value;
           }
         }
 
-        // Auto-set dimensions based on model (keep existing logic)
-        if (!empty($ai_values['azure']['model'])) {
-          $model = $ai_values['azure']['model'];
-          $dimensions = [
-            'text-embedding-3-small' => 1536,
-            'text-embedding-3-large' => 3072,
-            'text-embedding-ada-002' => 1536,
-          ];
-
-          if (isset($dimensions[$model])) {
-            $this->configuration['ai_embeddings']['azure']['dimension'] = $dimensions[$model];
+        // Fall back to the model's native dimension when none was given.
+        // Validated custom dimensions (e.g. shortened text-embedding-3
+        // deployments) are kept as entered.
+        if (!empty($ai_values[$provider]['model']) && empty($ai_values[$provider]['dimension'])) {
+          $default = $this->getModelCatalog()->getDefaultDimension($provider, $ai_values[$provider]['model']);
+          if ($default) {
+            $this->configuration['ai_embeddings'][$provider]['dimension'] = $default;
           }
         }
       }
 
-      // OpenAI configuration (keep existing logic)
-      if (isset($ai_values['openai'])) {
-        foreach ($ai_values['openai'] as $key => $value) {
-          if ($key === 'api_key' && !empty($value)) {
-            $this->configuration['ai_embeddings']['openai'][$key] = $value;
-          } elseif ($key !== 'api_key') {
-            $this->configuration['ai_embeddings']['openai'][$key] = $value;
-          }
-        }
+      if (isset($ai_values['budget'])) {
+        $this->configuration['ai_embeddings']['budget'] = [
+          'monthly' => (float) $ai_values['budget']['monthly'],
+          'operation_ceiling' => (float) $ai_values['budget']['operation_ceiling'],
+        ];
       }
     }
 
@@ -721,60 +1105,252 @@ public function submitConfigurationForm(array &$form, FormStateInterface $form_s
   /**
    * {@inheritdoc}
    */
-  public function supportsDataType($type)
+  public function postUpdate()
   {
-    $supported_types = [
-      'text',
-      'string',
-      'integer',
-      'decimal',
-      'date',
-      'boolean',
-    ];
-
-    // Add PostgreSQL-specific data types with caching.
-    if ($this->isPostgreSqlSupportedCached()) {
-      $supported_types[] = 'postgresql_fulltext';
-    }
-
-    // Add vector type if pgvector is available with caching.
-    if ($this->isVectorSupportedCached()) {
-      $supported_types[] = 'vector';
+    $original = $this->server->original ?? null;
+    if (!$original) {
+      return false;
     }
 
-    return in_array($type, $supported_types);
+    // Stored vectors and vector indexes are only valid for the settings they
+    // were built with, so let Search API reindex every index on the server.
+    return (bool) $this->getReindexChanges($original->getBackendConfig(), $this->configuration);
   }
 
   /**
-   * Generic multi-value entity reference detection.
+   * Lists vector settings that differ between two backend configurations.
+   *
+   * {@inheritdoc}
+   *
+   * @param array $original
+   *   The saved backend configuration.
+   * @param array $updated
+   *   The new configuration or submitted form values.
+   *
+   * @return array
+   *   Changes keyed by setting ('model', 'dimension', 'distance' or
+   *   'method'), each with 'from', 'to' and a 'reembed' flag that is TRUE when
+   *   stored embeddings have to be regenerated rather than only reindexed.
    */
-  protected function isMultiValueEntityReference($field)
+  protected function getReindexChanges(array $original, array $updated)
   {
-    // Check if field has multiple cardinality.
-    if (!$this->isFieldMultiValue($field)) {
-      return false;
+    // Nothing has been embedded yet unless AI embeddings were enabled, and
+    // nothing needs rebuilding if they are being switched off.
+    if (empty($original['ai_embeddings']['enabled']) || empty($updated['ai_embeddings']['enabled'])) {
+      return [];
     }
 
-    // Check if it's an entity reference field through proper field definition.
-    try {
-      $datasource_id = $field->getDatasourceId();
-      if ($datasource_id && $this->currentIndex) {
-        $datasource = $this->currentIndex->getDatasource($datasource_id);
-        if ($datasource) {
-          $property_path = $field->getPropertyPath();
-          $properties = $datasource->getPropertyDefinitions();
+    $old = $this->getVectorSettings($original);
+    $new = $this->getVectorSettings($updated);
 
-          if (isset($properties[$property_path])) {
-            $property = $properties[$property_path];
+    $changes = [];
+    foreach (['model' => true, 'dimension' => true, 'distance' => false, 'method' => false] as $key => $reembed) {
+      if ((string) $old[$key] !== (string) $new[$key]) {
+        $changes[$key] = [
+          'from' => $old[$key],
+          'to' => $new[$key],
+          'reembed' => $reembed,
+        ];
+      }
+    }
 
-            // Check if it's an entity reference type.
-            if (method_exists($property, 'getDataType')) {
-              return $property->getDataType() === 'entity_reference';
-            }
+    return $changes;
+  }
 
-            // Alternative check via field type definition.
-            if (method_exists($property, 'getType')) {
-              return in_array($property->getType(), ['entity_reference', 'entity_reference_revisions']);
+  /**
+   * Extracts the settings stored vectors depend on from a configuration.
+   *
+   * {@inheritdoc}
+   *
+   * @param array $configuration
+   *   A backend configuration or submitted form values.
+   *
+   * @return array
+   *   The provider, model, dimension, distance and method.
+   */
+  protected function getVectorSettings(array $configuration)
+  {
+    $provider = $configuration['ai_embeddings']['provider'] ?? 'azure';
+    $provider_config = $configuration['ai_embeddings'][$provider] ?? [];
+    $model = $provider_config['model'] ?? '';
+
+    $dimension = $provider_config['dimension'] ?? '';
+    if ($dimension === '' || $dimension === null) {
+      $dimension = $this->getModelCatalog()->getDefaultDimension($provider, $model);
+    }
+
+    return [
+      'provider' => $provider,
+      'model' => $model,
+      'dimension' => (int) $dimension,
+      'distance' => $configuration['vector_index']['distance'] ?? 'cosine',
+      'method' => $configuration['vector_index']['method'] ?? 'hnsw',
+    ];
+  }
+
+  /**
+   * Builds the drupalSettings used by the client-side reindex impact summary.
+   *
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The saved vector settings and the indexes on this server with their
+   *   item counts. Empty 'indexes' for new servers.
+   */
+  protected function getReindexImpactSettings()
+  {
+    $settings = [
+      'enabled' => !empty($this->configuration['ai_embeddings']['enabled']),
+      'original' => $this->getVectorSettings($this->configuration),
+      'tokensPerItem' => EmbeddingModelCatalog::ESTIMATED_TOKENS_PER_ITEM,
+      'indexes' => [],
+    ];
+
+    if (!$this->server || $this->server->isNew()) {
+      return $settings;
+    }
+
+    foreach ($this->server->getIndexes() as $index) {
+      try {
+        $items = $index->hasValidTracker() ? (int) $index->getTrackerInstance()->getTotalItemsCount() : 0;
+      } catch (\Exception $e) {
+        $this->logger->warning('Could not count items for index @index: @error', [
+          '@index' => $index->id(),
+          '@error' => $e->getMessage(),
+        ]);
+        $items = 0;
+      }
+
+      $settings['indexes'][] = [
+        'id' => $index->id(),
+        'label' => $index->label(),
+        'items' => $items,
+      ];
+    }
+
+    return $settings;
+  }
+
+  /**
+   * Validates a provider's model and dimension against the model catalog.
+   *
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   * @param array $values
+   *   The submitted provider settings.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  protected function validateModelDimension($provider, array $values, FormStateInterface $form_state)
+  {
+    $catalog = $this->getModelCatalog();
+    $model = $catalog->getModel($provider, $values['model']);
+
+    if (!$model) {
+      $form_state->setErrorByName(
+          "ai_embeddings][$provider][model",
+          $this->t('The model %model is not available for this provider.', ['%model' => $values['model']])
+      );
+      return;
+    }
+
+    // An empty dimension is filled from the catalog on submit.
+    if ($values['dimension'] === '' || $values['dimension'] === null) {
+      return;
+    }
+
+    if (!$catalog->isValidDimension($provider, $values['model'], $values['dimension'])) {
+      $form_state->setErrorByName(
+          "ai_embeddings][$provider][dimension",
+          $model['min_dimension'] == $model['max_dimension']
+          ? $this->t('%model only produces @max-dimension embeddings.', [
+            '%model' => $model['label'],
+            '@max' => $model['max_dimension'],
+          ])
+          : $this->t('%model supports between @min and @max dimensions.', [
+            '%model' => $model['label'],
+            '@min' => $model['min_dimension'],
+            '@max' => $model['max_dimension'],
+          ])
+      );
+    }
+  }
+
+  /**
+   * Gets the embedding model catalog.
+   *
+   * {@inheritdoc}
+   *
+   * @return \Drupal\search_api_postgresql\Service\EmbeddingModelCatalog
+   *   The model catalog.
+   */
+  protected function getModelCatalog()
+  {
+    if (!$this->modelCatalog) {
+      $this->modelCatalog = new EmbeddingModelCatalog();
+    }
+    return $this->modelCatalog;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function supportsDataType($type)
+  {
+    $supported_types = [
+      'text',
+      'string',
+      'integer',
+      'decimal',
+      'date',
+      'boolean',
+    ];
+
+    // Add PostgreSQL-specific data types with caching.
+    if ($this->isPostgreSqlSupportedCached()) {
+      $supported_types[] = 'postgresql_fulltext';
+    }
+
+    // Add vector type if pgvector is available with caching.
+    if ($this->isVectorSupportedCached()) {
+      $supported_types[] = 'vector';
+    }
+
+    return in_array($type, $supported_types);
+  }
+
+  /**
+   * Generic multi-value entity reference detection.
+   */
+  protected function isMultiValueEntityReference($field)
+  {
+    // Check if field has multiple cardinality.
+    if (!$this->isFieldMultiValue($field)) {
+      return false;
+    }
+
+    // Check if it's an entity reference field through proper field definition.
+    try {
+      $datasource_id = $field->getDatasourceId();
+      if ($datasource_id && $this->currentIndex) {
+        $datasource = $this->currentIndex->getDatasource($datasource_id);
+        if ($datasource) {
+          $property_path = $field->getPropertyPath();
+          $properties = $datasource->getPropertyDefinitions();
+
+          if (isset($properties[$property_path])) {
+            $property = $properties[$property_path];
+
+            // Check if it's an entity reference type.
+            if (method_exists($property, 'getDataType')) {
+              return $property->getDataType() === 'entity_reference';
+            }
+
+            // Alternative check via field type definition.
+            if (method_exists($property, 'getType')) {
+              return in_array($property->getType(), ['entity_reference', 'entity_reference_revisions']);
             }
           }
         }
@@ -1419,6 +1995,7 @@ public function search(QueryInterface $query)
       }
 
       // Execute main query.
+      $this->applyVectorSearchSettings();
       $stmt = $this->connector->executeQuery($main_sql, $db_query_data['params']);
 
       // Process results.
@@ -2844,182 +3421,947 @@ public function cleanupFacetIndex($table_name, $field_name, IndexInterface $inde
   /**
    * Batch cleanup of all orphaned facet indexes for an index.
    */
-  public function cleanupAllOrphanedFacetIndexes(IndexInterface $index)
+  public function cleanupAllOrphanedFacetIndexes(IndexInterface $index)
+  {
+    try {
+      $table_name = $this->getIndexTableNameForManager($index);
+      $unquoted_table = $this->getUnquotedTableName($table_name);
+
+      // Get all existing facet indexes.
+      $existing_indexes = $this->getAllFacetIndexes($unquoted_table);
+
+      // Get all fields used by active facets.
+      $active_facet_fields = $this->getActiveFacetFields($index);
+
+      $cleaned_count = 0;
+
+      foreach ($existing_indexes as $index_info) {
+        $field_name = $this->extractFieldNameFromIndex($index_info['indexname']);
+
+        if ($field_name && !in_array($field_name, $active_facet_fields)) {
+          // Orphaned index - remove it.
+          if ($this->dropSingleFacetIndex($index_info['indexname'])) {
+            $cleaned_count++;
+
+            $this->logger->info('Removed orphaned facet index @index (field: @field)', [
+              '@index' => $index_info['indexname'],
+              '@field' => $field_name,
+            ]);
+          }
+        }
+      }
+
+      return $cleaned_count;
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to cleanup orphaned facet indexes for @index: @error', [
+        '@index' => $index->id(),
+        '@error' => $e->getMessage(),
+      ]);
+      return 0;
+    }
+  }
+
+  /**
+   * Gets all facet-related indexes for a table.
+   */
+  protected function getAllFacetIndexes($unquoted_table_name)
+  {
+    $sql = "SELECT 
+      indexname, 
+      tablename,
+      indexdef
+    FROM pg_indexes 
+    WHERE tablename = ? 
+    AND (indexname LIKE '%_facet_idx' OR indexname LIKE '%_nn_idx')
+    ORDER BY indexname";
+
+    $stmt = $this->connector->connect()->prepare($sql);
+    $stmt->execute([$unquoted_table_name]);
+
+    return $stmt->fetchAll(\PDO::FETCH_ASSOC);
+  }
+
+  /**
+   * Remove static cache from getActiveFacetFields.
+   */
+  protected function getActiveFacetFields(IndexInterface $index)
+  {
+    $cache_key = 'search_api_postgresql:active_facets:' . $index->id();
+    $cache = \Drupal::cache()->get($cache_key);
+
+    if ($cache && $cache->valid) {
+      return $cache->data;
+    }
+
+    $active_fields = [];
+
+    // Check via facet entities.
+    try {
+      if (\Drupal::moduleHandler()->moduleExists('facets')) {
+        $facet_storage = \Drupal::entityTypeManager()->getStorage('facet');
+
+        $possible_sources = [
+          'search_api:' . $index->id(),
+          'search_api:views_page__' . $index->id() . '__page_1',
+          'search_api:views_block__' . $index->id() . '__block_1',
+        ];
+
+        foreach ($possible_sources as $source_id) {
+          $facets = $facet_storage->loadByProperties([
+            'facet_source_id' => $source_id,
+            'status' => true,
+          ]);
+
+          foreach ($facets as $facet) {
+            $active_fields[] = $facet->getFieldIdentifier();
+          }
+        }
+      }
+    } catch (\Exception $e) {
+      $this->logger->debug('Could not load facets via entity storage: @error', ['@error' => $e->getMessage()]);
+    }
+
+    $unique_fields = array_unique($active_fields);
+    \Drupal::cache()->set($cache_key, $unique_fields, \Drupal::time()->getRequestTime() + 1800);
+
+    return $unique_fields;
+  }
+
+  /**
+   * Standardized error handling method.
+   */
+  protected function handleBackendError(\Exception $e, string $operation, array $context = [])
+  {
+    $this->logger->error('PostgreSQL @operation failed: @error', [
+      '@operation' => $operation,
+      '@error' => $e->getMessage(),
+    ] + $context);
+
+    throw new SearchApiException("Failed to {$operation}: " . $e->getMessage(), 0, $e);
+  }
+
+  /**
+   * Extracts field name from facet index name.
+   */
+  protected function extractFieldNameFromIndex($index_name)
+  {
+    // Patterns to match:
+    // table_prefix_FIELD_NAME_facet_idx
+    // table_prefix_FIELD_NAME_nn_idx (partial indexes)
+    $patterns = [
+    // Standard facet index.
+      '/.+_(.+?)_facet_idx$/',
+    // Non-null partial index.
+      '/.+_(.+?)_nn_idx$/',
+    ];
+
+    foreach ($patterns as $pattern) {
+      if (preg_match($pattern, $index_name, $matches)) {
+        return $matches[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Drops a single facet index by name.
+   */
+  protected function dropSingleFacetIndex($index_name)
+  {
+    try {
+      $quoted_index_name = $this->connector->quoteIndexName($index_name);
+      $sql = "DROP INDEX CONCURRENTLY IF EXISTS {$quoted_index_name}";
+      $this->connector->executeQuery($sql);
+
+      // Clear cache.
+      $this->invalidateFacetIndexCache($index_name);
+
+      return true;
+    } catch (\Exception $e) {
+      $this->logger->warning('Failed to drop facet index @index: @error', [
+        '@index' => $index_name,
+        '@error' => $e->getMessage(),
+      ]);
+      return false;
+    }
+  }
+
+  /**
+   * Invalidates facet index cache.
+   */
+  protected function invalidateFacetIndexCache($index_name)
+  {
+    // Clear Drupal cache tags.
+    \Drupal::service('cache_tags.invalidator')->invalidateTags([
+      'search_api_postgresql_facet_indexes',
+      'search_api_postgresql_index:' . $index_name,
+    ]);
+  }
+
+  /**
+   * Applies query-time vector index settings to the current session.
+   *
+   * {@inheritdoc}
+   */
+  protected function applyVectorSearchSettings()
+  {
+    if (empty($this->configuration['ai_embeddings']['enabled'])) {
+      return;
+    }
+
+    $vector = $this->configuration['vector_index'] ?? [];
+    try {
+      if (($vector['method'] ?? 'hnsw') === 'hnsw') {
+        $this->connector->executeQuery('SET hnsw.ef_search = ' . (int) ($vector['ef_search'] ?? 40));
+      } else {
+        $this->connector->executeQuery('SET ivfflat.probes = ' . (int) ($vector['probes'] ?? 10));
+      }
+    } catch (\Exception $e) {
+      // Older pgvector versions lack these settings; search still works.
+      $this->logger->debug('Could not apply vector search settings: @error', ['@error' => $e->getMessage()]);
+    }
+  }
+
+  /**
+   * Scores hybrid search candidates so weights can be tuned client-side.
+   *
+   * Returns the best keyword and the best semantic matches with their separate
+   * scores. Clients combine them with the same formula the vector query
+   * builders use, text_weight * ts_rank + vector_weight * similarity.
+   *
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The index to search.
+   * @param string $keys
+   *   The sample search keys.
+   * @param int $limit
+   *   How many candidates to take from each signal.
+   *
+   * @return array
+   *   An array with 'results' (each with 'id', 'label', 'datasource',
+   *   'text_score' and 'vector_score'), the 'similarity_threshold' and any
+   *   'warnings'.
+   */
+  public function previewHybridRanking(IndexInterface $index, $keys, $limit = 20)
+  {
+    $this->ensureConnector();
+
+    $table = $this->getIndexTableNameForManager($index);
+    $fts_config = $this->configuration['fts_configuration'] ?? 'english';
+    $threshold = (float) ($this->configuration['hybrid_search']['similarity_threshold'] ?? 0.15);
+    $limit = max(1, (int) $limit);
+    $warnings = [];
+
+    $embedding = null;
+    if (!empty($this->configuration['ai_embeddings']['enabled'])) {
+      try {
+        $embedding = $this->createEmbeddingService()->generateEmbedding($keys);
+      } catch (\Exception $e) {
+        $this->logger->warning('Hybrid preview could not embed the query: @error', ['@error' => $e->getMessage()]);
+      }
+    }
+    if (!$embedding) {
+      $warnings[] = 'embedding_unavailable';
+    }
+
+    $params = [':config' => $fts_config, ':keys' => $keys];
+    $vector_score = '0';
+    if ($embedding) {
+      $params[':embedding'] = '[' . implode(',', array_map('floatval', $embedding)) . ']';
+      $vector_score = 'COALESCE(1 - (content_embedding <=> CAST(:embedding AS vector)), 0)';
+    }
+
+    $select = "SELECT search_api_id, search_api_datasource, " .
+      "ts_rank(search_vector, plainto_tsquery(:config, :keys)) AS text_score, " .
+      "{$vector_score} AS vector_score FROM {$table}";
+
+    // Take the top candidates from each signal so re-weighting can surface
+    // items that neither the keyword nor the semantic ranking alone favours.
+    // Named placeholders cannot repeat, so the keyword filter gets its own.
+    $candidates = [];
+    $queries = [
+      [
+        "{$select} WHERE search_vector @@ plainto_tsquery(:match_config, :match_keys) ORDER BY text_score DESC LIMIT {$limit}",
+        $params + [':match_config' => $fts_config, ':match_keys' => $keys],
+      ],
+    ];
+    if ($embedding) {
+      $queries[] = [
+        "{$select} WHERE content_embedding IS NOT NULL ORDER BY vector_score DESC LIMIT {$limit}",
+        $params,
+      ];
+    }
+
+    foreach ($queries as [$sql, $query_params]) {
+      $stmt = $this->connector->executeQuery($sql, $query_params);
+      while ($row = $stmt->fetch(\PDO::FETCH_ASSOC)) {
+        $vector = (float) $row['vector_score'];
+        // Mirror the hybrid WHERE clause: keep keyword matches and items
+        // above the similarity threshold.
+        if ((float) $row['text_score'] <= 0 && $vector < $threshold) {
+          continue;
+        }
+        $candidates[$row['search_api_id']] = [
+          'id' => $row['search_api_id'],
+          'datasource' => $row['search_api_datasource'],
+          'text_score' => (float) $row['text_score'],
+          'vector_score' => $embedding ? $vector : null,
+        ];
+      }
+    }
+
+    // Resolve item labels through their datasources.
+    if ($candidates) {
+      try {
+        foreach ($index->loadItemsMultiple(array_keys($candidates)) as $item_id => $object) {
+          $datasource = $index->getDatasource($candidates[$item_id]['datasource']);
+          $candidates[$item_id]['label'] = $datasource->getItemLabel($object);
+        }
+      } catch (\Exception $e) {
+        $this->logger->notice('Hybrid preview could not load item labels: @error', ['@error' => $e->getMessage()]);
+      }
+    }
+
+    foreach ($candidates as $item_id => $candidate) {
+      $candidates[$item_id] += ['label' => $item_id];
+    }
+
+    return [
+      'results' => array_values($candidates),
+      'similarity_threshold' => $threshold,
+      'warnings' => $warnings,
+    ];
+  }
+
+  /**
+   * Creates the embedding service configured for this server.
+   *
+   * {@inheritdoc}
+   *
+   * @param array|null $configuration
+   *   A backend configuration to build the service from, for example
+   *   unsaved form values. Defaults to this server's configuration.
+   * @param \Drupal\search_api_postgresql\Cache\EmbeddingCacheManager|null $cache_manager
+   *   The embedding cache the service reads and fills, if any.
+   *
+   * @return \Drupal\search_api_postgresql\Service\EmbeddingServiceInterface
+   *   The embedding service.
+   *
+   * @throws \Drupal\search_api\SearchApiException
+   *   If the provider is not supported.
+   */
+  protected function createEmbeddingService(?array $configuration = null, ?EmbeddingCacheManager $cache_manager = null)
+  {
+    $configuration = $configuration ?? $this->configuration;
+    $provider = $configuration['ai_embeddings']['provider'] ?? 'azure';
+    $settings = $configuration['ai_embeddings'][$provider] ?? [];
+
+    switch ($provider) {
+      case 'azure':
+          return new AzureOpenAIEmbeddingService(
+              $settings['endpoint'] ?? '',
+              $this->getCredential('azure_api_key', $configuration),
+              $settings['deployment_name'] ?? '',
+              $settings['api_version'] ?? '2024-02-01',
+              (int) ($settings['dimension'] ?? 1536),
+              3,
+              1000,
+              $cache_manager
+          );
+
+      case 'azure_cognitive':
+          return new AzureCognitiveServicesEmbeddingService(
+              $settings['endpoint'] ?? '',
+              $this->getCredential('azure_cognitive_api_key', $configuration),
+              $settings['deployment_name'] ?? '',
+              $settings['api_version'] ?? '2024-02-01',
+              (int) ($settings['dimension'] ?? 1536),
+              3,
+              1000,
+              $cache_manager
+          );
+
+      case 'openai':
+          return new OpenAIEmbeddingService(
+              $this->getCredential('openai_api_key', $configuration),
+              $settings['model'] ?? 'text-embedding-3-small',
+              !empty($settings['dimension']) ? (int) $settings['dimension'] : null,
+              3,
+              1000,
+              $cache_manager,
+              $settings['organization'] ?? null
+          );
+
+      default:
+          throw new SearchApiException("Unsupported embedding provider: {$provider}");
+    }
+  }
+
+  /**
+   * Requests a single embedding to check a provider's settings.
+   *
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   * @param array $settings
+   *   The provider settings entered in the form. An empty API key falls back
+   *   to the saved one, but only while the endpoint is unchanged so the
+   *   saved key is never sent elsewhere.
+   *
+   * @return array
+   *   An array with 'latency_ms', the returned 'dimension' and the
+   *   'expected_dimension' from the settings (NULL if none).
+   *
+   * @throws \Drupal\search_api\SearchApiException
+   *   If the provider rejects the request or returns no embedding.
+   */
+  public function verifyEmbeddingProvider($provider, array $settings)
+  {
+    $saved = $this->configuration['ai_embeddings'][$provider] ?? [];
+
+    if (($settings['api_key'] ?? '') === '') {
+      unset($settings['api_key']);
+      if (($settings['endpoint'] ?? null) !== ($saved['endpoint'] ?? null)) {
+        $saved['api_key'] = '';
+        $saved['api_key_key'] = '';
+      }
+    } else {
+      // A key typed into the form takes precedence over a Key module key.
+      $settings['api_key_key'] = '';
+    }
+
+    $configuration = $this->configuration;
+    $configuration['ai_embeddings']['provider'] = $provider;
+    $configuration['ai_embeddings'][$provider] = $settings + $saved;
+
+    $service = $this->createEmbeddingService($configuration);
+
+    $start = microtime(true);
+    $embedding = $service->generateEmbedding('Search API PostgreSQL credential check');
+    $latency = (int) round((microtime(true) - $start) * 1000);
+
+    if (empty($embedding)) {
+      throw new SearchApiException('The provider returned no embedding.');
+    }
+
+    return [
+      'latency_ms' => $latency,
+      'dimension' => count($embedding),
+      'expected_dimension' => !empty($settings['dimension']) ? (int) $settings['dimension'] : null,
+    ];
+  }
+
+  /**
+   * Gets the number of rows stored for each index on this server.
+   *
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Row counts keyed by index ID. NULL when the count could not be read.
+   */
+  public function getIndexRowCounts()
+  {
+    $this->ensureConnector();
+
+    $counts = [];
+    foreach ($this->getServer()->getIndexes() as $index) {
+      try {
+        $table = $this->getIndexTableNameForManager($index);
+        $stmt = $this->connector->executeQuery(
+            "SELECT reltuples::bigint FROM pg_class WHERE relname = ?",
+            [$this->getUnquotedTableName($table)]
+        );
+        $rows = (int) $stmt->fetchColumn();
+
+        // reltuples is not populated until the table has been analyzed.
+        if ($rows <= 0) {
+          $rows = (int) $this->connector->executeQuery("SELECT COUNT(*) FROM {$table}")->fetchColumn();
+        }
+        $counts[$index->id()] = $rows;
+      } catch (\Exception $e) {
+        $this->logger->warning('Could not count rows for index @index: @error', [
+          '@index' => $index->id(),
+          '@error' => $e->getMessage(),
+        ]);
+        $counts[$index->id()] = null;
+      }
+    }
+
+    return $counts;
+  }
+
+  /**
+   * Samples the text that embedding an index would send to the provider.
+   *
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The search index.
+   * @param bool $only_missing
+   *   Whether to count and sample only rows without an embedding.
+   * @param int $sample_size
+   *   The maximum number of rows to sample.
+   * @param array $filter
+   *   An item filter, see buildEmbeddingCondition().
+   *
+   * @return array
+   *   An array with 'total_items', the number of 'matching_items' and the
+   *   embedding texts of up to $sample_size of them as 'sample'.
+   */
+  public function getEmbeddingTextSample(IndexInterface $index, $only_missing = false, $sample_size = 100, array $filter = [])
+  {
+    $this->ensureConnector();
+    $this->ensureFieldMapper();
+
+    $table = $this->getIndexTableNameForManager($index);
+    $total = (int) $this->connector->executeQuery("SELECT COUNT(*) FROM {$table}")->fetchColumn();
+    [$where, $params] = $this->buildEmbeddingCondition($only_missing, $filter);
+    $matching = $where
+      ? (int) $this->connector->executeQuery("SELECT COUNT(*) FROM {$table}{$where}", $params)->fetchColumn()
+      : $total;
+
+    $columns = [];
+    foreach ($this->fieldMapper->getEmbeddingSourceFields($index) as $field_id) {
+      $columns[] = $this->connector->quoteColumnName($field_id);
+    }
+
+    $sample = [];
+    if ($columns && $matching > 0 && $sample_size > 0) {
+      $stmt = $this->connector->executeQuery(
+          'SELECT ' . implode(', ', $columns) . " FROM {$table}{$where} LIMIT " . (int) $sample_size,
+          $params
+      );
+      while ($row = $stmt->fetch(\PDO::FETCH_ASSOC)) {
+        $sample[] = $this->fieldMapper->generateEmbeddingText($row, $index);
+      }
+    }
+
+    return [
+      'total_items' => $total,
+      'matching_items' => $matching,
+      'sample' => $sample,
+    ];
+  }
+
+  /**
+   * Gets the metadata the configured provider adds to its cache keys.
+   *
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The cache key metadata, empty if the provider cannot be created.
+   */
+  public function getEmbeddingCacheMetadata()
+  {
+    try {
+      return $this->createEmbeddingService()->getCacheMetadata();
+    } catch (\Exception $e) {
+      return [];
+    }
+  }
+
+  /**
+   * Lists a page of the items an embedding operation would touch.
+   *
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The search index.
+   * @param bool $only_missing
+   *   Whether to list only rows without an embedding.
+   * @param int $limit
+   *   The page size.
+   * @param int $offset
+   *   The number of rows to skip.
+   * @param array $filter
+   *   An item filter, see buildEmbeddingCondition().
+   *
+   * @return array
+   *   An array with the 'total' number of matching rows and the 'items' of
+   *   the page, each with 'id', 'label', 'bundle', 'has_embedding' and the
+   *   'text_length' of its embedding text.
+   */
+  public function getEmbeddingItems(IndexInterface $index, $only_missing, $limit, $offset = 0, array $filter = [])
   {
-    try {
-      $table_name = $this->getIndexTableNameForManager($index);
-      $unquoted_table = $this->getUnquotedTableName($table_name);
-
-      // Get all existing facet indexes.
-      $existing_indexes = $this->getAllFacetIndexes($unquoted_table);
+    $this->ensureConnector();
+    $this->ensureFieldMapper();
 
-      // Get all fields used by active facets.
-      $active_facet_fields = $this->getActiveFacetFields($index);
+    $table = $this->getIndexTableNameForManager($index);
+    [$where, $params] = $this->buildEmbeddingCondition($only_missing, $filter);
+    $total = (int) $this->connector->executeQuery("SELECT COUNT(*) FROM {$table}{$where}", $params)->fetchColumn();
 
-      $cleaned_count = 0;
+    $columns = ['search_api_id', 'search_api_datasource', '(content_embedding IS NOT NULL) AS has_embedding'];
+    foreach ($this->fieldMapper->getEmbeddingSourceFields($index) as $field_id) {
+      $columns[] = $this->connector->quoteColumnName($field_id);
+    }
 
-      foreach ($existing_indexes as $index_info) {
-        $field_name = $this->extractFieldNameFromIndex($index_info['indexname']);
+    $stmt = $this->connector->executeQuery(
+        'SELECT ' . implode(', ', $columns) . " FROM {$table}{$where} ORDER BY search_api_id LIMIT "
+        . (int) $limit . ' OFFSET ' . (int) $offset,
+        $params
+    );
 
-        if ($field_name && !in_array($field_name, $active_facet_fields)) {
-          // Orphaned index - remove it.
-          if ($this->dropSingleFacetIndex($index_info['indexname'])) {
-            $cleaned_count++;
+    $items = [];
+    $datasources = [];
+    while ($row = $stmt->fetch(\PDO::FETCH_ASSOC)) {
+      $items[$row['search_api_id']] = [
+        'id' => $row['search_api_id'],
+        'label' => $row['search_api_id'],
+        'bundle' => null,
+        'has_embedding' => (bool) $row['has_embedding'],
+        'text_length' => mb_strlen($this->fieldMapper->generateEmbeddingText($row, $index)),
+      ];
+      $datasources[$row['search_api_id']] = $row['search_api_datasource'];
+    }
 
-            $this->logger->info('Removed orphaned facet index @index (field: @field)', [
-              '@index' => $index_info['indexname'],
-              '@field' => $field_name,
-            ]);
-          }
+    // Resolve labels and bundles through the datasources.
+    if ($items) {
+      try {
+        foreach ($index->loadItemsMultiple(array_keys($items)) as $item_id => $object) {
+          $datasource = $index->getDatasource($datasources[$item_id]);
+          $items[$item_id]['label'] = $datasource->getItemLabel($object) ?? $item_id;
+          $items[$item_id]['bundle'] = $datasource->getItemBundle($object);
         }
+      } catch (\Exception $e) {
+        $this->logger->notice('Could not load items of @index: @error', [
+          '@index' => $index->id(),
+          '@error' => $e->getMessage(),
+        ]);
       }
-
-      return $cleaned_count;
-    } catch (\Exception $e) {
-      $this->logger->error('Failed to cleanup orphaned facet indexes for @index: @error', [
-        '@index' => $index->id(),
-        '@error' => $e->getMessage(),
-      ]);
-      return 0;
     }
+
+    return [
+      'total' => $total,
+      'items' => array_values($items),
+    ];
   }
 
   /**
-   * Gets all facet-related indexes for a table.
+   * Compares the stored vector dimension of an index with the configuration.
+   *
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The search index.
+   *
+   * @return array
+   *   An array with the 'configured' dimension and the 'stored' dimension of
+   *   the index table's vector column, NULL if it has none.
    */
-  protected function getAllFacetIndexes($unquoted_table_name)
+  public function getEmbeddingDimensions(IndexInterface $index)
   {
-    $sql = "SELECT 
-      indexname, 
-      tablename,
-      indexdef
-    FROM pg_indexes 
-    WHERE tablename = ? 
-    AND (indexname LIKE '%_facet_idx' OR indexname LIKE '%_nn_idx')
-    ORDER BY indexname";
+    $this->ensureConnector();
 
-    $stmt = $this->connector->connect()->prepare($sql);
-    $stmt->execute([$unquoted_table_name]);
+    $table = $this->getIndexTableNameForManager($index);
+    // pgvector keeps the declared dimension in the column's type modifier.
+    $stored = $this->connector->executeQuery(
+        "SELECT a.atttypmod FROM pg_attribute a JOIN pg_class c ON c.oid = a.attrelid " .
+        "WHERE c.relname = ? AND a.attname = 'content_embedding' AND NOT a.attisdropped",
+        [$this->getUnquotedTableName($table)]
+    )->fetchColumn();
 
-    return $stmt->fetchAll(\PDO::FETCH_ASSOC);
+    return [
+      'configured' => $this->getVectorSettings($this->configuration)['dimension'],
+      'stored' => $stored !== false && (int) $stored > 0 ? (int) $stored : null,
+    ];
   }
 
   /**
-   * Remove static cache from getActiveFacetFields.
+   * Regenerates the embeddings of a page of rows.
+   *
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The search index.
+   * @param bool $only_missing
+   *   Whether to process only rows without an embedding. Processed rows then
+   *   drop out of the selection, so callers only advance the offset past
+   *   failed rows.
+   * @param int $limit
+   *   The page size.
+   * @param int $offset
+   *   The number of rows to skip.
+   * @param array $filter
+   *   An item filter, see buildEmbeddingCondition().
+   *
+   * @return array
+   *   An array with the number of rows read as 'items', the number of rows
+   *   updated as 'processed', the 'failed' rows as item ID => error message,
+   *   the number of rows whose embedding came from the cache as 'cached' and
+   *   the estimated 'tokens' sent to the provider for the others. The spend
+   *   is recorded in the embedding analytics, which budgets and forecasts
+   *   read.
    */
-  protected function getActiveFacetFields(IndexInterface $index)
+  public function regenerateEmbeddings(IndexInterface $index, $only_missing, $limit, $offset = 0, array $filter = [])
   {
-    $cache_key = 'search_api_postgresql:active_facets:' . $index->id();
-    $cache = \Drupal::cache()->get($cache_key);
+    $this->ensureConnector();
+    $this->ensureFieldMapper();
 
-    if ($cache && $cache->valid) {
-      return $cache->data;
+    $table = $this->getIndexTableNameForManager($index);
+    [$where, $params] = $this->buildEmbeddingCondition($only_missing, $filter);
+    $columns = ['search_api_id'];
+    foreach ($this->fieldMapper->getEmbeddingSourceFields($index) as $field_id) {
+      $columns[] = $this->connector->quoteColumnName($field_id);
     }
 
-    $active_fields = [];
+    $stmt = $this->connector->executeQuery(
+        'SELECT ' . implode(', ', $columns) . " FROM {$table}{$where} ORDER BY search_api_id LIMIT "
+        . (int) $limit . ' OFFSET ' . (int) $offset,
+        $params
+    );
 
-    // Check via facet entities.
-    try {
-      if (\Drupal::moduleHandler()->moduleExists('facets')) {
-        $facet_storage = \Drupal::entityTypeManager()->getStorage('facet');
+    $item_ids = [];
+    $texts = [];
+    while ($row = $stmt->fetch(\PDO::FETCH_ASSOC)) {
+      $item_ids[] = $row['search_api_id'];
+      $texts[] = $this->fieldMapper->generateEmbeddingText($row, $index);
+    }
 
-        $possible_sources = [
-          'search_api:' . $index->id(),
-          'search_api:views_page__' . $index->id() . '__page_1',
-          'search_api:views_block__' . $index->id() . '__block_1',
-        ];
+    $result = ['items' => count($item_ids), 'processed' => 0, 'failed' => [], 'cached' => 0, 'tokens' => 0];
+    if (!$item_ids) {
+      return $result;
+    }
 
-        foreach ($possible_sources as $source_id) {
-          $facets = $facet_storage->loadByProperties([
-            'facet_source_id' => $source_id,
-            'status' => true,
-          ]);
+    $started = microtime(true);
+    [$embeddings, $errors, $cached] = $this->generateItemEmbeddings($texts);
+    $duration_ms = (int) round((microtime(true) - $started) * 1000);
 
-          foreach ($facets as $facet) {
-            $active_fields[] = $facet->getFieldIdentifier();
-          }
+    foreach ($item_ids as $position => $item_id) {
+      if (empty($embeddings[$position])) {
+        $result['failed'][$item_id] = $errors[$position]
+          ?? ($texts[$position] === '' ? 'The item has no text to embed.' : 'No embedding was returned.');
+        continue;
+      }
+
+      try {
+        $this->connector->executeQuery(
+            "UPDATE {$table} SET content_embedding = :embedding WHERE search_api_id = :item_id",
+            [':embedding' => '[' . implode(',', $embeddings[$position]) . ']', ':item_id' => $item_id]
+        );
+        $result['processed']++;
+        // Cache hits are not billed, as in the cost estimate.
+        if (isset($cached[$position])) {
+          $result['cached']++;
+          continue;
         }
+        // The same four characters per token heuristic as the services.
+        $result['tokens'] += (int) ceil(strlen($texts[$position]) / 4);
+      } catch (\Exception $e) {
+        $result['failed'][$item_id] = $e->getMessage();
       }
+    }
+
+    if ($result['tokens'] && $this->analyticsService) {
+      $settings = $this->configuration['ai_embeddings'] ?? [];
+      $provider = $settings['provider'] ?? 'azure';
+      $this->analyticsService->recordApiCall(
+          $this->getServerId(),
+          'regenerate_embeddings',
+          $result['tokens'],
+          $this->getModelCatalog()->estimateCost($provider, $settings[$provider]['model'] ?? '', $result['tokens']),
+          $duration_ms,
+          ['index_id' => $index->id(), 'items' => $result['processed'] - $result['cached']]
+      );
+    }
+
+    return $result;
+  }
+
+  /**
+   * Generates the embeddings of a page of texts, one by one if need be.
+   *
+   * {@inheritdoc}
+   *
+   * Texts are looked up in the embedding cache first, the same way the cost
+   * estimate does, and only the others are sent to the provider. When the
+   * batch request fails, each text is sent on its own, so an item the
+   * provider rejects neither fails the rest of the page nor hides its own
+   * error behind the batch's.
+   *
+   * @param array $texts
+   *   The texts, keyed by position. Empty texts are skipped.
+   *
+   * @return array
+   *   The embeddings, the error messages and the cached embeddings, all keyed
+   *   by position.
+   */
+  protected function generateItemEmbeddings(array $texts)
+  {
+    $cache_manager = $this->getEmbeddingCacheManager();
+    try {
+      $service = $this->createEmbeddingService(null, $cache_manager);
     } catch (\Exception $e) {
-      $this->logger->debug('Could not load facets via entity storage: @error', ['@error' => $e->getMessage()]);
+      return [[], array_fill_keys(array_keys($texts), $e->getMessage()), []];
     }
 
-    $unique_fields = array_unique($active_fields);
-    \Drupal::cache()->set($cache_key, $unique_fields, \Drupal::time()->getRequestTime() + 1800);
+    $cached = [];
+    if ($cache_manager) {
+      $cached = $cache_manager->getCachedEmbeddingsBatch($texts, $service->getCacheMetadata());
+    }
 
-    return $unique_fields;
+    try {
+      return [$service->generateBatchEmbeddings($texts), [], $cached];
+    } catch (\Exception $e) {
+      $this->logger->warning('Batch embedding request failed, retrying its @count items one by one: @error', [
+        '@count' => count($texts),
+        '@error' => $e->getMessage(),
+      ]);
+    }
+
+    $embeddings = [];
+    $errors = [];
+    foreach ($texts as $position => $text) {
+      if ($text === '') {
+        continue;
+      }
+      try {
+        $embeddings[$position] = $service->generateEmbedding($text);
+      } catch (\Exception $e) {
+        $errors[$position] = $e->getMessage();
+      }
+    }
+
+    return [$embeddings, $errors, $cached];
   }
 
   /**
-   * Standardized error handling method.
+   * Gets the embedding cache manager.
+   *
+   * {@inheritdoc}
+   *
+   * @return \Drupal\search_api_postgresql\Cache\EmbeddingCacheManager|null
+   *   The cache manager, NULL if the service is not available.
    */
-  protected function handleBackendError(\Exception $e, string $operation, array $context = [])
+  protected function getEmbeddingCacheManager()
   {
-    $this->logger->error('PostgreSQL @operation failed: @error', [
-      '@operation' => $operation,
-      '@error' => $e->getMessage(),
-    ] + $context);
+    if (!\Drupal::hasService('search_api_postgresql.cache_manager')) {
+      return null;
+    }
 
-    throw new SearchApiException("Failed to {$operation}: " . $e->getMessage(), 0, $e);
+    return \Drupal::service('search_api_postgresql.cache_manager');
   }
 
   /**
-   * Extracts field name from facet index name.
+   * Removes the embeddings of the rows matching an item filter.
+   *
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The search index.
+   * @param array $filter
+   *   An item filter, see buildEmbeddingCondition().
+   *
+   * @return int
+   *   The number of rows cleared.
    */
-  protected function extractFieldNameFromIndex($index_name)
+  public function clearEmbeddings(IndexInterface $index, array $filter = [])
   {
-    // Patterns to match:
-    // table_prefix_FIELD_NAME_facet_idx
-    // table_prefix_FIELD_NAME_nn_idx (partial indexes)
-    $patterns = [
-    // Standard facet index.
-      '/.+_(.+?)_facet_idx$/',
-    // Non-null partial index.
-      '/.+_(.+?)_nn_idx$/',
-    ];
+    $this->ensureConnector();
 
-    foreach ($patterns as $pattern) {
-      if (preg_match($pattern, $index_name, $matches)) {
-        return $matches[1];
-      }
-    }
+    $table = $this->getIndexTableNameForManager($index);
+    [$where, $params] = $this->buildEmbeddingCondition(false, $filter);
 
-    return null;
+    return $this->connector->executeQuery(
+        "UPDATE {$table} SET content_embedding = NULL, embedding_vector = NULL{$where}",
+        $params
+    )->rowCount();
   }
 
   /**
-   * Drops a single facet index by name.
+   * Checks the stored embeddings of the rows matching an item filter.
+   *
+   * {@inheritdoc}
+   *
+   * An embedding fails validation if its number of dimensions differs from
+   * the configured one or if it is a zero vector, which has no direction to
+   * compare against.
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The search index.
+   * @param array $filter
+   *   An item filter, see buildEmbeddingCondition().
+   *
+   * @return array
+   *   An array with the number of embeddings 'checked' and the 'failed' rows
+   *   as item ID => reason.
    */
-  protected function dropSingleFacetIndex($index_name)
+  public function validateEmbeddings(IndexInterface $index, array $filter = [])
   {
-    try {
-      $quoted_index_name = $this->connector->quoteIndexName($index_name);
-      $sql = "DROP INDEX CONCURRENTLY IF EXISTS {$quoted_index_name}";
-      $this->connector->executeQuery($sql);
+    $this->ensureConnector();
 
-      // Clear cache.
-      $this->invalidateFacetIndexCache($index_name);
+    $table = $this->getIndexTableNameForManager($index);
+    [$where, $params] = $this->buildEmbeddingCondition(false, $filter);
+    $where = ($where ? $where . ' AND ' : ' WHERE ') . 'content_embedding IS NOT NULL';
+    $dimension = (int) $this->getVectorSettings($this->configuration)['dimension'];
 
-      return true;
-    } catch (\Exception $e) {
-      $this->logger->warning('Failed to drop facet index @index: @error', [
-        '@index' => $index_name,
-        '@error' => $e->getMessage(),
-      ]);
-      return false;
+    $checked = (int) $this->connector->executeQuery("SELECT COUNT(*) FROM {$table}{$where}", $params)->fetchColumn();
+
+    $stmt = $this->connector->executeQuery(
+        "SELECT search_api_id, vector_dims(content_embedding) AS dimensions FROM {$table}{$where} " .
+        'AND (vector_dims(content_embedding) <> :dimension OR vector_norm(content_embedding) = 0) ORDER BY search_api_id',
+        $params + [':dimension' => $dimension]
+    );
+
+    $failed = [];
+    while ($row = $stmt->fetch(\PDO::FETCH_ASSOC)) {
+      $failed[$row['search_api_id']] = (int) $row['dimensions'] !== $dimension
+        ? sprintf('The embedding has %d dimensions instead of %d.', $row['dimensions'], $dimension)
+        : 'The embedding is a zero vector.';
     }
+
+    return [
+      'checked' => $checked,
+      'failed' => $failed,
+    ];
   }
 
   /**
-   * Invalidates facet index cache.
+   * Builds the WHERE clause selecting embedding rows.
+   *
+   * {@inheritdoc}
+   *
+   * @param bool $only_missing
+   *   Whether to select only rows without an embedding.
+   * @param array $filter
+   *   An item filter, as returned by ItemSelectionService::getItemFilter():
+   *   the 'datasources' rows must belong to, and the 'item_ids' to limit the
+   *   rows to. Both are optional; an empty 'item_ids' list matches no rows.
+   *
+   * @return array
+   *   The clause, empty if all rows are selected, and its parameters.
    */
-  protected function invalidateFacetIndexCache($index_name)
+  protected function buildEmbeddingCondition($only_missing, array $filter)
   {
-    // Clear Drupal cache tags.
-    \Drupal::service('cache_tags.invalidator')->invalidateTags([
-      'search_api_postgresql_facet_indexes',
-      'search_api_postgresql_index:' . $index_name,
-    ]);
+    $conditions = [];
+    $params = [];
+
+    if ($only_missing) {
+      $conditions[] = 'content_embedding IS NULL';
+    }
+
+    if (!empty($filter['datasources'])) {
+      $placeholders = [];
+      foreach (array_values($filter['datasources']) as $i => $datasource_id) {
+        $placeholders[] = ':datasource_' . $i;
+        $params[':datasource_' . $i] = $datasource_id;
+      }
+      $conditions[] = 'search_api_datasource IN (' . implode(', ', $placeholders) . ')';
+    }
+
+    // A single array parameter keeps long ID lists clear of the placeholder
+    // limit.
+    if (isset($filter['item_ids'])) {
+      $quoted = array_map(function ($item_id) {
+        return '"' . addcslashes($item_id, '"\\') . '"';
+      }, $filter['item_ids']);
+      $conditions[] = 'search_api_id = ANY(CAST(:item_ids AS text[]))';
+      $params[':item_ids'] = '{' . implode(',', $quoted) . '}';
+    }
+
+    return [$conditions ? ' WHERE ' . implode(' AND ', $conditions) : '', $params];
   }
 
   /**
@@ -5735,6 +7077,34 @@ public function testConnectionAjax(array &$form, FormStateInterface $form_state)
     ];
   }
 
+  /**
+   * Completes connection settings entered in the form with saved credentials.
+   *
+   * The password field is left empty when editing a server. The saved
+   * password is only reused while host and username are unchanged, so it is
+   * never sent to a different server.
+   *
+   * {@inheritdoc}
+   *
+   * @param array $connection
+   *   The connection settings from the form.
+   *
+   * @return array
+   *   The connection settings to test.
+   */
+  public function resolveConnectionConfig(array $connection)
+  {
+    $saved = $this->configuration['connection'] ?? [];
+
+    if (($connection['password'] ?? '') === ''
+      && ($connection['host'] ?? null) === ($saved['host'] ?? null)
+      && ($connection['username'] ?? null) === ($saved['username'] ?? null)) {
+      $connection['password'] = $this->getCredential('database_password', $this->configuration) ?? '';
+    }
+
+    return $connection + $saved;
+  }
+
   /**
    * Ensures the PostgreSQL connector is initialized.
    */
@@ -298,6 +298,10 @@ protected function handleDegradation(GracefulDegradationException $exception)
       'user_message' => $exception->getUserMessage(),
     ];
 
+    if (\Drupal::hasService('search_api_postgresql.degradation_state')) {
+      \Drupal::service('search_api_postgresql.degradation_state')->record($exception);
+    }
+
     // Log degradation event.
     \Drupal::logger('search_api_postgresql')->info('Search degraded: @reason. Fallback: @strategy', [
       '@reason' => $exception->getMessage(),
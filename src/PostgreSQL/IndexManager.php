@@ -619,16 +619,31 @@ protected function createVectorIndexes($table_name, IndexInterface $index)
       $safe_field = $this->connector->quoteColumnName($field_id);
       $index_name = $this->connector->quoteIndexName($unquoted_table_name . '_' . $field_id . '_vector_idx');
 
+      $vector_config = $this->config['vector_index'] ?? [];
+      $lists = (int) ($vector_config['lists'] ?? 100);
+      $ivfflat_sql = "CREATE INDEX {$index_name} ON {$table_name} USING ivfflat " .
+             "({$safe_field} vector_cosine_ops) WITH (lists = {$lists})";
+
+      if (($vector_config['method'] ?? 'hnsw') === 'ivfflat') {
+        try {
+          $this->connector->executeQuery($ivfflat_sql);
+        } catch (\Exception $e) {
+          throw new SearchApiException("Failed to create vector index: " . $e->getMessage());
+        }
+        continue;
+      }
+
       // Create HNSW index for fast vector similarity search.
       try {
-        $sql = "CREATE INDEX {$index_name} ON {$table_name} USING hnsw ({$safe_field} vector_cosine_ops)";
+        $m = (int) ($vector_config['m'] ?? 16);
+        $ef_construction = (int) ($vector_config['ef_construction'] ?? 64);
+        $sql = "CREATE INDEX {$index_name} ON {$table_name} USING hnsw ({$safe_field} vector_cosine_ops) " .
+               "WITH (m = {$m}, ef_construction = {$ef_construction})";
         $this->connector->executeQuery($sql);
       } catch (\Exception $e) {
         // Fall back to IVFFlat if HNSW is not available.
         try {
-          $sql = "CREATE INDEX {$index_name} ON {$table_name} USING ivfflat " .
-                 "({$safe_field} vector_cosine_ops) WITH (lists = 100)";
-          $this->connector->executeQuery($sql);
+          $this->connector->executeQuery($ivfflat_sql);
         } catch (\Exception $e2) {
           throw new SearchApiException("Failed to create vector index: " . $e2->getMessage());
         }
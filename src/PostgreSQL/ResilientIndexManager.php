@@ -223,6 +223,7 @@ protected function generateEmbeddingsWithDegradation(array $embedding_texts)
       }
 
       $this->addDegradationMessage($e->getUserMessage());
+      $this->recordDegradation($e);
 
       return [];
     }
@@ -422,6 +423,7 @@ protected function handleIndexingDegradation(
       array $items,
       GracefulDegradationException $exception
   ) {
+    $this->recordDegradation($exception);
     $strategy = $exception->getFallbackStrategy();
 
     switch ($strategy) {
@@ -475,6 +477,20 @@ protected function addDegradationMessage($message)
     }
   }
 
+  /**
+   * Records a fallback for the admin degradation banner.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Exception\GracefulDegradationException $exception
+   *   The exception that triggered the fallback.
+   */
+  protected function recordDegradation(GracefulDegradationException $exception)
+  {
+    if (\Drupal::hasService('search_api_postgresql.degradation_state')) {
+      \Drupal::service('search_api_postgresql.degradation_state')->record($exception);
+    }
+  }
+
   /**
    * Evaluates the current degradation state.
    */
@@ -4,8 +4,12 @@
 
 use Drupal\Core\Queue\DatabaseQueue;
 use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Queue\DelayableQueueInterface;
+use Drupal\Core\Queue\DelayedRequeueException;
 use Drupal\Core\Queue\QueueFactory;
+use Drupal\Core\Queue\SuspendQueueException;
 use Drupal\search_api\IndexInterface;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
 use Psr\Log\LoggerInterface;
 
 /**
@@ -53,6 +57,14 @@ class EmbeddingQueueManager
    */
   protected $config;
 
+  /**
+   * The operation tracker, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationTrackerService|null
+   */
+  protected $operationTracker;
+
   /**
    * Constructs an EmbeddingQueueManager.
    * {@inheritdoc}
@@ -63,15 +75,19 @@ class EmbeddingQueueManager
    *   The logger.
    * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
    *   The config factory.
+   * @param \Drupal\search_api_postgresql\Service\OperationTrackerService|null $operation_tracker
+   *   The operation tracker.
    */
   public function __construct(
       QueueFactory $queue_factory,
       LoggerInterface $logger,
-      ConfigFactoryInterface $config_factory
+      ConfigFactoryInterface $config_factory,
+      ?OperationTrackerService $operation_tracker = null
   ) {
     $this->queueFactory = $queue_factory;
     $this->logger = $logger;
     $this->configFactory = $config_factory;
+    $this->operationTracker = $operation_tracker;
 
     $this->config = $this->configFactory->get('search_api_postgresql.queue_settings')->get() ?: [];
     $this->config += $this->getDefaultQueueConfig();
@@ -341,12 +357,19 @@ protected function ensureActivityLogTable()
    *   The offset to start from.
    * @param int $priority
    *   Task priority.
+   * @param bool $only_missing
+   *   Whether to regenerate only items without an embedding.
+   * @param string|null $operation_id
+   *   The ID of the tracked operation the batch belongs to.
+   * @param array $filter
+   *   The item filter limiting the regenerated rows, see
+   *   ItemSelectionService::getItemFilter().
    *   {@inheritdoc}.
    *
    * @return bool
    *   true if successfully queued.
    */
-  public function queueIndexEmbeddingRegeneration($server_id, $index_id, $batch_size = 50, $offset = 0, $priority = 200)
+  public function queueIndexEmbeddingRegeneration($server_id, $index_id, $batch_size = 50, $offset = 0, $priority = 200, $only_missing = false, $operation_id = null, array $filter = [])
   {
     $data = [
       'operation' => 'regenerate_index_embeddings',
@@ -355,6 +378,9 @@ public function queueIndexEmbeddingRegeneration($server_id, $index_id, $batch_si
       'batch_size' => $batch_size,
       'offset' => $offset,
       'priority' => $priority,
+      'only_missing' => $only_missing,
+      'operation_id' => $operation_id,
+      'filter' => $filter,
       'created' => time(),
     ];
 
@@ -526,6 +552,21 @@ public function processQueue($max_items = 50, $time_limit = 60)
         $worker->processItem($item->data);
         $this->queue->deleteItem($item);
         $processed++;
+      } catch (DelayedRequeueException $e) {
+        // Batches of paused operations wait without holding up the others.
+        // Queues that cannot delay items keep them leased until it expires.
+        if ($this->queue instanceof DelayableQueueInterface) {
+          $this->queue->delayItem($item, $e->getDelay());
+        }
+        $this->logger->info('Queue item postponed: @message', [
+          '@message' => $e->getMessage(),
+        ]);
+      } catch (SuspendQueueException $e) {
+        $this->queue->releaseItem($item);
+        $this->logger->info('Queue processing suspended: @message', [
+          '@message' => $e->getMessage(),
+        ]);
+        break;
       } catch (\Exception $e) {
         $this->queue->releaseItem($item);
         $failed++;
@@ -688,6 +729,106 @@ public function resumeQueue()
     }
   }
 
+  /**
+   * Pauses a tracked operation.
+   * {@inheritdoc}
+   *
+   * Its queued batches stay in the queue; the worker postpones each one it
+   * claims until the operation is resumed, and processes other items.
+   *
+   * @param string $operation_id
+   *   The operation ID.
+   *
+   * @return bool
+   *   true if the operation was paused.
+   */
+  public function pauseOperation($operation_id)
+  {
+    if (!$this->operationTracker || !$this->operationTracker->setStatus($operation_id, OperationTrackerService::STATUS_PAUSED)) {
+      return false;
+    }
+
+    $this->logActivity('pause_operation', 0, 'success', 0);
+    return true;
+  }
+
+  /**
+   * Resumes a paused operation.
+   * {@inheritdoc}
+   *
+   * @param string $operation_id
+   *   The operation ID.
+   *
+   * @return bool
+   *   true if the operation was resumed.
+   */
+  public function resumeOperation($operation_id)
+  {
+    if (!$this->operationTracker || !$this->operationTracker->setStatus($operation_id, OperationTrackerService::STATUS_RUNNING)) {
+      return false;
+    }
+
+    $this->logActivity('resume_operation', 0, 'success', 0);
+    return true;
+  }
+
+  /**
+   * Cancels a tracked operation and deletes its queued batches.
+   * {@inheritdoc}
+   *
+   * @param string $operation_id
+   *   The operation ID.
+   *
+   * @return array
+   *   Results with success status and the number of batches 'removed'.
+   */
+  public function cancelOperation($operation_id)
+  {
+    $start_microtime = microtime(true);
+
+    if (!$this->operationTracker || !$this->operationTracker->setStatus($operation_id, OperationTrackerService::STATUS_CANCELLED)) {
+      return ['removed' => 0, 'success' => false];
+    }
+
+    $removed = 0;
+    try {
+      // Only database queues can be searched; elsewhere the worker drops the
+      // batches of cancelled operations when it claims them.
+      if ($this->queue instanceof DatabaseQueue) {
+        $connection = \Drupal::database();
+        $rows = $connection->select('queue', 'q')
+          ->fields('q', ['item_id', 'data'])
+          ->condition('name', 'search_api_postgresql_embedding')
+          ->execute()
+          ->fetchAll();
+
+        $item_ids = [];
+        foreach ($rows as $row) {
+          $data = unserialize($row->data, ['allowed_classes' => false]);
+          if (($data['operation_id'] ?? null) === $operation_id) {
+            $item_ids[] = $row->item_id;
+          }
+        }
+
+        if ($item_ids) {
+          $removed = $connection->delete('queue')
+            ->condition('item_id', $item_ids, 'IN')
+            ->execute();
+        }
+      }
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to remove queued batches of operation @id: @message', [
+        '@id' => $operation_id,
+        '@message' => $e->getMessage(),
+      ]);
+    }
+
+    $duration = round((microtime(true) - $start_microtime) * 1000);
+    $this->logActivity('cancel_operation', $removed, 'success', $duration);
+
+    return ['removed' => $removed, 'success' => true];
+  }
+
   /**
    * Requeues failed items.
    * {@inheritdoc}
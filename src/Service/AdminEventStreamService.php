@@ -0,0 +1,348 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Url;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Collects the live status pushed to the admin pages.
+ *
+ * Replaces the per-widget polling of the admin JS with one stream. Each event
+ * type is re-read on its own interval, and an event is only emitted when its
+ * payload changed since the client last saw it. The state of what a client
+ * has seen is a map of short payload hashes, so the same logic serves the
+ * long-lived SSE response and stateless long-poll requests.
+ */
+class AdminEventStreamService
+{
+  /**
+   * Seconds between reads of each event type.
+   */
+  const INTERVALS = [
+    'progress' => 5,
+    'queue' => 10,
+    'circuit_breaker' => 10,
+    'server_status' => 15,
+    'degradation' => 30,
+  ];
+
+  /**
+   * The entity type manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The embedding queue manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager
+   */
+  protected $queueManager;
+
+  /**
+   * The configuration validation service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\ConfigurationValidationService
+   */
+  protected $validationService;
+
+  /**
+   * The circuit breaker service, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CircuitBreakerService|null
+   */
+  protected $circuitBreaker;
+
+  /**
+   * The degradation state service, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\DegradationStateService|null
+   */
+  protected $degradationState;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs an AdminEventStreamService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager $queue_manager
+   *   The embedding queue manager.
+   * @param \Drupal\search_api_postgresql\Service\ConfigurationValidationService $validation_service
+   *   The configuration validation service.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   * @param \Drupal\search_api_postgresql\Service\CircuitBreakerService|null $circuit_breaker
+   *   The circuit breaker service.
+   * @param \Drupal\search_api_postgresql\Service\DegradationStateService|null $degradation_state
+   *   The degradation state service.
+   */
+  public function __construct(
+      EntityTypeManagerInterface $entity_type_manager,
+      EmbeddingQueueManager $queue_manager,
+      ConfigurationValidationService $validation_service,
+      LoggerInterface $logger,
+      ?CircuitBreakerService $circuit_breaker = null,
+      ?DegradationStateService $degradation_state = null
+  ) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->queueManager = $queue_manager;
+    $this->validationService = $validation_service;
+    $this->logger = $logger;
+    $this->circuitBreaker = $circuit_breaker;
+    $this->degradationState = $degradation_state;
+  }
+
+  /**
+   * Collects the events that are due and changed since the client's cursor.
+   * {@inheritdoc}
+   *
+   * @param array $cursor
+   *   What the client has seen, updated in place: 'hashes' maps event IDs to
+   *   payload hashes and 'read' maps event types to the time they were last
+   *   read. An empty cursor yields a full snapshot.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return array
+   *   A list of events, each with 'type', 'id' and 'data'.
+   */
+  public function poll(array &$cursor, $now = null)
+  {
+    $now = $now ?? time();
+    $cursor += ['hashes' => [], 'read' => []];
+
+    $events = [];
+    foreach (self::INTERVALS as $type => $interval) {
+      if (isset($cursor['read'][$type]) && $now - $cursor['read'][$type] < $interval) {
+        continue;
+      }
+      $cursor['read'][$type] = $now;
+
+      foreach ($this->collect($type) as $event) {
+        $hash = substr(md5(serialize($event['data'])), 0, 12);
+        if (($cursor['hashes'][$event['id']] ?? null) !== $hash) {
+          $cursor['hashes'][$event['id']] = $hash;
+          $events[] = $event;
+        }
+      }
+    }
+
+    return $events;
+  }
+
+  /**
+   * Reads the current events of one type.
+   * {@inheritdoc}
+   *
+   * @param string $type
+   *   The event type: progress, queue, circuit_breaker, server_status or
+   *   degradation.
+   *
+   * @return array
+   *   A list of events, each with 'type', 'id' and 'data'.
+   */
+  public function collect($type)
+  {
+    try {
+      switch ($type) {
+        case 'progress':
+            return $this->collectProgress();
+
+        case 'queue':
+            $stats = $this->queueManager->getQueueStats();
+            // The queue configuration is static and not worth pushing.
+            unset($stats['config']);
+            return [$this->event('queue', 'queue', ['stats' => $stats])];
+
+        case 'circuit_breaker':
+            if (!$this->circuitBreaker) {
+              return [];
+            }
+            return [
+              $this->event('circuit_breaker', 'circuit_breaker', [
+                'services' => $this->circuitBreaker->getAllServiceStats(),
+              ]),
+            ];
+
+        case 'server_status':
+            return [$this->event('server_status', 'server_status', ['servers' => $this->getServerStatusData()])];
+
+        case 'degradation':
+            if (!$this->degradationState) {
+              return [];
+            }
+            $active = $this->degradationState->getActive();
+            return [
+              $this->event('degradation', 'degradation', [
+                'degradations' => $active,
+                'severity' => $this->degradationState->getSeverity($active),
+              ]),
+            ];
+      }
+    } catch (\Exception $e) {
+      $this->logger->warning('Admin event stream could not read @type: @error', [
+        '@type' => $type,
+        '@error' => $e->getMessage(),
+      ]);
+    }
+
+    return [];
+  }
+
+  /**
+   * Gets the status of every PostgreSQL server.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   A list of server rows with 'id', 'name', 'url', 'backend', 'status',
+   *   'ai_enabled', 'health' and 'index_count'.
+   */
+  public function getServerStatusData()
+  {
+    $data = [];
+    foreach ($this->loadServers() as $server) {
+      $health = $this->validationService->checkServerHealth($server);
+
+      $data[] = [
+        'id' => $server->id(),
+        'name' => $server->label(),
+        'url' => Url::fromRoute('search_api_postgresql.admin.server_status', ['server_id' => $server->id()])->toString(),
+        'backend' => (string) $server->getBackend()->getPluginDefinition()['label'],
+        'status' => (bool) $server->status(),
+        'ai_enabled' => $this->isAiEnabled($server),
+        'health' => !empty($health['overall']),
+        'index_count' => count($this->loadIndexes($server)),
+      ];
+    }
+
+    return $data;
+  }
+
+  /**
+   * Formats an event for a text/event-stream response.
+   * {@inheritdoc}
+   *
+   * @param array $event
+   *   The event, with 'type', 'id' and 'data'.
+   *
+   * @return string
+   *   The SSE frame.
+   */
+  public function formatSseEvent(array $event)
+  {
+    return 'event: ' . $event['type'] . "\n"
+      . 'id: ' . $event['id'] . "\n"
+      . 'data: ' . json_encode($event['data']) . "\n\n";
+  }
+
+  /**
+   * Reads embedding progress for every AI-enabled index.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   One progress event per index.
+   */
+  protected function collectProgress()
+  {
+    $events = [];
+    foreach ($this->loadServers() as $server) {
+      $backend = $server->getBackend();
+      if (!$this->isAiEnabled($server) || !method_exists($backend, 'getVectorStats')) {
+        continue;
+      }
+
+      foreach ($this->loadIndexes($server) as $index) {
+        $events[] = $this->event('progress', 'progress:' . $index->id(), [
+          'index_id' => $index->id(),
+          'progress' => $backend->getVectorStats($index),
+        ]);
+      }
+    }
+
+    return $events;
+  }
+
+  /**
+   * Loads the PostgreSQL servers.
+   * {@inheritdoc}
+   *
+   * @return \Drupal\search_api\ServerInterface[]
+   *   The servers.
+   */
+  protected function loadServers()
+  {
+    return $this->entityTypeManager
+      ->getStorage('search_api_server')
+      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+  }
+
+  /**
+   * Loads the indexes of a server.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\ServerInterface $server
+   *   The server.
+   *
+   * @return \Drupal\search_api\IndexInterface[]
+   *   The indexes.
+   */
+  protected function loadIndexes($server)
+  {
+    return $this->entityTypeManager
+      ->getStorage('search_api_index')
+      ->loadByProperties(['server' => $server->id()]);
+  }
+
+  /**
+   * Checks whether AI embeddings are enabled on a server.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\ServerInterface $server
+   *   The server.
+   *
+   * @return bool
+   *   TRUE if AI embeddings are enabled.
+   */
+  protected function isAiEnabled($server)
+  {
+    $config = $server->getBackend()->getConfiguration();
+    return !empty($config['ai_embeddings']['enabled']) || !empty($config['azure_embedding']['enabled']);
+  }
+
+  /**
+   * Builds an event.
+   * {@inheritdoc}
+   *
+   * @param string $type
+   *   The event type.
+   * @param string $id
+   *   The event ID, unique within the stream.
+   * @param array $data
+   *   The payload.
+   *
+   * @return array
+   *   The event.
+   */
+  protected function event($type, $id, array $data)
+  {
+    return ['type' => $type, 'id' => $id, 'data' => $data];
+  }
+}
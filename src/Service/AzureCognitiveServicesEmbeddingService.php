@@ -0,0 +1,21 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+/**
+ * Embedding service for Azure AI services (Cognitive Services) resources.
+ *
+ * Multi-service Azure AI resources expose the Azure OpenAI embeddings API
+ * under their *.cognitiveservices.azure.com endpoint, so requests are built
+ * the same way; only the cache namespace differs.
+ */
+class AzureCognitiveServicesEmbeddingService extends AzureOpenAIEmbeddingService
+{
+  /**
+   * {@inheritdoc}
+   */
+  public function getCacheMetadata()
+  {
+    return ['service' => 'azure_cognitive'] + parent::getCacheMetadata();
+  }
+}
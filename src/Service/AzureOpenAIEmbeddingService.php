@@ -423,7 +423,7 @@ protected function makeApiCall($url, array $data, $is_batch = false)
    * @return array
    *   Metadata array for cache key generation.
    */
-  protected function getCacheMetadata()
+  public function getCacheMetadata()
   {
     return [
       'service' => 'azure_openai',
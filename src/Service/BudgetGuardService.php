@@ -0,0 +1,249 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Blocks embedding operations that would overspend a server's budget.
+ *
+ * Each server can set a monthly budget and a cost ceiling per operation in its
+ * AI embeddings settings. An operation whose estimate crosses either limit is
+ * only run once the user types the IDs of the affected indexes, so a
+ * mis-selected "all indexes" regeneration cannot be started with one click.
+ */
+class BudgetGuardService
+{
+  use StringTranslationTrait;
+
+  /**
+   * The embedding analytics service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService
+   */
+  protected $analyticsService;
+
+  /**
+   * The current user.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a BudgetGuardService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService $analytics_service
+   *   The embedding analytics service.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   */
+  public function __construct(
+      EmbeddingAnalyticsService $analytics_service,
+      AccountProxyInterface $current_user,
+      LoggerInterface $logger
+  ) {
+    $this->analyticsService = $analytics_service;
+    $this->currentUser = $current_user;
+    $this->logger = $logger;
+  }
+
+  /**
+   * Checks a cost estimate against the budgets of its servers.
+   * {@inheritdoc}
+   *
+   * @param array $estimate
+   *   The estimate, as returned by CostEstimationService::estimate().
+   * @param array $targets
+   *   The targets the estimate was made for, as returned by
+   *   CostEstimationService::getTargets().
+   *
+   * @return array
+   *   An array with 'blocked', the 'violations', each with 'type'
+   *   (operation_ceiling or monthly_budget), 'server_id', 'cost', 'limit',
+   *   'spent', 'index_ids' and 'message', and the 'confirmation' text to type
+   *   to go ahead anyway.
+   */
+  public function check(array $estimate, array $targets)
+  {
+    $servers = [];
+    foreach ($targets as $target) {
+      $servers[$target['server']->id()] = $target['server'];
+    }
+
+    $costs = [];
+    $index_ids = [];
+    foreach ($estimate['breakdown'] as $row) {
+      if (!empty($row['error'])) {
+        continue;
+      }
+      $costs[$row['server_id']] = ($costs[$row['server_id']] ?? 0) + $row['cost'];
+      $index_ids[$row['server_id']][] = $row['index_id'];
+    }
+
+    $violations = [];
+    foreach ($costs as $server_id => $cost) {
+      if ($cost <= 0 || !isset($servers[$server_id])) {
+        continue;
+      }
+
+      $budget = $this->getBudget($servers[$server_id]);
+      $label = $servers[$server_id]->label();
+
+      if ($budget['operation_ceiling'] > 0 && $cost > $budget['operation_ceiling']) {
+        $violations[] = [
+          'type' => 'operation_ceiling',
+          'server_id' => $server_id,
+          'cost' => $cost,
+          'limit' => $budget['operation_ceiling'],
+          'spent' => null,
+          'index_ids' => $index_ids[$server_id],
+          'message' => $this->t('The estimated cost of @cost on @server exceeds its cost ceiling of @limit.', [
+            '@cost' => $this->formatAmount($cost, $estimate['currency']),
+            '@server' => $label,
+            '@limit' => $this->formatAmount($budget['operation_ceiling'], $estimate['currency']),
+          ]),
+        ];
+      }
+
+      if ($budget['monthly'] > 0) {
+        $spent = (float) $this->analyticsService->getCostAnalytics('mtd', $server_id)['current_cost'];
+        if ($spent + $cost > $budget['monthly']) {
+          $violations[] = [
+            'type' => 'monthly_budget',
+            'server_id' => $server_id,
+            'cost' => $cost,
+            'limit' => $budget['monthly'],
+            'spent' => $spent,
+            'index_ids' => $index_ids[$server_id],
+            'message' => $this->t('With @spent already spent this month, the estimated @cost would exceed the monthly budget of @limit for @server.', [
+              '@spent' => $this->formatAmount($spent, $estimate['currency']),
+              '@cost' => $this->formatAmount($cost, $estimate['currency']),
+              '@limit' => $this->formatAmount($budget['monthly'], $estimate['currency']),
+              '@server' => $label,
+            ]),
+          ];
+        }
+      }
+    }
+
+    $confirmation = [];
+    foreach ($violations as $violation) {
+      $confirmation = array_merge($confirmation, $violation['index_ids']);
+    }
+
+    return [
+      'blocked' => (bool) $violations,
+      'violations' => $violations,
+      'confirmation' => implode(', ', array_unique($confirmation)),
+    ];
+  }
+
+  /**
+   * Checks whether the typed text confirms a blocked operation.
+   * {@inheritdoc}
+   *
+   * @param array $check
+   *   The result of check().
+   * @param string|null $typed
+   *   The text the user typed.
+   *
+   * @return bool
+   *   TRUE if every affected index ID, and nothing else, was typed.
+   */
+  public function isConfirmed(array $check, $typed)
+  {
+    $expected = $this->splitIds($check['confirmation']);
+    $given = $this->splitIds((string) $typed);
+    sort($expected);
+    sort($given);
+
+    return $expected && $expected === $given;
+  }
+
+  /**
+   * Logs that a blocked operation was run anyway.
+   * {@inheritdoc}
+   *
+   * @param array $check
+   *   The result of check().
+   * @param string $operation
+   *   The operation that was run.
+   */
+  public function logOverride(array $check, $operation)
+  {
+    $this->logger->warning('@user overrode the embedding budget to run @operation on @indexes: @reasons', [
+      '@user' => $this->currentUser->getAccountName(),
+      '@operation' => $operation,
+      '@indexes' => $check['confirmation'],
+      '@reasons' => implode(' ', array_column($check['violations'], 'message')),
+    ]);
+  }
+
+  /**
+   * Gets the budget configured for a server.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\ServerInterface $server
+   *   The server.
+   *
+   * @return array
+   *   The 'monthly' budget and the 'operation_ceiling', 0 meaning no limit.
+   */
+  public function getBudget($server)
+  {
+    $budget = $server->getBackendConfig()['ai_embeddings']['budget'] ?? [];
+
+    return [
+      'monthly' => (float) ($budget['monthly'] ?? 0),
+      'operation_ceiling' => (float) ($budget['operation_ceiling'] ?? 0),
+    ];
+  }
+
+  /**
+   * Splits a list of index IDs separated by commas or whitespace.
+   * {@inheritdoc}
+   *
+   * @param string $text
+   *   The list.
+   *
+   * @return array
+   *   The unique IDs.
+   */
+  protected function splitIds($text)
+  {
+    return array_values(array_unique(preg_split('/[\s,]+/', trim($text), -1, PREG_SPLIT_NO_EMPTY)));
+  }
+
+  /**
+   * Formats an amount with its currency.
+   * {@inheritdoc}
+   *
+   * @param float $amount
+   *   The amount.
+   * @param string $currency
+   *   The currency code.
+   *
+   * @return string
+   *   The formatted amount.
+   */
+  protected function formatAmount($amount, $currency)
+  {
+    return number_format($amount, $amount > 0 && $amount < 1 ? 4 : 2) . ' ' . $currency;
+  }
+}
@@ -18,6 +18,16 @@ class CircuitBreakerService
   const STATE_OPEN = 'open';
   const STATE_HALF_OPEN = 'half_open';
 
+  /**
+   * State key listing the services that have gone through a circuit.
+   */
+  const SERVICES_KEY = 'circuit_breaker.services';
+
+  /**
+   * Number of state transitions kept per service.
+   */
+  const TRANSITION_HISTORY_SIZE = 20;
+
   /**
    * The state service.
    * {@inheritdoc}
@@ -101,12 +111,13 @@ public function __construct(StateInterface $state, CacheBackendInterface $cache,
    */
   public function execute($service_name, callable $operation, ?callable $fallback = null, array $context = [])
   {
+    $this->trackService($service_name);
     $circuit_state = $this->getCircuitState($service_name);
 
     // If circuit is open, try fallback or throw exception.
     if ($circuit_state === self::STATE_OPEN) {
       if ($this->shouldAttemptRecovery($service_name)) {
-        $this->setState($service_name, self::STATE_HALF_OPEN);
+        $this->setState($service_name, self::STATE_HALF_OPEN, 'Recovery timeout elapsed');
         $this->logger->info('Circuit breaker for @service entering half-open state', [
           '@service' => $service_name,
         ]);
@@ -190,12 +201,43 @@ public function getServiceStats($service_name)
       'service' => $service_name,
       'state' => $state,
       'failure_count' => $failures,
+      'failure_threshold' => $this->config['failure_threshold'],
       'last_failure' => $last_failure,
       'last_success' => $last_success,
+      'last_error' => $this->state->get("circuit_breaker.{$service_name}.last_error"),
+      'state_changed' => $this->state->get("circuit_breaker.{$service_name}.state_changed"),
       'next_attempt' => $state === self::STATE_OPEN ? $last_failure + $this->config['recovery_timeout'] : null,
+      'transitions' => $this->getTransitions($service_name),
     ];
   }
 
+  /**
+   * Gets the recent state transitions of a service.
+   * {@inheritdoc}
+   *
+   * @param string $service_name
+   *   The service name.
+   *
+   * @return array
+   *   Transitions, oldest first, each with 'from', 'to', 'time' and 'reason'.
+   */
+  public function getTransitions($service_name)
+  {
+    return $this->state->get("circuit_breaker.{$service_name}.transitions", []);
+  }
+
+  /**
+   * Gets the names of the services protected by a circuit.
+   * {@inheritdoc}
+   *
+   * @return string[]
+   *   The service names.
+   */
+  public function getServiceNames()
+  {
+    return $this->state->get(self::SERVICES_KEY, []);
+  }
+
   /**
    * Manually resets a circuit breaker.
    * {@inheritdoc}
@@ -205,7 +247,7 @@ public function getServiceStats($service_name)
    */
   public function resetCircuit($service_name)
   {
-    $this->setState($service_name, self::STATE_CLOSED);
+    $this->setState($service_name, self::STATE_CLOSED, 'Manual reset');
     $this->clearFailures($service_name);
 
     $this->logger->info('Circuit breaker for @service manually reset', [
@@ -222,9 +264,11 @@ public function resetCircuit($service_name)
    */
   public function getAllServiceStats()
   {
-    // This would need to track service names, for now return empty
-    // In a real implementation, you'd maintain a list of monitored services.
-    return [];
+    $stats = [];
+    foreach ($this->getServiceNames() as $service_name) {
+      $stats[$service_name] = $this->getServiceStats($service_name);
+    }
+    return $stats;
   }
 
   /**
@@ -242,7 +286,7 @@ protected function recordSuccess($service_name)
       $success_count = $this->incrementSuccessCount($service_name);
 
       if ($success_count >= $this->config['success_threshold']) {
-        $this->setState($service_name, self::STATE_CLOSED);
+        $this->setState($service_name, self::STATE_CLOSED, 'Recovered');
         $this->clearFailures($service_name);
         $this->clearSuccessCount($service_name);
 
@@ -273,7 +317,7 @@ protected function recordFailure($service_name, \Exception $exception)
     $current_state = $this->getCircuitState($service_name);
 
     if ($current_state !== self::STATE_OPEN && $failure_count >= $this->config['failure_threshold']) {
-      $this->setState($service_name, self::STATE_OPEN);
+      $this->setState($service_name, self::STATE_OPEN, sprintf('%d failures: %s', $failure_count, $exception->getMessage()));
 
       $this->logger->error('Circuit breaker for @service opened due to @count failures. Last error: @error', [
         '@service' => $service_name,
@@ -282,7 +326,7 @@ protected function recordFailure($service_name, \Exception $exception)
       ]);
     } elseif ($current_state === self::STATE_HALF_OPEN) {
       // Failed during recovery attempt, back to open.
-      $this->setState($service_name, self::STATE_OPEN);
+      $this->setState($service_name, self::STATE_OPEN, 'Failed during recovery: ' . $exception->getMessage());
       $this->clearSuccessCount($service_name);
 
       $this->logger->warning('Circuit breaker for @service failed during recovery, returning to open state', [
@@ -347,11 +391,41 @@ protected function shouldAttemptRecovery($service_name)
    *   The service name.
    * @param string $state
    *   The new state.
+   * @param string $reason
+   *   Why the state changed, for the transition history.
    */
-  protected function setState($service_name, $state)
+  protected function setState($service_name, $state, $reason = '')
   {
+    $previous = $this->getCircuitState($service_name);
     $this->state->set("circuit_breaker.{$service_name}.state", $state);
     $this->state->set("circuit_breaker.{$service_name}.state_changed", time());
+
+    if ($previous !== $state) {
+      $transitions = $this->getTransitions($service_name);
+      $transitions[] = [
+        'from' => $previous,
+        'to' => $state,
+        'time' => time(),
+        'reason' => $reason,
+      ];
+      $this->state->set("circuit_breaker.{$service_name}.transitions", array_slice($transitions, -self::TRANSITION_HISTORY_SIZE));
+    }
+  }
+
+  /**
+   * Remembers a service so it shows up in getAllServiceStats().
+   * {@inheritdoc}
+   *
+   * @param string $service_name
+   *   The service name.
+   */
+  protected function trackService($service_name)
+  {
+    $services = $this->getServiceNames();
+    if (!in_array($service_name, $services, true)) {
+      $services[] = $service_name;
+      $this->state->set(self::SERVICES_KEY, $services);
+    }
   }
 
   /**
@@ -312,7 +312,7 @@ protected function validateVectorSearchConfiguration($config)
     }
 
     // Validate index method.
-    $method = $vector_config['method'] ?? 'ivfflat';
+    $method = $vector_config['method'] ?? 'hnsw';
     if (!in_array($method, ['ivfflat', 'hnsw'])) {
       $errors[] = 'Vector index method must be either "ivfflat" or "hnsw".';
     }
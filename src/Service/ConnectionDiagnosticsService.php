@@ -0,0 +1,441 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Component\Render\MarkupInterface;
+use Drupal\Component\Utility\Html;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Drupal\search_api_postgresql\Exception\DatabaseConnectionException;
+use Drupal\search_api_postgresql\Exception\InsufficientPermissionsException;
+use Drupal\search_api_postgresql\PostgreSQL\PostgreSQLConnector;
+use Psr\Log\LoggerInterface;
+use Psr\Log\NullLogger;
+
+/**
+ * Runs staged diagnostics against PostgreSQL connection settings.
+ *
+ * Each stage (network, auth, ssl, pgvector, permissions) is reported
+ * separately with a remediation hint, so administrators can tell an
+ * unreachable host from a rejected password or a missing privilege.
+ */
+class ConnectionDiagnosticsService
+{
+  use StringTranslationTrait;
+
+  /**
+   * Seconds to wait for DNS/TCP and the database handshake.
+   */
+  const TIMEOUT = 5;
+
+  /**
+   * Oldest pgvector version with HNSW support.
+   */
+  const HNSW_MIN_PGVECTOR_VERSION = '0.5.0';
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs a ConnectionDiagnosticsService.
+   * {@inheritdoc}
+   *
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   */
+  public function __construct(LoggerInterface $logger)
+  {
+    $this->logger = $logger;
+  }
+
+  /**
+   * Runs all diagnostic stages.
+   * {@inheritdoc}
+   *
+   * Stages after a failed network or authentication check are skipped, as
+   * they need a working connection.
+   *
+   * @param array $connection
+   *   Connection settings: host, port, database, username, password and
+   *   ssl_mode.
+   *
+   * @return array
+   *   Stage results keyed by stage ID, each with 'status' (pass, warn, fail
+   *   or skipped), 'message', 'hint', 'code' and 'duration_ms'.
+   */
+  public function diagnose(array $connection)
+  {
+    $results = [];
+    $pdo = null;
+    $blocked = false;
+
+    foreach (['network', 'auth', 'ssl', 'pgvector', 'permissions'] as $stage) {
+      if ($blocked) {
+        $results += [$stage => $this->result('skipped', $this->t('Skipped until the earlier checks pass.'))];
+        continue;
+      }
+
+      $start = microtime(true);
+      try {
+        switch ($stage) {
+          case 'network':
+              $results[$stage] = $this->checkNetwork($connection);
+              break;
+
+          case 'auth':
+              $pdo = $this->connect($connection);
+              $results[$stage] = $this->result('pass', $this->t('Signed in as %user.', ['%user' => $connection['username']]));
+              break;
+
+          case 'ssl':
+              $results[$stage] = $this->checkSsl($pdo, $connection['ssl_mode'] ?? 'prefer');
+              break;
+
+          case 'pgvector':
+              $results[$stage] = $this->checkPgVector($pdo);
+              break;
+
+          case 'permissions':
+              $results[$stage] = $this->checkPermissions($pdo);
+              break;
+        }
+      } catch (DatabaseConnectionException $e) {
+        $reason = $this->classifyConnectionError($e->getPrevious() ? $e->getPrevious()->getMessage() : $e->getMessage());
+        $failed_stage = $stage;
+
+        // The SSL handshake happens before authentication, so report SSL
+        // failures against the SSL stage.
+        if ($stage === 'auth' && strpos($reason, 'ssl_') === 0) {
+          $results['auth'] = $this->result('skipped', $this->t('Not reached: the SSL handshake failed.'));
+          $failed_stage = 'ssl';
+        }
+
+        $results[$failed_stage] = $this->result(
+            'fail',
+            $e->getPrevious() ? $e->getPrevious()->getMessage() : $e->getMessage(),
+            $this->getHint($reason, $connection),
+            $e->getCode()
+        );
+        $blocked = true;
+      } catch (InsufficientPermissionsException $e) {
+        $results[$stage] = $this->result(
+            'fail',
+            $e->getMessage(),
+            $this->getHint('permissions', $connection),
+            $e->getCode()
+        );
+      } catch (\Exception $e) {
+        $this->logger->warning('Connection diagnostics stage @stage failed unexpectedly: @error', [
+          '@stage' => $stage,
+          '@error' => $e->getMessage(),
+        ]);
+        $results[$stage] = $this->result('fail', $e->getMessage(), $this->getHint('unknown', $connection));
+      }
+
+      if (isset($results[$stage])) {
+        $results[$stage]['duration_ms'] = (int) round((microtime(true) - $start) * 1000);
+      }
+    }
+
+    return $results;
+  }
+
+  /**
+   * Maps a PostgreSQL or socket error message to a failure reason.
+   * {@inheritdoc}
+   *
+   * @param string $message
+   *   The error message.
+   *
+   * @return string
+   *   One of dns, tcp, timeout, auth_password, auth_role, auth_hba, database,
+   *   ssl_required, ssl_unsupported, ssl_error or unknown.
+   */
+  public function classifyConnectionError($message)
+  {
+    $message = strtolower($message);
+
+    $patterns = [
+      'dns' => ['could not translate host name', 'could not resolve', 'name or service not known'],
+      'timeout' => ['timeout expired', 'timed out'],
+      'tcp' => ['connection refused', 'no route to host', 'network is unreachable', 'could not connect to server'],
+      'auth_password' => ['password authentication failed', 'no password supplied'],
+      'auth_role' => ['role "'],
+      // pg_hba.conf rejections end with the encryption the client used, e.g.
+      // "no encryption", which says nothing about what the server requires.
+      'auth_hba' => ['no pg_hba.conf entry'],
+      'ssl_required' => ['ssl connection is required'],
+      'database' => ['database "'],
+      'ssl_unsupported' => ['server does not support ssl'],
+      'ssl_error' => ['ssl', 'certificate'],
+    ];
+
+    foreach ($patterns as $reason => $needles) {
+      foreach ($needles as $needle) {
+        if (strpos($message, $needle) !== false) {
+          return $reason;
+        }
+      }
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Checks that the host resolves and accepts TCP connections on the port.
+   * {@inheritdoc}
+   *
+   * @param array $connection
+   *   The connection settings.
+   *
+   * @return array
+   *   The stage result.
+   *
+   * @throws \Drupal\search_api_postgresql\Exception\DatabaseConnectionException
+   */
+  protected function checkNetwork(array $connection)
+  {
+    $host = $connection['host'] ?? '';
+    $port = (int) ($connection['port'] ?? 5432);
+
+    // Unix domain sockets have no DNS or TCP stage.
+    if (strpos($host, '/') === 0) {
+      return $this->result('pass', $this->t('Using the Unix socket in %path.', ['%path' => $host]));
+    }
+
+    if (!filter_var($host, FILTER_VALIDATE_IP) && !gethostbynamel($host)) {
+      throw new DatabaseConnectionException($connection, new \RuntimeException("could not translate host name \"{$host}\""));
+    }
+
+    $socket = @fsockopen($host, $port, $errno, $errstr, self::TIMEOUT);
+    if (!$socket) {
+      throw new DatabaseConnectionException($connection, new \RuntimeException("could not connect to server: {$errstr}"));
+    }
+    fclose($socket);
+
+    return $this->result('pass', $this->t('%host:@port is reachable.', ['%host' => $host, '@port' => $port]));
+  }
+
+  /**
+   * Opens a connection with the given settings.
+   * {@inheritdoc}
+   *
+   * @param array $connection
+   *   The connection settings.
+   *
+   * @return \PDO
+   *   The connection.
+   *
+   * @throws \Drupal\search_api_postgresql\Exception\DatabaseConnectionException
+   */
+  protected function connect(array $connection)
+  {
+    $connection['options'] = ($connection['options'] ?? []) + ['connect_timeout' => self::TIMEOUT];
+
+    // Expected failures are reported to the user, not logged as errors.
+    $connector = new PostgreSQLConnector($connection, new NullLogger());
+    try {
+      return $connector->connect();
+    } catch (\Exception $e) {
+      throw new DatabaseConnectionException($connection, $e->getPrevious() ?: $e);
+    }
+  }
+
+  /**
+   * Reports whether the session is encrypted.
+   * {@inheritdoc}
+   *
+   * @param \PDO $pdo
+   *   The connection.
+   * @param string $ssl_mode
+   *   The configured SSL mode.
+   *
+   * @return array
+   *   The stage result.
+   */
+  protected function checkSsl(\PDO $pdo, $ssl_mode)
+  {
+    $ssl = $pdo->query('SELECT ssl, version, cipher FROM pg_stat_ssl WHERE pid = pg_backend_pid()')->fetch(\PDO::FETCH_ASSOC);
+
+    if (!empty($ssl['ssl']) && $ssl['ssl'] !== 'f') {
+      return $this->result('pass', $this->t('Encrypted with @version (@cipher).', [
+        '@version' => $ssl['version'],
+        '@cipher' => $ssl['cipher'],
+      ]));
+    }
+
+    $hint = $ssl_mode === 'disable'
+      ? $this->t('SSL is disabled, so credentials and data travel unencrypted. Use "Require" for any server outside a private network.')
+      : $this->t('The server did not offer SSL, so the connection fell back to plain text. Enable ssl in postgresql.conf and set SSL mode to "Require".');
+
+    return $this->result('warn', $this->t('The connection is not encrypted.'), $hint);
+  }
+
+  /**
+   * Checks that pgvector is installed and recent enough for HNSW.
+   * {@inheritdoc}
+   *
+   * @param \PDO $pdo
+   *   The connection.
+   *
+   * @return array
+   *   The stage result.
+   */
+  protected function checkPgVector(\PDO $pdo)
+  {
+    $version = $pdo->query("SELECT extversion FROM pg_extension WHERE extname = 'vector'")->fetchColumn();
+
+    if ($version === false) {
+      $available = $pdo->query("SELECT default_version FROM pg_available_extensions WHERE name = 'vector'")->fetchColumn();
+      return $this->result(
+          'fail',
+          $available
+          ? $this->t('pgvector @version is available but not enabled in this database.', ['@version' => $available])
+          : $this->t('pgvector is not installed on this server.'),
+          $this->getHint($available ? 'pgvector_disabled' : 'pgvector_missing')
+      );
+    }
+
+    if (version_compare($version, self::HNSW_MIN_PGVECTOR_VERSION, '<')) {
+      return $this->result(
+          'warn',
+          $this->t('pgvector @version is enabled.', ['@version' => $version]),
+          $this->getHint('pgvector_outdated')
+      );
+    }
+
+    return $this->result('pass', $this->t('pgvector @version is enabled.', ['@version' => $version]));
+  }
+
+  /**
+   * Creates and drops a probe table and index inside a transaction.
+   * {@inheritdoc}
+   *
+   * @param \PDO $pdo
+   *   The connection.
+   *
+   * @return array
+   *   The stage result.
+   *
+   * @throws \Drupal\search_api_postgresql\Exception\InsufficientPermissionsException
+   */
+  protected function checkPermissions(\PDO $pdo)
+  {
+    $table = 'search_api_postgresql_probe_' . bin2hex(random_bytes(4));
+
+    $pdo->beginTransaction();
+    try {
+      $pdo->exec("CREATE TABLE {$table} (id integer, body text)");
+      $pdo->exec("CREATE INDEX {$table}_idx ON {$table} (id)");
+    } catch (\PDOException $e) {
+      $pdo->rollBack();
+      // 42501 is insufficient_privilege.
+      if ($e->getCode() === '42501') {
+        throw new InsufficientPermissionsException('CREATE on schema ' . $pdo->query('SELECT current_schema()')->fetchColumn(), $e);
+      }
+      throw $e;
+    }
+    // DDL is transactional in PostgreSQL, so nothing is left behind.
+    $pdo->rollBack();
+
+    return $this->result('pass', $this->t('The user can create tables and indexes.'));
+  }
+
+  /**
+   * Gets the remediation hint for a failure reason.
+   * {@inheritdoc}
+   *
+   * @param string $reason
+   *   The reason, as returned by classifyConnectionError() or a stage.
+   * @param array $connection
+   *   The connection settings.
+   *
+   * @return \Drupal\Core\StringTranslation\TranslatableMarkup
+   *   The hint.
+   */
+  protected function getHint($reason, array $connection = [])
+  {
+    $args = [
+      '%host' => $connection['host'] ?? '',
+      '@port' => $connection['port'] ?? 5432,
+      '%user' => $connection['username'] ?? '',
+      '%database' => $connection['database'] ?? '',
+    ];
+
+    switch ($reason) {
+      case 'dns':
+          return $this->t('%host could not be resolved from the web server. Check the host name for typos or use an IP address.', $args);
+
+      case 'tcp':
+      case 'timeout':
+          return $this->t('Nothing answered on %host:@port. Check that PostgreSQL is running, that listen_addresses and port in postgresql.conf allow remote connections, and that firewalls or security groups admit this web server.', $args);
+
+      case 'auth_password':
+          return $this->t('The password for %user was rejected. Re-enter it, or check the key if the password is stored with the Key module.', $args);
+
+      case 'auth_role':
+          return $this->t('The role %user does not exist. Create it with CREATE ROLE or correct the username.', $args);
+
+      case 'auth_hba':
+          return $this->t('pg_hba.conf has no rule allowing %user to reach %database from this web server. Add a host or hostssl entry for its address and reload PostgreSQL.', $args);
+
+      case 'database':
+          return $this->t('The database %database does not exist. Create it or correct the database name.', $args);
+
+      case 'ssl_required':
+          return $this->t('The server only accepts encrypted connections for %user. Set SSL mode to "Require".', $args);
+
+      case 'ssl_unsupported':
+          return $this->t('SSL is required by this form but the server does not offer it. Enable ssl in postgresql.conf, or choose "Prefer" if encryption is not needed.', $args);
+
+      case 'ssl_error':
+          return $this->t('The SSL handshake failed. Check the server certificate and that the server supports a TLS version the web server accepts.', $args);
+
+      case 'pgvector_disabled':
+          return $this->t('Run CREATE EXTENSION vector; in %database as its owner or a superuser.', $args);
+
+      case 'pgvector_missing':
+          return $this->t('Install the pgvector package on the database server (or enable it in your cloud provider\'s extension allow-list), then run CREATE EXTENSION vector;.', $args);
+
+      case 'pgvector_outdated':
+          return $this->t('HNSW indexes need pgvector @version or later. Upgrade the package, then run ALTER EXTENSION vector UPDATE;.', ['@version' => self::HNSW_MIN_PGVECTOR_VERSION]);
+
+      case 'permissions':
+          return $this->t('Grant the privilege with GRANT CREATE ON SCHEMA public TO %user; or use a role that owns the schema.', $args);
+
+      default:
+          return $this->t('Check the PostgreSQL server log for details.');
+    }
+  }
+
+  /**
+   * Builds a stage result.
+   * {@inheritdoc}
+   *
+   * @param string $status
+   *   The status: pass, warn, fail or skipped.
+   * @param \Drupal\Component\Render\MarkupInterface|string $message
+   *   What was found. Plain strings, such as driver errors, are escaped.
+   * @param string|null $hint
+   *   How to fix it, for warnings and failures.
+   * @param int|null $code
+   *   The exception code, 503 for connection and 403 for permission failures.
+   *
+   * @return array
+   *   The stage result.
+   */
+  protected function result($status, $message, $hint = null, $code = null)
+  {
+    return [
+      'status' => $status,
+      'message' => $message instanceof MarkupInterface ? (string) $message : Html::escape($message),
+      'hint' => $hint === null ? null : (string) $hint,
+      'code' => $code,
+      'duration_ms' => 0,
+    ];
+  }
+}
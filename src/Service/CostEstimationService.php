@@ -0,0 +1,383 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Estimates what an embedding management operation will cost.
+ *
+ * Token counts come from a sample of the text actually stored in each index
+ * table, scaled up to the number of rows the operation touches. Texts whose
+ * embeddings are already cached are not billed, so the same sample is looked
+ * up in the embedding cache and the hit ratio is taken off the total.
+ */
+class CostEstimationService
+{
+  /**
+   * Rows sampled per index.
+   */
+  const SAMPLE_SIZE = 100;
+
+  /**
+   * Characters per token, the heuristic the embedding services use.
+   */
+  const CHARS_PER_TOKEN = 4;
+
+  /**
+   * Seconds one batch takes, including the provider round trip.
+   */
+  const SECONDS_PER_BATCH = 2;
+
+  /**
+   * Operations of the embedding management form.
+   */
+  const OPERATIONS = [
+    'regenerate_all',
+    'regenerate_missing',
+    'validate_embeddings',
+    'clear_embeddings',
+    'update_dimensions',
+  ];
+
+  /**
+   * Operations that request new embeddings from the provider.
+   */
+  const BILLED_OPERATIONS = ['regenerate_all', 'regenerate_missing', 'update_dimensions'];
+
+  /**
+   * The entity type manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The embedding model catalog.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\EmbeddingModelCatalog
+   */
+  protected $modelCatalog;
+
+  /**
+   * The embedding cache manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Cache\EmbeddingCacheManager
+   */
+  protected $cacheManager;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The item selection service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\ItemSelectionService|null
+   */
+  protected $itemSelection;
+
+  /**
+   * Constructs a CostEstimationService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\search_api_postgresql\Service\EmbeddingModelCatalog $model_catalog
+   *   The embedding model catalog.
+   * @param \Drupal\search_api_postgresql\Cache\EmbeddingCacheManager $cache_manager
+   *   The embedding cache manager.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   * @param \Drupal\search_api_postgresql\Service\ItemSelectionService|null $item_selection
+   *   The item selection service, to estimate selections of some items.
+   */
+  public function __construct(
+      EntityTypeManagerInterface $entity_type_manager,
+      EmbeddingModelCatalog $model_catalog,
+      EmbeddingCacheManager $cache_manager,
+      LoggerInterface $logger,
+      ?ItemSelectionService $item_selection = null
+  ) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->modelCatalog = $model_catalog;
+    $this->cacheManager = $cache_manager;
+    $this->logger = $logger;
+    $this->itemSelection = $item_selection;
+  }
+
+  /**
+   * Gets the indexes an operation applies to.
+   * {@inheritdoc}
+   *
+   * @param string|null $server_id
+   *   The server ID, or NULL for all PostgreSQL servers.
+   * @param string|null $index_id
+   *   The index ID, or NULL for all indexes of the selected servers.
+   *
+   * @return array
+   *   A list of targets, each with 'server' and 'index'.
+   */
+  public function getTargets($server_id = null, $index_id = null)
+  {
+    $index_storage = $this->entityTypeManager->getStorage('search_api_index');
+
+    if ($index_id) {
+      $index = $index_storage->load($index_id);
+      if (!$index || !$index->getServerId()) {
+        return [];
+      }
+      return [['server' => $index->getServerInstance(), 'index' => $index]];
+    }
+
+    $server_storage = $this->entityTypeManager->getStorage('search_api_server');
+    if ($server_id) {
+      $servers = array_filter([$server_storage->load($server_id)]);
+    } else {
+      $servers = $server_storage->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+    }
+
+    $targets = [];
+    foreach ($servers as $server) {
+      foreach ($index_storage->loadByProperties(['server' => $server->id()]) as $index) {
+        $targets[] = ['server' => $server, 'index' => $index];
+      }
+    }
+
+    return $targets;
+  }
+
+  /**
+   * Estimates the cost of running an operation on a set of indexes.
+   * {@inheritdoc}
+   *
+   * @param string $operation
+   *   The operation, e.g. 'regenerate_missing'.
+   * @param array $targets
+   *   Targets as returned by getTargets().
+   * @param array $options
+   *   Operation options: 'batch_size', 'force_overwrite' and the item
+   *   selection filters, see ItemSelectionService::FILTER_DEFAULTS.
+   *
+   * @return array
+   *   The estimate, with 'currency', 'total_cost', 'total_tokens',
+   *   'billed_tokens', 'items_affected', 'cache_hits', 'estimated_seconds',
+   *   'price_per_1k_tokens' and one 'breakdown' row per index.
+   */
+  public function estimate($operation, array $targets, array $options = [])
+  {
+    $billed = in_array($operation, self::BILLED_OPERATIONS, true);
+    $only_missing = $this->affectsOnlyMissing($operation, $options);
+    $batch_size = max(1, (int) ($options['batch_size'] ?? 50));
+
+    $estimate = [
+      'operation' => $operation,
+      'currency' => EmbeddingModelCatalog::PRICE_CURRENCY,
+      'total_cost' => 0.0,
+      'total_tokens' => 0,
+      'billed_tokens' => 0,
+      'items_affected' => 0,
+      'cache_hits' => 0,
+      'estimated_seconds' => 0,
+      'price_per_1k_tokens' => 0.0,
+      'breakdown' => [],
+    ];
+
+    foreach ($targets as $target) {
+      $filter = $this->getItemFilter($target['index'], $options);
+      $row = $this->estimateTarget($target['server'], $target['index'], $only_missing, $billed, $filter);
+
+      $estimate['total_cost'] += $row['cost'];
+      $estimate['total_tokens'] += $row['tokens'];
+      $estimate['billed_tokens'] += $row['billed_tokens'];
+      $estimate['items_affected'] += $row['items'];
+      $estimate['cache_hits'] += $row['cache_hits'];
+      // Only billed operations call the provider once per batch.
+      if ($billed) {
+        $estimate['estimated_seconds'] += (int) ceil($row['items'] / $batch_size) * self::SECONDS_PER_BATCH;
+      }
+      $estimate['breakdown'][] = $row;
+    }
+
+    if ($estimate['billed_tokens'] > 0) {
+      $estimate['price_per_1k_tokens'] = $estimate['total_cost'] / $estimate['billed_tokens'] * 1000;
+    } elseif ($estimate['breakdown']) {
+      $estimate['price_per_1k_tokens'] = max(array_column($estimate['breakdown'], 'price_per_1k_tokens'));
+    }
+
+    return $estimate;
+  }
+
+  /**
+   * Counts the items an operation would touch, without sampling their text.
+   * {@inheritdoc}
+   *
+   * @param string $operation
+   *   The operation.
+   * @param array $targets
+   *   Targets as returned by getTargets().
+   * @param array $options
+   *   Operation options, see estimate().
+   *
+   * @return array
+   *   An array with the 'total' and the 'indexes', each with 'index_id',
+   *   'index_name', 'items' and, if it could not be counted, 'error'.
+   */
+  public function countItems($operation, array $targets, array $options = [])
+  {
+    $only_missing = $this->affectsOnlyMissing($operation, $options);
+    $count = ['total' => 0, 'indexes' => []];
+
+    foreach ($targets as $target) {
+      $row = $this->estimateTarget($target['server'], $target['index'], $only_missing, false, $this->getItemFilter($target['index'], $options));
+      $count['total'] += $row['items'];
+      $count['indexes'][] = array_intersect_key($row, array_flip(['index_id', 'index_name', 'items', 'error']));
+    }
+
+    return $count;
+  }
+
+  /**
+   * Resolves the item selection of an operation for one index.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The index.
+   * @param array $options
+   *   Operation options, see estimate().
+   *
+   * @return array
+   *   The item filter for the index's backend, empty for all items.
+   */
+  public function getItemFilter($index, array $options)
+  {
+    return $this->itemSelection ? $this->itemSelection->getItemFilter($index, $options) : [];
+  }
+
+  /**
+   * Checks whether an operation skips items that already have an embedding.
+   * {@inheritdoc}
+   *
+   * @param string $operation
+   *   The operation.
+   * @param array $options
+   *   Operation options, see estimate().
+   *
+   * @return bool
+   *   TRUE if only items without an embedding are affected.
+   */
+  public function affectsOnlyMissing($operation, array $options = [])
+  {
+    return $operation === 'regenerate_missing' && empty($options['force_overwrite']);
+  }
+
+  /**
+   * Estimates tokens for a text the way the embedding services do.
+   * {@inheritdoc}
+   *
+   * @param string $text
+   *   The text.
+   *
+   * @return int
+   *   The estimated number of tokens.
+   */
+  public function estimateTokens($text)
+  {
+    return (int) ceil(strlen($text) / self::CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Estimates one index.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\ServerInterface $server
+   *   The server.
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The index.
+   * @param bool $only_missing
+   *   Whether only rows without an embedding are affected.
+   * @param bool $billed
+   *   Whether the operation requests embeddings from the provider.
+   * @param array $filter
+   *   The item filter, see getItemFilter().
+   *
+   * @return array
+   *   The breakdown row.
+   */
+  protected function estimateTarget($server, $index, $only_missing, $billed, array $filter = [])
+  {
+    $backend = $server->getBackend();
+    $config = $backend->getConfiguration();
+    $provider = $config['ai_embeddings']['provider'] ?? 'azure';
+    $model = $config['ai_embeddings'][$provider]['model'] ?? '';
+    $definition = $this->modelCatalog->getModel($provider, $model);
+
+    $row = [
+      'server_id' => $server->id(),
+      'server_name' => $server->label(),
+      'index_id' => $index->id(),
+      'index_name' => $index->label(),
+      'description' => $index->label() . ' (' . $server->label() . ')',
+      'model' => $model,
+      'items' => 0,
+      'tokens_per_item' => 0,
+      'tokens' => 0,
+      'cache_hits' => 0,
+      'billed_tokens' => 0,
+      'price_per_1k_tokens' => $definition['price_per_1k_tokens'] ?? 0.0,
+      'cost' => 0.0,
+    ];
+
+    if (empty($config['ai_embeddings']['enabled']) || !method_exists($backend, 'getEmbeddingTextSample')) {
+      $row['error'] = 'AI embeddings are not enabled on this server.';
+      return $row;
+    }
+    if (!empty($filter['error'])) {
+      $row['error'] = $filter['error'];
+      return $row;
+    }
+
+    try {
+      $sample = $backend->getEmbeddingTextSample($index, $only_missing, $billed ? self::SAMPLE_SIZE : 0, $filter);
+    } catch (\Exception $e) {
+      $this->logger->warning('Could not sample @index for cost estimation: @error', [
+        '@index' => $index->id(),
+        '@error' => $e->getMessage(),
+      ]);
+      $row['error'] = $e->getMessage();
+      return $row;
+    }
+
+    $texts = array_values(array_filter($sample['sample'], 'strlen'));
+    $row['items'] = (int) $sample['matching_items'];
+    if (!$texts || !$billed) {
+      return $row;
+    }
+
+    $sampled_tokens = array_sum(array_map([$this, 'estimateTokens'], $texts));
+    $row['tokens_per_item'] = (int) ceil($sampled_tokens / count($texts));
+    $row['tokens'] = $row['tokens_per_item'] * $row['items'];
+
+    // Scale the sample's cache hits and their share of tokens to all rows.
+    $cached = $this->cacheManager->getCachedEmbeddingsBatch($texts, $backend->getEmbeddingCacheMetadata());
+    $cached_tokens = 0;
+    foreach (array_keys($cached) as $i) {
+      $cached_tokens += $this->estimateTokens($texts[$i]);
+    }
+    $row['cache_hits'] = (int) round(count($cached) / count($texts) * $row['items']);
+    $row['billed_tokens'] = (int) round($row['tokens'] * (1 - $cached_tokens / $sampled_tokens));
+    $row['cost'] = $this->modelCatalog->estimateCost($provider, $model, $row['billed_tokens']);
+
+    return $row;
+  }
+}
@@ -0,0 +1,288 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\State\StateInterface;
+use Drupal\search_api_postgresql\Exception\ApiKeyExpiredException;
+use Drupal\search_api_postgresql\Exception\CacheDegradedException;
+use Drupal\search_api_postgresql\Exception\CircuitBreakerException;
+use Drupal\search_api_postgresql\Exception\EmbeddingServiceUnavailableException;
+use Drupal\search_api_postgresql\Exception\GracefulDegradationException;
+use Drupal\search_api_postgresql\Exception\QueueDegradedException;
+use Drupal\search_api_postgresql\Exception\RateLimitException;
+use Drupal\search_api_postgresql\Exception\TemporaryApiException;
+use Drupal\search_api_postgresql\Exception\VectorIndexCorruptedException;
+use Drupal\search_api_postgresql\Exception\VectorSearchDegradedException;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Tracks which parts of the module are currently running degraded.
+ *
+ * Graceful degradation exceptions are caught deep in indexing and search, so
+ * the code that falls back records them here. Admin pages read the result to
+ * show what is degraded, since when and which fallback is active. A
+ * degradation is considered over once it has not recurred for EXPIRY seconds.
+ */
+class DegradationStateService
+{
+  /**
+   * The state key holding the recorded degradations.
+   */
+  const STATE_KEY = 'search_api_postgresql.degradation_state';
+
+  /**
+   * Seconds after the last occurrence until a degradation is dropped.
+   */
+  const EXPIRY = 900;
+
+  /**
+   * Degradation types, in order of display.
+   */
+  const TYPES = [
+    'embedding_service' => ['label' => 'Embedding service unavailable', 'severity' => 'error'],
+    'vector_search' => ['label' => 'Vector search degraded', 'severity' => 'warning'],
+    'queue' => ['label' => 'Embedding queue degraded', 'severity' => 'warning'],
+    'cache' => ['label' => 'Embedding cache degraded', 'severity' => 'info'],
+  ];
+
+  /**
+   * Descriptions of the fallback strategies used by the exceptions.
+   */
+  const FALLBACKS = [
+    'text_search_only' => 'Searches use keyword matching only.',
+    'text_search_with_reindex_queue' => 'Searches use keyword matching while the vector index is rebuilt.',
+    'cached_results_with_delay' => 'Cached embeddings are used and new requests are delayed.',
+    'retry_with_backoff' => 'Requests are retried with increasing delays.',
+    'offline_mode' => 'The embedding provider is not called until its circuit closes.',
+    'synchronous_processing' => 'Embeddings are generated immediately instead of being queued.',
+    'no_cache_mode' => 'Embeddings are requested without the cache.',
+  ];
+
+  /**
+   * Severities from least to most severe.
+   */
+  const SEVERITIES = ['info', 'warning', 'error'];
+
+  /**
+   * The state service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The circuit breaker service, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CircuitBreakerService|null
+   */
+  protected $circuitBreaker;
+
+  /**
+   * Constructs a DegradationStateService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   * @param \Drupal\search_api_postgresql\Service\CircuitBreakerService|null $circuit_breaker
+   *   The circuit breaker service.
+   */
+  public function __construct(StateInterface $state, LoggerInterface $logger, ?CircuitBreakerService $circuit_breaker = null)
+  {
+    $this->state = $state;
+    $this->logger = $logger;
+    $this->circuitBreaker = $circuit_breaker;
+  }
+
+  /**
+   * Records that a fallback was used.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Exception\GracefulDegradationException $exception
+   *   The exception that triggered the fallback.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return string|null
+   *   The degradation type recorded, or NULL if the exception does not map
+   *   to one.
+   */
+  public function record(GracefulDegradationException $exception, $now = null)
+  {
+    $type = $this->getType($exception);
+    if (!$type) {
+      return null;
+    }
+
+    $now = $now ?? time();
+    $degradations = $this->getRecorded($now);
+
+    if (!isset($degradations[$type])) {
+      $degradations[$type] = ['since' => $now, 'count' => 0];
+      $this->logger->warning('@label: @message', [
+        '@label' => self::TYPES[$type]['label'],
+        '@message' => $exception->getMessage(),
+      ]);
+    }
+
+    $degradations[$type] = [
+      'message' => $exception->getUserMessage(),
+      'fallback' => $exception->getFallbackStrategy(),
+      'last_seen' => $now,
+      'count' => $degradations[$type]['count'] + 1,
+    ] + $degradations[$type];
+
+    $this->state->set(self::STATE_KEY, $degradations);
+
+    return $type;
+  }
+
+  /**
+   * Marks a degradation as resolved.
+   * {@inheritdoc}
+   *
+   * @param string $type
+   *   The degradation type.
+   */
+  public function clear($type)
+  {
+    $degradations = $this->state->get(self::STATE_KEY, []);
+    unset($degradations[$type]);
+    $this->state->set(self::STATE_KEY, $degradations);
+  }
+
+  /**
+   * Maps an exception to a degradation type.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Exception\GracefulDegradationException $exception
+   *   The exception.
+   *
+   * @return string|null
+   *   A key of TYPES, or NULL.
+   */
+  public function getType(GracefulDegradationException $exception)
+  {
+    if ($exception instanceof VectorSearchDegradedException || $exception instanceof VectorIndexCorruptedException) {
+      return 'vector_search';
+    }
+    if ($exception instanceof EmbeddingServiceUnavailableException
+      || $exception instanceof RateLimitException
+      || $exception instanceof ApiKeyExpiredException
+      || $exception instanceof TemporaryApiException
+      || $exception instanceof CircuitBreakerException
+    ) {
+      return 'embedding_service';
+    }
+    if ($exception instanceof QueueDegradedException) {
+      return 'queue';
+    }
+    if ($exception instanceof CacheDegradedException) {
+      return 'cache';
+    }
+    return null;
+  }
+
+  /**
+   * Gets the active degradations.
+   * {@inheritdoc}
+   *
+   * Open circuit breakers count as an unavailable embedding service even if
+   * no fallback has been recorded yet.
+   *
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return array
+   *   A list of degradations, most severe first, each with 'type', 'label',
+   *   'severity', 'message', 'fallback', 'fallback_description', 'since',
+   *   'last_seen' and 'count'.
+   */
+  public function getActive($now = null)
+  {
+    $degradations = $this->getRecorded($now ?? time());
+
+    if (!isset($degradations['embedding_service']) && $this->circuitBreaker) {
+      foreach ($this->circuitBreaker->getAllServiceStats() as $name => $stats) {
+        if ($stats['state'] === CircuitBreakerService::STATE_OPEN) {
+          $degradations['embedding_service'] = [
+            'message' => sprintf('The circuit breaker for %s is open.', $name),
+            'fallback' => 'offline_mode',
+            'since' => $stats['state_changed'],
+            'last_seen' => $stats['last_failure'],
+            'count' => $stats['failure_count'],
+          ];
+          break;
+        }
+      }
+    }
+
+    $active = [];
+    foreach (self::TYPES as $type => $info) {
+      if (!isset($degradations[$type])) {
+        continue;
+      }
+      $degradation = $degradations[$type];
+      $active[] = [
+        'type' => $type,
+        'label' => $info['label'],
+        'severity' => $info['severity'],
+        'message' => $degradation['message'],
+        'fallback' => $degradation['fallback'],
+        'fallback_description' => self::FALLBACKS[$degradation['fallback']] ?? '',
+        'since' => $degradation['since'],
+        'last_seen' => $degradation['last_seen'],
+        'count' => $degradation['count'],
+      ];
+    }
+
+    return $active;
+  }
+
+  /**
+   * Gets the highest severity of a list of degradations.
+   * {@inheritdoc}
+   *
+   * @param array $active
+   *   Degradations as returned by getActive().
+   *
+   * @return string|null
+   *   'info', 'warning' or 'error', or NULL if the list is empty.
+   */
+  public function getSeverity(array $active)
+  {
+    $levels = array_map(function ($degradation) {
+      return array_search($degradation['severity'], self::SEVERITIES, true);
+    }, $active);
+
+    return $levels ? self::SEVERITIES[max($levels)] : null;
+  }
+
+  /**
+   * Reads the recorded degradations, dropping expired ones.
+   * {@inheritdoc}
+   *
+   * @param int $now
+   *   The current time.
+   *
+   * @return array
+   *   Degradations keyed by type.
+   */
+  protected function getRecorded($now)
+  {
+    return array_filter($this->state->get(self::STATE_KEY, []), function ($degradation) use ($now) {
+      return $now - $degradation['last_seen'] < self::EXPIRY;
+    });
+  }
+}
@@ -12,6 +12,25 @@
  */
 class EmbeddingAnalyticsService
 {
+  /**
+   * Bucket sizes of time series, in seconds, keyed by granularity.
+   */
+  const GRANULARITIES = [
+    'hour' => 3600,
+    'day' => 86400,
+    'week' => 604800,
+  ];
+
+  /**
+   * The longest period analytics are reported for, in seconds.
+   */
+  const MAX_PERIOD = 31622400;
+
+  /**
+   * The most buckets a time series of a period may have.
+   */
+  const MAX_BUCKETS = 1000;
+
   /**
    * The database connection.
    * {@inheritdoc}
@@ -184,8 +203,9 @@ public function recordMetric($server_id, $metric_type, $metric_name, $value, arr
    * Gets cost analytics for a period.
    * {@inheritdoc}
    *
-   * @param string $period
-   *   The time period (24h, 7d, 30d, 90d).
+   * @param string|array $period
+   *   The time period (24h, 7d, 30d, 90d, or mtd for the month to date), or a
+   *   custom period as accepted by resolvePeriod().
    * @param string|null $server_id
    *   Optional server ID filter.
    *   {@inheritdoc}.
@@ -206,6 +226,8 @@ public function getCostAnalytics($period = '7d', $server_id = null)
       'trend' => 0,
       'by_operation' => [],
     ];
+    $period = $this->resolvePeriod($period);
+    $period_seconds = $period['end'] - $period['start'];
 
     // Check if analytics table exists - if not, return defaults.
     if (!$this->database->schema()->tableExists($this->analyticsTable)) {
@@ -213,12 +235,13 @@ public function getCostAnalytics($period = '7d', $server_id = null)
     }
 
     try {
-      $start_time = time() - $this->getPeriodSeconds($period);
+      $start_time = $period['start'];
 
       // Wrap all database operations in try-catch.
       $query = $this->database->select($this->analyticsTable, 'a')
         ->fields('a')
-        ->condition('timestamp', $start_time, '>=');
+        ->condition('timestamp', $start_time, '>=')
+        ->condition('timestamp', $period['end'], '<');
 
       if ($server_id) {
         $query->condition('server_id', $server_id);
@@ -250,7 +273,7 @@ public function getCostAnalytics($period = '7d', $server_id = null)
       }
 
       // Calculate projections.
-      $days_in_period = $this->getPeriodSeconds($period) / 86400;
+      $days_in_period = $period_seconds / 86400;
       $daily_cost = $days_in_period > 0 ? $total_cost / $days_in_period : 0;
       $projected_monthly = $daily_cost * 30;
 
@@ -264,7 +287,7 @@ public function getCostAnalytics($period = '7d', $server_id = null)
             return $analytics;
           }
 
-          $mid_time = $start_time + ($this->getPeriodSeconds($period) / 2);
+          $mid_time = $start_time + ($period_seconds / 2);
 
           $first_half_query = $this->database->select($this->analyticsTable, 'a');
           if ($this->database->schema()->fieldExists($this->analyticsTable, 'cost_usd')) {
@@ -278,6 +301,7 @@ public function getCostAnalytics($period = '7d', $server_id = null)
           $second_half_query = $this->database->select($this->analyticsTable, 'a');
           if ($this->database->schema()->fieldExists($this->analyticsTable, 'cost_usd')) {
             $second_half_query->condition('timestamp', $mid_time, '>')
+              ->condition('timestamp', $period['end'], '<')
               ->addExpression('SUM(cost_usd)', 'total_cost');
             $second_half = $second_half_query->execute()->fetchField();
           } else {
@@ -479,22 +503,23 @@ public function getServerMetrics($server_id, $period = '24h')
    * Gets performance metrics for a period.
    * {@inheritdoc}
    *
-   * @param string $period
-   *   The time period.
+   * @param string|array $period
+   *   The time period, or a custom period as accepted by resolvePeriod().
    * @param string|null $server_id
    *   Optional server ID filter.
    *   {@inheritdoc}.
    *
    * @return array
-   *   Performance metrics data.
+   *   Performance metrics data, bucketed by the period's granularity.
    */
   public function getPerformanceMetrics($period = '7d', $server_id = null)
   {
-    $start_time = time() - $this->getPeriodSeconds($period);
+    $period = $this->resolvePeriod($period);
 
     $query = $this->database->select($this->metricsTable, 'm')
       ->fields('m')
-      ->condition('timestamp', $start_time, '>=')
+      ->condition('timestamp', $period['start'], '>=')
+      ->condition('timestamp', $period['end'], '<')
       ->orderBy('timestamp', 'ASC');
 
     if ($server_id) {
@@ -510,10 +535,11 @@ public function getPerformanceMetrics($period = '7d', $server_id = null)
       'error_rate' => [],
     ];
 
-    // Group metrics by hour.
+    // Group metrics by bucket.
     $hourly_buckets = [];
+    $bucket_size = self::GRANULARITIES[$period['granularity']];
     foreach ($results as $record) {
-      $hour = floor($record->timestamp / 3600) * 3600;
+      $hour = $period['start'] + (int) floor(($record->timestamp - $period['start']) / $bucket_size) * $bucket_size;
 
       if (!isset($hourly_buckets[$hour])) {
         $hourly_buckets[$hour] = [
@@ -594,6 +620,348 @@ public function getPerformanceMetrics($period = '7d', $server_id = null)
     return $metrics;
   }
 
+  /**
+   * Gets usage patterns over time.
+   * {@inheritdoc}
+   *
+   * Every bucket of the period is included, so quiet times show as zero.
+   *
+   * @param string|array $period
+   *   The time period, or a custom period as accepted by resolvePeriod().
+   * @param string|null $server_id
+   *   Optional server ID filter.
+   *
+   * @return array
+   *   An array with the 'query_volume', searches per bucket, and the
+   *   'embedding_generation', embedding API calls per bucket keyed by
+   *   operation.
+   */
+  public function getUsagePatterns($period = '7d', $server_id = null)
+  {
+    $period = $this->resolvePeriod($period);
+    $start_time = $period['start'];
+    $bucket_size = self::GRANULARITIES[$period['granularity']];
+    // Buckets count from the start of the period, so a period and the one
+    // before it have buckets at the same offsets.
+    $bucket_expression = "{$start_time} + FLOOR((timestamp - {$start_time}) / {$bucket_size}) * {$bucket_size}";
+
+    $buckets = [];
+    for ($bucket = $start_time; $bucket < $period['end']; $bucket += $bucket_size) {
+      $buckets[$bucket] = 0;
+    }
+
+    $usage = [
+      'query_volume' => $this->toTimeSeries($buckets),
+      'embedding_generation' => [],
+    ];
+
+    try {
+      $query = $this->database->select($this->metricsTable, 'm')
+        ->condition('metric_type', 'search')
+        ->condition('metric_name', 'latency')
+        ->condition('timestamp', $start_time, '>=')
+        ->condition('timestamp', $period['end'], '<');
+      if ($server_id) {
+        $query->condition('server_id', $server_id);
+      }
+      $query->addExpression($bucket_expression, 'bucket');
+      $query->addExpression('COUNT(*)', 'total');
+      $query->groupBy('bucket');
+
+      $volume = $buckets;
+      foreach ($query->execute() as $record) {
+        $volume[(int) $record->bucket] = (int) $record->total;
+      }
+      $usage['query_volume'] = $this->toTimeSeries($volume);
+
+      $query = $this->database->select($this->analyticsTable, 'a')
+        ->fields('a', ['operation'])
+        ->condition('operation', ['cache_hit', 'cache_miss', 'cache_clear'], 'NOT IN')
+        ->condition('timestamp', $start_time, '>=')
+        ->condition('timestamp', $period['end'], '<');
+      if ($server_id) {
+        $query->condition('server_id', $server_id);
+      }
+      $query->addExpression($bucket_expression, 'bucket');
+      $query->addExpression('COUNT(*)', 'total');
+      $query->groupBy('operation');
+      $query->groupBy('bucket');
+
+      $generation = [];
+      foreach ($query->execute() as $record) {
+        $generation[$record->operation] = $generation[$record->operation] ?? $buckets;
+        $generation[$record->operation][(int) $record->bucket] = (int) $record->total;
+      }
+      ksort($generation);
+      $usage['embedding_generation'] = array_map([$this, 'toTimeSeries'], $generation);
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to get usage patterns: @message', ['@message' => $e->getMessage()]);
+    }
+
+    return $usage;
+  }
+
+  /**
+   * Gets the indexes searched most in a period.
+   * {@inheritdoc}
+   *
+   * @param string|array $period
+   *   The time period, or a custom period as accepted by resolvePeriod().
+   * @param int $limit
+   *   The number of indexes to return.
+   *
+   * @return array
+   *   A list of indexes, most searched first, each with its 'index_id', the
+   *   number of 'searches' and their 'average_latency' in milliseconds.
+   */
+  public function getTopIndexes($period = '7d', $limit = 10)
+  {
+    $period = $this->resolvePeriod($period);
+
+    try {
+      $query = $this->database->select($this->metricsTable, 'm')
+        ->fields('m', ['index_id'])
+        ->condition('metric_type', 'search')
+        ->condition('metric_name', 'latency')
+        ->isNotNull('index_id')
+        ->condition('timestamp', $period['start'], '>=')
+        ->condition('timestamp', $period['end'], '<')
+        ->groupBy('index_id')
+        ->range(0, $limit);
+      $query->addExpression('COUNT(*)', 'searches');
+      $query->addExpression('AVG(value)', 'average_latency');
+      $query->orderBy('searches', 'DESC');
+
+      $indexes = [];
+      foreach ($query->execute() as $record) {
+        $indexes[] = [
+          'index_id' => $record->index_id,
+          'searches' => (int) $record->searches,
+          'average_latency' => round((float) $record->average_latency, 1),
+        ];
+      }
+      return $indexes;
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to get the top indexes: @message', ['@message' => $e->getMessage()]);
+      return [];
+    }
+  }
+
+  /**
+   * Gets the spend of each day of a range.
+   * {@inheritdoc}
+   *
+   * Days summed up by aggregateDailyStats() are read from the daily
+   * aggregates, later ones from the API calls. Days are those of the site
+   * timezone, as in aggregateDailyStats().
+   *
+   * @param int $start
+   *   The start of the first day.
+   * @param int $end
+   *   The end of the last day, excluded.
+   * @param string|null $server_id
+   *   Optional server ID filter.
+   *
+   * @return array
+   *   The spend, keyed by day as Y-m-d, 0 for days without API calls.
+   */
+  public function getDailyCosts($start, $end, $server_id = null)
+  {
+    $days = [];
+    $day_ends = [];
+    for ($day = $start; $day < $end; $day = strtotime('+1 day', $day)) {
+      $days[date('Y-m-d', $day)] = 0.0;
+      $day_ends[date('Y-m-d', $day)] = min($end, strtotime('+1 day', $day));
+    }
+    if (!$days) {
+      return $days;
+    }
+
+    try {
+      $last_aggregated = $this->database->select($this->dailyAggregatesTable, 'da')
+        ->fields('da', ['date'])
+        ->orderBy('date', 'DESC')
+        ->range(0, 1)
+        ->execute()
+        ->fetchField();
+
+      if ($last_aggregated) {
+        $query = $this->database->select($this->dailyAggregatesTable, 'da')
+          ->fields('da', ['date'])
+          ->condition('date', [array_key_first($days), $last_aggregated], 'BETWEEN')
+          ->groupBy('date');
+        if ($server_id) {
+          $query->condition('server_id', $server_id);
+        }
+        $query->addExpression('SUM(total_cost)', 'cost');
+        foreach ($query->execute() as $record) {
+          if (isset($days[$record->date])) {
+            $days[$record->date] = (float) $record->cost;
+          }
+        }
+      }
+
+      // Sum the calls by the days they fall on. Days start at midnight in the
+      // site timezone and are not all 24 hours long, so each call is matched
+      // against the end of every remaining day.
+      $raw_start = $last_aggregated ? max($start, strtotime($last_aggregated . ' +1 day')) : $start;
+      $remaining = array_filter($day_ends, function ($day_end) use ($raw_start) {
+        return $day_end > $raw_start;
+      });
+      if ($remaining) {
+        $query = $this->database->select($this->analyticsTable, 'a')
+          ->condition('timestamp', $raw_start, '>=')
+          ->condition('timestamp', $end, '<');
+        if ($server_id) {
+          $query->condition('server_id', $server_id);
+        }
+        $cases = [];
+        foreach (array_values($remaining) as $i => $day_end) {
+          $cases[] = 'WHEN timestamp < ' . (int) $day_end . ' THEN ' . $i;
+        }
+        $query->addExpression('CASE ' . implode(' ', $cases) . ' END', 'day');
+        $query->addExpression('SUM(cost_usd)', 'cost');
+        $query->groupBy('day');
+        $dates = array_keys($remaining);
+        foreach ($query->execute() as $record) {
+          $days[$dates[(int) $record->day]] += (float) $record->cost;
+        }
+      }
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to get the daily costs: @message', ['@message' => $e->getMessage()]);
+    }
+
+    return $days;
+  }
+
+  /**
+   * Gets the most expensive API calls of a time range.
+   * {@inheritdoc}
+   *
+   * @param int $start
+   *   The start of the range.
+   * @param int $end
+   *   The end of the range, excluded.
+   * @param string|null $server_id
+   *   Optional server ID filter.
+   * @param int $limit
+   *   The number of calls to return.
+   *
+   * @return array
+   *   An array with the 'total' number of calls in the range and the 'calls',
+   *   most expensive first, as records of the analytics table.
+   */
+  public function getApiCalls($start, $end, $server_id = null, $limit = 500)
+  {
+    try {
+      $query = $this->database->select($this->analyticsTable, 'a')
+        ->fields('a', ['server_id', 'operation', 'token_count', 'cost_usd', 'duration_ms', 'timestamp'])
+        ->condition('timestamp', $start, '>=')
+        ->condition('timestamp', $end, '<');
+      if ($server_id) {
+        $query->condition('server_id', $server_id);
+      }
+
+      $total = (int) $query->countQuery()->execute()->fetchField();
+      $calls = $query->orderBy('cost_usd', 'DESC')
+        ->orderBy('timestamp', 'ASC')
+        ->range(0, $limit)
+        ->execute()
+        ->fetchAll();
+
+      return ['total' => $total, 'calls' => $calls];
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to get the API calls: @message', ['@message' => $e->getMessage()]);
+      return ['total' => 0, 'calls' => []];
+    }
+  }
+
+  /**
+   * Resolves a period to its bounds and granularity.
+   * {@inheritdoc}
+   *
+   * @param string|array $period
+   *   A period string like '7d', ending now, or a custom period with 'start'
+   *   and 'end' timestamps, the end excluded, and an optional 'granularity'.
+   *
+   * @return array
+   *   The period's 'start' and 'end' and its 'granularity', a key of
+   *   GRANULARITIES. Without one, periods of up to two days are bucketed by
+   *   hour and longer ones by day.
+   *
+   * @throws \InvalidArgumentException
+   *   If the period ends before it starts, is longer than MAX_PERIOD or has
+   *   more than MAX_BUCKETS buckets at its granularity.
+   */
+  public function resolvePeriod($period)
+  {
+    if (!is_array($period)) {
+      $end = time();
+      $period = ['start' => $end - $this->getPeriodSeconds($period), 'end' => $end];
+    }
+
+    $start = (int) $period['start'];
+    $end = (int) $period['end'];
+    if ($end <= $start) {
+      throw new \InvalidArgumentException('The period must end after it starts.');
+    }
+    if ($end - $start > self::MAX_PERIOD) {
+      throw new \InvalidArgumentException(sprintf('Periods can be at most %d days long.', self::MAX_PERIOD / 86400));
+    }
+
+    $granularity = !empty($period['granularity']) ? $period['granularity'] : ($end - $start <= 172800 ? 'hour' : 'day');
+    if (!isset(self::GRANULARITIES[$granularity])) {
+      throw new \InvalidArgumentException(sprintf('Unknown granularity: %s', $granularity));
+    }
+    if (($end - $start) / self::GRANULARITIES[$granularity] > self::MAX_BUCKETS) {
+      throw new \InvalidArgumentException(sprintf('The period is too long to be reported by %s.', $granularity));
+    }
+
+    return ['start' => $start, 'end' => $end, 'granularity' => $granularity];
+  }
+
+  /**
+   * Gets the period of the same length right before a period.
+   * {@inheritdoc}
+   *
+   * @param string|array $period
+   *   The period, as accepted by resolvePeriod().
+   *
+   * @return array
+   *   The previous period, with the same granularity.
+   */
+  public function getPreviousPeriod($period)
+  {
+    $period = $this->resolvePeriod($period);
+    $length = $period['end'] - $period['start'];
+
+    return [
+      'start' => $period['start'] - $length,
+      'end' => $period['start'],
+      'granularity' => $period['granularity'],
+    ];
+  }
+
+  /**
+   * Converts values keyed by timestamp to the points of a time series.
+   * {@inheritdoc}
+   *
+   * @param array $values
+   *   The values, keyed by timestamp.
+   *
+   * @return array
+   *   A list of points with a 'timestamp' and a 'value'.
+   */
+  protected function toTimeSeries(array $values)
+  {
+    $points = [];
+    foreach ($values as $timestamp => $value) {
+      $points[] = ['timestamp' => $timestamp, 'value' => $value];
+    }
+
+    return $points;
+  }
+
   /**
    * Aggregates daily statistics.
    * {@inheritdoc}
@@ -820,6 +1188,10 @@ protected function getPeriodSeconds($period)
       case '90d':
           return 7776000;
 
+      case 'mtd':
+        // Month to date, at least a second so projections stay defined.
+          return max(1, time() - strtotime('midnight first day of this month'));
+
       default:
         // Default to 7 days.
           return 604800;
@@ -0,0 +1,287 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Extension\ModuleHandlerInterface;
+
+/**
+ * Catalog of embedding providers, models, limits and pricing.
+ *
+ * The catalog is the single source of truth for model metadata used by the
+ * server configuration form (server-side validation and the client-side
+ * dimension helpers) and by cost estimation. Other modules can adjust it with
+ * hook_search_api_postgresql_embedding_models_alter().
+ */
+class EmbeddingModelCatalog
+{
+  /**
+   * Maximum vector dimension pgvector can build an IVFFlat or HNSW index on.
+   */
+  const INDEX_MAX_DIMENSION = 2000;
+
+  /**
+   * The currency model prices are expressed in.
+   */
+  const PRICE_CURRENCY = 'USD';
+
+  /**
+   * Rough token count per indexed item, used when no better estimate exists.
+   */
+  const ESTIMATED_TOKENS_PER_ITEM = 500;
+
+  /**
+   * The module handler.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Extension\ModuleHandlerInterface|null
+   */
+  protected $moduleHandler;
+
+  /**
+   * The built catalog, statically cached.
+   * {@inheritdoc}
+   *
+   * @var array|null
+   */
+  protected $catalog;
+
+  /**
+   * Constructs an EmbeddingModelCatalog.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\Extension\ModuleHandlerInterface|null $module_handler
+   *   The module handler, used to let other modules alter the catalog.
+   */
+  public function __construct(ModuleHandlerInterface $module_handler = null)
+  {
+    $this->moduleHandler = $module_handler;
+  }
+
+  /**
+   * Gets the full catalog keyed by provider ID.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Provider definitions, each with a 'label' and a 'models' array keyed by
+   *   model ID. Every model defines 'label', 'dimension', 'min_dimension',
+   *   'max_dimension', 'max_tokens' and 'price_per_1k_tokens'.
+   */
+  public function getCatalog()
+  {
+    if ($this->catalog === null) {
+      $catalog = $this->getDefaultCatalog();
+      if ($this->moduleHandler) {
+        $this->moduleHandler->alter('search_api_postgresql_embedding_models', $catalog);
+      }
+      $this->catalog = $catalog;
+    }
+
+    return $this->catalog;
+  }
+
+  /**
+   * Gets the catalog in the shape exposed to drupalSettings.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The providers plus the limits the client needs for inline validation.
+   */
+  public function getClientSettings()
+  {
+    return [
+      'providers' => $this->getCatalog(),
+      'currency' => self::PRICE_CURRENCY,
+      'indexMaxDimension' => self::INDEX_MAX_DIMENSION,
+    ];
+  }
+
+  /**
+   * Gets provider labels keyed by provider ID.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Provider labels.
+   */
+  public function getProviderOptions()
+  {
+    $options = [];
+    foreach ($this->getCatalog() as $provider_id => $provider) {
+      $options[$provider_id] = $provider['label'];
+    }
+    return $options;
+  }
+
+  /**
+   * Gets model labels for a provider, suitable for a select element.
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   *
+   * @return array
+   *   Model labels keyed by model ID.
+   */
+  public function getModelOptions($provider)
+  {
+    $options = [];
+    foreach ($this->getModels($provider) as $model_id => $model) {
+      $options[$model_id] = $model['label'];
+    }
+    return $options;
+  }
+
+  /**
+   * Gets the model definitions for a provider.
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   *
+   * @return array
+   *   Model definitions keyed by model ID, empty for unknown providers.
+   */
+  public function getModels($provider)
+  {
+    $catalog = $this->getCatalog();
+    return $catalog[$provider]['models'] ?? [];
+  }
+
+  /**
+   * Gets a single model definition.
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   * @param string $model
+   *   The model ID.
+   *
+   * @return array|null
+   *   The model definition, or NULL when the model is not in the catalog.
+   */
+  public function getModel($provider, $model)
+  {
+    $models = $this->getModels($provider);
+    return $models[$model] ?? null;
+  }
+
+  /**
+   * Gets the native dimension of a model.
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   * @param string $model
+   *   The model ID.
+   *
+   * @return int|null
+   *   The default dimension, or NULL for unknown models.
+   */
+  public function getDefaultDimension($provider, $model)
+  {
+    $definition = $this->getModel($provider, $model);
+    return $definition ? (int) $definition['dimension'] : null;
+  }
+
+  /**
+   * Checks whether a dimension is supported by a model.
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   * @param string $model
+   *   The model ID.
+   * @param int $dimension
+   *   The requested dimension.
+   *
+   * @return bool
+   *   TRUE if the model can produce vectors of that dimension.
+   */
+  public function isValidDimension($provider, $model, $dimension)
+  {
+    $definition = $this->getModel($provider, $model);
+    if (!$definition || !is_numeric($dimension) || (int) $dimension != $dimension) {
+      return false;
+    }
+
+    $dimension = (int) $dimension;
+    return $dimension >= $definition['min_dimension'] && $dimension <= $definition['max_dimension'];
+  }
+
+  /**
+   * Estimates the cost of embedding a number of tokens.
+   * {@inheritdoc}
+   *
+   * @param string $provider
+   *   The provider ID.
+   * @param string $model
+   *   The model ID.
+   * @param int $tokens
+   *   The number of tokens.
+   *
+   * @return float
+   *   The estimated cost in PRICE_CURRENCY, 0 for unknown models.
+   */
+  public function estimateCost($provider, $model, $tokens)
+  {
+    $definition = $this->getModel($provider, $model);
+    if (!$definition) {
+      return 0.0;
+    }
+
+    return ($tokens / 1000) * $definition['price_per_1k_tokens'];
+  }
+
+  /**
+   * Builds the catalog shipped with the module.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The default catalog.
+   */
+  protected function getDefaultCatalog()
+  {
+    // The text-embedding-3 models accept a "dimensions" parameter that
+    // shortens the returned vector; ada-002 always returns 1536 values.
+    $models = [
+      'text-embedding-3-small' => [
+        'label' => 'text-embedding-3-small',
+        'dimension' => 1536,
+        'min_dimension' => 1,
+        'max_dimension' => 1536,
+        'max_tokens' => 8191,
+        'price_per_1k_tokens' => 0.00002,
+      ],
+      'text-embedding-3-large' => [
+        'label' => 'text-embedding-3-large',
+        'dimension' => 3072,
+        'min_dimension' => 1,
+        'max_dimension' => 3072,
+        'max_tokens' => 8191,
+        'price_per_1k_tokens' => 0.00013,
+      ],
+      'text-embedding-ada-002' => [
+        'label' => 'text-embedding-ada-002',
+        'dimension' => 1536,
+        'min_dimension' => 1536,
+        'max_dimension' => 1536,
+        'max_tokens' => 8191,
+        'price_per_1k_tokens' => 0.0001,
+      ],
+    ];
+
+    return [
+      'azure' => [
+        'label' => 'Azure OpenAI',
+        'models' => $models,
+      ],
+      'openai' => [
+        'label' => 'OpenAI',
+        'models' => $models,
+      ],
+      'azure_cognitive' => [
+        'label' => 'Azure Cognitive Services',
+        'models' => $models,
+      ],
+    ];
+  }
+}
@@ -0,0 +1,543 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Runs the dashboard's system health checks one at a time.
+ *
+ * Each check can be run on its own so the dashboard can refresh them
+ * individually. The outcome of recent runs is kept in state, which lets the
+ * dashboard show when a check last ran and flag checks that keep flipping
+ * between passing and failing.
+ */
+class HealthCheckService
+{
+  use StringTranslationTrait;
+
+  /**
+   * The state key holding the run history of every check.
+   */
+  const STATE_KEY = 'search_api_postgresql.health_check_history';
+
+  /**
+   * Number of runs kept per check.
+   */
+  const HISTORY_SIZE = 10;
+
+  /**
+   * Pass/fail changes within the history that mark a check as flapping.
+   */
+  const FLAPPING_TRANSITIONS = 3;
+
+  /**
+   * Checks that are only run when asked for, as each run is billed.
+   */
+  const ON_DEMAND_CHECKS = ['provider_api'];
+
+  /**
+   * The entity type manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The configuration validation service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\ConfigurationValidationService
+   */
+  protected $validationService;
+
+  /**
+   * The embedding queue manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager
+   */
+  protected $queueManager;
+
+  /**
+   * The embedding cache manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Cache\EmbeddingCacheManager
+   */
+  protected $cacheManager;
+
+  /**
+   * The state service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The circuit breaker service, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CircuitBreakerService|null
+   */
+  protected $circuitBreaker;
+
+  /**
+   * Constructs a HealthCheckService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\search_api_postgresql\Service\ConfigurationValidationService $validation_service
+   *   The configuration validation service.
+   * @param \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager $queue_manager
+   *   The embedding queue manager.
+   * @param \Drupal\search_api_postgresql\Cache\EmbeddingCacheManager $cache_manager
+   *   The embedding cache manager.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   * @param \Drupal\search_api_postgresql\Service\CircuitBreakerService|null $circuit_breaker
+   *   The circuit breaker service.
+   */
+  public function __construct(
+      EntityTypeManagerInterface $entity_type_manager,
+      ConfigurationValidationService $validation_service,
+      EmbeddingQueueManager $queue_manager,
+      EmbeddingCacheManager $cache_manager,
+      StateInterface $state,
+      LoggerInterface $logger,
+      ?CircuitBreakerService $circuit_breaker = null
+  ) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->validationService = $validation_service;
+    $this->queueManager = $queue_manager;
+    $this->cacheManager = $cache_manager;
+    $this->state = $state;
+    $this->logger = $logger;
+    $this->circuitBreaker = $circuit_breaker;
+  }
+
+  /**
+   * Gets the available checks.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Check labels keyed by check ID, in display order.
+   */
+  public function getChecks()
+  {
+    return [
+      'database' => $this->t('Database connection'),
+      'pgvector' => $this->t('pgvector extension'),
+      'provider_api' => $this->t('Embedding provider API'),
+      'queue' => $this->t('Embedding queue'),
+      'cache' => $this->t('Embedding cache'),
+      'circuit_breakers' => $this->t('Circuit breakers'),
+    ];
+  }
+
+  /**
+   * Runs one check and records the outcome.
+   * {@inheritdoc}
+   *
+   * @param string $check
+   *   The check ID.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return array
+   *   The result, with 'id', 'label', 'on_demand', 'success', 'message',
+   *   'details', 'duration_ms', 'last_run', 'history' and 'flapping'.
+   *
+   * @throws \InvalidArgumentException
+   *   If the check does not exist.
+   */
+  public function run($check, $now = null)
+  {
+    $checks = $this->getChecks();
+    if (!isset($checks[$check])) {
+      throw new \InvalidArgumentException(sprintf('Unknown health check: %s', $check));
+    }
+
+    $start = microtime(true);
+    try {
+      $result = $this->execute($check);
+    } catch (\Exception $e) {
+      $this->logger->warning('Health check @check failed: @error', [
+        '@check' => $check,
+        '@error' => $e->getMessage(),
+      ]);
+      $result = [
+        'success' => false,
+        'message' => $this->t('@check check failed', ['@check' => $checks[$check]]),
+        'details' => $e->getMessage(),
+      ];
+    }
+    $duration = (int) round((microtime(true) - $start) * 1000);
+
+    $result += ['details' => ''];
+    // Messages are kept as text in the language of the run.
+    $history = $this->record($check, [
+      'success' => (bool) $result['success'],
+      'message' => (string) $result['message'],
+      'details' => (string) $result['details'],
+      'duration_ms' => $duration,
+      'time' => $now ?? time(),
+    ]);
+
+    return $this->summarize($check, $history);
+  }
+
+  /**
+   * Gets the last recorded result of every check.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   Results keyed by check ID, as returned by run(). Checks that never ran
+   *   have a NULL 'success' and 'last_run'.
+   */
+  public function getLastResults()
+  {
+    $all = $this->state->get(self::STATE_KEY, []);
+
+    $results = [];
+    foreach (array_keys($this->getChecks()) as $check) {
+      $results[$check] = $this->summarize($check, $all[$check] ?? []);
+    }
+    return $results;
+  }
+
+  /**
+   * Checks whether a run history keeps flipping between pass and fail.
+   * {@inheritdoc}
+   *
+   * @param array $history
+   *   Runs, oldest first, each with a 'success' flag.
+   *
+   * @return bool
+   *   TRUE if the outcome changed at least FLAPPING_TRANSITIONS times.
+   */
+  public function isFlapping(array $history)
+  {
+    $transitions = 0;
+    $previous = null;
+    foreach ($history as $run) {
+      if ($previous !== null && $run['success'] !== $previous) {
+        $transitions++;
+      }
+      $previous = $run['success'];
+    }
+
+    return $transitions >= self::FLAPPING_TRANSITIONS;
+  }
+
+  /**
+   * Performs a check.
+   * {@inheritdoc}
+   *
+   * @param string $check
+   *   The check ID.
+   *
+   * @return array
+   *   An array with 'success', 'message' and 'details'.
+   */
+  protected function execute($check)
+  {
+    switch ($check) {
+      case 'database':
+          return $this->checkServers(function ($server) {
+            return $this->validationService->testDatabaseConnection($server);
+          });
+
+      case 'pgvector':
+          return $this->checkServers(function ($server) {
+            return $this->validationService->testPgVectorExtension($server);
+          });
+
+      case 'provider_api':
+          return $this->checkProviders();
+
+      case 'queue':
+          return $this->checkQueue();
+
+      case 'cache':
+          return $this->checkCache();
+
+      case 'circuit_breakers':
+          return $this->checkCircuitBreakers();
+    }
+  }
+
+  /**
+   * Runs a per-server test against every PostgreSQL server.
+   * {@inheritdoc}
+   *
+   * @param callable $test
+   *   Called with each server, returning 'success', 'message' and 'details'.
+   * @param bool $ai_only
+   *   Whether to skip servers without AI embeddings.
+   *
+   * @return array
+   *   The combined result.
+   */
+  protected function checkServers(callable $test, $ai_only = false)
+  {
+    $servers = $this->loadServers();
+    if ($ai_only) {
+      $servers = array_filter($servers, [$this, 'isAiEnabled']);
+    }
+
+    if (empty($servers)) {
+      return [
+        'success' => $ai_only,
+        'message' => !$ai_only ? $this->t('No PostgreSQL servers configured') : $this->t('No servers use AI embeddings'),
+        'details' => '',
+      ];
+    }
+
+    $failed = [];
+    $details = [];
+    foreach ($servers as $server) {
+      $result = $test($server);
+      if (!$result['success']) {
+        $failed[] = $server->label();
+      }
+      $details[] = $server->label() . ': ' . $result['message'] . (!empty($result['details']) ? ' (' . $result['details'] . ')' : '');
+    }
+
+    return [
+      'success' => empty($failed),
+      'message' => empty($failed) ?
+        $this->formatPlural(count($servers), 'Passed on 1 server', 'Passed on @count servers') :
+        $this->t('Failed on @servers', ['@servers' => implode(', ', $failed)]),
+      'details' => implode("\n", $details),
+    ];
+  }
+
+  /**
+   * Requests an embedding from the provider of every AI-enabled server.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The combined result.
+   */
+  protected function checkProviders()
+  {
+    return $this->checkServers(function ($server) {
+      $backend = $server->getBackend();
+      if (!method_exists($backend, 'verifyEmbeddingProvider')) {
+        return $this->validationService->testAiService($server);
+      }
+
+      $config = $backend->getConfiguration();
+      $provider = $config['ai_embeddings']['provider'] ?? '';
+
+      try {
+        // The saved settings keep the endpoint, so the saved key is used.
+        $result = $backend->verifyEmbeddingProvider($provider, $config['ai_embeddings'][$provider] ?? []);
+      } catch (\Exception $e) {
+        return [
+          'success' => false,
+          'message' => $this->t('Provider request failed'),
+          'details' => $e->getMessage(),
+        ];
+      }
+
+      return [
+        'success' => true,
+        'message' => $this->t('@provider responded in @ms ms', [
+          '@provider' => $provider,
+          '@ms' => (int) $result['latency_ms'],
+        ]),
+        'details' => '',
+      ];
+    }, true);
+  }
+
+  /**
+   * Checks that the embedding queue can be read.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The result.
+   */
+  protected function checkQueue()
+  {
+    $stats = $this->queueManager->getQueueStats();
+
+    if (isset($stats['error'])) {
+      return [
+        'success' => false,
+        'message' => $this->t('Embedding queue could not be read'),
+        'details' => $stats['error'],
+      ];
+    }
+
+    return [
+      'success' => true,
+      'message' => $this->formatPlural((int) ($stats['items_pending'] ?? 0), '1 item pending', '@count items pending'),
+      'details' => empty($stats['config']['enabled']) ? $this->t('Queue processing is disabled') : '',
+    ];
+  }
+
+  /**
+   * Checks that the embedding cache can be read.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The result.
+   */
+  protected function checkCache()
+  {
+    $stats = $this->cacheManager->getCacheStatistics();
+
+    if (isset($stats['error'])) {
+      return [
+        'success' => false,
+        'message' => $this->t('Embedding cache could not be read'),
+        'details' => $stats['error'],
+      ];
+    }
+
+    return [
+      'success' => true,
+      'message' => isset($stats['hit_rate_percentage']) ?
+        $this->t('Hit rate @rate%', ['@rate' => $stats['hit_rate_percentage']]) :
+        $this->t('Embedding cache available'),
+      'details' => isset($stats['total_entries']) ?
+        $this->formatPlural((int) $stats['total_entries'], '1 cached embedding', '@count cached embeddings') :
+        '',
+    ];
+  }
+
+  /**
+   * Checks that no circuit breaker is open.
+   * {@inheritdoc}
+   *
+   * @return array
+   *   The result.
+   */
+  protected function checkCircuitBreakers()
+  {
+    if (!$this->circuitBreaker) {
+      return [
+        'success' => true,
+        'message' => $this->t('Circuit breakers are not in use'),
+        'details' => '',
+      ];
+    }
+
+    $stats = $this->circuitBreaker->getAllServiceStats();
+    $open = array_keys(array_filter($stats, function ($service) {
+      return $service['state'] !== 'closed';
+    }));
+
+    return [
+      'success' => empty($open),
+      'message' => empty($open) ?
+        $this->formatPlural(count($stats), '1 circuit closed', '@count circuits closed') :
+        $this->t('Not closed: @services', ['@services' => implode(', ', $open)]),
+      'details' => '',
+    ];
+  }
+
+  /**
+   * Appends a run to a check's history.
+   * {@inheritdoc}
+   *
+   * @param string $check
+   *   The check ID.
+   * @param array $run
+   *   The run.
+   *
+   * @return array
+   *   The check's history, oldest first.
+   */
+  protected function record($check, array $run)
+  {
+    $all = $this->state->get(self::STATE_KEY, []);
+    $history = $all[$check] ?? [];
+    $history[] = $run;
+    $all[$check] = array_slice($history, -self::HISTORY_SIZE);
+    $this->state->set(self::STATE_KEY, $all);
+
+    return $all[$check];
+  }
+
+  /**
+   * Builds a result from a check's history.
+   * {@inheritdoc}
+   *
+   * @param string $check
+   *   The check ID.
+   * @param array $history
+   *   The check's history, oldest first.
+   *
+   * @return array
+   *   The result, as returned by run().
+   */
+  protected function summarize($check, array $history)
+  {
+    $last = end($history) ?: [];
+
+    return [
+      'id' => $check,
+      'label' => $this->getChecks()[$check],
+      'on_demand' => in_array($check, self::ON_DEMAND_CHECKS, true),
+      'success' => $last['success'] ?? null,
+      'message' => $last['message'] ?? '',
+      'details' => $last['details'] ?? '',
+      'duration_ms' => $last['duration_ms'] ?? null,
+      'last_run' => $last['time'] ?? null,
+      'history' => array_column($history, 'success'),
+      'flapping' => $this->isFlapping($history),
+    ];
+  }
+
+  /**
+   * Loads the PostgreSQL servers.
+   * {@inheritdoc}
+   *
+   * @return \Drupal\search_api\ServerInterface[]
+   *   The servers.
+   */
+  protected function loadServers()
+  {
+    return $this->entityTypeManager
+      ->getStorage('search_api_server')
+      ->loadByProperties(['backend' => ['postgresql', 'postgresql_azure']]);
+  }
+
+  /**
+   * Checks whether AI embeddings are enabled on a server.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\ServerInterface $server
+   *   The server.
+   *
+   * @return bool
+   *   TRUE if AI embeddings are enabled.
+   */
+  protected function isAiEnabled($server)
+  {
+    $config = $server->getBackend()->getConfiguration();
+    return !empty($config['ai_embeddings']['enabled']) || !empty($config['azure_embedding']['enabled']);
+  }
+}
@@ -0,0 +1,400 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Drupal\search_api\Utility\Utility;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Narrows embedding operations down to some of an index's items.
+ *
+ * A selection can be limited to datasources, bundles, items changed within a
+ * date range, a pasted list of item IDs and the items whose embeddings failed
+ * the last validation. Each index resolves the filters to an item filter its
+ * backend applies to the rows of the index table, so the same items are
+ * counted, estimated, previewed and processed.
+ */
+class ItemSelectionService
+{
+  use StringTranslationTrait;
+
+  /**
+   * Selection values that filter items, with their defaults.
+   */
+  const FILTER_DEFAULTS = [
+    'datasources' => [],
+    'bundles' => [],
+    'changed_from' => '',
+    'changed_to' => '',
+    'item_ids' => [],
+    'failed_validation' => false,
+  ];
+
+  /**
+   * The state key holding the failures of the last validation per index.
+   */
+  const VALIDATION_STATE_KEY = 'search_api_postgresql.validation_failures';
+
+  /**
+   * Failed items remembered per index.
+   */
+  const FAILURE_LIMIT = 10000;
+
+  /**
+   * Item IDs a selection can name per index.
+   *
+   * Item filters carry their IDs into every queued batch and Batch API
+   * operation, so pasted IDs and the items matched by bundles or dates are
+   * both limited.
+   */
+  const ITEM_ID_LIMIT = 10000;
+
+  /**
+   * The database connection.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The state service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs an ItemSelectionService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection holding the Search API trackers.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   */
+  public function __construct(Connection $database, StateInterface $state, LoggerInterface $logger)
+  {
+    $this->database = $database;
+    $this->state = $state;
+    $this->logger = $logger;
+  }
+
+  /**
+   * Reduces submitted values to the filters of a selection.
+   * {@inheritdoc}
+   *
+   * @param array $values
+   *   Form or request values. Lists may be checkbox values or, like pasted
+   *   item IDs, text separated by commas or whitespace.
+   *
+   * @return array
+   *   The filters, with the keys of FILTER_DEFAULTS.
+   */
+  public static function normalizeFilters(array $values)
+  {
+    $filters = array_merge(self::FILTER_DEFAULTS, array_intersect_key($values, self::FILTER_DEFAULTS));
+
+    foreach (['datasources', 'bundles', 'item_ids'] as $key) {
+      $list = $filters[$key];
+      if (!is_array($list)) {
+        $list = preg_split('/[\s,]+/', (string) $list, -1, PREG_SPLIT_NO_EMPTY);
+      }
+      // Unchecked checkboxes submit 0.
+      $filters[$key] = array_values(array_unique(array_map('strval', array_filter($list))));
+    }
+
+    foreach (['changed_from', 'changed_to'] as $key) {
+      $date = \DateTime::createFromFormat('!Y-m-d', (string) $filters[$key]);
+      $filters[$key] = $date ? $date->format('Y-m-d') : '';
+    }
+    $filters['failed_validation'] = !empty($filters['failed_validation']);
+
+    return $filters;
+  }
+
+  /**
+   * Checks whether a selection filters items.
+   * {@inheritdoc}
+   *
+   * @param array $selection
+   *   The selection.
+   *
+   * @return bool
+   *   TRUE if the selection covers only some items of its indexes.
+   */
+  public function hasFilters(array $selection)
+  {
+    return self::normalizeFilters($selection) !== self::FILTER_DEFAULTS;
+  }
+
+  /**
+   * Resolves the filters of a selection for one index.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The index.
+   * @param array $selection
+   *   The selection.
+   *
+   * @return array
+   *   The item filter for the index's backend: the 'datasources' to limit
+   *   rows to and, if the selection names items, the 'item_ids' they must be
+   *   among. Empty if the selection covers all items. If its bundles or dates
+   *   match more than ITEM_ID_LIMIT items, the filter matches none and has an
+   *   'error' instead.
+   */
+  public function getItemFilter($index, array $selection)
+  {
+    $filters = self::normalizeFilters($selection);
+    if ($filters === self::FILTER_DEFAULTS) {
+      return [];
+    }
+
+    $filter = ['datasources' => $filters['datasources']];
+    $item_ids = null;
+
+    if ($filters['item_ids']) {
+      $item_ids = $this->intersect($item_ids, array_slice($filters['item_ids'], 0, self::ITEM_ID_LIMIT));
+    }
+    $matched = [];
+    if ($filters['bundles']) {
+      $matched[] = $this->getBundleItemIds($index, $filters['bundles'], self::ITEM_ID_LIMIT + 1);
+    }
+    if ($filters['changed_from'] || $filters['changed_to']) {
+      $matched[] = $this->getChangedItemIds($index, $filters['changed_from'], $filters['changed_to'], self::ITEM_ID_LIMIT + 1);
+    }
+    foreach ($matched as $ids) {
+      if (count($ids) > self::ITEM_ID_LIMIT) {
+        $filter['item_ids'] = [];
+        $filter['error'] = (string) $this->t('The selected bundles or dates match more than @limit items of the index. Narrow the selection down, or select whole datasources.', [
+          '@limit' => number_format(self::ITEM_ID_LIMIT),
+        ]);
+        return $filter;
+      }
+      $item_ids = $this->intersect($item_ids, $ids);
+    }
+    if ($filters['failed_validation']) {
+      $item_ids = $this->intersect($item_ids, array_keys($this->getValidation($index->id())['failed']));
+    }
+
+    if ($item_ids !== null) {
+      $filter['item_ids'] = $item_ids;
+    }
+
+    return $filter;
+  }
+
+  /**
+   * Lists the datasources and bundles of a set of indexes.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface[] $indexes
+   *   The indexes.
+   *
+   * @return array
+   *   An array with 'datasources', labels keyed by datasource ID, and
+   *   'bundles', labels keyed by datasource ID and bundle joined with '/'.
+   */
+  public function getFilterOptions(array $indexes)
+  {
+    $options = ['datasources' => [], 'bundles' => []];
+
+    foreach ($indexes as $index) {
+      foreach ($index->getDatasources() as $datasource_id => $datasource) {
+        $label = (string) $datasource->label();
+        $options['datasources'][$datasource_id] = $label;
+        foreach ($datasource->getBundles() as $bundle => $bundle_label) {
+          $options['bundles'][$datasource_id . '/' . $bundle] = $label . ': ' . $bundle_label;
+        }
+      }
+    }
+
+    asort($options['datasources']);
+    asort($options['bundles']);
+
+    return $options;
+  }
+
+  /**
+   * Remembers the result of validating an index's embeddings.
+   * {@inheritdoc}
+   *
+   * @param string $index_id
+   *   The index ID.
+   * @param array $result
+   *   The result, as returned by the backend's validateEmbeddings().
+   * @param array $filter
+   *   The item filter the validation ran with. Items outside of it keep the
+   *   result of their previous validation.
+   * @param int|null $now
+   *   The current time, for testing.
+   */
+  public function recordValidation($index_id, array $result, array $filter = [], $now = null)
+  {
+    $validations = $this->state->get(self::VALIDATION_STATE_KEY, []);
+    $failed = $result['failed'];
+
+    if ($filter && isset($validations[$index_id])) {
+      $checked_ids = isset($filter['item_ids']) ? array_flip($filter['item_ids']) : null;
+      $failed += array_filter($validations[$index_id]['failed'], function ($item_id) use ($filter, $checked_ids) {
+        if ($checked_ids !== null && !isset($checked_ids[$item_id])) {
+          return true;
+        }
+        return $filter['datasources'] && !in_array(Utility::splitCombinedId($item_id)[0], $filter['datasources'], true);
+      }, ARRAY_FILTER_USE_KEY);
+    }
+
+    if (count($failed) > self::FAILURE_LIMIT) {
+      $this->logger->warning('Only @limit of the @count invalid embeddings of @index are remembered for re-selection.', [
+        '@limit' => self::FAILURE_LIMIT,
+        '@count' => count($failed),
+        '@index' => $index_id,
+      ]);
+      $failed = array_slice($failed, 0, self::FAILURE_LIMIT, true);
+    }
+
+    $validations[$index_id] = [
+      'validated' => $now ?? time(),
+      'checked' => (int) $result['checked'],
+      'failed' => $failed,
+    ];
+    $this->state->set(self::VALIDATION_STATE_KEY, $validations);
+  }
+
+  /**
+   * Gets the result of the last validation of an index's embeddings.
+   * {@inheritdoc}
+   *
+   * @param string $index_id
+   *   The index ID.
+   *
+   * @return array
+   *   An array with the time it was 'validated', NULL if never, the number of
+   *   embeddings 'checked' and the 'failed' items as item ID => reason.
+   */
+  public function getValidation($index_id)
+  {
+    $validations = $this->state->get(self::VALIDATION_STATE_KEY, []);
+
+    return $validations[$index_id] ?? ['validated' => null, 'checked' => 0, 'failed' => []];
+  }
+
+  /**
+   * Gets the IDs of an index's items of some bundles.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The index.
+   * @param array $bundles
+   *   Bundles as datasource ID and bundle joined with '/'.
+   * @param int $limit
+   *   The most item IDs to return.
+   *
+   * @return array
+   *   The item IDs. Datasources without a selected bundle contribute none.
+   */
+  protected function getBundleItemIds($index, array $bundles, $limit)
+  {
+    $by_datasource = [];
+    foreach ($bundles as $bundle) {
+      $position = strrpos($bundle, '/');
+      if ($position !== false) {
+        $by_datasource[substr($bundle, 0, $position)][] = substr($bundle, $position + 1);
+      }
+    }
+
+    $item_ids = [];
+    foreach ($index->getDatasources() as $datasource_id => $datasource) {
+      if (empty($by_datasource[$datasource_id])) {
+        continue;
+      }
+
+      // Datasources page through their items the way trackers do.
+      for ($page = 0; ($raw_ids = $datasource->getPartialItemIds($page, $by_datasource[$datasource_id])) !== null; $page++) {
+        foreach ($raw_ids as $raw_id) {
+          $item_ids[] = Utility::createCombinedId($datasource_id, $raw_id);
+        }
+        if (count($item_ids) >= $limit) {
+          return array_slice($item_ids, 0, $limit);
+        }
+      }
+    }
+
+    return $item_ids;
+  }
+
+  /**
+   * Gets the IDs of an index's items changed within a date range.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api\IndexInterface $index
+   *   The index.
+   * @param string $from
+   *   The first day, as Y-m-d, or '' for no lower bound.
+   * @param string $to
+   *   The last day, as Y-m-d, or '' for no upper bound.
+   * @param int $limit
+   *   The most item IDs to return.
+   *
+   * @return array
+   *   The item IDs, according to the index's tracker.
+   */
+  protected function getChangedItemIds($index, $from, $to, $limit)
+  {
+    try {
+      $query = $this->database->select('search_api_item', 'i')
+        ->fields('i', ['item_id'])
+        ->condition('i.index_id', $index->id())
+        ->range(0, $limit);
+      if ($from) {
+        $query->condition('i.changed', strtotime($from), '>=');
+      }
+      if ($to) {
+        $query->condition('i.changed', strtotime($to . ' +1 day'), '<');
+      }
+      return $query->execute()->fetchCol();
+    } catch (\Exception $e) {
+      $this->logger->warning('Could not read the changed items of @index: @error', [
+        '@index' => $index->id(),
+        '@error' => $e->getMessage(),
+      ]);
+      return [];
+    }
+  }
+
+  /**
+   * Intersects two lists of item IDs, NULL standing for all items.
+   * {@inheritdoc}
+   *
+   * @param array|null $item_ids
+   *   The IDs selected so far.
+   * @param array $other
+   *   The IDs of another filter.
+   *
+   * @return array
+   *   The IDs in both lists.
+   */
+  protected function intersect($item_ids, array $other)
+  {
+    if ($item_ids === null) {
+      return array_values(array_unique($other));
+    }
+
+    return array_values(array_intersect($item_ids, $other));
+  }
+}
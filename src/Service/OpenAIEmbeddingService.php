@@ -512,7 +512,7 @@ protected function estimateTokenCount($text)
    * @return array
    *   Metadata array for cache key generation.
    */
-  protected function getCacheMetadata()
+  public function getCacheMetadata()
   {
     return [
       'service' => 'openai',
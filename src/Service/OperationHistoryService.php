@@ -0,0 +1,312 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\search_api_postgresql\Event\OperationFinishedEvent;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+
+/**
+ * Keeps an audit log of executed embedding management operations.
+ *
+ * Every operation started from the admin forms is recorded with the user who
+ * ran it and the selection it ran with, so it can be re-run with the same
+ * parameters. Operations followed by the tracker keep running after the form
+ * returns; their entries are completed when the tracker reports them finished
+ * or cancelled, as the tracker only keeps the most recent operations.
+ */
+class OperationHistoryService implements EventSubscriberInterface
+{
+  /**
+   * The table holding the history.
+   */
+  const TABLE = 'search_api_postgresql_operation_history';
+
+  /**
+   * The operation ran without a tracker and finished.
+   */
+  const STATUS_COMPLETED = 'completed';
+
+  /**
+   * The operation ran without a tracker and reported an error.
+   */
+  const STATUS_FAILED = 'failed';
+
+  /**
+   * The database connection.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The current user.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The operation tracker.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\OperationTrackerService
+   */
+  protected $operationTracker;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructs an OperationHistoryService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Drupal\search_api_postgresql\Service\OperationTrackerService $operation_tracker
+   *   The operation tracker.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   */
+  public function __construct(
+      Connection $database,
+      AccountProxyInterface $current_user,
+      OperationTrackerService $operation_tracker,
+      LoggerInterface $logger
+  ) {
+    $this->database = $database;
+    $this->currentUser = $current_user;
+    $this->operationTracker = $operation_tracker;
+    $this->logger = $logger;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array
+  {
+    return [
+      OperationFinishedEvent::NAME => 'onOperationFinished',
+    ];
+  }
+
+  /**
+   * Stores the outcome of a finished tracked operation.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Event\OperationFinishedEvent $event
+   *   The event.
+   */
+  public function onOperationFinished(OperationFinishedEvent $event)
+  {
+    $operation = $event->getOperation();
+    try {
+      $this->database->update(self::TABLE)
+        ->fields($this->getTrackedFields($operation))
+        ->condition('operation_id', $operation['id'])
+        ->execute();
+    } catch (\Exception $e) {
+      $this->logger->warning('Failed to update operation history: @message', ['@message' => $e->getMessage()]);
+    }
+  }
+
+  /**
+   * Records an executed operation.
+   * {@inheritdoc}
+   *
+   * @param array $parameters
+   *   The selection the operation ran with, as returned by
+   *   OperationPreviewService::normalizeSelection(). Operations on several
+   *   indexes that the selection cannot express list them in 'index_ids'.
+   * @param array $results
+   *   The operation results: the tracker's 'operation_id' for tracked
+   *   operations, otherwise 'success', 'processed_items' and 'error'.
+   * @param int|null $started
+   *   When the operation was started, defaults to now.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return int|null
+   *   The history entry ID, or NULL if it could not be saved.
+   */
+  public function record(array $parameters, array $results, $started = null, $now = null)
+  {
+    $now = $now ?? time();
+    $started = $started ?? $now;
+    $success = $results['success'] ?? true;
+
+    $fields = [
+      'operation_id' => $results['operation_id'] ?? null,
+      'uid' => (int) $this->currentUser->id(),
+      'operation' => (string) $parameters['operation'],
+      'server_id' => (string) ($parameters['server_id'] ?? ''),
+      'index_id' => !empty($parameters['index_ids'])
+        ? implode(', ', $parameters['index_ids'])
+        : (string) ($parameters['index_id'] ?? ''),
+      'parameters' => json_encode($parameters),
+      'status' => $success ? self::STATUS_COMPLETED : self::STATUS_FAILED,
+      'items_processed' => (int) ($results['processed_items'] ?? 0),
+      'items_failed' => 0,
+      'estimated_cost' => 0,
+      'actual_cost' => 0,
+      'currency' => EmbeddingModelCatalog::PRICE_CURRENCY,
+      'started' => $started,
+      'finished' => $now,
+      'duration' => max(0, $now - $started),
+      'message' => $success ? '' : (string) ($results['error'] ?? ''),
+    ];
+
+    if ($fields['operation_id']) {
+      $tracked = $this->operationTracker->get($fields['operation_id'], $now);
+      if ($tracked) {
+        $fields = $this->getTrackedFields($tracked) + $fields;
+      }
+    }
+
+    try {
+      return (int) $this->database->insert(self::TABLE)
+        ->fields($fields)
+        ->execute();
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to record operation history: @message', ['@message' => $e->getMessage()]);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the most recent history entries.
+   * {@inheritdoc}
+   *
+   * Entries of tracked operations that have not finished yet show their
+   * current progress.
+   *
+   * @param int $limit
+   *   The maximum number of entries.
+   *
+   * @return array
+   *   Entries, newest first, with the stored fields, the user's 'name' and the
+   *   decoded 'parameters'.
+   */
+  public function getEntries($limit = 200)
+  {
+    try {
+      $query = $this->database->select(self::TABLE, 'h')
+        ->fields('h');
+      $query->leftJoin('users_field_data', 'u', 'u.uid = h.uid AND u.default_langcode = 1');
+      $query->addField('u', 'name');
+      $rows = $query->orderBy('h.started', 'DESC')
+        ->orderBy('h.id', 'DESC')
+        ->range(0, $limit)
+        ->execute()
+        ->fetchAll(\PDO::FETCH_ASSOC);
+    } catch (\Exception $e) {
+      $this->logger->error('Failed to load operation history: @message', ['@message' => $e->getMessage()]);
+      return [];
+    }
+
+    $entries = [];
+    foreach ($rows as $row) {
+      if ($row['operation_id'] && !$row['finished']) {
+        $row = $this->refresh($row);
+      }
+      $row['parameters'] = json_decode($row['parameters'], true) ?: [];
+      $entries[] = $row;
+    }
+
+    return $entries;
+  }
+
+  /**
+   * Gets the form values to re-run an entry with.
+   * {@inheritdoc}
+   *
+   * @param array $entry
+   *   A history entry, as returned by getEntries().
+   *
+   * @return array|null
+   *   Query parameters for the embedding management form, or NULL if the
+   *   form cannot express the entry's selection.
+   */
+  public function getRerunQuery(array $entry)
+  {
+    $parameters = $entry['parameters'];
+    if (count($parameters['index_ids'] ?? []) > 1) {
+      return null;
+    }
+    if (!empty($parameters['index_ids'])) {
+      $parameters['index_id'] = reset($parameters['index_ids']);
+    }
+
+    $query = array_intersect_key($parameters, OperationPreviewService::SELECTION_DEFAULTS);
+    $query['operation'] = $entry['operation'];
+    foreach (['use_queue', 'force_overwrite'] as $flag) {
+      $query[$flag] = empty($query[$flag]) ? 0 : 1;
+    }
+    if (!empty($query['failed_validation'])) {
+      $query['failed_validation'] = 1;
+    }
+
+    // Unused item filters are left out of the query.
+    return array_filter($query, function ($value) {
+      return $value !== '' && $value !== [] && $value !== false;
+    });
+  }
+
+  /**
+   * Adds the current progress of its tracked operation to an entry.
+   * {@inheritdoc}
+   *
+   * The entry is not stored; onOperationFinished() stores the outcome.
+   *
+   * @param array $row
+   *   The stored entry.
+   *
+   * @return array
+   *   The entry, with the progress if the tracker still knows the operation.
+   */
+  protected function refresh(array $row)
+  {
+    $tracked = $this->operationTracker->get($row['operation_id']);
+    if (!$tracked) {
+      return $row;
+    }
+
+    return $this->getTrackedFields($tracked) + $row;
+  }
+
+  /**
+   * Maps a tracked operation to history fields.
+   * {@inheritdoc}
+   *
+   * @param array $tracked
+   *   The operation, as returned by OperationTrackerService::get().
+   *
+   * @return array
+   *   The history fields the tracker knows about.
+   */
+  protected function getTrackedFields(array $tracked)
+  {
+    return [
+      'status' => $tracked['status'],
+      'items_processed' => $tracked['processed_items'],
+      'items_failed' => $tracked['failed_items'],
+      'estimated_cost' => $tracked['estimated_cost'],
+      'actual_cost' => $tracked['cost'],
+      'currency' => $tracked['currency'],
+      'started' => $tracked['started'],
+      'finished' => $tracked['finished'],
+      'duration' => $tracked['elapsed'],
+    ];
+  }
+}
@@ -0,0 +1,344 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Drupal\Core\TempStore\PrivateTempStoreFactory;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Builds dry-run previews of embedding management operations.
+ *
+ * A preview lists what an operation would touch without changing anything.
+ * The previewed selection is kept in the user's private tempstore under the
+ * preview ID, so confirming a preview runs exactly that selection even if the
+ * form was changed in the meantime.
+ */
+class OperationPreviewService
+{
+  use StringTranslationTrait;
+
+  /**
+   * The tempstore collection holding the last previewed selection.
+   */
+  const TEMPSTORE_COLLECTION = 'search_api_postgresql.operation_preview';
+
+  /**
+   * Items listed per page of the sample.
+   */
+  const PAGE_SIZE = 20;
+
+  /**
+   * Form values that make up a selection, with their defaults.
+   */
+  const SELECTION_DEFAULTS = [
+    'operation' => '',
+    'server_id' => '',
+    'index_id' => '',
+    'batch_size' => 50,
+    'use_queue' => false,
+    'priority' => 'normal',
+    'force_overwrite' => false,
+  ] + ItemSelectionService::FILTER_DEFAULTS;
+
+  /**
+   * The cost estimation service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CostEstimationService
+   */
+  protected $costEstimator;
+
+  /**
+   * The embedding queue manager.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager
+   */
+  protected $queueManager;
+
+  /**
+   * The private tempstore factory.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\TempStore\PrivateTempStoreFactory
+   */
+  protected $tempStoreFactory;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The circuit breaker service, if available.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\CircuitBreakerService|null
+   */
+  protected $circuitBreaker;
+
+  /**
+   * Constructs an OperationPreviewService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Service\CostEstimationService $cost_estimator
+   *   The cost estimation service.
+   * @param \Drupal\search_api_postgresql\Queue\EmbeddingQueueManager $queue_manager
+   *   The embedding queue manager.
+   * @param \Drupal\Core\TempStore\PrivateTempStoreFactory $temp_store_factory
+   *   The private tempstore factory.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   * @param \Drupal\search_api_postgresql\Service\CircuitBreakerService|null $circuit_breaker
+   *   The circuit breaker service.
+   */
+  public function __construct(
+      CostEstimationService $cost_estimator,
+      EmbeddingQueueManager $queue_manager,
+      PrivateTempStoreFactory $temp_store_factory,
+      LoggerInterface $logger,
+      ?CircuitBreakerService $circuit_breaker = null
+  ) {
+    $this->costEstimator = $cost_estimator;
+    $this->queueManager = $queue_manager;
+    $this->tempStoreFactory = $temp_store_factory;
+    $this->logger = $logger;
+    $this->circuitBreaker = $circuit_breaker;
+  }
+
+  /**
+   * Reduces submitted values to a selection.
+   * {@inheritdoc}
+   *
+   * @param array $values
+   *   Form or request values.
+   *
+   * @return array
+   *   The selection, with the keys of SELECTION_DEFAULTS.
+   */
+  public function normalizeSelection(array $values)
+  {
+    $selection = array_intersect_key($values, self::SELECTION_DEFAULTS) + self::SELECTION_DEFAULTS;
+
+    return [
+      'operation' => (string) $selection['operation'],
+      'server_id' => (string) $selection['server_id'],
+      'index_id' => (string) $selection['index_id'],
+      'batch_size' => (int) $selection['batch_size'],
+      'use_queue' => !empty($selection['use_queue']),
+      'priority' => (string) $selection['priority'],
+      'force_overwrite' => !empty($selection['force_overwrite']),
+    ] + ItemSelectionService::normalizeFilters($values);
+  }
+
+  /**
+   * Summarizes what a selection would do.
+   * {@inheritdoc}
+   *
+   * @param array $selection
+   *   A selection as returned by normalizeSelection().
+   *
+   * @return array
+   *   The summary, with 'operation', 'affected_items', 'affected_servers',
+   *   'affected_indexes', 'estimated_cost', 'currency', 'estimated_seconds',
+   *   the per-index 'breakdown' of the cost estimate and 'warnings', each with
+   *   'type' and 'message'.
+   */
+  public function summarize(array $selection)
+  {
+    $targets = $this->costEstimator->getTargets($selection['server_id'], $selection['index_id']);
+    $estimate = $this->costEstimator->estimate($selection['operation'], $targets, $selection);
+
+    $warnings = $this->getWarnings($selection, $targets);
+    if ($targets && !$estimate['items_affected'] && ItemSelectionService::normalizeFilters($selection) !== ItemSelectionService::FILTER_DEFAULTS) {
+      $warnings[] = ['type' => 'no_items', 'message' => 'The item filters match no items of the selected indexes.'];
+    }
+
+    return [
+      'operation' => $selection['operation'],
+      'affected_items' => $estimate['items_affected'],
+      'affected_servers' => count(array_unique(array_column($estimate['breakdown'], 'server_id'))),
+      'affected_indexes' => count($targets),
+      'estimated_cost' => $estimate['total_cost'],
+      'currency' => $estimate['currency'],
+      'estimated_seconds' => $estimate['estimated_seconds'],
+      'breakdown' => $estimate['breakdown'],
+      'warnings' => $warnings,
+    ];
+  }
+
+  /**
+   * Summarizes a selection and remembers it for confirmation.
+   * {@inheritdoc}
+   *
+   * @param array $selection
+   *   A selection as returned by normalizeSelection().
+   *
+   * @return array
+   *   The summary plus the 'preview_id' to confirm it with.
+   */
+  public function preview(array $selection)
+  {
+    $preview_id = bin2hex(random_bytes(8));
+    $this->tempStoreFactory->get(self::TEMPSTORE_COLLECTION)->set('selection', [
+      'id' => $preview_id,
+      'selection' => $selection,
+    ]);
+
+    return ['preview_id' => $preview_id] + $this->summarize($selection);
+  }
+
+  /**
+   * Gets the selection of the current user's last preview.
+   * {@inheritdoc}
+   *
+   * @param string $preview_id
+   *   The preview ID.
+   *
+   * @return array|null
+   *   The selection, or NULL if the ID is not the user's last preview.
+   */
+  public function getSelection($preview_id)
+  {
+    $stored = $this->tempStoreFactory->get(self::TEMPSTORE_COLLECTION)->get('selection');
+
+    if (!$stored || !hash_equals($stored['id'], (string) $preview_id)) {
+      return null;
+    }
+    return $stored['selection'];
+  }
+
+  /**
+   * Forgets the current user's last preview once it has been executed.
+   * {@inheritdoc}
+   */
+  public function clearSelection()
+  {
+    $this->tempStoreFactory->get(self::TEMPSTORE_COLLECTION)->delete('selection');
+  }
+
+  /**
+   * Lists a page of the items a previewed selection would touch in an index.
+   * {@inheritdoc}
+   *
+   * @param array $selection
+   *   The previewed selection.
+   * @param string $index_id
+   *   The index to list, one of the selection's targets.
+   * @param int $page
+   *   The zero-based page.
+   *
+   * @return array|null
+   *   An array with 'index_id', 'page', 'page_size', 'total' and 'items', or
+   *   NULL if the index is not part of the selection.
+   */
+  public function getItems(array $selection, $index_id, $page = 0)
+  {
+    foreach ($this->costEstimator->getTargets($selection['server_id'], $selection['index_id']) as $target) {
+      if ($target['index']->id() !== $index_id) {
+        continue;
+      }
+
+      $backend = $target['server']->getBackend();
+      if (!method_exists($backend, 'getEmbeddingItems')) {
+        return null;
+      }
+
+      $page = max(0, (int) $page);
+      $result = $backend->getEmbeddingItems(
+          $target['index'],
+          $this->costEstimator->affectsOnlyMissing($selection['operation'], $selection),
+          self::PAGE_SIZE,
+          $page * self::PAGE_SIZE,
+          $this->costEstimator->getItemFilter($target['index'], $selection)
+      );
+
+      return [
+        'index_id' => $index_id,
+        'page' => $page,
+        'page_size' => self::PAGE_SIZE,
+      ] + $result;
+    }
+
+    return null;
+  }
+
+  /**
+   * Collects reasons the operation may not go as planned.
+   * {@inheritdoc}
+   *
+   * @param array $selection
+   *   The selection.
+   * @param array $targets
+   *   The selection's targets.
+   *
+   * @return array
+   *   A list of warnings, each with 'type' and 'message'.
+   */
+  protected function getWarnings(array $selection, array $targets)
+  {
+    $warnings = [];
+
+    if (!$targets) {
+      $warnings[] = ['type' => 'no_targets', 'message' => $this->t('No indexes match the selection.')];
+    }
+
+    if ($this->circuitBreaker && in_array($selection['operation'], CostEstimationService::BILLED_OPERATIONS, true)) {
+      foreach ($this->circuitBreaker->getAllServiceStats() as $name => $stats) {
+        if ($stats['state'] === CircuitBreakerService::STATE_OPEN) {
+          $warnings[] = [
+            'type' => 'circuit_open',
+            'message' => $this->t('The circuit breaker for @service is open, so embedding requests will fail until it closes.', [
+              '@service' => $name,
+            ]),
+          ];
+        }
+      }
+    }
+
+    if ($selection['use_queue']) {
+      $queue_stats = $this->queueManager->getQueueStats();
+      if (!($queue_stats['config']['enabled'] ?? false)) {
+        $warnings[] = [
+          'type' => 'queue_paused',
+          'message' => $this->t('Queue processing is paused, so queued items will wait until it is resumed.'),
+        ];
+      }
+    }
+
+    foreach ($targets as $target) {
+      $backend = $target['server']->getBackend();
+      if (!method_exists($backend, 'getEmbeddingDimensions')) {
+        continue;
+      }
+
+      try {
+        $dimensions = $backend->getEmbeddingDimensions($target['index']);
+      } catch (\Exception $e) {
+        $this->logger->notice('Could not read the vector dimension of @index: @error', [
+          '@index' => $target['index']->id(),
+          '@error' => $e->getMessage(),
+        ]);
+        continue;
+      }
+
+      if ($dimensions['stored'] && $dimensions['stored'] !== $dimensions['configured']) {
+        $warnings[] = [
+          'type' => 'dimension_mismatch',
+          'message' => $this->t('Index @index stores @stored-dimensional vectors but the server is configured for @configured.', [
+            '@index' => $target['index']->label(),
+            '@stored' => $dimensions['stored'],
+            '@configured' => $dimensions['configured'],
+          ]),
+        ];
+      }
+    }
+
+    return $warnings;
+  }
+}
@@ -0,0 +1,506 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\search_api_postgresql\Event\OperationFinishedEvent;
+use Psr\Log\LoggerInterface;
+use Symfony\Contracts\EventDispatcher\EventDispatcherInterface;
+
+/**
+ * Tracks the progress of started embedding operations.
+ *
+ * Embedding regeneration runs in queue workers or Batch API requests, long
+ * after the form that started it has returned. Both report every batch here,
+ * so the operation console can show throughput, the running cost and each
+ * failed item. The console's pause and cancel controls are stored here too;
+ * workers check the status before every batch. All of them write the same
+ * state entry, so every change is made under a lock. Only the most recent
+ * operations are kept; an OperationFinishedEvent is dispatched when one
+ * completes or is cancelled, so its outcome can be stored for good.
+ */
+class OperationTrackerService
+{
+  /**
+   * The state key holding the tracked operations.
+   */
+  const STATE_KEY = 'search_api_postgresql.operations';
+
+  /**
+   * Operations kept, newest first.
+   */
+  const HISTORY_SIZE = 20;
+
+  /**
+   * Seconds a change waits for the lock of the tracked operations.
+   */
+  const LOCK_TIMEOUT = 5;
+
+  /**
+   * Failed items kept per operation.
+   */
+  const FAILURE_LIMIT = 100;
+
+  /**
+   * The operation is processing batches.
+   */
+  const STATUS_RUNNING = 'running';
+
+  /**
+   * Workers leave the operation's batches queued.
+   */
+  const STATUS_PAUSED = 'paused';
+
+  /**
+   * Every target has been processed.
+   */
+  const STATUS_COMPLETED = 'completed';
+
+  /**
+   * The remaining batches were dropped.
+   */
+  const STATUS_CANCELLED = 'cancelled';
+
+  /**
+   * The state service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The logger.
+   * {@inheritdoc}
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The lock backend.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\Core\Lock\LockBackendInterface
+   */
+  protected $lock;
+
+  /**
+   * The event dispatcher.
+   * {@inheritdoc}
+   *
+   * @var \Symfony\Contracts\EventDispatcher\EventDispatcherInterface|null
+   */
+  protected $eventDispatcher;
+
+  /**
+   * Constructs an OperationTrackerService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The logger.
+   * @param \Drupal\Core\Lock\LockBackendInterface $lock
+   *   The lock backend.
+   * @param \Symfony\Contracts\EventDispatcher\EventDispatcherInterface|null $event_dispatcher
+   *   The event dispatcher.
+   */
+  public function __construct(
+      StateInterface $state,
+      LoggerInterface $logger,
+      LockBackendInterface $lock,
+      ?EventDispatcherInterface $event_dispatcher = null
+  ) {
+    $this->state = $state;
+    $this->logger = $logger;
+    $this->lock = $lock;
+    $this->eventDispatcher = $event_dispatcher;
+  }
+
+  /**
+   * Starts tracking an operation.
+   * {@inheritdoc}
+   *
+   * @param string $operation
+   *   The operation, e.g. 'regenerate_missing'.
+   * @param string $mode
+   *   'queue' or 'batch'.
+   * @param array $targets
+   *   The indexes processed, keyed by index ID, each with its 'server_id',
+   *   'label' and the 'total' number of items expected.
+   * @param array $options
+   *   The 'currency', 'price_per_1k_tokens' and 'estimated_cost' of the cost
+   *   estimate.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return string
+   *   The operation ID.
+   */
+  public function start($operation, $mode, array $targets, array $options = [], $now = null)
+  {
+    $now = $now ?? time();
+    $id = bin2hex(random_bytes(8));
+
+    $record = [
+      'id' => $id,
+      'operation' => $operation,
+      'mode' => $mode,
+      'status' => self::STATUS_RUNNING,
+      'started' => $now,
+      'updated' => $now,
+      'finished' => null,
+      'paused_at' => null,
+      'paused_seconds' => 0,
+      'total_items' => 0,
+      'processed_items' => 0,
+      'failed_items' => 0,
+      'batches_completed' => 0,
+      'tokens' => 0,
+      'cost' => 0.0,
+      'estimated_cost' => (float) ($options['estimated_cost'] ?? 0),
+      'currency' => $options['currency'] ?? EmbeddingModelCatalog::PRICE_CURRENCY,
+      'price_per_1k_tokens' => (float) ($options['price_per_1k_tokens'] ?? 0),
+      'targets' => [],
+      'failures' => [],
+    ];
+
+    foreach ($targets as $index_id => $target) {
+      $record['targets'][$index_id] = [
+        'server_id' => $target['server_id'] ?? '',
+        'label' => $target['label'] ?? $index_id,
+        'total' => (int) ($target['total'] ?? 0),
+        'processed' => 0,
+        'failed' => 0,
+        'done' => false,
+      ];
+      $record['total_items'] += $record['targets'][$index_id]['total'];
+    }
+
+    if (!$record['targets']) {
+      $record['status'] = self::STATUS_COMPLETED;
+      $record['finished'] = $now;
+    }
+
+    $this->update(function (array &$operations) use ($id, $record) {
+      $operations = array_slice([$id => $record] + $operations, 0, self::HISTORY_SIZE, true);
+    });
+
+    return $id;
+  }
+
+  /**
+   * Starts tracking an operation from its cost estimate.
+   * {@inheritdoc}
+   *
+   * Indexes the estimate could not cover, e.g. because AI embeddings are
+   * disabled on their server, are left out.
+   *
+   * @param string $mode
+   *   'queue' or 'batch'.
+   * @param array $estimate
+   *   The estimate, as returned by CostEstimationService::estimate().
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return string
+   *   The operation ID.
+   */
+  public function startFromEstimate($mode, array $estimate, $now = null)
+  {
+    $targets = [];
+    foreach ($estimate['breakdown'] as $row) {
+      if (empty($row['error'])) {
+        $targets[$row['index_id']] = [
+          'server_id' => $row['server_id'],
+          'label' => $row['description'],
+          'total' => $row['items'],
+        ];
+      }
+    }
+
+    return $this->start($estimate['operation'], $mode, $targets, [
+      'currency' => $estimate['currency'],
+      'price_per_1k_tokens' => $estimate['price_per_1k_tokens'],
+      'estimated_cost' => $estimate['total_cost'],
+    ], $now);
+  }
+
+  /**
+   * Records a processed batch.
+   * {@inheritdoc}
+   *
+   * @param string $id
+   *   The operation ID.
+   * @param string $index_id
+   *   The index the batch belongs to.
+   * @param array $result
+   *   The batch result: the number of 'processed' items, the 'failed' items
+   *   as item ID => error message and the 'tokens' sent to the provider.
+   * @param int|null $now
+   *   The current time, for testing.
+   */
+  public function recordBatch($id, $index_id, array $result, $now = null)
+  {
+    $now = $now ?? time();
+    $this->update(function (array &$operations) use ($id, $index_id, $result, $now) {
+      if (!isset($operations[$id]['targets'][$index_id])) {
+        return;
+      }
+
+      $record = &$operations[$id];
+      $processed = (int) ($result['processed'] ?? 0);
+      $failed = $result['failed'] ?? [];
+      $tokens = (int) ($result['tokens'] ?? 0);
+
+      $record['batches_completed']++;
+      $record['processed_items'] += $processed;
+      $record['failed_items'] += count($failed);
+      $record['targets'][$index_id]['processed'] += $processed;
+      $record['targets'][$index_id]['failed'] += count($failed);
+      $record['tokens'] += $tokens;
+      $record['cost'] += $tokens / 1000 * $record['price_per_1k_tokens'];
+      $record['updated'] = $now;
+
+      foreach ($failed as $item_id => $message) {
+        $record['failures'][] = [
+          'time' => $now,
+          'index_id' => $index_id,
+          'item_id' => (string) $item_id,
+          'message' => (string) $message,
+        ];
+      }
+      $record['failures'] = array_slice($record['failures'], -self::FAILURE_LIMIT);
+    });
+  }
+
+  /**
+   * Marks an index of an operation as processed.
+   * {@inheritdoc}
+   *
+   * The operation completes once all of its indexes are done.
+   *
+   * @param string $id
+   *   The operation ID.
+   * @param string $index_id
+   *   The index ID.
+   * @param int|null $now
+   *   The current time, for testing.
+   */
+  public function finishTarget($id, $index_id, $now = null)
+  {
+    $now = $now ?? time();
+    $finished = $this->update(function (array &$operations) use ($id, $index_id, $now) {
+      if (!isset($operations[$id]['targets'][$index_id])) {
+        return false;
+      }
+
+      $record = &$operations[$id];
+      $record['targets'][$index_id]['done'] = true;
+      $record['updated'] = $now;
+
+      $pending = array_filter($record['targets'], function ($target) {
+        return !$target['done'];
+      });
+      if (!$pending && $record['status'] !== self::STATUS_CANCELLED) {
+        $record['status'] = self::STATUS_COMPLETED;
+        $record['finished'] = $now;
+        $this->logger->info('Embedding operation @id finished: @processed items processed, @failed failed.', [
+          '@id' => $id,
+          '@processed' => $record['processed_items'],
+          '@failed' => $record['failed_items'],
+        ]);
+        return true;
+      }
+
+      return false;
+    });
+
+    if ($finished) {
+      $this->dispatchFinished($id, $now);
+    }
+  }
+
+  /**
+   * Changes the status of a running or paused operation.
+   * {@inheritdoc}
+   *
+   * @param string $id
+   *   The operation ID.
+   * @param string $status
+   *   STATUS_RUNNING, STATUS_PAUSED or STATUS_CANCELLED.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return bool
+   *   TRUE if the status was changed, FALSE if the operation is unknown or
+   *   already finished.
+   */
+  public function setStatus($id, $status, $now = null)
+  {
+    $now = $now ?? time();
+    $changed = $this->update(function (array &$operations) use ($id, $status, $now) {
+      if (!isset($operations[$id]) || $operations[$id]['finished']) {
+        return false;
+      }
+
+      $record = &$operations[$id];
+      if ($record['paused_at']) {
+        $record['paused_seconds'] += $now - $record['paused_at'];
+        $record['paused_at'] = null;
+      }
+
+      $record['status'] = $status;
+      $record['updated'] = $now;
+      if ($status === self::STATUS_PAUSED) {
+        $record['paused_at'] = $now;
+      } elseif ($status === self::STATUS_CANCELLED) {
+        $record['finished'] = $now;
+      }
+
+      return true;
+    });
+
+    if ($changed && $status === self::STATUS_CANCELLED) {
+      $this->dispatchFinished($id, $now);
+    }
+
+    return $changed;
+  }
+
+  /**
+   * Gets the status of an operation.
+   * {@inheritdoc}
+   *
+   * @param string $id
+   *   The operation ID.
+   *
+   * @return string|null
+   *   One of the STATUS_* constants, or NULL if the operation is unknown.
+   */
+  public function getStatus($id)
+  {
+    $operations = $this->load();
+    return $operations[$id]['status'] ?? null;
+  }
+
+  /**
+   * Gets an operation with its throughput and remaining time.
+   * {@inheritdoc}
+   *
+   * @param string $id
+   *   The operation ID.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return array|null
+   *   The tracked operation plus 'elapsed' active seconds, 'items_per_second',
+   *   'eta_seconds' (NULL while unknown) and 'percent', or NULL if the
+   *   operation is unknown.
+   */
+  public function get($id, $now = null)
+  {
+    $now = $now ?? time();
+    $operations = $this->load();
+    if (!isset($operations[$id])) {
+      return null;
+    }
+
+    $record = $operations[$id];
+    // Time spent paused does not count towards the throughput.
+    $until = $record['finished'] ?: ($record['paused_at'] ?: $now);
+    $elapsed = max(0, $until - $record['started'] - $record['paused_seconds']);
+    $done = $record['processed_items'] + $record['failed_items'];
+    $remaining = max(0, $record['total_items'] - $done);
+
+    $record['elapsed'] = $elapsed;
+    $record['items_per_second'] = $elapsed > 0 ? round($done / $elapsed, 2) : 0;
+    $record['eta_seconds'] = null;
+    if ($record['finished']) {
+      $record['eta_seconds'] = 0;
+    } elseif ($record['items_per_second'] > 0) {
+      $record['eta_seconds'] = (int) ceil($remaining / $record['items_per_second']);
+    }
+    $record['percent'] = $record['finished'] || !$record['total_items']
+      ? 100
+      : min(100, round($done / $record['total_items'] * 100, 1));
+
+    return $record;
+  }
+
+  /**
+   * Announces that an operation completed or was cancelled.
+   * {@inheritdoc}
+   *
+   * Dispatched after the lock is released, so subscribers can read the
+   * operation.
+   *
+   * @param string $id
+   *   The operation ID.
+   * @param int $now
+   *   The current time.
+   */
+  protected function dispatchFinished($id, $now)
+  {
+    $operation = $this->get($id, $now);
+    if ($this->eventDispatcher && $operation) {
+      $this->eventDispatcher->dispatch(new OperationFinishedEvent($operation), OperationFinishedEvent::NAME);
+    }
+  }
+
+  /**
+   * Reads the tracked operations.
+   * {@inheritdoc}
+   *
+   * Workers and the console run in separate requests, so the state cache is
+   * reset to see changes made by the other side.
+   *
+   * @return array
+   *   Operations keyed by ID, newest first.
+   */
+  protected function load()
+  {
+    $this->state->resetCache();
+    return $this->state->get(self::STATE_KEY, []);
+  }
+
+  /**
+   * Changes the tracked operations while holding their lock.
+   * {@inheritdoc}
+   *
+   * Without the lock, a worker recording a batch could write back the status
+   * a pause or cancel request replaced in the meantime, and workers would
+   * drop each other's counts.
+   *
+   * @param callable $change
+   *   Receives the operations by reference and changes them.
+   *
+   * @return mixed
+   *   What the change returned.
+   *
+   * @throws \RuntimeException
+   *   If the lock is not released in time.
+   */
+  protected function update(callable $change)
+  {
+    $name = self::STATE_KEY;
+    if (!$this->lock->acquire($name, self::LOCK_TIMEOUT)) {
+      $this->lock->wait($name, self::LOCK_TIMEOUT);
+      if (!$this->lock->acquire($name, self::LOCK_TIMEOUT)) {
+        throw new \RuntimeException('The tracked embedding operations are locked by another request.');
+      }
+    }
+
+    try {
+      $operations = $this->load();
+      $result = $change($operations);
+      $this->state->set(self::STATE_KEY, $operations);
+    } finally {
+      $this->lock->release($name);
+    }
+
+    return $result;
+  }
+}
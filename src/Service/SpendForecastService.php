@@ -0,0 +1,350 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+/**
+ * Forecasts the month-end embedding spend and flags unusual days.
+ *
+ * The spend of the days still to come is projected at the average daily spend
+ * of the last completed days, with a 95% confidence band from how much that
+ * spend varies. Days are flagged when they cost far more than the days before
+ * them.
+ */
+class SpendForecastService
+{
+  /**
+   * Completed days the daily spend rate is taken from.
+   */
+  const HISTORY_DAYS = 28;
+
+  /**
+   * Days a day's spend is compared with to flag it.
+   */
+  const TRAILING_DAYS = 7;
+
+  /**
+   * Days of daily spend reported.
+   */
+  const DISPLAY_DAYS = 30;
+
+  /**
+   * Standard deviations above the trailing average that flag a day.
+   */
+  const ANOMALY_DEVIATIONS = 3;
+
+  /**
+   * The z-score of the 95% confidence band.
+   */
+  const CONFIDENCE_Z = 1.96;
+
+  /**
+   * The embedding analytics service.
+   * {@inheritdoc}
+   *
+   * @var \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService
+   */
+  protected $analyticsService;
+
+  /**
+   * Constructs a SpendForecastService.
+   * {@inheritdoc}
+   *
+   * @param \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService $analytics_service
+   *   The embedding analytics service.
+   */
+  public function __construct(EmbeddingAnalyticsService $analytics_service)
+  {
+    $this->analyticsService = $analytics_service;
+  }
+
+  /**
+   * Forecasts the spend of the current month.
+   * {@inheritdoc}
+   *
+   * @param float $budget
+   *   The monthly budget, 0 for none.
+   * @param string|null $server_id
+   *   Optional server ID filter.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return array
+   *   The forecast, as returned by forecast().
+   */
+  public function getForecast($budget, $server_id = null, $now = null)
+  {
+    $now = $now ?? time();
+    $today = strtotime('today', $now);
+    $start = min(strtotime('first day of this month', $today), strtotime('-' . (self::DISPLAY_DAYS + self::TRAILING_DAYS) . ' days', $today));
+
+    $daily = $this->analyticsService->getDailyCosts($start, strtotime('tomorrow', $today), $server_id);
+
+    return $this->forecast($daily, $budget, $now);
+  }
+
+  /**
+   * Forecasts the spend of the current month from the daily spend.
+   * {@inheritdoc}
+   *
+   * @param array $daily
+   *   The spend per day, keyed by Y-m-d and ordered by day, up to today.
+   * @param float $budget
+   *   The monthly budget, 0 for none.
+   * @param int|null $now
+   *   The current time, for testing.
+   *
+   * @return array
+   *   An array with:
+   *   - spent: The spend of the month so far.
+   *   - daily_rate: The average daily spend of the last completed days.
+   *   - projected: The projected spend at the end of the month, with 'low'
+   *     and 'high' bounding its 95% confidence band.
+   *   - budget: The budget.
+   *   - status: 'no_budget', 'on_track', 'at_risk' if the band reaches over
+   *     the budget, 'over_budget' if the projection does or 'exhausted'.
+   *   - exhausted_on: The day, as Y-m-d, the budget ran out or is projected to
+   *     run out this month, or NULL.
+   *   - burn_down: The 'actual' and 'projected' budget left, or with no budget
+   *     the spend, at the end of each day of the month, with the 'low' and
+   *     'high' spend bounds, as lists of points with a 'date' and a 'value'.
+   *   - daily: The last DISPLAY_DAYS days, each with its 'date', 'cost', the
+   *     'average' of the days before it, the 'ratio' of the two and whether it
+   *     is 'flagged'.
+   */
+  public function forecast(array $daily, $budget, $now = null)
+  {
+    $now = $now ?? time();
+    $today = date('Y-m-d', $now);
+    $month = date('Y-m', $now);
+    $budget = (float) $budget;
+
+    $completed = array_filter($daily, function ($date) use ($today) {
+      return $date < $today;
+    }, ARRAY_FILTER_USE_KEY);
+    [$rate, $deviation] = $this->getStatistics(array_slice($completed, -self::HISTORY_DAYS));
+
+    $spent = 0.0;
+    foreach ($daily as $date => $cost) {
+      if (strpos($date, $month) === 0 && $date <= $today) {
+        $spent += $cost;
+      }
+    }
+
+    // What is left of today and the days after it are still to be spent.
+    $days_left = (int) date('t', $now) - (int) date('j', $now);
+    $remaining = $days_left + (strtotime('tomorrow', $now) - $now) / 86400;
+    $projected = $spent + $rate * $remaining;
+    $margin = self::CONFIDENCE_Z * $deviation * sqrt($remaining);
+
+    $forecast = [
+      'spent' => $spent,
+      'daily_rate' => $rate,
+      'projected' => $projected,
+      'low' => max($spent, $projected - $margin),
+      'high' => $projected + $margin,
+      'budget' => $budget,
+      'status' => $this->getStatus($spent, $projected, $projected + $margin, $budget),
+      'exhausted_on' => null,
+      'burn_down' => $this->getBurnDown($daily, $budget, $rate, $deviation, $now),
+      'daily' => $this->findAnomalies($daily, $today),
+    ];
+
+    if ($budget > 0) {
+      $forecast['exhausted_on'] = $this->getExhaustionDay($daily, $budget, $spent, $rate, $now);
+    }
+
+    return $forecast;
+  }
+
+  /**
+   * Compares the spend of the last days with the days before each of them.
+   * {@inheritdoc}
+   *
+   * A day is flagged when it cost more than ANOMALY_DEVIATIONS standard
+   * deviations above, and at least twice, the average of the TRAILING_DAYS
+   * before it.
+   *
+   * @param array $daily
+   *   The spend per day, keyed by Y-m-d and ordered by day.
+   * @param string $today
+   *   The current day, as Y-m-d.
+   *
+   * @return array
+   *   The days, as described for the 'daily' key of forecast().
+   */
+  public function findAnomalies(array $daily, $today)
+  {
+    $dates = array_keys(array_filter($daily, function ($date) use ($today) {
+      return $date <= $today;
+    }, ARRAY_FILTER_USE_KEY));
+    $first = max(0, count($dates) - self::DISPLAY_DAYS);
+
+    $days = [];
+    for ($i = $first; $i < count($dates); $i++) {
+      $cost = $daily[$dates[$i]];
+      $day = ['date' => $dates[$i], 'cost' => $cost, 'average' => null, 'ratio' => null, 'flagged' => false];
+
+      if ($i >= self::TRAILING_DAYS) {
+        $trailing = [];
+        for ($j = $i - self::TRAILING_DAYS; $j < $i; $j++) {
+          $trailing[] = $daily[$dates[$j]];
+        }
+        [$average, $deviation] = $this->getStatistics($trailing);
+
+        $day['average'] = $average;
+        $day['ratio'] = $average > 0 ? $cost / $average : null;
+        $day['flagged'] = $cost > 0 && $cost > $average + max(self::ANOMALY_DEVIATIONS * $deviation, $average);
+      }
+
+      $days[] = $day;
+    }
+
+    return $days;
+  }
+
+  /**
+   * Builds the burn-down of the month.
+   * {@inheritdoc}
+   *
+   * @param array $daily
+   *   The spend per day, keyed by Y-m-d.
+   * @param float $budget
+   *   The monthly budget, 0 for none.
+   * @param float $rate
+   *   The projected daily spend.
+   * @param float $deviation
+   *   The standard deviation of the daily spend.
+   * @param int $now
+   *   The current time.
+   *
+   * @return array
+   *   The series, as described for forecast().
+   */
+  protected function getBurnDown(array $daily, $budget, $rate, $deviation, $now)
+  {
+    $series = ['actual' => [], 'projected' => [], 'low' => [], 'high' => []];
+    $day_of_month = (int) date('j', $now);
+    $today_left = (strtotime('tomorrow', $now) - $now) / 86400;
+    $spent = 0.0;
+
+    // A budget burns down, without one the spend adds up.
+    $value = function ($amount) use ($budget) {
+      return $budget > 0 ? $budget - $amount : $amount;
+    };
+
+    for ($day = 1; $day <= (int) date('t', $now); $day++) {
+      $date = date('Y-m-', $now) . sprintf('%02d', $day);
+
+      if ($day <= $day_of_month) {
+        $spent += $daily[$date] ?? 0;
+        $series['actual'][] = ['date' => $date, 'value' => $value($spent)];
+      }
+      if ($day >= $day_of_month) {
+        $ahead = $today_left + $day - $day_of_month;
+        $margin = self::CONFIDENCE_Z * $deviation * sqrt($ahead);
+        $series['projected'][] = ['date' => $date, 'value' => $value($spent + $rate * $ahead)];
+        $series['low'][] = ['date' => $date, 'value' => $value($spent + max(0, $rate * $ahead - $margin))];
+        $series['high'][] = ['date' => $date, 'value' => $value($spent + $rate * $ahead + $margin)];
+      }
+    }
+
+    return $series;
+  }
+
+  /**
+   * Finds the day the budget ran out or is projected to run out.
+   * {@inheritdoc}
+   *
+   * @param array $daily
+   *   The spend per day, keyed by Y-m-d.
+   * @param float $budget
+   *   The monthly budget.
+   * @param float $spent
+   *   The spend of the month so far.
+   * @param float $rate
+   *   The projected daily spend.
+   * @param int $now
+   *   The current time.
+   *
+   * @return string|null
+   *   The day as Y-m-d, or NULL if the budget lasts the month.
+   */
+  protected function getExhaustionDay(array $daily, $budget, $spent, $rate, $now)
+  {
+    if ($spent >= $budget) {
+      $total = 0.0;
+      foreach ($daily as $date => $cost) {
+        if (strpos($date, date('Y-m', $now)) === 0) {
+          $total += $cost;
+          if ($total >= $budget) {
+            return $date;
+          }
+        }
+      }
+    }
+
+    if ($rate <= 0) {
+      return null;
+    }
+
+    $exhausted = $now + ($budget - $spent) / $rate * 86400;
+
+    return date('Y-m', $exhausted) === date('Y-m', $now) ? date('Y-m-d', $exhausted) : null;
+  }
+
+  /**
+   * Rates a month's spend against its budget.
+   * {@inheritdoc}
+   *
+   * @param float $spent
+   *   The spend so far.
+   * @param float $projected
+   *   The projected month-end spend.
+   * @param float $high
+   *   The upper bound of the projection.
+   * @param float $budget
+   *   The monthly budget, 0 for none.
+   *
+   * @return string
+   *   The status, as described for forecast().
+   */
+  protected function getStatus($spent, $projected, $high, $budget)
+  {
+    if ($budget <= 0) {
+      return 'no_budget';
+    }
+    if ($spent >= $budget) {
+      return 'exhausted';
+    }
+    if ($projected > $budget) {
+      return 'over_budget';
+    }
+
+    return $high > $budget ? 'at_risk' : 'on_track';
+  }
+
+  /**
+   * Gets the mean and standard deviation of a list of values.
+   * {@inheritdoc}
+   *
+   * @param array $values
+   *   The values.
+   *
+   * @return array
+   *   The mean and the population standard deviation, both 0 for no values.
+   */
+  protected function getStatistics(array $values)
+  {
+    if (!$values) {
+      return [0.0, 0.0];
+    }
+
+    $mean = array_sum($values) / count($values);
+    $variance = 0.0;
+    foreach ($values as $value) {
+      $variance += ($value - $mean) ** 2;
+    }
+
+    return [$mean, sqrt($variance / count($values))];
+  }
+}
@@ -0,0 +1,100 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Service;
+
+/**
+ * Recommends pgvector index parameters from table sizes.
+ *
+ * Follows the pgvector guidance: IVFFlat lists of rows / 1000 up to one
+ * million rows and sqrt(rows) beyond, probes of sqrt(lists), and the HNSW
+ * defaults, raised for large tables.
+ */
+class VectorIndexAdvisor
+{
+  /**
+   * Row count above which lists switch from rows / 1000 to sqrt(rows).
+   */
+  const LARGE_TABLE_ROWS = 1000000;
+
+  /**
+   * Upper bound for lists, matching the server form.
+   */
+  const MAX_LISTS = 10000;
+
+  /**
+   * Recommends index parameters for a table of the given size.
+   * {@inheritdoc}
+   *
+   * @param int $rows
+   *   The number of rows in the index table.
+   *
+   * @return array
+   *   An array with:
+   *   - rows: The row count the recommendation is based on.
+   *   - basis: How lists was derived: 'rows_per_1000', 'sqrt_rows' or
+   *     'minimum' when the table is too small for IVFFlat to help.
+   *   - ivfflat: Recommended 'lists' and 'probes'.
+   *   - hnsw: Recommended 'm', 'ef_construction' and 'ef_search'.
+   */
+  public function recommend($rows)
+  {
+    $rows = max(0, (int) $rows);
+
+    if ($rows > self::LARGE_TABLE_ROWS) {
+      $basis = 'sqrt_rows';
+      $lists = (int) ceil(sqrt($rows));
+    } elseif ($rows >= 1000) {
+      $basis = 'rows_per_1000';
+      $lists = (int) ceil($rows / 1000);
+    } else {
+      $basis = 'minimum';
+      $lists = 1;
+    }
+    $lists = min($lists, self::MAX_LISTS);
+
+    $large = $rows > self::LARGE_TABLE_ROWS;
+    $m = $large ? 32 : 16;
+
+    return [
+      'rows' => $rows,
+      'basis' => $basis,
+      'ivfflat' => [
+        'lists' => $lists,
+        'probes' => max(1, min($lists, (int) ceil(sqrt($lists)))),
+      ],
+      'hnsw' => [
+        'm' => $m,
+        // pgvector requires ef_construction to be at least 2 * m.
+        'ef_construction' => max(64, 4 * $m),
+        'ef_search' => $large ? 100 : 40,
+      ],
+    ];
+  }
+
+  /**
+   * Recommends server-wide parameters for a set of index tables.
+   * {@inheritdoc}
+   *
+   * Vector index settings apply to every index on a server, so the
+   * recommendation is sized for the largest table.
+   *
+   * @param array $row_counts
+   *   Row counts keyed by index ID. NULL entries (unknown) are ignored.
+   *
+   * @return array
+   *   The recommendation for the largest table, plus an 'indexes' array of
+   *   per-index recommendations keyed by index ID.
+   */
+  public function recommendForIndexes(array $row_counts)
+  {
+    $known = array_filter($row_counts, 'is_int');
+    $recommendation = $this->recommend($known ? max($known) : 0);
+
+    $recommendation['indexes'] = [];
+    foreach ($known as $index_id => $rows) {
+      $recommendation['indexes'][$index_id] = $this->recommend($rows);
+    }
+
+    return $recommendation;
+  }
+}
@@ -0,0 +1,59 @@
+<?php
+
+namespace Drupal\search_api_postgresql\Traits;
+
+/**
+ * Trait for confirming destructive actions of admin forms in a dialog.
+ *
+ * The dialogs are described on the submit button and shown by the admin
+ * library before the form is submitted, whether by clicking, pressing Enter or
+ * through AJAX. They state what the action will affect and, for actions that
+ * cannot be undone, only allow confirming once a phrase has been typed.
+ */
+trait ConfirmationDialogTrait
+{
+  /**
+   * Adds a confirmation dialog to a submit button.
+   * {@inheritdoc}
+   *
+   * @param array $button
+   *   The submit button element.
+   * @param string $field
+   *   The name of the form field selecting the action. Checkboxes have the
+   *   value '1' when checked and '0' otherwise.
+   * @param array $actions
+   *   Dialogs keyed by the field values that need confirming, each with a
+   *   'title', an optional 'message', the 'scope' it affects as pairs of label
+   *   and value, the 'typed' phrase for irreversible actions and the label of
+   *   the 'confirm' button.
+   * @param string|null $scope_provider
+   *   The client-side provider adding the scope of the current selection:
+   *   'embedding_selection' or 'bulk_selection'.
+   */
+  protected function addConfirmationDialog(array &$button, $field, array $actions, $scope_provider = null)
+  {
+    $dialogs = [];
+    foreach ($actions as $value => $action) {
+      $scope = [];
+      foreach ($action['scope'] ?? [] as $row) {
+        $scope[] = ['label' => (string) $row[0], 'value' => (string) $row[1]];
+      }
+
+      $dialogs[$value] = [
+        'title' => (string) $action['title'],
+        'message' => (string) ($action['message'] ?? ''),
+        'scope' => $scope,
+        'typed' => isset($action['typed']) ? (string) $action['typed'] : null,
+        'confirm' => (string) ($action['confirm'] ?? $this->t('Confirm')),
+      ];
+    }
+
+    $button['#attributes']['data-confirm'] = json_encode([
+      'field' => $field,
+      // Keep numeric field values, like those of checkboxes, as keys.
+      'actions' => (object) $dialogs,
+      'provider' => $scope_provider,
+    ]);
+    $button['#attached']['library'][] = 'search_api_postgresql/admin';
+  }
+}
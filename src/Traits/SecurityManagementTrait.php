@@ -112,7 +112,8 @@ protected function getKeyOptions()
    * {@inheritdoc}
    *
    * @param string $credential_type
-   *   The type of credential ('database_password', 'azure_api_key', 'openai_api_key').
+   *   The type of credential ('database_password', 'azure_api_key',
+   *   'azure_cognitive_api_key', 'openai_api_key').
    * @param array $config
    *   The configuration array containing credential info.
    *   {@inheritdoc}.
@@ -129,6 +130,9 @@ protected function getCredential($credential_type, array $config)
       case 'azure_api_key':
           return $this->getAzureApiKeyCredential($config['ai_embeddings']['azure'] ?? []);
 
+      case 'azure_cognitive_api_key':
+          return $this->getAzureApiKeyCredential($config['ai_embeddings']['azure_cognitive'] ?? []);
+
       case 'openai_api_key':
           return $this->getOpenAiApiKeyCredential($config['ai_embeddings']['openai'] ?? []);
 
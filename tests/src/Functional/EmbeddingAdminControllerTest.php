@@ -213,6 +213,33 @@ public function testAjaxEndpoints()
     $this->assertSession()->statusCodeEquals(200);
   }
 
+  /**
+   * Tests the analytics endpoint the analytics page refreshes its panels from.
+   */
+  public function testAnalyticsEndpoint()
+  {
+    $path = '/admin/config/search/search-api-postgresql/ajax/analytics';
+
+    $this->drupalLogin($this->regularUser);
+    $this->drupalGet($path);
+    $this->assertSession()->statusCodeEquals(403);
+
+    $this->drupalLogin($this->adminUser);
+    $this->drupalGet($path, ['query' => ['range' => '24h']]);
+    $this->assertSession()->statusCodeEquals(200);
+    $data = json_decode($this->getSession()->getPage()->getContent(), true);
+    foreach (['cost', 'performance', 'usage', 'indexes', 'currency', 'timestamp'] as $key) {
+      $this->assertArrayHasKey($key, $data);
+    }
+    $this->assertArrayHasKey('by_operation', $data['cost']);
+    $this->assertArrayHasKey('query_volume', $data['usage']);
+
+    $this->drupalGet($path, ['query' => ['range' => 'forever']]);
+    $this->assertSession()->statusCodeEquals(400);
+    $data = json_decode($this->getSession()->getPage()->getContent(), true);
+    $this->assertSame('Unknown range', $data['error']);
+  }
+
   /**
    * Tests error handling for invalid requests.
    */
@@ -2,7 +2,7 @@
 
 namespace Drupal\Tests\search_api_postgresql\Unit\CircuitBreaker;
 
-use Drupal\search_api_postgresql\CircuitBreaker\CircuitBreakerService;
+use Drupal\search_api_postgresql\Service\CircuitBreakerService;
 use Psr\Log\LoggerInterface;
 use PHPUnit\Framework\TestCase;
 
@@ -33,7 +33,7 @@ protected function setUp(): void
     parent::setUp();
 
     // Load actual class.
-    require_once __DIR__ . '/../../../../../../src/CircuitBreaker/CircuitBreakerService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/CircuitBreakerService.php';
 
     // Create PSR logger if needed.
     if (!interface_exists('Psr\Log\LoggerInterface')) {
@@ -0,0 +1,108 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\CircuitBreaker;
+
+use Drupal\Core\Cache\CacheBackendInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\search_api_postgresql\Service\CircuitBreakerService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests service tracking and transition history of CircuitBreakerService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\CircuitBreakerService
+ */
+class CircuitBreakerTransitionsTest extends TestCase
+{
+  /**
+   * The circuit breaker under test.
+   */
+  protected $circuitBreaker;
+
+  /**
+   * Values stored in the mocked state service.
+   */
+  protected $stateValues = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/CircuitBreakerService.php';
+
+    $state = $this->createMock(StateInterface::class);
+    $state->method('get')->willReturnCallback(function ($key, $default = null) {
+      return $this->stateValues[$key] ?? $default;
+    });
+    $state->method('set')->willReturnCallback(function ($key, $value) {
+      $this->stateValues[$key] = $value;
+    });
+    $state->method('delete')->willReturnCallback(function ($key) {
+      unset($this->stateValues[$key]);
+    });
+
+    $this->circuitBreaker = new CircuitBreakerService(
+        $state,
+        $this->createMock(CacheBackendInterface::class),
+        $this->createMock(LoggerInterface::class)
+    );
+  }
+
+  /**
+   * Runs a failing operation through the circuit.
+   */
+  protected function callFailingOperation($service_name)
+  {
+    $this->circuitBreaker->execute($service_name, function () {
+      throw new \RuntimeException('Throttled');
+    }, function () {
+      return null;
+    });
+  }
+
+  /**
+   * Tests that called services are listed with their statistics.
+   */
+  public function testServicesAreTracked()
+  {
+    $this->assertSame([], $this->circuitBreaker->getAllServiceStats());
+
+    $this->circuitBreaker->execute('embedding_generation', function () {
+      return true;
+    });
+    $this->callFailingOperation('embedding_batch_generation');
+
+    $stats = $this->circuitBreaker->getAllServiceStats();
+    $this->assertSame(['embedding_generation', 'embedding_batch_generation'], array_keys($stats));
+    $this->assertSame(1, $stats['embedding_batch_generation']['failure_count']);
+    $this->assertSame('Throttled', $stats['embedding_batch_generation']['last_error']);
+  }
+
+  /**
+   * Tests that opening and resetting a circuit is recorded.
+   */
+  public function testTransitionsAreRecorded()
+  {
+    for ($i = 0; $i < 5; $i++) {
+      $this->callFailingOperation('embedding_generation');
+    }
+    $this->assertSame(CircuitBreakerService::STATE_OPEN, $this->circuitBreaker->getCircuitState('embedding_generation'));
+
+    $this->circuitBreaker->resetCircuit('embedding_generation');
+    // Resetting a closed circuit is not a transition.
+    $this->circuitBreaker->resetCircuit('embedding_generation');
+
+    $transitions = $this->circuitBreaker->getTransitions('embedding_generation');
+    $this->assertCount(2, $transitions);
+    $this->assertSame(['closed', 'open'], [$transitions[0]['from'], $transitions[0]['to']]);
+    $this->assertSame('5 failures: Throttled', $transitions[0]['reason']);
+    $this->assertSame(['open', 'closed'], [$transitions[1]['from'], $transitions[1]['to']]);
+    $this->assertSame('Manual reset', $transitions[1]['reason']);
+  }
+}
@@ -0,0 +1,187 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Controller;
+
+use Drupal\search_api_postgresql\Controller\EmbeddingAdminController;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the analytics helpers of EmbeddingAdminController.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Controller\EmbeddingAdminController
+ */
+class EmbeddingAdminControllerTest extends TestCase
+{
+  /**
+   * The controller under test, built without its services.
+   */
+  protected $controller;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Controller/EmbeddingAdminController.php';
+
+    $this->controller = (new \ReflectionClass(EmbeddingAdminController::class))->newInstanceWithoutConstructor();
+  }
+
+  /**
+   * Calls a protected method of the controller.
+   */
+  protected function invoke($method, ...$arguments)
+  {
+    $method = new \ReflectionMethod($this->controller, $method);
+    $method->setAccessible(true);
+
+    return $method->invoke($this->controller, ...$arguments);
+  }
+
+  /**
+   * Parses CSV into rows.
+   */
+  protected function parseCsv($csv)
+  {
+    $handle = fopen('php://temp', 'r+');
+    fwrite($handle, $csv);
+    rewind($handle);
+    $rows = [];
+    while (($row = fgetcsv($handle)) !== false) {
+      $rows[] = $row;
+    }
+    fclose($handle);
+
+    return $rows;
+  }
+
+  /**
+   * Tests laying the previous period's time series over the current period.
+   */
+  public function testShiftTimeSeries()
+  {
+    $shifted = $this->invoke('shiftTimeSeries', [
+      'cost' => ['current_cost' => 2.5, 'by_operation' => ['batch_generate' => ['cost' => 1.0]]],
+      'performance' => [
+        'search_latency' => [
+          ['timestamp' => 1700000000, 'value' => 120],
+        ],
+      ],
+      'usage' => [
+        'embedding_generation' => [
+          'generate_embedding' => [
+            ['timestamp' => 1700003600, 'value' => 3],
+          ],
+        ],
+      ],
+    ], 86400);
+
+    $this->assertSame(1700086400, $shifted['performance']['search_latency'][0]['timestamp']);
+    $this->assertSame(1700090000, $shifted['usage']['embedding_generation']['generate_embedding'][0]['timestamp']);
+    // Values are left alone.
+    $this->assertSame(120, $shifted['performance']['search_latency'][0]['value']);
+    $this->assertSame(2.5, $shifted['cost']['current_cost']);
+    $this->assertSame(['batch_generate' => ['cost' => 1.0]], $shifted['cost']['by_operation']);
+  }
+
+  /**
+   * Tests flattening each panel to rows of single values.
+   */
+  public function testFlattenAnalytics()
+  {
+    $rows = $this->invoke('flattenAnalytics', [
+      'cost' => [
+        'total_cost' => 1.25,
+        'by_operation' => [
+          'batch_generate' => ['calls' => 2, 'cost' => 1.0],
+        ],
+      ],
+      'performance' => [
+        'average_latency' => [
+          ['timestamp' => 1700000000, 'value' => 120],
+        ],
+      ],
+      'usage' => [
+        'query_volume' => [],
+        'embedding_generation' => [
+          'generate_embedding' => [
+            ['timestamp' => 1700000000, 'value' => 3],
+            ['timestamp' => 1700003600, 'value' => 0],
+          ],
+        ],
+      ],
+      'indexes' => [
+        ['index_id' => 'articles', 'searches' => 12, 'average_latency' => 80.5],
+      ],
+    ]);
+
+    $this->assertSame([
+      ['cost', 'total_cost', '', '', 1.25],
+      ['cost', 'by_operation_calls', 'batch_generate', '', 2],
+      ['cost', 'by_operation_cost', 'batch_generate', '', 1.0],
+      ['performance', 'average_latency', '', date('c', 1700000000), 120],
+      ['usage', 'embedding_generation', 'generate_embedding', date('c', 1700000000), 3],
+      ['usage', 'embedding_generation', 'generate_embedding', date('c', 1700003600), 0],
+      ['indexes', 'searches', 'articles', '', 12],
+      ['indexes', 'average_latency', 'articles', '', 80.5],
+    ], $rows);
+  }
+
+  /**
+   * Tests the CSV of a period and the one before it.
+   */
+  public function testBuildAnalyticsCsv()
+  {
+    $csv = $this->invoke('buildAnalyticsCsv', [
+      'periods' => [
+        'current' => ['data' => ['cost' => ['total_cost' => 2.5]]],
+        'previous' => ['data' => ['cost' => ['total_cost' => 1.5]]],
+      ],
+    ]);
+
+    $this->assertSame([
+      ['period', 'panel', 'metric', 'series', 'time', 'value'],
+      ['current', 'cost', 'total_cost', '', '', '2.5'],
+      ['previous', 'cost', 'total_cost', '', '', '1.5'],
+    ], $this->parseCsv($csv));
+  }
+
+  /**
+   * Tests that names that spreadsheets would run as formulas are escaped.
+   */
+  public function testBuildAnalyticsCsvEscapesFormulas()
+  {
+    $csv = $this->invoke('buildAnalyticsCsv', [
+      'periods' => [
+        'current' => [
+          'data' => [
+            'cost' => [
+              'by_operation' => [
+                '=HYPERLINK("http://example.com")' => ['cost' => -0.5],
+                '+cmd' => ['cost' => 1],
+                '@sum' => ['cost' => 1],
+                '-2+3' => ['cost' => 1],
+              ],
+            ],
+            'indexes' => [
+              ['index_id' => '-1', 'searches' => 1, 'average_latency' => 1],
+            ],
+          ],
+        ],
+      ],
+    ]);
+    $rows = $this->parseCsv($csv);
+
+    $this->assertSame("'=HYPERLINK(\"http://example.com\")", $rows[1][3]);
+    // Negative numbers stay numbers.
+    $this->assertSame('-0.5', $rows[1][5]);
+    $this->assertSame("'+cmd", $rows[2][3]);
+    $this->assertSame("'@sum", $rows[3][3]);
+    $this->assertSame("'-2+3", $rows[4][3]);
+    $this->assertSame('-1', $rows[5][3]);
+  }
+}
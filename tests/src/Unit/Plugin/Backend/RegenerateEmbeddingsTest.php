@@ -0,0 +1,236 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Plugin\Backend;
+
+use Drupal\search_api\IndexInterface;
+use Drupal\search_api\ServerInterface;
+use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
+use Drupal\search_api_postgresql\Plugin\search_api\backend\PostgreSQLBackend;
+use Drupal\search_api_postgresql\PostgreSQL\FieldMapper;
+use Drupal\search_api_postgresql\PostgreSQL\PostgreSQLConnector;
+use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Service\EmbeddingServiceInterface;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests regenerating the embeddings of a page of index rows.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Plugin\search_api\backend\PostgreSQLBackend
+ */
+class RegenerateEmbeddingsTest extends TestCase
+{
+  /**
+   * The backend under test.
+   */
+  protected $backend;
+
+  /**
+   * The embeddings written, keyed by item ID.
+   */
+  protected $updates = [];
+
+  /**
+   * The mocked index.
+   */
+  protected $index;
+
+  /**
+   * The texts and cache metadata looked up in the embedding cache.
+   */
+  protected $cacheLookups = [];
+
+  /**
+   * The API calls recorded in the analytics.
+   */
+  protected $apiCalls = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../src/Plugin/search_api/backend/PostgreSQLBackend.php';
+
+    $rows = [
+      ['search_api_id' => 'entity:node/1:en', 'body' => 'First'],
+      ['search_api_id' => 'entity:node/2:en', 'body' => 'Too long'],
+      ['search_api_id' => 'entity:node/3:en', 'body' => 'Third'],
+    ];
+    $statement = $this->createMock(\PDOStatement::class);
+    $statement->method('fetch')->willReturnOnConsecutiveCalls(...array_merge($rows, [false]));
+
+    $connector = $this->createMock(PostgreSQLConnector::class);
+    $connector->method('quoteTableName')->willReturnCallback(function ($name) {
+      return '"' . $name . '"';
+    });
+    $connector->method('quoteColumnName')->willReturnCallback(function ($name) {
+      return '"' . $name . '"';
+    });
+    $connector->method('executeQuery')->willReturnCallback(function ($sql, array $params = []) use ($statement) {
+      if (strpos($sql, 'UPDATE') === 0) {
+        $this->updates[$params[':item_id']] = $params[':embedding'];
+      }
+      return $statement;
+    });
+
+    $field_mapper = $this->createMock(FieldMapper::class);
+    $field_mapper->method('getEmbeddingSourceFields')->willReturn(['body']);
+    $field_mapper->method('generateEmbeddingText')->willReturnCallback(function (array $row) {
+      return $row['body'];
+    });
+
+    $this->index = $this->createMock(IndexInterface::class);
+    $this->index->method('id')->willReturn('articles');
+
+    $server = $this->createMock(ServerInterface::class);
+    $server->method('id')->willReturn('main');
+
+    // The provider rejects batches holding a text over its input limit.
+    $service = new class implements EmbeddingServiceInterface {
+
+      /**
+       * {@inheritdoc}
+       */
+      public function generateEmbedding($text)
+      {
+        if ($text === 'Too long') {
+          throw new \RuntimeException('The input exceeds the maximum length.');
+        }
+        return [strlen($text) / 10, 0.5];
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getDimension()
+      {
+        return 2;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function generateBatchEmbeddings(array $texts)
+      {
+        if (in_array('Too long', $texts, true)) {
+          throw new \RuntimeException('The batch request failed.');
+        }
+        return array_map([$this, 'generateEmbedding'], $texts);
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function isAvailable()
+      {
+        return true;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getCacheMetadata()
+      {
+        return ['service' => 'fake'];
+      }
+    };
+
+    // Only the first text is cached.
+    $cache_manager = $this->createMock(EmbeddingCacheManager::class);
+    $cache_manager->method('getCachedEmbeddingsBatch')->willReturnCallback(function (array $texts, array $metadata) {
+      $this->cacheLookups[] = [$texts, $metadata];
+      return array_intersect_key([[0.5, 0.5]], array_filter($texts, function ($text) {
+        return $text === 'First';
+      }));
+    });
+
+    $analytics = $this->createMock(EmbeddingAnalyticsService::class);
+    $analytics->method('recordApiCall')->willReturnCallback(function (...$arguments) {
+      $this->apiCalls[] = $arguments;
+    });
+
+    $this->backend = new class ($connector, $field_mapper, $this->createMock(LoggerInterface::class), $service, $cache_manager, $analytics) extends PostgreSQLBackend {
+      protected $embeddingService;
+
+      protected $embeddingCacheManager;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function __construct($connector, $field_mapper, $logger, $embedding_service, $cache_manager, $analytics)
+      {
+        $this->connector = $connector;
+        $this->fieldMapper = $field_mapper;
+        $this->logger = $logger;
+        $this->embeddingService = $embedding_service;
+        $this->embeddingCacheManager = $cache_manager;
+        $this->analyticsService = $analytics;
+        $this->configuration = [
+          'ai_embeddings' => [
+            'provider' => 'openai',
+            'openai' => ['model' => 'text-embedding-3-small'],
+          ],
+        ];
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      protected function createEmbeddingService(?array $configuration = null, ?EmbeddingCacheManager $cache_manager = null)
+      {
+        return $this->embeddingService;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      protected function getEmbeddingCacheManager()
+      {
+        return $this->embeddingCacheManager;
+      }
+    };
+    $this->backend->setServer($server);
+  }
+
+  /**
+   * Tests that a failed batch reports the items that failed, not the page.
+   */
+  public function testPartialBatchFailure()
+  {
+    $result = $this->backend->regenerateEmbeddings($this->index, false, 50);
+
+    $this->assertSame(3, $result['items']);
+    $this->assertSame(2, $result['processed']);
+    $this->assertSame(['entity:node/2:en' => 'The input exceeds the maximum length.'], $result['failed']);
+    $this->assertSame(['entity:node/1:en', 'entity:node/3:en'], array_keys($this->updates));
+    $this->assertSame('[0.5,0.5]', $this->updates['entity:node/1:en']);
+  }
+
+  /**
+   * Tests that only texts missing from the cache count as billed tokens.
+   */
+  public function testCachedTextsAreNotBilled()
+  {
+    $result = $this->backend->regenerateEmbeddings($this->index, false, 50);
+
+    $this->assertSame([[['First', 'Too long', 'Third'], ['service' => 'fake']]], $this->cacheLookups);
+
+    // "First" came from the cache; "Third" is five characters, two tokens.
+    $this->assertSame(1, $result['cached']);
+    $this->assertSame(2, $result['tokens']);
+
+    // Only the billed tokens count towards the server's spend.
+    $this->assertCount(1, $this->apiCalls);
+    [$server_id, $operation, $tokens, $cost, , $metadata] = $this->apiCalls[0];
+    $this->assertSame('main', $server_id);
+    $this->assertSame('regenerate_embeddings', $operation);
+    $this->assertSame(2, $tokens);
+    $this->assertEqualsWithDelta(0.00000004, $cost, 1e-12);
+    $this->assertSame(['index_id' => 'articles', 'items' => 1], $metadata);
+  }
+}
@@ -0,0 +1,116 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Drupal\search_api_postgresql\Service\AdminEventStreamService;
+use Drupal\search_api_postgresql\Service\ConfigurationValidationService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for AdminEventStreamService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\AdminEventStreamService
+ */
+class AdminEventStreamServiceTest extends TestCase
+{
+  /**
+   * The service under test, with collect() returning canned events.
+   */
+  protected $stream;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/AdminEventStreamService.php';
+
+    $this->stream = new class (
+        $this->createMock(EntityTypeManagerInterface::class),
+        $this->createMock(EmbeddingQueueManager::class),
+        $this->createMock(ConfigurationValidationService::class),
+        $this->createMock(LoggerInterface::class)
+    ) extends AdminEventStreamService {
+      public $events = [];
+      public $reads = [];
+
+      /**
+       * {@inheritdoc}
+       */
+      public function collect($type)
+      {
+        $this->reads[] = $type;
+        return $this->events[$type] ?? [];
+      }
+    };
+
+    $this->stream->events = [
+      'queue' => [['type' => 'queue', 'id' => 'queue', 'data' => ['stats' => ['items_pending' => 3]]]],
+      'progress' => [['type' => 'progress', 'id' => 'progress:articles', 'data' => ['index_id' => 'articles', 'progress' => ['embedding_coverage' => 40]]]],
+    ];
+  }
+
+  /**
+   * Tests that an empty cursor yields a full snapshot.
+   */
+  public function testFirstPollReturnsSnapshot()
+  {
+    $cursor = [];
+    $events = $this->stream->poll($cursor, 1000);
+
+    $this->assertSame(['progress:articles', 'queue'], array_column($events, 'id'));
+    $this->assertSame(array_keys(AdminEventStreamService::INTERVALS), $this->stream->reads);
+  }
+
+  /**
+   * Tests that unchanged payloads are not sent again.
+   */
+  public function testUnchangedEventsAreSuppressed()
+  {
+    $cursor = [];
+    $this->stream->poll($cursor, 1000);
+
+    $this->assertSame([], $this->stream->poll($cursor, 1100));
+
+    $this->stream->events['queue'][0]['data']['stats']['items_pending'] = 2;
+    $events = $this->stream->poll($cursor, 1200);
+    $this->assertSame(['queue'], array_column($events, 'id'));
+  }
+
+  /**
+   * Tests that each event type is only read on its interval.
+   */
+  public function testIntervalsAreHonoured()
+  {
+    $cursor = [];
+    $this->stream->poll($cursor, 1000);
+    $this->stream->reads = [];
+
+    $this->stream->poll($cursor, 1005);
+    $this->assertSame(['progress'], $this->stream->reads);
+
+    $this->stream->reads = [];
+    $this->stream->poll($cursor, 1015);
+    $this->assertSame(['progress', 'queue', 'circuit_breaker', 'server_status'], $this->stream->reads);
+
+    $this->stream->reads = [];
+    $this->stream->poll($cursor, 1030);
+    $this->assertSame(array_keys(AdminEventStreamService::INTERVALS), $this->stream->reads);
+  }
+
+  /**
+   * Tests the text/event-stream framing.
+   */
+  public function testFormatSseEvent()
+  {
+    $frame = $this->stream->formatSseEvent(['type' => 'queue', 'id' => 'queue', 'data' => ['items_pending' => 3]]);
+    $this->assertSame("event: queue\nid: queue\ndata: {\"items_pending\":3}\n\n", $frame);
+  }
+}
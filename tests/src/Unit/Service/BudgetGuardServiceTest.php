@@ -0,0 +1,211 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\StringTranslation\TranslationInterface;
+use Drupal\search_api_postgresql\Service\BudgetGuardService;
+use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for BudgetGuardService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\BudgetGuardService
+ */
+class BudgetGuardServiceTest extends TestCase
+{
+  /**
+   * The mocked analytics service.
+   */
+  protected $analyticsService;
+
+  /**
+   * The mocked logger.
+   */
+  protected $logger;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual classes.
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingAnalyticsService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/BudgetGuardService.php';
+
+    $this->analyticsService = $this->createMock(EmbeddingAnalyticsService::class);
+    $this->logger = $this->createMock(LoggerInterface::class);
+  }
+
+  /**
+   * Tests that estimates within the limits are not blocked.
+   */
+  public function testWithinBudget()
+  {
+    $this->analyticsService->method('getCostAnalytics')->willReturn(['current_cost' => 2.0]);
+
+    $check = $this->createGuard()->check(
+        $this->createEstimate(['articles' => 1.5]),
+        $this->createTargets(['monthly' => 10, 'operation_ceiling' => 5])
+    );
+
+    $this->assertFalse($check['blocked']);
+    $this->assertSame([], $check['violations']);
+    $this->assertSame('', $check['confirmation']);
+  }
+
+  /**
+   * Tests an operation over the cost ceiling.
+   */
+  public function testOperationCeiling()
+  {
+    $this->analyticsService->expects($this->never())->method('getCostAnalytics');
+
+    $check = $this->createGuard()->check(
+        $this->createEstimate(['articles' => 4.0, 'pages' => 2.0]),
+        $this->createTargets(['monthly' => 0, 'operation_ceiling' => 5])
+    );
+
+    $this->assertTrue($check['blocked']);
+    $this->assertSame('operation_ceiling', $check['violations'][0]['type']);
+    $this->assertEquals(6.0, $check['violations'][0]['cost']);
+    $this->assertSame('The estimated cost of 6.00 USD on Main exceeds its cost ceiling of 5.00 USD.', (string) $check['violations'][0]['message']);
+    $this->assertSame('articles, pages', $check['confirmation']);
+  }
+
+  /**
+   * Tests that month-to-date spend counts towards the monthly budget.
+   */
+  public function testMonthlyBudget()
+  {
+    $this->analyticsService->expects($this->once())
+      ->method('getCostAnalytics')
+      ->with('mtd', 'main')
+      ->willReturn(['current_cost' => 9.5]);
+
+    $check = $this->createGuard()->check(
+        $this->createEstimate(['articles' => 1.0]),
+        $this->createTargets(['monthly' => 10])
+    );
+
+    $this->assertTrue($check['blocked']);
+    $this->assertSame('monthly_budget', $check['violations'][0]['type']);
+    $this->assertSame(9.5, $check['violations'][0]['spent']);
+    $this->assertSame('With 9.50 USD already spent this month, the estimated 1.00 USD would exceed the monthly budget of 10.00 USD for Main.', (string) $check['violations'][0]['message']);
+  }
+
+  /**
+   * Tests typing the affected index IDs to confirm.
+   */
+  public function testConfirmation()
+  {
+    $guard = $this->createGuard();
+    $check = ['confirmation' => 'articles, pages'];
+
+    $this->assertTrue($guard->isConfirmed($check, 'pages,articles'));
+    $this->assertTrue($guard->isConfirmed($check, ' articles  pages '));
+    $this->assertFalse($guard->isConfirmed($check, 'articles'));
+    $this->assertFalse($guard->isConfirmed($check, 'articles, pages, other'));
+    $this->assertFalse($guard->isConfirmed(['confirmation' => ''], ''));
+  }
+
+  /**
+   * Tests that overrides are logged with the user who made them.
+   */
+  public function testLogOverride()
+  {
+    $this->logger->expects($this->once())
+      ->method('warning')
+      ->with($this->anything(), $this->callback(function ($context) {
+        return $context['@user'] === 'editor' && $context['@indexes'] === 'articles';
+      }));
+
+    $this->createGuard()->logOverride([
+      'confirmation' => 'articles',
+      'violations' => [['message' => 'Too expensive.']],
+    ], 'regenerate_all');
+  }
+
+  /**
+   * Creates the service under test.
+   */
+  protected function createGuard()
+  {
+    $user = $this->createMock(AccountProxyInterface::class);
+    $user->method('getAccountName')->willReturn('editor');
+
+    $translation = $this->createMock(TranslationInterface::class);
+    $translation->method('translateString')->willReturnCallback(function ($markup) {
+      return $markup->getUntranslatedString();
+    });
+
+    $guard = new BudgetGuardService($this->analyticsService, $user, $this->logger);
+    $guard->setStringTranslation($translation);
+
+    return $guard;
+  }
+
+  /**
+   * Creates an estimate with a cost per index of the 'main' server.
+   */
+  protected function createEstimate(array $costs)
+  {
+    $breakdown = [];
+    foreach ($costs as $index_id => $cost) {
+      $breakdown[] = ['server_id' => 'main', 'index_id' => $index_id, 'cost' => $cost];
+    }
+    // Indexes that could not be estimated are ignored.
+    $breakdown[] = ['server_id' => 'main', 'index_id' => 'broken', 'cost' => 0, 'error' => 'Failed'];
+
+    return ['currency' => 'USD', 'breakdown' => $breakdown];
+  }
+
+  /**
+   * Creates targets on a 'main' server with a budget.
+   */
+  protected function createTargets(array $budget)
+  {
+    $server = new class ($budget) {
+      protected $budget;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function __construct($budget)
+      {
+        $this->budget = $budget;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function id()
+      {
+        return 'main';
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function label()
+      {
+        return 'Main';
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getBackendConfig()
+      {
+        return ['ai_embeddings' => ['budget' => $this->budget]];
+      }
+    };
+
+    return [['server' => $server, 'index' => null]];
+  }
+}
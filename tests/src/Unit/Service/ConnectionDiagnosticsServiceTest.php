@@ -0,0 +1,65 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\search_api_postgresql\Service\ConnectionDiagnosticsService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for ConnectionDiagnosticsService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\ConnectionDiagnosticsService
+ */
+class ConnectionDiagnosticsServiceTest extends TestCase
+{
+  /**
+   * The diagnostics service under test.
+   */
+  protected $diagnostics;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/ConnectionDiagnosticsService.php';
+
+    $this->diagnostics = new ConnectionDiagnosticsService($this->createMock(LoggerInterface::class));
+  }
+
+  /**
+   * Tests that libpq errors map to the stage that needs fixing.
+   *
+   * @dataProvider connectionErrorProvider
+   */
+  public function testClassifyConnectionError($message, $expected)
+  {
+    $this->assertSame($expected, $this->diagnostics->classifyConnectionError($message));
+  }
+
+  /**
+   * Data provider for testClassifyConnectionError().
+   */
+  public static function connectionErrorProvider()
+  {
+    return [
+      'dns' => ['SQLSTATE[08006] [7] could not translate host name "db.example" to address: Name or service not known', 'dns'],
+      'refused' => ['SQLSTATE[08006] [7] connection to server at "10.0.0.5", port 5432 failed: Connection refused', 'tcp'],
+      'timeout' => ['SQLSTATE[08006] [7] timeout expired', 'timeout'],
+      'password' => ['SQLSTATE[08006] [7] FATAL:  password authentication failed for user "search"', 'auth_password'],
+      'role' => ['SQLSTATE[08006] [7] FATAL:  role "search" does not exist', 'auth_role'],
+      'hba' => ['SQLSTATE[08006] [7] FATAL:  no pg_hba.conf entry for host "10.0.0.9", user "search", database "drupal", SSL off', 'auth_hba'],
+      'hba without encryption' => ['SQLSTATE[08006] [7] FATAL:  no pg_hba.conf entry for host "10.0.0.9", user "search", database "drupal", no encryption', 'auth_hba'],
+      'ssl required' => ['SQLSTATE[08006] [7] FATAL:  SSL connection is required. Please specify SSL options and retry.', 'ssl_required'],
+      'database' => ['SQLSTATE[08006] [7] FATAL:  database "drupal" does not exist', 'database'],
+      'ssl unsupported' => ['SQLSTATE[08006] [7] server does not support SSL, but SSL was required', 'ssl_unsupported'],
+      'certificate' => ['SQLSTATE[08006] [7] SSL error: certificate verify failed', 'ssl_error'],
+      'unknown' => ['Something unexpected happened', 'unknown'],
+    ];
+  }
+}
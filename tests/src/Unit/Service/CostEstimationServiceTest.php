@@ -0,0 +1,210 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
+use Drupal\search_api_postgresql\Service\CostEstimationService;
+use Drupal\search_api_postgresql\Service\EmbeddingModelCatalog;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for CostEstimationService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\CostEstimationService
+ */
+class CostEstimationServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $estimator;
+
+  /**
+   * The backend of the test server, recording the samples requested.
+   */
+  protected $backend;
+
+  /**
+   * The test target.
+   */
+  protected $target;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual classes.
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingModelCatalog.php';
+    require_once __DIR__ . '/../../../../../../src/Service/CostEstimationService.php';
+
+    $this->backend = new class {
+      public $config = [
+        'ai_embeddings' => [
+          'enabled' => true,
+          'provider' => 'openai',
+          'openai' => ['model' => 'text-embedding-3-small'],
+        ],
+      ];
+      public $requests = [];
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getConfiguration()
+      {
+        return $this->config;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getEmbeddingTextSample($index, $only_missing = false, $sample_size = 100)
+      {
+        $this->requests[] = ['only_missing' => $only_missing, 'sample_size' => $sample_size];
+        return [
+          'total_items' => 1500,
+          'matching_items' => $only_missing ? 1000 : 1500,
+          // 100 and 200 tokens.
+          'sample' => $sample_size ? [str_repeat('a', 400), str_repeat('b', 800)] : [],
+        ];
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getEmbeddingCacheMetadata()
+      {
+        return ['service' => 'openai'];
+      }
+    };
+
+    $this->target = [
+      'server' => $this->createEntity('main', 'Main', $this->backend),
+      'index' => $this->createEntity('articles', 'Articles'),
+    ];
+
+    // The second sampled text is cached.
+    $cache_manager = $this->createMock(EmbeddingCacheManager::class);
+    $cache_manager->method('getCachedEmbeddingsBatch')->willReturn([1 => [0.1, 0.2]]);
+
+    $this->estimator = new CostEstimationService(
+        $this->createMock(EntityTypeManagerInterface::class),
+        new EmbeddingModelCatalog(),
+        $cache_manager,
+        $this->createMock(LoggerInterface::class)
+    );
+  }
+
+  /**
+   * Tests that tokens are scaled from the sample and cache hits not billed.
+   */
+  public function testEstimateScalesSampleAndSubtractsCacheHits()
+  {
+    $estimate = $this->estimator->estimate('regenerate_missing', [$this->target], ['batch_size' => 50]);
+
+    $this->assertSame([['only_missing' => true, 'sample_size' => CostEstimationService::SAMPLE_SIZE]], $this->backend->requests);
+    $this->assertSame('USD', $estimate['currency']);
+    $this->assertSame(1000, $estimate['items_affected']);
+    $this->assertSame(150000, $estimate['total_tokens']);
+    $this->assertSame(500, $estimate['cache_hits']);
+    // One third of the sampled tokens are cached.
+    $this->assertSame(50000, $estimate['billed_tokens']);
+    $this->assertEqualsWithDelta(0.001, $estimate['total_cost'], 1e-9);
+    $this->assertEqualsWithDelta(0.00002, $estimate['price_per_1k_tokens'], 1e-12);
+    $this->assertSame(20 * CostEstimationService::SECONDS_PER_BATCH, $estimate['estimated_seconds']);
+
+    $row = $estimate['breakdown'][0];
+    $this->assertSame('Articles (Main)', $row['description']);
+    $this->assertSame(150, $row['tokens_per_item']);
+  }
+
+  /**
+   * Tests that force_overwrite includes rows that already have embeddings.
+   */
+  public function testForceOverwriteCountsAllItems()
+  {
+    $estimate = $this->estimator->estimate('regenerate_missing', [$this->target], ['force_overwrite' => true]);
+
+    $this->assertFalse($this->backend->requests[0]['only_missing']);
+    $this->assertSame(1500, $estimate['items_affected']);
+  }
+
+  /**
+   * Tests that operations without provider calls cost nothing.
+   */
+  public function testUnbilledOperation()
+  {
+    $estimate = $this->estimator->estimate('clear_embeddings', [$this->target]);
+
+    $this->assertSame(0, $this->backend->requests[0]['sample_size']);
+    $this->assertSame(1500, $estimate['items_affected']);
+    $this->assertSame(0.0, $estimate['total_cost']);
+    $this->assertSame(0, $estimate['estimated_seconds']);
+  }
+
+  /**
+   * Tests that servers without AI embeddings are reported, not sampled.
+   */
+  public function testDisabledServer()
+  {
+    $this->backend->config['ai_embeddings']['enabled'] = false;
+
+    $estimate = $this->estimator->estimate('regenerate_all', [$this->target]);
+
+    $this->assertSame([], $this->backend->requests);
+    $this->assertArrayHasKey('error', $estimate['breakdown'][0]);
+    $this->assertSame(0, $estimate['items_affected']);
+  }
+
+  /**
+   * Creates a minimal server or index stand-in.
+   */
+  protected function createEntity($id, $label, $backend = null)
+  {
+    return new class ($id, $label, $backend) {
+      protected $id;
+      protected $label;
+      protected $backend;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function __construct($id, $label, $backend)
+      {
+        $this->id = $id;
+        $this->label = $label;
+        $this->backend = $backend;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function id()
+      {
+        return $this->id;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function label()
+      {
+        return $this->label;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getBackend()
+      {
+        return $this->backend;
+      }
+    };
+  }
+}
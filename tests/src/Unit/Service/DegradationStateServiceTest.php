@@ -0,0 +1,108 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\State\StateInterface;
+use Drupal\search_api_postgresql\Exception\CacheDegradedException;
+use Drupal\search_api_postgresql\Exception\EmbeddingServiceUnavailableException;
+use Drupal\search_api_postgresql\Exception\MemoryExhaustedException;
+use Drupal\search_api_postgresql\Exception\VectorSearchDegradedException;
+use Drupal\search_api_postgresql\Service\DegradationStateService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for DegradationStateService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\DegradationStateService
+ */
+class DegradationStateServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $degradationState;
+
+  /**
+   * Values stored in the mocked state service.
+   */
+  protected $stateValues = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/DegradationStateService.php';
+
+    $state = $this->createMock(StateInterface::class);
+    $state->method('get')->willReturnCallback(function ($key, $default = null) {
+      return $this->stateValues[$key] ?? $default;
+    });
+    $state->method('set')->willReturnCallback(function ($key, $value) {
+      $this->stateValues[$key] = $value;
+    });
+
+    $this->degradationState = new DegradationStateService($state, $this->createMock(LoggerInterface::class));
+  }
+
+  /**
+   * Tests that repeated fallbacks keep their start time.
+   */
+  public function testRecordKeepsSince()
+  {
+    $this->degradationState->record(new EmbeddingServiceUnavailableException(), 1000);
+    $this->degradationState->record(new EmbeddingServiceUnavailableException(), 1100);
+
+    $active = $this->degradationState->getActive(1200);
+    $this->assertCount(1, $active);
+    $this->assertSame('embedding_service', $active[0]['type']);
+    $this->assertSame(1000, $active[0]['since']);
+    $this->assertSame(1100, $active[0]['last_seen']);
+    $this->assertSame(2, $active[0]['count']);
+    $this->assertSame('text_search_only', $active[0]['fallback']);
+    $this->assertNotEmpty($active[0]['fallback_description']);
+  }
+
+  /**
+   * Tests that degradations expire when they stop recurring.
+   */
+  public function testDegradationsExpire()
+  {
+    $this->degradationState->record(new CacheDegradedException(), 1000);
+
+    $this->assertCount(1, $this->degradationState->getActive(1000 + DegradationStateService::EXPIRY - 1));
+    $this->assertSame([], $this->degradationState->getActive(1000 + DegradationStateService::EXPIRY));
+  }
+
+  /**
+   * Tests that unrelated exceptions are not recorded.
+   */
+  public function testUnmappedExceptionsAreIgnored()
+  {
+    $this->assertNull($this->degradationState->record(new MemoryExhaustedException('600M', '512M'), 1000));
+    $this->assertSame([], $this->degradationState->getActive(1000));
+  }
+
+  /**
+   * Tests ordering and the overall severity.
+   */
+  public function testSeverity()
+  {
+    $this->degradationState->record(new CacheDegradedException(), 1000);
+    $this->assertSame('info', $this->degradationState->getSeverity($this->degradationState->getActive(1000)));
+
+    $this->degradationState->record(new VectorSearchDegradedException(), 1000);
+    $active = $this->degradationState->getActive(1000);
+    $this->assertSame(['vector_search', 'cache'], array_column($active, 'type'));
+    $this->assertSame('warning', $this->degradationState->getSeverity($active));
+
+    $this->degradationState->clear('vector_search');
+    $this->assertSame(['cache'], array_column($this->degradationState->getActive(1000), 'type'));
+    $this->assertNull($this->degradationState->getSeverity([]));
+  }
+}
@@ -0,0 +1,366 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Database\Query\SelectInterface;
+use Drupal\Core\Database\Schema;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the periods and time series of EmbeddingAnalyticsService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService
+ */
+class EmbeddingAnalyticsTimeSeriesTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $analytics;
+
+  /**
+   * Results the mocked queries return, in order, keyed by table.
+   */
+  protected $results = [];
+
+  /**
+   * The queries run, with their table, conditions and expressions.
+   */
+  protected $queries = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingAnalyticsService.php';
+
+    $schema = $this->createMock(Schema::class);
+    $schema->method('tableExists')->willReturn(true);
+
+    $database = $this->createMock(Connection::class);
+    $database->method('schema')->willReturn($schema);
+    $database->method('select')->willReturnCallback(function ($table) {
+      return $this->mockSelect($table);
+    });
+
+    $this->analytics = new EmbeddingAnalyticsService(
+        $database,
+        $this->createMock(EntityTypeManagerInterface::class),
+        $this->createMock(ConfigFactoryInterface::class),
+        $this->createMock(LoggerInterface::class)
+    );
+  }
+
+  /**
+   * Mocks a query of a table, returning the next result queued for it.
+   */
+  protected function mockSelect($table)
+  {
+    $index = count($this->queries);
+    $this->queries[$index] = ['table' => $table, 'conditions' => [], 'expressions' => []];
+
+    $select = $this->createMock(SelectInterface::class);
+    foreach (['fields', 'isNotNull', 'groupBy', 'orderBy', 'range'] as $method) {
+      $select->method($method)->willReturnSelf();
+    }
+    $select->method('condition')->willReturnCallback(function ($field, $value = null, $operator = '=') use ($select, $index) {
+      $this->queries[$index]['conditions'][] = [$field, $value, $operator];
+      return $select;
+    });
+    $select->method('addExpression')->willReturnCallback(function ($expression, $alias) use ($index) {
+      $this->queries[$index]['expressions'][$alias] = $expression;
+      return $alias;
+    });
+    $select->method('execute')->willReturnCallback(function () use ($table) {
+      return array_shift($this->results[$table]);
+    });
+
+    return $select;
+  }
+
+  /**
+   * Queues the result of the next query of a table.
+   *
+   * @param string $table
+   *   The table queried.
+   * @param array $records
+   *   The records, as arrays.
+   * @param mixed $field
+   *   The value fetchField() returns.
+   */
+  protected function queueResult($table, array $records, $field = false)
+  {
+    $this->results[$table][] = new class (array_map(function (array $record) {
+      return (object) $record;
+    }, $records), $field) extends \ArrayIterator {
+      protected $field;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function __construct(array $records, $field)
+      {
+        parent::__construct($records);
+        $this->field = $field;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function fetchField()
+      {
+        return $this->field;
+      }
+    };
+  }
+
+  /**
+   * Tests that periods get the granularity their length calls for.
+   */
+  public function testResolvePeriod()
+  {
+    $start = 1700000000;
+
+    $period = $this->analytics->resolvePeriod(['start' => (string) $start, 'end' => $start + 172800]);
+    $this->assertSame(['start' => $start, 'end' => $start + 172800, 'granularity' => 'hour'], $period);
+
+    $period = $this->analytics->resolvePeriod(['start' => $start, 'end' => $start + 172801]);
+    $this->assertSame('day', $period['granularity']);
+
+    $period = $this->analytics->resolvePeriod(['start' => $start, 'end' => $start + 86400 * 70, 'granularity' => 'week']);
+    $this->assertSame('week', $period['granularity']);
+
+    // Exactly MAX_BUCKETS buckets are allowed.
+    $end = $start + 3600 * EmbeddingAnalyticsService::MAX_BUCKETS;
+    $this->assertSame($end, $this->analytics->resolvePeriod(['start' => $start, 'end' => $end, 'granularity' => 'hour'])['end']);
+
+    // Named periods end now.
+    $before = time();
+    $period = $this->analytics->resolvePeriod('24h');
+    $this->assertGreaterThanOrEqual($before, $period['end']);
+    $this->assertSame(86400, $period['end'] - $period['start']);
+    $this->assertSame('hour', $period['granularity']);
+  }
+
+  /**
+   * Tests rejecting periods that cannot be reported.
+   *
+   * @dataProvider invalidPeriodProvider
+   */
+  public function testResolveInvalidPeriod(array $period, $message)
+  {
+    $this->expectException(\InvalidArgumentException::class);
+    $this->expectExceptionMessage($message);
+
+    $this->analytics->resolvePeriod($period);
+  }
+
+  /**
+   * Data provider for testResolveInvalidPeriod().
+   */
+  public static function invalidPeriodProvider()
+  {
+    $start = 1700000000;
+
+    return [
+      'empty' => [['start' => $start, 'end' => $start], 'The period must end after it starts.'],
+      'reversed' => [['start' => $start, 'end' => $start - 3600], 'The period must end after it starts.'],
+      'too long' => [['start' => $start, 'end' => $start + EmbeddingAnalyticsService::MAX_PERIOD + 1], 'Periods can be at most 366 days long.'],
+      'unknown granularity' => [['start' => $start, 'end' => $start + 3600, 'granularity' => 'minute'], 'Unknown granularity: minute'],
+      'too many hours' => [['start' => $start, 'end' => $start + 3600 * EmbeddingAnalyticsService::MAX_BUCKETS + 1, 'granularity' => 'hour'], 'The period is too long to be reported by hour.'],
+    ];
+  }
+
+  /**
+   * Tests that the previous period ends where the period starts.
+   */
+  public function testGetPreviousPeriod()
+  {
+    $start = 1700000000;
+    $previous = $this->analytics->getPreviousPeriod(['start' => $start, 'end' => $start + 86400 * 3, 'granularity' => 'hour']);
+
+    $this->assertSame([
+      'start' => $start - 86400 * 3,
+      'end' => $start,
+      'granularity' => 'hour',
+    ], $previous);
+  }
+
+  /**
+   * Tests that usage buckets count from the start of the period.
+   *
+   * @dataProvider granularityProvider
+   */
+  public function testUsagePatternBuckets($granularity, $size)
+  {
+    // A start aligned to neither the hour nor the day.
+    $start = 1700001234;
+    $this->queueResult('search_api_postgresql_metrics', [
+      ['bucket' => (string) ($start + $size * 2), 'total' => '4'],
+    ]);
+    $this->queueResult('search_api_postgresql_analytics', [
+      ['operation' => 'generate_embedding', 'bucket' => (string) $start, 'total' => '3'],
+      ['operation' => 'batch_generate', 'bucket' => (string) ($start + $size * 4), 'total' => '1'],
+    ]);
+
+    $usage = $this->analytics->getUsagePatterns([
+      'start' => $start,
+      'end' => $start + $size * 5,
+      'granularity' => $granularity,
+    ]);
+
+    $expression = "{$start} + FLOOR((timestamp - {$start}) / {$size}) * {$size}";
+    $this->assertSame($expression, $this->queries[0]['expressions']['bucket']);
+    $this->assertSame($expression, $this->queries[1]['expressions']['bucket']);
+    $this->assertContains(['timestamp', $start + $size * 5, '<'], $this->queries[0]['conditions']);
+
+    // Buckets without searches show as zero.
+    $this->assertSame([
+      ['timestamp' => $start, 'value' => 0],
+      ['timestamp' => $start + $size, 'value' => 0],
+      ['timestamp' => $start + $size * 2, 'value' => 4],
+      ['timestamp' => $start + $size * 3, 'value' => 0],
+      ['timestamp' => $start + $size * 4, 'value' => 0],
+    ], $usage['query_volume']);
+
+    $this->assertSame(['batch_generate', 'generate_embedding'], array_keys($usage['embedding_generation']));
+    $this->assertSame([0, 0, 0, 0, 1], array_column($usage['embedding_generation']['batch_generate'], 'value'));
+    $this->assertSame([3, 0, 0, 0, 0], array_column($usage['embedding_generation']['generate_embedding'], 'value'));
+  }
+
+  /**
+   * Data provider for testUsagePatternBuckets().
+   */
+  public static function granularityProvider()
+  {
+    $cases = [];
+    foreach (EmbeddingAnalyticsService::GRANULARITIES as $granularity => $size) {
+      $cases[$granularity] = [$granularity, $size];
+    }
+
+    return $cases;
+  }
+
+  /**
+   * Tests that periods with too many buckets are not queried.
+   */
+  public function testUsagePatternsRejectTooManyBuckets()
+  {
+    $start = 1700000000;
+
+    try {
+      $this->analytics->getUsagePatterns(['start' => $start, 'end' => $start + 86400 * 60, 'granularity' => 'hour']);
+      $this->fail('A period of 1440 hourly buckets was accepted.');
+    } catch (\InvalidArgumentException $e) {
+      $this->assertSame('The period is too long to be reported by hour.', $e->getMessage());
+    }
+    $this->assertSame([], $this->queries);
+  }
+
+  /**
+   * Tests combining aggregated days with the API calls after them.
+   */
+  public function testGetDailyCosts()
+  {
+    $this->queueResult('search_api_postgresql_daily_aggregates', [], '2026-04-02');
+    $this->queueResult('search_api_postgresql_daily_aggregates', [
+      ['date' => '2026-03-31', 'cost' => '9.0'],
+      ['date' => '2026-04-01', 'cost' => '1.5'],
+      ['date' => '2026-04-02', 'cost' => '2.0'],
+    ]);
+    $this->queueResult('search_api_postgresql_analytics', [
+      ['day' => '0', 'cost' => '0.75'],
+      ['day' => '1', 'cost' => '1'],
+    ]);
+
+    $days = $this->analytics->getDailyCosts(strtotime('2026-04-01'), strtotime('2026-04-05'), 'main');
+
+    $this->assertSame([
+      '2026-04-01' => 1.5,
+      '2026-04-02' => 2.0,
+      '2026-04-03' => 0.75,
+      '2026-04-04' => 1.0,
+    ], $days);
+
+    // API calls are only summed after the last aggregated day.
+    $this->assertSame('search_api_postgresql_analytics', $this->queries[2]['table']);
+    $this->assertContains(['timestamp', strtotime('2026-04-03'), '>='], $this->queries[2]['conditions']);
+    $this->assertContains(['server_id', 'main', '='], $this->queries[2]['conditions']);
+    $this->assertSame(
+        'CASE WHEN timestamp < ' . strtotime('2026-04-04') . ' THEN 0 WHEN timestamp < ' . strtotime('2026-04-05') . ' THEN 1 END',
+        $this->queries[2]['expressions']['day']
+    );
+  }
+
+  /**
+   * Tests the daily costs before any day was aggregated.
+   */
+  public function testGetDailyCostsWithoutAggregates()
+  {
+    $this->queueResult('search_api_postgresql_daily_aggregates', [], false);
+    $this->queueResult('search_api_postgresql_analytics', [
+      ['day' => '1', 'cost' => '0.5'],
+    ]);
+
+    $days = $this->analytics->getDailyCosts(strtotime('2026-04-01'), strtotime('2026-04-03'));
+
+    $this->assertSame(['2026-04-01' => 0.0, '2026-04-02' => 0.5], $days);
+    $this->assertCount(2, $this->queries);
+    $this->assertContains(['timestamp', strtotime('2026-04-01'), '>='], $this->queries[1]['conditions']);
+
+    // An empty range is not queried.
+    $this->assertSame([], $this->analytics->getDailyCosts(strtotime('2026-04-01'), strtotime('2026-04-01')));
+    $this->assertCount(2, $this->queries);
+  }
+
+  /**
+   * Tests that calls are summed by the days of the site timezone.
+   *
+   * @dataProvider timezoneProvider
+   */
+  public function testGetDailyCostsUseSiteDays($timezone, $start, array $lengths)
+  {
+    $default = date_default_timezone_get();
+    date_default_timezone_set($timezone);
+    try {
+      $this->queueResult('search_api_postgresql_daily_aggregates', [], false);
+      $this->queueResult('search_api_postgresql_analytics', []);
+      $first = strtotime($start);
+      $this->analytics->getDailyCosts($first, $first + array_sum($lengths));
+
+      $cases = [];
+      $day_end = $first;
+      foreach ($lengths as $i => $length) {
+        $day_end += $length;
+        $cases[] = "WHEN timestamp < {$day_end} THEN {$i}";
+      }
+      $this->assertSame('CASE ' . implode(' ', $cases) . ' END', $this->queries[1]['expressions']['day']);
+    } finally {
+      date_default_timezone_set($default);
+    }
+  }
+
+  /**
+   * Data provider for testGetDailyCostsUseSiteDays().
+   */
+  public static function timezoneProvider()
+  {
+    return [
+      // Midnight at UTC+5:45 is neither on the hour nor on the half hour.
+      'quarter-hour offset' => ['Asia/Kathmandu', '2026-04-01', [86400, 86400]],
+      'half-hour offset' => ['Asia/Kolkata', '2026-04-01', [86400, 86400]],
+      // The day daylight saving time starts is 23 hours long.
+      'daylight saving time' => ['America/New_York', '2026-03-07', [86400, 82800, 86400]],
+    ];
+  }
+}
@@ -0,0 +1,109 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\search_api_postgresql\Service\EmbeddingModelCatalog;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for EmbeddingModelCatalog.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\EmbeddingModelCatalog
+ */
+class EmbeddingModelCatalogTest extends TestCase
+{
+  /**
+   * The catalog under test.
+   */
+  protected $catalog;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingModelCatalog.php';
+
+    $this->catalog = new EmbeddingModelCatalog();
+  }
+
+  /**
+   * Tests that every provider exposes complete model definitions.
+   */
+  public function testCatalogStructure()
+  {
+    $providers = $this->catalog->getProviderOptions();
+    $this->assertArrayHasKey('azure', $providers);
+    $this->assertArrayHasKey('openai', $providers);
+    $this->assertArrayHasKey('azure_cognitive', $providers);
+
+    foreach (array_keys($providers) as $provider) {
+      $models = $this->catalog->getModels($provider);
+      $this->assertNotEmpty($models, "Provider $provider should define models");
+
+      foreach ($models as $model_id => $model) {
+        foreach (['label', 'dimension', 'min_dimension', 'max_dimension', 'max_tokens', 'price_per_1k_tokens'] as $key) {
+          $this->assertArrayHasKey($key, $model, "$provider/$model_id should define $key");
+        }
+        $this->assertGreaterThanOrEqual($model['min_dimension'], $model['dimension']);
+        $this->assertLessThanOrEqual($model['max_dimension'], $model['dimension']);
+      }
+    }
+  }
+
+  /**
+   * Tests default dimension lookups.
+   */
+  public function testDefaultDimension()
+  {
+    $this->assertSame(1536, $this->catalog->getDefaultDimension('azure', 'text-embedding-3-small'));
+    $this->assertSame(3072, $this->catalog->getDefaultDimension('openai', 'text-embedding-3-large'));
+    $this->assertNull($this->catalog->getDefaultDimension('azure', 'unknown-model'));
+    $this->assertNull($this->catalog->getDefaultDimension('unknown', 'text-embedding-3-small'));
+  }
+
+  /**
+   * Tests dimension validation, including shortened embeddings.
+   */
+  public function testIsValidDimension()
+  {
+    // text-embedding-3 models accept reduced dimensions.
+    $this->assertTrue($this->catalog->isValidDimension('azure', 'text-embedding-3-large', 1024));
+    $this->assertTrue($this->catalog->isValidDimension('azure', 'text-embedding-3-large', '3072'));
+    $this->assertFalse($this->catalog->isValidDimension('azure', 'text-embedding-3-large', 3073));
+    $this->assertFalse($this->catalog->isValidDimension('azure', 'text-embedding-3-small', 0));
+    $this->assertFalse($this->catalog->isValidDimension('azure', 'text-embedding-3-small', '512.5'));
+
+    // ada-002 has a fixed dimension.
+    $this->assertTrue($this->catalog->isValidDimension('openai', 'text-embedding-ada-002', 1536));
+    $this->assertFalse($this->catalog->isValidDimension('openai', 'text-embedding-ada-002', 1024));
+
+    $this->assertFalse($this->catalog->isValidDimension('openai', 'unknown-model', 1536));
+  }
+
+  /**
+   * Tests cost estimation from catalog pricing.
+   */
+  public function testEstimateCost()
+  {
+    $this->assertEqualsWithDelta(0.02, $this->catalog->estimateCost('openai', 'text-embedding-3-small', 1000000), 0.0000001);
+    $this->assertEqualsWithDelta(0.13, $this->catalog->estimateCost('azure', 'text-embedding-3-large', 1000000), 0.0000001);
+    $this->assertSame(0.0, $this->catalog->estimateCost('azure', 'unknown-model', 1000));
+  }
+
+  /**
+   * Tests the settings passed to the client.
+   */
+  public function testClientSettings()
+  {
+    $settings = $this->catalog->getClientSettings();
+
+    $this->assertSame(EmbeddingModelCatalog::PRICE_CURRENCY, $settings['currency']);
+    $this->assertSame(EmbeddingModelCatalog::INDEX_MAX_DIMENSION, $settings['indexMaxDimension']);
+    $this->assertSame($this->catalog->getCatalog(), $settings['providers']);
+  }
+}
@@ -0,0 +1,176 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\StringTranslation\TranslationInterface;
+use Drupal\search_api_postgresql\Cache\EmbeddingCacheManager;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Drupal\search_api_postgresql\Service\ConfigurationValidationService;
+use Drupal\search_api_postgresql\Service\HealthCheckService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for HealthCheckService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\HealthCheckService
+ */
+class HealthCheckServiceTest extends TestCase
+{
+  /**
+   * The service under test, with execute() returning canned outcomes.
+   */
+  protected $healthChecks;
+
+  /**
+   * Values stored in the mocked state service.
+   */
+  protected $stateValues = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/HealthCheckService.php';
+
+    $state = $this->createMock(StateInterface::class);
+    $state->method('get')->willReturnCallback(function ($key, $default = null) {
+      return $this->stateValues[$key] ?? $default;
+    });
+    $state->method('set')->willReturnCallback(function ($key, $value) {
+      $this->stateValues[$key] = $value;
+    });
+
+    $this->healthChecks = new class (
+        $this->createMock(EntityTypeManagerInterface::class),
+        $this->createMock(ConfigurationValidationService::class),
+        $this->createMock(EmbeddingQueueManager::class),
+        $this->createMock(EmbeddingCacheManager::class),
+        $state,
+        $this->createMock(LoggerInterface::class)
+    ) extends HealthCheckService {
+      public $outcomes = [];
+
+      /**
+       * {@inheritdoc}
+       */
+      protected function execute($check)
+      {
+        $success = array_shift($this->outcomes);
+        if ($success === null) {
+          throw new \RuntimeException('Check exploded');
+        }
+        return ['success' => $success, 'message' => $success ? 'Fine' : 'Broken'];
+      }
+    };
+
+    $translation = $this->createMock(TranslationInterface::class);
+    $translation->method('translateString')->willReturnCallback(function ($markup) {
+      return $markup->getUntranslatedString();
+    });
+    $this->healthChecks->setStringTranslation($translation);
+  }
+
+  /**
+   * Tests that a run is recorded and summarized.
+   */
+  public function testRunRecordsHistory()
+  {
+    $this->healthChecks->outcomes = [true, false];
+
+    $this->healthChecks->run('queue', 1000);
+    $result = $this->healthChecks->run('queue', 1060);
+
+    $this->assertSame('queue', $result['id']);
+    $this->assertSame('Embedding queue', (string) $result['label']);
+    $this->assertFalse($result['on_demand']);
+    $this->assertFalse($result['success']);
+    $this->assertSame('Broken', $result['message']);
+    $this->assertSame(1060, $result['last_run']);
+    $this->assertSame([true, false], $result['history']);
+    $this->assertIsInt($result['duration_ms']);
+
+    $last = $this->healthChecks->getLastResults();
+    $this->assertSame([true, false], $last['queue']['history']);
+    $this->assertNull($last['database']['success']);
+  }
+
+  /**
+   * Tests that exceptions become failed results.
+   */
+  public function testExceptionsAreReportedAsFailures()
+  {
+    $result = $this->healthChecks->run('cache', 1000);
+
+    $this->assertFalse($result['success']);
+    $this->assertSame('Embedding cache check failed', $result['message']);
+    $this->assertSame('Check exploded', $result['details']);
+  }
+
+  /**
+   * Tests that only the billed provider check waits to be asked for.
+   */
+  public function testOnDemandChecks()
+  {
+    $on_demand = array_filter(array_column($this->healthChecks->getLastResults(), 'on_demand', 'id'));
+
+    $this->assertSame(['provider_api' => true], $on_demand);
+  }
+
+  /**
+   * Tests that the history is capped.
+   */
+  public function testHistoryIsCapped()
+  {
+    $this->healthChecks->outcomes = array_fill(0, HealthCheckService::HISTORY_SIZE + 5, true);
+
+    for ($i = 0; $i < HealthCheckService::HISTORY_SIZE + 5; $i++) {
+      $result = $this->healthChecks->run('database', 1000 + $i);
+    }
+
+    $this->assertCount(HealthCheckService::HISTORY_SIZE, $result['history']);
+  }
+
+  /**
+   * Tests that unknown checks are rejected.
+   */
+  public function testUnknownCheck()
+  {
+    $this->expectException(\InvalidArgumentException::class);
+    $this->healthChecks->run('nonsense');
+  }
+
+  /**
+   * Tests flapping detection.
+   *
+   * @dataProvider flappingProvider
+   */
+  public function testIsFlapping(array $outcomes, $expected)
+  {
+    $history = array_map(function ($success) {
+      return ['success' => $success];
+    }, $outcomes);
+
+    $this->assertSame($expected, $this->healthChecks->isFlapping($history));
+  }
+
+  /**
+   * Data provider for testIsFlapping().
+   */
+  public static function flappingProvider()
+  {
+    return [
+      'empty' => [[], false],
+      'steady' => [[true, true, true, true], false],
+      'single outage' => [[true, false, false, true], false],
+      'flapping' => [[true, false, true, false], true],
+    ];
+  }
+}
@@ -0,0 +1,260 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\StringTranslation\TranslationInterface;
+use Drupal\search_api\IndexInterface;
+use Drupal\search_api_postgresql\Service\ItemSelectionService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for ItemSelectionService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\ItemSelectionService
+ */
+class ItemSelectionServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $selection;
+
+  /**
+   * Values stored in the mocked state.
+   */
+  protected $stateValues = [];
+
+  /**
+   * The mocked logger.
+   */
+  protected $logger;
+
+  /**
+   * The test index.
+   */
+  protected $index;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/ItemSelectionService.php';
+
+    $state = $this->createMock(StateInterface::class);
+    $state->method('get')->willReturnCallback(function ($key, $default = null) {
+      return $this->stateValues[$key] ?? $default;
+    });
+    $state->method('set')->willReturnCallback(function ($key, $value) {
+      $this->stateValues[$key] = $value;
+    });
+
+    $this->logger = $this->createMock(LoggerInterface::class);
+    $this->selection = new ItemSelectionService($this->createMock(Connection::class), $state, $this->logger);
+
+    $translation = $this->createMock(TranslationInterface::class);
+    $translation->method('translateString')->willReturnCallback(function ($markup) {
+      return $markup->getUntranslatedString();
+    });
+    $this->selection->setStringTranslation($translation);
+
+    // Articles are nodes 1 and 2, pages node 3.
+    $datasource = new class {
+
+      /**
+       * {@inheritdoc}
+       */
+      public function label()
+      {
+        return 'Content';
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getBundles()
+      {
+        return ['article' => 'Article', 'page' => 'Basic page'];
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getPartialItemIds($page = null, array $bundles = null)
+      {
+        $ids = ['article' => ['1:en', '2:en'], 'page' => ['3:en']];
+        if ($page > 0) {
+          return null;
+        }
+        return array_merge(...array_values(array_intersect_key($ids, array_flip($bundles))));
+      }
+    };
+
+    $this->index = new class ($datasource) {
+      protected $datasource;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function __construct($datasource)
+      {
+        $this->datasource = $datasource;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function id()
+      {
+        return 'articles';
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getDatasources()
+      {
+        return ['entity:node' => $this->datasource];
+      }
+    };
+  }
+
+  /**
+   * Tests reducing form values to filters.
+   */
+  public function testNormalizeFilters()
+  {
+    $filters = ItemSelectionService::normalizeFilters([
+      'datasources' => ['entity:node' => 'entity:node', 'entity:user' => 0],
+      'changed_from' => '2026-03-01',
+      'changed_to' => 'yesterday',
+      'item_ids' => "entity:node/1:en, entity:node/2:en\nentity:node/1:en",
+      'failed_validation' => '1',
+      'operation' => 'regenerate_all',
+    ]);
+
+    $this->assertSame([
+      'datasources' => ['entity:node'],
+      'bundles' => [],
+      'changed_from' => '2026-03-01',
+      'changed_to' => '',
+      'item_ids' => ['entity:node/1:en', 'entity:node/2:en'],
+      'failed_validation' => true,
+    ], $filters);
+
+    $this->assertFalse($this->selection->hasFilters(['operation' => 'regenerate_all', 'item_ids' => ' ']));
+    $this->assertTrue($this->selection->hasFilters($filters));
+  }
+
+  /**
+   * Tests that the filters of a selection narrow each other down.
+   */
+  public function testGetItemFilter()
+  {
+    $this->assertSame([], $this->selection->getItemFilter($this->index, ['operation' => 'regenerate_all']));
+
+    $filter = $this->selection->getItemFilter($this->index, [
+      'bundles' => ['entity:node/article'],
+      'item_ids' => 'entity:node/2:en entity:node/3:en',
+    ]);
+    $this->assertSame(['datasources' => [], 'item_ids' => ['entity:node/2:en']], $filter);
+
+    // Datasources alone are filtered by the backend.
+    $filter = $this->selection->getItemFilter($this->index, ['datasources' => ['entity:node']]);
+    $this->assertSame(['datasources' => ['entity:node']], $filter);
+  }
+
+  /**
+   * Tests that bundles matching too many items stop resolving at the limit.
+   */
+  public function testItemLimit()
+  {
+    // A bundle of 5000 items per page, without an end.
+    $datasource = new class {
+      public $pages = 0;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getPartialItemIds($page = null, array $bundles = null)
+      {
+        $this->pages++;
+        return range($page * 5000, $page * 5000 + 4999);
+      }
+    };
+    $index = $this->createMock(IndexInterface::class);
+    $index->method('id')->willReturn('articles');
+    $index->method('getDatasources')->willReturn(['entity:node' => $datasource]);
+
+    $filter = $this->selection->getItemFilter($index, ['bundles' => ['entity:node/article']]);
+
+    $this->assertSame(3, $datasource->pages);
+    $this->assertSame([], $filter['item_ids']);
+    $this->assertSame('The selected bundles or dates match more than 10,000 items of the index. Narrow the selection down, or select whole datasources.', $filter['error']);
+  }
+
+  /**
+   * Tests selecting the items that failed the last validation.
+   */
+  public function testFailedValidationPreset()
+  {
+    $this->assertSame([], $this->selection->getItemFilter($this->index, ['failed_validation' => true])['item_ids']);
+
+    $this->selection->recordValidation('articles', [
+      'checked' => 3,
+      'failed' => ['entity:node/1:en' => 'The embedding is a zero vector.', 'entity:node/3:en' => 'The embedding is a zero vector.'],
+    ], [], 1000);
+
+    $validation = $this->selection->getValidation('articles');
+    $this->assertSame(1000, $validation['validated']);
+    $this->assertSame(3, $validation['checked']);
+
+    $filter = $this->selection->getItemFilter($this->index, ['failed_validation' => true, 'bundles' => ['entity:node/article']]);
+    $this->assertSame(['entity:node/1:en'], $filter['item_ids']);
+  }
+
+  /**
+   * Tests that validating some items keeps the failures of the others.
+   */
+  public function testRecordValidationMergesFailures()
+  {
+    $this->selection->recordValidation('articles', [
+      'checked' => 3,
+      'failed' => ['entity:node/1:en' => 'Zero vector.', 'entity:node/3:en' => 'Zero vector.'],
+    ]);
+
+    // Node 1 was fixed; node 3 was not checked again.
+    $this->selection->recordValidation('articles', ['checked' => 1, 'failed' => []], [
+      'datasources' => [],
+      'item_ids' => ['entity:node/1:en'],
+    ]);
+    $this->assertSame(['entity:node/3:en' => 'Zero vector.'], $this->selection->getValidation('articles')['failed']);
+
+    // A validation of the whole index replaces earlier results.
+    $this->selection->recordValidation('articles', ['checked' => 3, 'failed' => []]);
+    $this->assertSame([], $this->selection->getValidation('articles')['failed']);
+  }
+
+  /**
+   * Tests that only a limited number of failures is remembered.
+   */
+  public function testFailureLimit()
+  {
+    $failed = [];
+    for ($i = 0; $i <= ItemSelectionService::FAILURE_LIMIT; $i++) {
+      $failed['entity:node/' . $i . ':en'] = 'Zero vector.';
+    }
+
+    $this->logger->expects($this->once())->method('warning');
+    $this->selection->recordValidation('articles', ['checked' => count($failed), 'failed' => $failed]);
+
+    $this->assertCount(ItemSelectionService::FAILURE_LIMIT, $this->selection->getValidation('articles')['failed']);
+  }
+}
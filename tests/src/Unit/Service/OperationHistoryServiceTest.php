@@ -0,0 +1,300 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Database\Query\Insert;
+use Drupal\Core\Database\Query\SelectInterface;
+use Drupal\Core\Database\Query\Update;
+use Drupal\Core\Database\StatementInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\search_api_postgresql\Event\OperationFinishedEvent;
+use Drupal\search_api_postgresql\Service\OperationHistoryService;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+use Symfony\Contracts\EventDispatcher\EventDispatcherInterface;
+
+/**
+ * Tests for OperationHistoryService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\OperationHistoryService
+ */
+class OperationHistoryServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $history;
+
+  /**
+   * The operation tracker, backed by the mocked state.
+   */
+  protected $tracker;
+
+  /**
+   * The mocked database connection.
+   */
+  protected $database;
+
+  /**
+   * Values stored in the mocked state.
+   */
+  protected $stateValues = [];
+
+  /**
+   * Fields passed to inserts and updates.
+   */
+  protected $written = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual classes.
+    require_once __DIR__ . '/../../../../../../src/Event/OperationFinishedEvent.php';
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingModelCatalog.php';
+    require_once __DIR__ . '/../../../../../../src/Service/OperationPreviewService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/OperationTrackerService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/OperationHistoryService.php';
+
+    $state = $this->createMock(StateInterface::class);
+    $state->method('get')->willReturnCallback(function ($key, $default = null) {
+      return $this->stateValues[$key] ?? $default;
+    });
+    $state->method('set')->willReturnCallback(function ($key, $value) {
+      $this->stateValues[$key] = $value;
+    });
+    $lock = $this->createMock(LockBackendInterface::class);
+    $lock->method('acquire')->willReturn(true);
+    // The tracker reports finished operations to the history, as the event
+    // dispatcher does for its subscribers.
+    $dispatcher = $this->createMock(EventDispatcherInterface::class);
+    $dispatcher->method('dispatch')->willReturnCallback(function ($event, $name) {
+      $this->assertSame(OperationFinishedEvent::NAME, $name);
+      $this->history->onOperationFinished($event);
+      return $event;
+    });
+    $this->tracker = new OperationTrackerService($state, $this->createMock(LoggerInterface::class), $lock, $dispatcher);
+
+    $insert = $this->createMock(Insert::class);
+    $insert->method('fields')->willReturnCallback(function ($fields) use ($insert) {
+      $this->written['insert'] = $fields;
+      return $insert;
+    });
+    $insert->method('execute')->willReturn('7');
+
+    $update = $this->createMock(Update::class);
+    $update->method('fields')->willReturnCallback(function ($fields) use ($update) {
+      $this->written['update'] = $fields;
+      return $update;
+    });
+    $update->method('condition')->willReturnCallback(function ($field, $value) use ($update) {
+      $this->written['update_condition'] = [$field, $value];
+      return $update;
+    });
+
+    $this->database = $this->createMock(Connection::class);
+    $this->database->method('insert')->willReturn($insert);
+    $this->database->method('update')->willReturn($update);
+
+    $user = $this->createMock(AccountProxyInterface::class);
+    $user->method('id')->willReturn(3);
+
+    $this->history = new OperationHistoryService(
+        $this->database,
+        $user,
+        $this->tracker,
+        $this->createMock(LoggerInterface::class)
+    );
+  }
+
+  /**
+   * Tests recording an operation that ran without the tracker.
+   */
+  public function testRecordUntrackedOperation()
+  {
+    $id = $this->history->record([
+      'operation' => 'clear_embeddings',
+      'server_id' => 'main',
+      'index_id' => '',
+      'force_overwrite' => true,
+    ], ['success' => false, 'error' => 'Connection refused'], 1000, 1004);
+
+    $this->assertSame(7, $id);
+    $fields = $this->written['insert'];
+    $this->assertSame(3, $fields['uid']);
+    $this->assertSame('clear_embeddings', $fields['operation']);
+    $this->assertSame('main', $fields['server_id']);
+    $this->assertSame(OperationHistoryService::STATUS_FAILED, $fields['status']);
+    $this->assertSame('Connection refused', $fields['message']);
+    $this->assertSame(1004, $fields['finished']);
+    $this->assertSame(4, $fields['duration']);
+    $this->assertNull($fields['operation_id']);
+  }
+
+  /**
+   * Tests that tracked operations take their progress from the tracker.
+   */
+  public function testRecordTrackedOperation()
+  {
+    $operation_id = $this->tracker->start('regenerate_all', 'queue', [
+      'articles' => ['server_id' => 'main', 'total' => 100],
+      'pages' => ['server_id' => 'main', 'total' => 20],
+    ], ['estimated_cost' => 0.25, 'currency' => 'USD'], 1000);
+
+    $this->history->record([
+      'operation' => 'regenerate_all',
+      'index_ids' => ['articles', 'pages'],
+    ], ['operation_id' => $operation_id], 1000, 1000);
+
+    $fields = $this->written['insert'];
+    $this->assertSame($operation_id, $fields['operation_id']);
+    $this->assertSame('articles, pages', $fields['index_id']);
+    $this->assertSame(OperationTrackerService::STATUS_RUNNING, $fields['status']);
+    $this->assertSame(0.25, $fields['estimated_cost']);
+    $this->assertNull($fields['finished']);
+  }
+
+  /**
+   * Tests that unfinished entries show the progress of the tracker.
+   */
+  public function testGetEntriesShowsProgress()
+  {
+    $operation_id = $this->tracker->start('regenerate_missing', 'queue', [
+      'articles' => ['server_id' => 'main', 'total' => 10],
+    ], ['price_per_1k_tokens' => 0.02], 1000);
+    $this->tracker->recordBatch($operation_id, 'articles', ['processed' => 4, 'failed' => ['a' => 'Timeout'], 'tokens' => 500], 1010);
+
+    $this->mockRows([
+      [
+        'id' => 1,
+        'operation_id' => $operation_id,
+        'uid' => 3,
+        'name' => 'editor',
+        'operation' => 'regenerate_missing',
+        'server_id' => 'main',
+        'index_id' => 'articles',
+        'parameters' => '{"operation":"regenerate_missing","batch_size":25}',
+        'status' => OperationTrackerService::STATUS_RUNNING,
+        'items_processed' => 0,
+        'items_failed' => 0,
+        'started' => 1000,
+        'finished' => null,
+      ],
+    ]);
+
+    $entry = $this->history->getEntries()[0];
+    $this->assertSame(OperationTrackerService::STATUS_RUNNING, $entry['status']);
+    $this->assertSame(4, $entry['items_processed']);
+    $this->assertSame(1, $entry['items_failed']);
+    $this->assertEqualsWithDelta(0.01, $entry['actual_cost'], 1e-9);
+    $this->assertSame(25, $entry['parameters']['batch_size']);
+    // Reading the history does not write it.
+    $this->assertArrayNotHasKey('update', $this->written);
+  }
+
+  /**
+   * Tests that entries are completed when their operation finishes.
+   */
+  public function testFinishedOperationsAreStored()
+  {
+    $operation_id = $this->tracker->start('regenerate_missing', 'queue', [
+      'articles' => ['server_id' => 'main', 'total' => 10],
+    ], ['price_per_1k_tokens' => 0.02], 1000);
+    $this->tracker->recordBatch($operation_id, 'articles', ['processed' => 9, 'failed' => ['a' => 'Timeout'], 'tokens' => 500], 1010);
+    $this->assertArrayNotHasKey('update', $this->written);
+
+    $this->tracker->finishTarget($operation_id, 'articles', 1010);
+
+    $fields = $this->written['update'];
+    $this->assertSame(['operation_id', $operation_id], $this->written['update_condition']);
+    $this->assertSame(OperationTrackerService::STATUS_COMPLETED, $fields['status']);
+    $this->assertSame(9, $fields['items_processed']);
+    $this->assertSame(1, $fields['items_failed']);
+    $this->assertEqualsWithDelta(0.01, $fields['actual_cost'], 1e-9);
+    $this->assertSame(1010, $fields['finished']);
+    $this->assertSame(10, $fields['duration']);
+  }
+
+  /**
+   * Tests that entries are completed when their operation is cancelled.
+   */
+  public function testCancelledOperationsAreStored()
+  {
+    $operation_id = $this->tracker->start('regenerate_all', 'queue', [
+      'articles' => ['server_id' => 'main', 'total' => 10],
+    ], [], 1000);
+
+    $this->tracker->setStatus($operation_id, OperationTrackerService::STATUS_PAUSED, 1005);
+    $this->assertArrayNotHasKey('update', $this->written);
+
+    $this->tracker->setStatus($operation_id, OperationTrackerService::STATUS_CANCELLED, 1020);
+    $this->assertSame(OperationTrackerService::STATUS_CANCELLED, $this->written['update']['status']);
+    $this->assertSame(1020, $this->written['update']['finished']);
+    // Time spent paused is not part of the duration.
+    $this->assertSame(5, $this->written['update']['duration']);
+  }
+
+  /**
+   * Tests the form values an entry is re-run with.
+   */
+  public function testGetRerunQuery()
+  {
+    $query = $this->history->getRerunQuery([
+      'operation' => 'regenerate_all',
+      'parameters' => [
+        'operation' => 'regenerate_all',
+        'server_id' => '',
+        'index_id' => 'articles',
+        'batch_size' => 25,
+        'use_queue' => false,
+        'priority' => 'high',
+        'force_overwrite' => true,
+      ],
+    ]);
+    $this->assertSame([
+      'operation' => 'regenerate_all',
+      'index_id' => 'articles',
+      'batch_size' => 25,
+      'use_queue' => 0,
+      'priority' => 'high',
+      'force_overwrite' => 1,
+    ], $query);
+
+    // A single index selected on the bulk form becomes the form's index.
+    $query = $this->history->getRerunQuery([
+      'operation' => 'regenerate_missing',
+      'parameters' => ['index_ids' => ['pages']],
+    ]);
+    $this->assertSame('pages', $query['index_id']);
+
+    // The form cannot select several indexes.
+    $this->assertNull($this->history->getRerunQuery([
+      'operation' => 'regenerate_missing',
+      'parameters' => ['index_ids' => ['articles', 'pages']],
+    ]));
+  }
+
+  /**
+   * Makes the mocked history table return rows.
+   */
+  protected function mockRows(array $rows)
+  {
+    $statement = $this->createMock(StatementInterface::class);
+    $statement->method('fetchAll')->willReturn($rows);
+
+    $select = $this->createMock(SelectInterface::class);
+    foreach (['fields', 'orderBy', 'range'] as $method) {
+      $select->method($method)->willReturnSelf();
+    }
+    $select->method('execute')->willReturn($statement);
+    $this->database->method('select')->willReturn($select);
+  }
+}
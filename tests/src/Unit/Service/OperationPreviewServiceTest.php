@@ -0,0 +1,254 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\StringTranslation\TranslationInterface;
+use Drupal\Core\TempStore\PrivateTempStore;
+use Drupal\Core\TempStore\PrivateTempStoreFactory;
+use Drupal\search_api_postgresql\Queue\EmbeddingQueueManager;
+use Drupal\search_api_postgresql\Service\CircuitBreakerService;
+use Drupal\search_api_postgresql\Service\CostEstimationService;
+use Drupal\search_api_postgresql\Service\OperationPreviewService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for OperationPreviewService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\OperationPreviewService
+ */
+class OperationPreviewServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $preview;
+
+  /**
+   * Values stored in the mocked tempstore.
+   */
+  protected $tempStoreValues = [];
+
+  /**
+   * The mocked cost estimation service.
+   */
+  protected $costEstimator;
+
+  /**
+   * The mocked queue manager.
+   */
+  protected $queueManager;
+
+  /**
+   * The mocked circuit breaker.
+   */
+  protected $circuitBreaker;
+
+  /**
+   * The backend of the test server.
+   */
+  protected $backend;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual classes.
+    require_once __DIR__ . '/../../../../../../src/Service/CircuitBreakerService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/CostEstimationService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/ItemSelectionService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/OperationPreviewService.php';
+
+    $temp_store = $this->createMock(PrivateTempStore::class);
+    $temp_store->method('get')->willReturnCallback(function ($key) {
+      return $this->tempStoreValues[$key] ?? null;
+    });
+    $temp_store->method('set')->willReturnCallback(function ($key, $value) {
+      $this->tempStoreValues[$key] = $value;
+    });
+    $temp_store->method('delete')->willReturnCallback(function ($key) {
+      unset($this->tempStoreValues[$key]);
+    });
+    $factory = $this->createMock(PrivateTempStoreFactory::class);
+    $factory->method('get')->willReturn($temp_store);
+
+    $this->backend = new class {
+      public $dimensions = ['configured' => 1536, 'stored' => 1536];
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getEmbeddingDimensions($index)
+      {
+        return $this->dimensions;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getEmbeddingItems($index, $only_missing, $limit, $offset = 0)
+      {
+        return ['total' => 45, 'items' => [['id' => 'entity:node/' . ($offset + 1) . ':en']]];
+      }
+    };
+
+    $server = new class ($this->backend) {
+      protected $backend;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function __construct($backend)
+      {
+        $this->backend = $backend;
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function getBackend()
+      {
+        return $this->backend;
+      }
+    };
+    $index = new class {
+
+      /**
+       * {@inheritdoc}
+       */
+      public function id()
+      {
+        return 'articles';
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function label()
+      {
+        return 'Articles';
+      }
+    };
+
+    $this->costEstimator = $this->createMock(CostEstimationService::class);
+    $this->costEstimator->method('getTargets')->willReturn([['server' => $server, 'index' => $index]]);
+    $this->costEstimator->method('estimate')->willReturn([
+      'items_affected' => 45,
+      'total_cost' => 0.5,
+      'currency' => 'USD',
+      'estimated_seconds' => 4,
+      'breakdown' => [['server_id' => 'main', 'index_id' => 'articles']],
+    ]);
+    $this->costEstimator->method('affectsOnlyMissing')->willReturn(true);
+
+    $this->queueManager = $this->createMock(EmbeddingQueueManager::class);
+    $this->queueManager->method('getQueueStats')->willReturn(['config' => ['enabled' => true]]);
+
+    $this->circuitBreaker = $this->createMock(CircuitBreakerService::class);
+    $this->circuitBreaker->method('getAllServiceStats')->willReturn([]);
+
+    $this->preview = new OperationPreviewService(
+        $this->costEstimator,
+        $this->queueManager,
+        $factory,
+        $this->createMock(LoggerInterface::class),
+        $this->circuitBreaker
+    );
+  }
+
+  /**
+   * Tests that only known keys make it into a selection.
+   */
+  public function testNormalizeSelection()
+  {
+    $selection = $this->preview->normalizeSelection([
+      'operation' => 'regenerate_missing',
+      'batch_size' => '25',
+      'use_queue' => '1',
+      'form_build_id' => 'form-abc',
+    ]);
+
+    $this->assertSame('regenerate_missing', $selection['operation']);
+    $this->assertSame(25, $selection['batch_size']);
+    $this->assertTrue($selection['use_queue']);
+    $this->assertFalse($selection['force_overwrite']);
+    $this->assertArrayNotHasKey('form_build_id', $selection);
+  }
+
+  /**
+   * Tests that a preview can be confirmed only with its own ID.
+   */
+  public function testPreviewStoresSelection()
+  {
+    $selection = $this->preview->normalizeSelection(['operation' => 'regenerate_missing']);
+    $result = $this->preview->preview($selection);
+
+    $this->assertSame(45, $result['affected_items']);
+    $this->assertSame(1, $result['affected_servers']);
+    $this->assertSame([], $result['warnings']);
+    $this->assertSame($selection, $this->preview->getSelection($result['preview_id']));
+    $this->assertNull($this->preview->getSelection('0000000000000000'));
+
+    // A newer preview replaces the older one.
+    $newer = $this->preview->preview($selection);
+    $this->assertNull($this->preview->getSelection($result['preview_id']));
+
+    $this->preview->clearSelection();
+    $this->assertNull($this->preview->getSelection($newer['preview_id']));
+  }
+
+  /**
+   * Tests the warnings about a paused queue, open circuits and dimensions.
+   */
+  public function testWarnings()
+  {
+    $this->queueManager = $this->createMock(EmbeddingQueueManager::class);
+    $this->queueManager->method('getQueueStats')->willReturn(['config' => ['enabled' => false]]);
+    $this->circuitBreaker = $this->createMock(CircuitBreakerService::class);
+    $this->circuitBreaker->method('getAllServiceStats')->willReturn([
+      'openai' => ['state' => CircuitBreakerService::STATE_OPEN],
+    ]);
+    $this->backend->dimensions = ['configured' => 3072, 'stored' => 1536];
+
+    $preview = new OperationPreviewService(
+        $this->costEstimator,
+        $this->queueManager,
+        $this->createMock(PrivateTempStoreFactory::class),
+        $this->createMock(LoggerInterface::class),
+        $this->circuitBreaker
+    );
+    $translation = $this->createMock(TranslationInterface::class);
+    $translation->method('translateString')->willReturnCallback(function ($markup) {
+      return $markup->getUntranslatedString();
+    });
+    $preview->setStringTranslation($translation);
+
+    $summary = $preview->summarize($preview->normalizeSelection([
+      'operation' => 'regenerate_all',
+      'use_queue' => true,
+    ]));
+
+    $this->assertSame(['circuit_open', 'queue_paused', 'dimension_mismatch'], array_column($summary['warnings'], 'type'));
+    $this->assertSame('The circuit breaker for openai is open, so embedding requests will fail until it closes.', (string) $summary['warnings'][0]['message']);
+    $this->assertSame('Index Articles stores 1536-dimensional vectors but the server is configured for 3072.', (string) $summary['warnings'][2]['message']);
+  }
+
+  /**
+   * Tests paging through the items of a previewed index.
+   */
+  public function testGetItems()
+  {
+    $selection = $this->preview->normalizeSelection(['operation' => 'regenerate_missing']);
+
+    $page = $this->preview->getItems($selection, 'articles', 2);
+    $this->assertSame(2, $page['page']);
+    $this->assertSame(45, $page['total']);
+    $this->assertSame('entity:node/' . (2 * OperationPreviewService::PAGE_SIZE + 1) . ':en', $page['items'][0]['id']);
+
+    $this->assertNull($this->preview->getItems($selection, 'other'));
+  }
+}
@@ -0,0 +1,275 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\search_api_postgresql\Event\OperationFinishedEvent;
+use Drupal\search_api_postgresql\Service\OperationTrackerService;
+use Psr\Log\LoggerInterface;
+use PHPUnit\Framework\TestCase;
+use Symfony\Contracts\EventDispatcher\EventDispatcherInterface;
+
+/**
+ * Tests for OperationTrackerService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\OperationTrackerService
+ */
+class OperationTrackerServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $tracker;
+
+  /**
+   * Values stored in the mocked state.
+   */
+  protected $stateValues = [];
+
+  /**
+   * Whether another request holds the lock of the tracked operations.
+   */
+  protected $locked = false;
+
+  /**
+   * The calls made to the mocked lock, in order.
+   */
+  protected $lockCalls = [];
+
+  /**
+   * The operations of the dispatched events, with the lock calls before them.
+   */
+  protected $finished = [];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual classes.
+    require_once __DIR__ . '/../../../../../../src/Event/OperationFinishedEvent.php';
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingModelCatalog.php';
+    require_once __DIR__ . '/../../../../../../src/Service/OperationTrackerService.php';
+
+    $state = $this->createMock(StateInterface::class);
+    $state->method('get')->willReturnCallback(function ($key, $default = null) {
+      return $this->stateValues[$key] ?? $default;
+    });
+    $state->method('set')->willReturnCallback(function ($key, $value) {
+      $this->stateValues[$key] = $value;
+    });
+
+    $lock = $this->createMock(LockBackendInterface::class);
+    $lock->method('acquire')->willReturnCallback(function ($name) {
+      $this->lockCalls[] = 'acquire';
+      return !$this->locked;
+    });
+    $lock->method('wait')->willReturnCallback(function ($name) {
+      $this->lockCalls[] = 'wait';
+      return $this->locked;
+    });
+    $lock->method('release')->willReturnCallback(function ($name) {
+      $this->lockCalls[] = 'release';
+    });
+
+    $dispatcher = $this->createMock(EventDispatcherInterface::class);
+    $dispatcher->method('dispatch')->willReturnCallback(function ($event, $name) {
+      $this->assertSame(OperationFinishedEvent::NAME, $name);
+      $this->finished[] = ['operation' => $event->getOperation(), 'lock' => end($this->lockCalls)];
+      return $event;
+    });
+
+    $this->tracker = new OperationTrackerService($state, $this->createMock(LoggerInterface::class), $lock, $dispatcher);
+  }
+
+  /**
+   * Tests throughput, remaining time, running cost and recorded failures.
+   */
+  public function testRecordBatch()
+  {
+    $id = $this->startOperation(1000);
+
+    $this->tracker->recordBatch($id, 'articles', [
+      'processed' => 48,
+      'failed' => ['entity:node/7:en' => 'Rate limit exceeded', 'entity:node/9:en' => 'Rate limit exceeded'],
+      'tokens' => 50000,
+    ], 1010);
+
+    $operation = $this->tracker->get($id, 1010);
+    $this->assertSame(1, $operation['batches_completed']);
+    $this->assertSame(48, $operation['processed_items']);
+    $this->assertSame(2, $operation['failed_items']);
+    $this->assertSame(10, $operation['elapsed']);
+    $this->assertEquals(5, $operation['items_per_second']);
+    $this->assertSame(30, $operation['eta_seconds']);
+    $this->assertEquals(25, $operation['percent']);
+    $this->assertEqualsWithDelta(0.001, $operation['cost'], 1e-9);
+    $this->assertSame('entity:node/7:en', $operation['failures'][0]['item_id']);
+    $this->assertSame('Rate limit exceeded', $operation['failures'][0]['message']);
+    $this->assertSame('running', $operation['status']);
+
+    // Batches of unknown indexes are ignored.
+    $this->tracker->recordBatch($id, 'other', ['processed' => 10], 1011);
+    $this->assertSame(48, $this->tracker->get($id, 1011)['processed_items']);
+  }
+
+  /**
+   * Tests that only the most recent failures are kept.
+   */
+  public function testFailureLimit()
+  {
+    $id = $this->startOperation(1000);
+    $failed = [];
+    for ($i = 0; $i < OperationTrackerService::FAILURE_LIMIT + 5; $i++) {
+      $failed['item-' . $i] = 'Failed';
+    }
+
+    $this->tracker->recordBatch($id, 'articles', ['failed' => $failed], 1001);
+
+    $operation = $this->tracker->get($id, 1001);
+    $this->assertCount(OperationTrackerService::FAILURE_LIMIT, $operation['failures']);
+    $this->assertSame('item-5', $operation['failures'][0]['item_id']);
+    $this->assertSame(OperationTrackerService::FAILURE_LIMIT + 5, $operation['failed_items']);
+  }
+
+  /**
+   * Tests that time spent paused does not slow down the throughput.
+   */
+  public function testPauseAndResume()
+  {
+    $id = $this->startOperation(1000);
+    $this->tracker->recordBatch($id, 'articles', ['processed' => 50], 1010);
+
+    $this->assertTrue($this->tracker->setStatus($id, OperationTrackerService::STATUS_PAUSED, 1010));
+    $this->assertSame(OperationTrackerService::STATUS_PAUSED, $this->tracker->getStatus($id));
+    $this->assertSame(10, $this->tracker->get($id, 1100)['elapsed']);
+
+    $this->tracker->setStatus($id, OperationTrackerService::STATUS_RUNNING, 1100);
+    $operation = $this->tracker->get($id, 1110);
+    $this->assertSame(20, $operation['elapsed']);
+    $this->assertEquals(2.5, $operation['items_per_second']);
+  }
+
+  /**
+   * Tests that an operation completes once all of its indexes are done.
+   */
+  public function testFinishTargets()
+  {
+    $id = $this->tracker->start('regenerate_all', 'queue', [
+      'articles' => ['server_id' => 'main', 'total' => 10],
+      'pages' => ['server_id' => 'main', 'total' => 5],
+    ], [], 1000);
+
+    $this->tracker->finishTarget($id, 'articles', 1005);
+    $this->assertSame(OperationTrackerService::STATUS_RUNNING, $this->tracker->getStatus($id));
+
+    $this->tracker->finishTarget($id, 'pages', 1010);
+    $operation = $this->tracker->get($id, 1020);
+    $this->assertSame(OperationTrackerService::STATUS_COMPLETED, $operation['status']);
+    $this->assertSame(1010, $operation['finished']);
+    $this->assertSame(0, $operation['eta_seconds']);
+
+    // Finished operations cannot be paused or cancelled.
+    $this->assertFalse($this->tracker->setStatus($id, OperationTrackerService::STATUS_CANCELLED));
+    $this->assertFalse($this->tracker->setStatus('unknown', OperationTrackerService::STATUS_PAUSED));
+  }
+
+  /**
+   * Tests that completed and cancelled operations are announced.
+   */
+  public function testFinishedOperationsAreDispatched()
+  {
+    $id = $this->tracker->start('regenerate_all', 'queue', [
+      'articles' => ['server_id' => 'main', 'total' => 10],
+      'pages' => ['server_id' => 'main', 'total' => 5],
+    ], [], 1000);
+
+    $this->tracker->finishTarget($id, 'articles', 1005);
+    $this->tracker->setStatus($id, OperationTrackerService::STATUS_PAUSED, 1006);
+    $this->assertSame([], $this->finished);
+
+    $this->tracker->finishTarget($id, 'pages', 1010);
+    $this->assertCount(1, $this->finished);
+    $this->assertSame(OperationTrackerService::STATUS_COMPLETED, $this->finished[0]['operation']['status']);
+    $this->assertSame(1010, $this->finished[0]['operation']['finished']);
+    // Subscribers run once the lock is released.
+    $this->assertSame('release', $this->finished[0]['lock']);
+
+    $this->finished = [];
+    $id = $this->startOperation(1000);
+    $this->tracker->setStatus($id, OperationTrackerService::STATUS_CANCELLED, 1020);
+    $this->assertSame($id, $this->finished[0]['operation']['id']);
+    $this->assertSame(OperationTrackerService::STATUS_CANCELLED, $this->finished[0]['operation']['status']);
+
+    // Finishing the rest of a cancelled operation announces nothing new.
+    $this->tracker->finishTarget($id, 'articles', 1030);
+    $this->assertCount(1, $this->finished);
+  }
+
+  /**
+   * Tests that indexes the estimate could not cover are left out.
+   */
+  public function testStartFromEstimate()
+  {
+    $id = $this->tracker->startFromEstimate('batch', [
+      'operation' => 'regenerate_missing',
+      'currency' => 'USD',
+      'total_cost' => 0.5,
+      'price_per_1k_tokens' => 0.00002,
+      'breakdown' => [
+        ['server_id' => 'main', 'index_id' => 'articles', 'description' => 'Articles (Main)', 'items' => 40],
+        ['server_id' => 'other', 'index_id' => 'pages', 'description' => 'Pages (Other)', 'items' => 0, 'error' => 'AI embeddings are not enabled on this server.'],
+      ],
+    ], 1000);
+
+    $operation = $this->tracker->get($id, 1000);
+    $this->assertSame(['articles'], array_keys($operation['targets']));
+    $this->assertSame('main', $operation['targets']['articles']['server_id']);
+    $this->assertSame(40, $operation['total_items']);
+    $this->assertSame('batch', $operation['mode']);
+    $this->assertSame(0.5, $operation['estimated_cost']);
+    $this->assertNull($operation['eta_seconds']);
+  }
+
+  /**
+   * Tests that changes are made under the lock and wait for it.
+   */
+  public function testChangesHoldTheLock()
+  {
+    $id = $this->startOperation(1000);
+    $this->assertSame(['acquire', 'release'], $this->lockCalls);
+
+    // A worker cannot overwrite the operations while a pause holds the lock.
+    $this->locked = true;
+    $this->lockCalls = [];
+    try {
+      $this->tracker->recordBatch($id, 'articles', ['processed' => 10, 'tokens' => 100], 1010);
+      $this->fail('The batch was recorded without the lock.');
+    } catch (\RuntimeException $e) {
+      $this->assertSame(['acquire', 'wait', 'acquire'], $this->lockCalls);
+    }
+    $this->assertSame(0, $this->tracker->get($id, 1010)['processed_items']);
+
+    $this->locked = false;
+    $this->tracker->setStatus($id, OperationTrackerService::STATUS_PAUSED, 1020);
+    $this->tracker->recordBatch($id, 'articles', ['processed' => 10, 'tokens' => 100], 1030);
+
+    $operation = $this->tracker->get($id, 1030);
+    $this->assertSame(OperationTrackerService::STATUS_PAUSED, $operation['status']);
+    $this->assertSame(10, $operation['processed_items']);
+  }
+
+  /**
+   * Starts an operation on a single index.
+   */
+  protected function startOperation($now)
+  {
+    return $this->tracker->start('regenerate_missing', 'queue', [
+      'articles' => ['server_id' => 'main', 'label' => 'Articles (Main)', 'total' => 200],
+    ], ['price_per_1k_tokens' => 0.00002, 'currency' => 'USD'], $now);
+  }
+}
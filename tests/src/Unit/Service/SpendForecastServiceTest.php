@@ -0,0 +1,125 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\search_api_postgresql\Service\EmbeddingAnalyticsService;
+use Drupal\search_api_postgresql\Service\SpendForecastService;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for SpendForecastService.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\SpendForecastService
+ */
+class SpendForecastServiceTest extends TestCase
+{
+  /**
+   * The service under test.
+   */
+  protected $forecast;
+
+  /**
+   * The current time of the tests: noon halfway through April.
+   */
+  protected $now;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual classes.
+    require_once __DIR__ . '/../../../../../../src/Service/EmbeddingAnalyticsService.php';
+    require_once __DIR__ . '/../../../../../../src/Service/SpendForecastService.php';
+
+    $this->forecast = new SpendForecastService($this->createMock(EmbeddingAnalyticsService::class));
+    $this->now = strtotime('2026-04-15 12:00:00');
+  }
+
+  /**
+   * Builds a daily spend from March 1 to today.
+   *
+   * @param array $overrides
+   *   Spend of particular days, keyed by Y-m-d.
+   *
+   * @return array
+   *   The spend per day, 2.0 on days not overridden.
+   */
+  protected function buildDaily(array $overrides = [])
+  {
+    $daily = [];
+    for ($day = strtotime('2026-03-01'); $day <= $this->now; $day = strtotime('+1 day', $day)) {
+      $daily[date('Y-m-d', $day)] = 2.0;
+    }
+
+    return array_merge($daily, $overrides);
+  }
+
+  /**
+   * Tests projecting the month-end spend at a steady rate.
+   */
+  public function testForecast()
+  {
+    $forecast = $this->forecast->forecast($this->buildDaily(['2026-04-15' => 1.0]), 50, $this->now);
+
+    $this->assertEqualsWithDelta(29.0, $forecast['spent'], 0.001);
+    $this->assertEqualsWithDelta(2.0, $forecast['daily_rate'], 0.001);
+    // Half of today and 15 more days at 2.0 a day.
+    $this->assertEqualsWithDelta(60.0, $forecast['projected'], 0.001);
+    $this->assertEqualsWithDelta(60.0, $forecast['high'], 0.001);
+    $this->assertSame('over_budget', $forecast['status']);
+    $this->assertSame('2026-04-26', $forecast['exhausted_on']);
+
+    $actual = end($forecast['burn_down']['actual']);
+    $this->assertSame('2026-04-15', $actual['date']);
+    $this->assertEqualsWithDelta(21.0, $actual['value'], 0.001);
+    $this->assertCount(16, $forecast['burn_down']['projected']);
+    $this->assertEqualsWithDelta(-10.0, end($forecast['burn_down']['projected'])['value'], 0.001);
+  }
+
+  /**
+   * Tests the confidence band and the status without a budget.
+   */
+  public function testConfidenceBand()
+  {
+    $overrides = [];
+    for ($day = 1; $day <= 14; $day++) {
+      $overrides[sprintf('2026-04-%02d', $day)] = $day % 2 ? 1.0 : 3.0;
+    }
+    $forecast = $this->forecast->forecast($this->buildDaily($overrides), 0, $this->now);
+
+    $this->assertSame('no_budget', $forecast['status']);
+    $this->assertNull($forecast['exhausted_on']);
+    $this->assertGreaterThan($forecast['projected'], $forecast['high']);
+    $this->assertLessThan($forecast['projected'], $forecast['low']);
+    $this->assertGreaterThanOrEqual($forecast['spent'], $forecast['low']);
+
+    // The band reaching over a budget the projection stays under is a risk.
+    $budget = ($forecast['projected'] + $forecast['high']) / 2;
+    $this->assertSame('at_risk', $this->forecast->forecast($this->buildDaily($overrides), $budget, $this->now)['status']);
+  }
+
+  /**
+   * Tests flagging days that cost far more than the days before them.
+   */
+  public function testFindAnomalies()
+  {
+    $days = $this->forecast->findAnomalies($this->buildDaily([
+      '2026-04-05' => 3.0,
+      '2026-04-10' => 10.0,
+    ]), '2026-04-15');
+
+    $this->assertCount(SpendForecastService::DISPLAY_DAYS, $days);
+    $flagged = array_values(array_filter($days, function ($day) {
+      return $day['flagged'];
+    }));
+
+    $this->assertCount(1, $flagged);
+    $this->assertSame('2026-04-10', $flagged[0]['date']);
+    $this->assertEqualsWithDelta(2.0, $flagged[0]['average'], 0.2);
+    $this->assertGreaterThan(4, $flagged[0]['ratio']);
+  }
+}
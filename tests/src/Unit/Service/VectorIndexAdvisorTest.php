@@ -0,0 +1,93 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Service;
+
+use Drupal\search_api_postgresql\Service\VectorIndexAdvisor;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for VectorIndexAdvisor.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Service\VectorIndexAdvisor
+ */
+class VectorIndexAdvisorTest extends TestCase
+{
+  /**
+   * The advisor under test.
+   */
+  protected $advisor;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Service/VectorIndexAdvisor.php';
+
+    $this->advisor = new VectorIndexAdvisor();
+  }
+
+  /**
+   * Tests lists of rows / 1000 for tables up to one million rows.
+   */
+  public function testMediumTable()
+  {
+    $recommendation = $this->advisor->recommend(250000);
+
+    $this->assertSame('rows_per_1000', $recommendation['basis']);
+    $this->assertSame(250, $recommendation['ivfflat']['lists']);
+    $this->assertSame(16, $recommendation['ivfflat']['probes']);
+    $this->assertSame(16, $recommendation['hnsw']['m']);
+    $this->assertSame(64, $recommendation['hnsw']['ef_construction']);
+    $this->assertSame(40, $recommendation['hnsw']['ef_search']);
+  }
+
+  /**
+   * Tests lists of sqrt(rows) and larger HNSW settings above one million rows.
+   */
+  public function testLargeTable()
+  {
+    $recommendation = $this->advisor->recommend(4000000);
+
+    $this->assertSame('sqrt_rows', $recommendation['basis']);
+    $this->assertSame(2000, $recommendation['ivfflat']['lists']);
+    $this->assertSame(45, $recommendation['ivfflat']['probes']);
+    $this->assertSame(32, $recommendation['hnsw']['m']);
+    $this->assertGreaterThanOrEqual(2 * 32, $recommendation['hnsw']['ef_construction']);
+    $this->assertSame(100, $recommendation['hnsw']['ef_search']);
+  }
+
+  /**
+   * Tests small and empty tables get the minimum.
+   */
+  public function testSmallTable()
+  {
+    foreach ([0, 999, -5] as $rows) {
+      $recommendation = $this->advisor->recommend($rows);
+      $this->assertSame('minimum', $recommendation['basis']);
+      $this->assertSame(1, $recommendation['ivfflat']['lists']);
+      $this->assertSame(1, $recommendation['ivfflat']['probes']);
+    }
+  }
+
+  /**
+   * Tests server-wide recommendations are sized for the largest table.
+   */
+  public function testRecommendForIndexes()
+  {
+    $recommendation = $this->advisor->recommendForIndexes([
+      'articles' => 50000,
+      'products' => 200000,
+      'broken' => null,
+    ]);
+
+    $this->assertSame(200000, $recommendation['rows']);
+    $this->assertSame(200, $recommendation['ivfflat']['lists']);
+    $this->assertSame(['articles', 'products'], array_keys($recommendation['indexes']));
+    $this->assertSame(50, $recommendation['indexes']['articles']['ivfflat']['lists']);
+  }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace Drupal\Tests\search_api_postgresql\Unit\Traits;
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for ConfirmationDialogTrait.
+ *
+ * @group  search_api_postgresql
+ * @covers \Drupal\search_api_postgresql\Traits\ConfirmationDialogTrait
+ */
+class ConfirmationDialogTraitTest extends TestCase
+{
+  /**
+   * A form using the trait.
+   */
+  protected $form;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void
+  {
+    parent::setUp();
+
+    // Load actual class.
+    require_once __DIR__ . '/../../../../../../src/Traits/ConfirmationDialogTrait.php';
+
+    $this->form = new class {
+      use \Drupal\search_api_postgresql\Traits\ConfirmationDialogTrait;
+
+      /**
+       * {@inheritdoc}
+       */
+      public function t($string, array $args = [])
+      {
+        return strtr($string, $args);
+      }
+
+      /**
+       * {@inheritdoc}
+       */
+      public function addDialog(array &$button, $field, array $actions, $scope_provider = null)
+      {
+        $this->addConfirmationDialog($button, $field, $actions, $scope_provider);
+      }
+    };
+  }
+
+  /**
+   * Tests the dialogs described on the button.
+   */
+  public function testAddConfirmationDialog()
+  {
+    $button = ['#type' => 'submit', '#value' => 'Execute Action'];
+    $this->form->addDialog($button, 'action', [
+      'clear_all' => [
+        'title' => 'Clear all cached embeddings?',
+        'message' => 'Every cached embedding is deleted.',
+        'scope' => [['Total entries', number_format(1234)]],
+        'typed' => 'clear cache',
+        'confirm' => 'Clear cache',
+      ],
+      'clear_expired' => [
+        'title' => 'Clear expired cache entries?',
+      ],
+    ]);
+
+    $spec = json_decode($button['#attributes']['data-confirm'], true);
+    $this->assertSame('action', $spec['field']);
+    $this->assertNull($spec['provider']);
+    $this->assertSame([['label' => 'Total entries', 'value' => '1,234']], $spec['actions']['clear_all']['scope']);
+    $this->assertSame('clear cache', $spec['actions']['clear_all']['typed']);
+
+    // Actions that can be undone only need confirming.
+    $this->assertNull($spec['actions']['clear_expired']['typed']);
+    $this->assertSame('', $spec['actions']['clear_expired']['message']);
+    $this->assertSame('Confirm', $spec['actions']['clear_expired']['confirm']);
+
+    $this->assertContains('search_api_postgresql/admin', $button['#attached']['library']);
+  }
+
+  /**
+   * Tests checkbox values and scope providers.
+   */
+  public function testCheckboxField()
+  {
+    $button = [];
+    $this->form->addDialog($button, 'force', [
+      '0' => ['title' => 'Regenerate embeddings?'],
+      '1' => ['title' => 'Force regeneration?', 'typed' => 'overwrite'],
+    ], 'bulk_selection');
+
+    $this->assertStringContainsString('"actions":{"0":', $button['#attributes']['data-confirm']);
+
+    $spec = json_decode($button['#attributes']['data-confirm'], true);
+    $this->assertSame('bulk_selection', $spec['provider']);
+    $this->assertNull($spec['actions'][0]['typed']);
+    $this->assertSame('overwrite', $spec['actions'][1]['typed']);
+  }
+}